@@ -0,0 +1,593 @@
+// Palette commune aux graphiques (couleurs Tailwind utilisées dans l'interface)
+const CHART_PALETTE = ["#3b82f6", "#f97316", "#10b981", "#ef4444", "#8b5cf6", "#eab308", "#06b6d4", "#6b7280"];
+
+const DEFAULT_CONFIG = {
+    type: "bar",
+    labels: [],
+    datasets: [],
+    stacked: false,
+    height: 240,
+    axes: {},
+    annotations: [],
+    legend: true,
+    emptyMessage: "Aucune donnée à afficher",
+    maxLabelLength: 14,
+    font: "Inter, sans-serif"
+};
+
+const TEXT_COLOR = "#6b7280";
+const GRID_COLOR = "#e5e7eb";
+
+/**
+ * @function niceScale
+ * @description Calcule une échelle "ronde" (pas de 1, 2 ou 5 × 10^n) couvrant [min, max]
+ * @param {number} min - Valeur minimale des données
+ * @param {number} max - Valeur maximale des données
+ * @param {number} maxTicks - Nombre maximal de graduations
+ * @returns {Object} { min, max, step, ticks }
+ * @implements Lean - Standardisation des calculs
+ */
+function niceScale(min, max, maxTicks = 5) {
+    if (min === max) {
+        // Plage nulle : on ouvre l'échelle pour garder une graduation lisible
+        max = min === 0 ? 1 : min + Math.abs(min);
+        min = Math.min(0, min);
+    }
+
+    const niceNumber = (range, round) => {
+        const exponent = Math.floor(Math.log10(range));
+        const fraction = range / Math.pow(10, exponent);
+        let niceFraction;
+        if (round) {
+            niceFraction = fraction < 1.5 ? 1 : fraction < 3 ? 2 : fraction < 7 ? 5 : 10;
+        } else {
+            niceFraction = fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 5 ? 5 : 10;
+        }
+        return niceFraction * Math.pow(10, exponent);
+    };
+
+    const range = niceNumber(max - min, false);
+    const step = niceNumber(range / Math.max(1, maxTicks - 1), true);
+
+    // Arrondi pour éviter les artefacts flottants (0.30000000000000004)
+    const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+    const niceMin = Number((Math.floor(min / step) * step).toFixed(decimals));
+    const niceMax = Number((Math.ceil(max / step) * step).toFixed(decimals));
+    const ticks = [];
+    for (let value = niceMin; value <= niceMax + step / 2; value += step) {
+        ticks.push(Number(value.toFixed(decimals)));
+    }
+
+    return { min: niceMin, max: niceMax, step, ticks };
+}
+
+/**
+ * @class Chart
+ * @description Graphique canvas réutilisable : barres (groupées ou empilées), lignes, secteurs et anneau.
+ * Gère la densité de pixels (HiDPI), le redimensionnement du conteneur, les infobulles et l'état vide.
+ * @implements ISO 9001 - Visualisation des données
+ * @implements Lean - Standardisation des composants
+ */
+class Chart {
+    /**
+     * @param {HTMLElement} container - Conteneur du graphique (sa largeur détermine celle du canvas)
+     * @param {Object} config - { type, labels, datasets, stacked, height, axes, annotations, legend, emptyMessage }
+     */
+    constructor(container, config) {
+        this.container = container;
+        this.config = { ...DEFAULT_CONFIG, ...config };
+        this.hitRegions = [];
+        this.width = 0;
+
+        this.canvas = document.createElement("canvas");
+        this.canvas.style.display = "block";
+        this.canvas.style.width = "100%";
+
+        this.tooltip = document.createElement("div");
+        Object.assign(this.tooltip.style, {
+            position: "absolute",
+            display: "none",
+            pointerEvents: "none",
+            background: "rgba(17, 24, 39, 0.9)",
+            color: "#ffffff",
+            padding: "4px 8px",
+            borderRadius: "4px",
+            fontSize: "12px",
+            whiteSpace: "nowrap",
+            zIndex: "10"
+        });
+
+        container.innerHTML = "";
+        container.style.position = "relative";
+        container.appendChild(this.canvas);
+        container.appendChild(this.tooltip);
+
+        this.handleMouseMove = (event) => this.showTooltip(event);
+        this.handleMouseLeave = () => this.hideTooltip();
+        this.canvas.addEventListener("mousemove", this.handleMouseMove);
+        this.canvas.addEventListener("mouseleave", this.handleMouseLeave);
+
+        // Redessin lorsque la largeur du conteneur change
+        this.handleResize = () => {
+            if (this.container.clientWidth !== this.width) this.render();
+        };
+        if (typeof ResizeObserver !== "undefined") {
+            this.resizeObserver = new ResizeObserver(this.handleResize);
+            this.resizeObserver.observe(container);
+        } else {
+            window.addEventListener("resize", this.handleResize);
+        }
+
+        this.render();
+    }
+
+    /**
+     * @method update
+     * @description Remplace la configuration et redessine
+     * @param {Object} config - Nouvelle configuration
+     */
+    update(config) {
+        this.config = { ...DEFAULT_CONFIG, ...config };
+        this.render();
+    }
+
+    /**
+     * @method destroy
+     * @description Libère les écouteurs et vide le conteneur
+     */
+    destroy() {
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+        else window.removeEventListener("resize", this.handleResize);
+        this.canvas.removeEventListener("mousemove", this.handleMouseMove);
+        this.canvas.removeEventListener("mouseleave", this.handleMouseLeave);
+        this.container.innerHTML = "";
+    }
+
+    /**
+     * @method render
+     * @description Dimensionne le canvas pour l'écran courant puis dessine le graphique
+     * @implements Lean - Standardisation des dessins
+     */
+    render() {
+        const width = this.container.clientWidth || 400;
+        const height = this.config.height;
+        const ratio = window.devicePixelRatio || 1;
+
+        this.width = width;
+        this.canvas.width = Math.round(width * ratio);
+        this.canvas.height = Math.round(height * ratio);
+        this.canvas.style.height = `${height}px`;
+
+        const ctx = this.canvas.getContext("2d");
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = `12px ${this.config.font}`;
+
+        this.hitRegions = [];
+        this.hideTooltip();
+
+        if (this.isEmpty()) {
+            this.drawEmpty(ctx, width, height);
+        } else if (this.config.type === "pie" || this.config.type === "donut") {
+            this.drawPie(ctx, width, height);
+        } else {
+            this.drawCartesian(ctx, width, height);
+        }
+    }
+
+    /**
+     * @method isEmpty
+     * @description Un graphique est vide sans étiquettes, sans valeurs, ou (secteurs) avec un total nul
+     * @returns {boolean}
+     */
+    isEmpty() {
+        const { labels, datasets, type } = this.config;
+        if (labels.length === 0 || datasets.length === 0) return true;
+
+        if (type === "pie" || type === "donut") {
+            return datasets[0].data.reduce((sum, value) => sum + (value > 0 ? value : 0), 0) === 0;
+        }
+        return !datasets.some(dataset => dataset.data.some(value => Number.isFinite(value)));
+    }
+
+    drawEmpty(ctx, width, height) {
+        ctx.fillStyle = TEXT_COLOR;
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        ctx.fillText(this.config.emptyMessage, width / 2, height / 2);
+        ctx.textBaseline = "alphabetic";
+    }
+
+    /**
+     * @method drawCartesian
+     * @description Barres et lignes sur axes X/Y (axe Y secondaire optionnel), annotations horizontales
+     */
+    drawCartesian(ctx, width, height) {
+        const { labels, datasets, axes, annotations, stacked } = this.config;
+        const typeOf = (dataset) => dataset.type || (this.config.type === "line" ? "line" : "bar");
+        const barDatasets = datasets.filter(dataset => typeOf(dataset) === "bar");
+        const hasY2 = datasets.some(dataset => dataset.axis === "y2");
+
+        const scales = {
+            y: this.computeScale("y", stacked && barDatasets.length > 1),
+            y2: hasY2 ? this.computeScale("y2", false) : null
+        };
+        const formats = {
+            y: (axes.y && axes.y.format) || String,
+            y2: (axes.y2 && axes.y2.format) || String
+        };
+
+        // Marges calculées d'après la largeur réelle des libellés
+        const tickWidth = (axis) => Math.max(...scales[axis].ticks.map(tick => ctx.measureText(formats[axis](tick)).width));
+        const top = 12 + (this.config.legend && datasets.length > 1 ? this.drawLegend(ctx, width, datasets) : 0);
+        const left = tickWidth("y") + 12;
+        const right = hasY2 ? tickWidth("y2") + 12 : 16;
+        const plotWidth = Math.max(10, width - left - right);
+
+        const slot = plotWidth / labels.length;
+        const truncate = (label) => {
+            const text = String(label);
+            return text.length > this.config.maxLabelLength ? `${text.slice(0, this.config.maxLabelLength - 1)}…` : text;
+        };
+        const labelWidth = Math.max(...labels.map(label => ctx.measureText(truncate(label)).width));
+        const rotated = labelWidth + 6 > slot;
+        const labelEvery = rotated ? Math.max(1, Math.ceil(16 / slot)) : 1;
+        const bottom = rotated ? Math.min(90, labelWidth * 0.71 + 18) : 24;
+        const plotHeight = Math.max(10, height - top - bottom);
+        const baseY = top + plotHeight;
+
+        const yAt = (value, axis = "y") => {
+            const scale = scales[axis];
+            return baseY - ((value - scale.min) / (scale.max - scale.min)) * plotHeight;
+        };
+        // Les graphiques à barres centrent les points dans leur créneau ; les lignes seules occupent toute la largeur
+        const xAt = (index) => (barDatasets.length > 0 || labels.length === 1
+            ? left + slot * (index + 0.5)
+            : left + (index * plotWidth) / (labels.length - 1));
+
+        // Grille et graduations
+        ctx.lineWidth = 1;
+        scales.y.ticks.forEach(tick => {
+            const y = yAt(tick);
+            ctx.beginPath();
+            ctx.moveTo(left, y);
+            ctx.lineTo(left + plotWidth, y);
+            ctx.strokeStyle = GRID_COLOR;
+            ctx.stroke();
+            ctx.fillStyle = TEXT_COLOR;
+            ctx.textAlign = "right";
+            ctx.fillText(formats.y(tick), left - 6, y + 4);
+        });
+        if (scales.y2) {
+            scales.y2.ticks.forEach(tick => {
+                ctx.fillStyle = TEXT_COLOR;
+                ctx.textAlign = "left";
+                ctx.fillText(formats.y2(tick), left + plotWidth + 6, yAt(tick, "y2") + 4);
+            });
+        }
+
+        labels.forEach((label, index) => {
+            if (index % labelEvery !== 0) return;
+            ctx.fillStyle = TEXT_COLOR;
+            if (rotated) {
+                ctx.save();
+                ctx.translate(xAt(index), baseY + 10);
+                ctx.rotate(-Math.PI / 4);
+                ctx.textAlign = "right";
+                ctx.fillText(truncate(label), 0, 0);
+                ctx.restore();
+            } else {
+                ctx.textAlign = "center";
+                ctx.fillText(truncate(label), xAt(index), baseY + 16);
+            }
+        });
+
+        this.drawBars(ctx, barDatasets, { slot, xAt, yAt, formats, stacked });
+
+        datasets.forEach((dataset, datasetIndex) => {
+            if (typeOf(dataset) === "line") {
+                this.drawLine(ctx, dataset, datasetIndex, { xAt, yAt, formats });
+            }
+        });
+
+        annotations.forEach(annotation => {
+            const axis = annotation.axis || "y";
+            if (!scales[axis]) return;
+            const y = yAt(annotation.value, axis);
+            ctx.beginPath();
+            ctx.setLineDash(annotation.dashed === false ? [] : [6, 4]);
+            ctx.moveTo(left, y);
+            ctx.lineTo(left + plotWidth, y);
+            ctx.strokeStyle = annotation.color || CHART_PALETTE[3];
+            ctx.lineWidth = 1;
+            ctx.stroke();
+            ctx.setLineDash([]);
+            if (annotation.label) {
+                ctx.fillStyle = annotation.color || CHART_PALETTE[3];
+                ctx.textAlign = "left";
+                ctx.fillText(annotation.label, left + 4, y - 4);
+            }
+        });
+
+        // Axes par-dessus la grille
+        ctx.beginPath();
+        ctx.moveTo(left, top);
+        ctx.lineTo(left, baseY);
+        ctx.lineTo(left + plotWidth, baseY);
+        if (scales.y2) ctx.lineTo(left + plotWidth, top);
+        ctx.strokeStyle = "#d1d5db";
+        ctx.lineWidth = 1;
+        ctx.stroke();
+    }
+
+    /**
+     * @method computeScale
+     * @description Échelle d'un axe d'après ses séries et annotations, bornes imposées par config.axes
+     * @param {string} axis - 'y' ou 'y2'
+     * @param {boolean} stackBars - Additionner les barres par étiquette
+     * @returns {Object} Échelle calculée par niceScale
+     */
+    computeScale(axis, stackBars) {
+        const { datasets, annotations, axes, labels } = this.config;
+        const options = axes[axis] || {};
+        const onAxis = datasets.filter(dataset => (dataset.axis || "y") === axis);
+        const values = [];
+
+        if (stackBars) {
+            // Empilement : totaux positifs et négatifs par étiquette
+            labels.forEach((_, index) => {
+                let positive = 0;
+                let negative = 0;
+                onAxis.forEach(dataset => {
+                    const value = dataset.data[index];
+                    if (!Number.isFinite(value)) return;
+                    if (value >= 0) positive += value;
+                    else negative += value;
+                });
+                values.push(positive, negative);
+            });
+        } else {
+            onAxis.forEach(dataset => dataset.data.forEach(value => {
+                if (Number.isFinite(value)) values.push(value);
+            }));
+        }
+        annotations.filter(annotation => (annotation.axis || "y") === axis).forEach(annotation => values.push(annotation.value));
+
+        const dataMin = values.length > 0 ? Math.min(...values) : 0;
+        const dataMax = values.length > 0 ? Math.max(...values) : 1;
+        const scale = niceScale(
+            options.min !== undefined ? options.min : Math.min(0, dataMin),
+            options.max !== undefined ? options.max : dataMax
+        );
+
+        if (options.min !== undefined) scale.min = options.min;
+        if (options.max !== undefined) scale.max = options.max;
+        scale.ticks = scale.ticks.filter(tick => tick >= scale.min && tick <= scale.max);
+        return scale;
+    }
+
+    drawBars(ctx, barDatasets, { slot, xAt, yAt, formats, stacked }) {
+        if (barDatasets.length === 0) return;
+
+        const groupWidth = slot * 0.7;
+        const barWidth = stacked ? groupWidth : groupWidth / barDatasets.length;
+        const { labels, datasets } = this.config;
+
+        labels.forEach((label, index) => {
+            let positiveBase = 0;
+            let negativeBase = 0;
+
+            barDatasets.forEach((dataset, barIndex) => {
+                const value = dataset.data[index];
+                if (!Number.isFinite(value)) return;
+
+                const axis = dataset.axis || "y";
+                let from = 0;
+                if (stacked) {
+                    from = value >= 0 ? positiveBase : negativeBase;
+                    if (value >= 0) positiveBase += value;
+                    else negativeBase += value;
+                }
+
+                const x = xAt(index) - groupWidth / 2 + (stacked ? 0 : barIndex * barWidth);
+                const y1 = yAt(from, axis);
+                const y2 = yAt(from + value, axis);
+                const y = Math.min(y1, y2);
+                const barHeight = Math.abs(y1 - y2);
+
+                ctx.fillStyle = this.colorOf(dataset, datasets.indexOf(dataset), index);
+                ctx.fillRect(x, y, barWidth, barHeight);
+
+                this.hitRegions.push({
+                    contains: (px, py) => px >= x && px <= x + barWidth && py >= y && py <= y + Math.max(barHeight, 2),
+                    text: this.tooltipText(label, dataset, formats[axis](value))
+                });
+            });
+        });
+    }
+
+    drawLine(ctx, dataset, datasetIndex, { xAt, yAt, formats }) {
+        const axis = dataset.axis || "y";
+        const color = dataset.color || CHART_PALETTE[datasetIndex % CHART_PALETTE.length];
+
+        // Une valeur manquante interrompt la ligne
+        ctx.beginPath();
+        ctx.setLineDash(dataset.dashed ? [6, 4] : []);
+        let drawing = false;
+        dataset.data.forEach((value, index) => {
+            if (!Number.isFinite(value)) {
+                drawing = false;
+                return;
+            }
+            if (drawing) ctx.lineTo(xAt(index), yAt(value, axis));
+            else ctx.moveTo(xAt(index), yAt(value, axis));
+            drawing = true;
+        });
+        ctx.strokeStyle = color;
+        ctx.lineWidth = dataset.lineWidth || 2;
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        dataset.data.forEach((value, index) => {
+            if (!Number.isFinite(value)) return;
+            const x = xAt(index);
+            const y = yAt(value, axis);
+            const label = this.config.labels[index];
+
+            if (dataset.showPoints !== false) {
+                const pointColor = (dataset.pointColors && dataset.pointColors[index]) || color;
+                ctx.beginPath();
+                ctx.arc(x, y, pointColor === color ? 3 : 5, 0, 2 * Math.PI);
+                ctx.fillStyle = pointColor;
+                ctx.fill();
+            }
+
+            if (dataset.pointLabels && dataset.pointLabels[index]) {
+                ctx.fillStyle = (dataset.pointColors && dataset.pointColors[index]) || color;
+                ctx.textAlign = "center";
+                ctx.fillText(dataset.pointLabels[index], x, y - 8);
+            }
+
+            this.hitRegions.push({
+                contains: (px, py) => Math.hypot(px - x, py - y) <= 6,
+                text: this.tooltipText(label, dataset, formats[axis](value))
+            });
+        });
+    }
+
+    /**
+     * @method drawPie
+     * @description Secteurs ou anneau avec légende (libellé, valeur, pourcentage)
+     */
+    drawPie(ctx, width, height) {
+        const { labels, datasets, type } = this.config;
+        const dataset = datasets[0];
+        const total = dataset.data.reduce((sum, value) => sum + (value > 0 ? value : 0), 0);
+        const format = (this.config.axes.y && this.config.axes.y.format) || String;
+
+        // Légende à droite si la place le permet, sinon sous le graphique
+        const legendWidth = Math.max(...labels.map(label => ctx.measureText(`${label} 100 (100%)`).width)) + 24;
+        const legendRight = width - legendWidth > height;
+        const pieWidth = legendRight ? width - legendWidth : width;
+        const pieHeight = legendRight ? height : height - labels.length * 18 - 8;
+        const radius = Math.max(10, Math.min(pieWidth, pieHeight) / 2 - 8);
+        const innerRadius = type === "donut" ? radius * 0.6 : 0;
+        const centerX = pieWidth / 2;
+        const centerY = pieHeight / 2;
+
+        let angle = -Math.PI / 2;
+        dataset.data.forEach((value, index) => {
+            if (!(value > 0)) return;
+            const start = angle;
+            const end = angle + (value / total) * 2 * Math.PI;
+            angle = end;
+
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, radius, start, end);
+            if (innerRadius > 0) ctx.arc(centerX, centerY, innerRadius, end, start, true);
+            else ctx.lineTo(centerX, centerY);
+            ctx.closePath();
+            ctx.fillStyle = this.colorOf(dataset, index, index);
+            ctx.fill();
+
+            this.hitRegions.push({
+                contains: (px, py) => {
+                    const distance = Math.hypot(px - centerX, py - centerY);
+                    if (distance > radius || distance < innerRadius) return false;
+                    let theta = Math.atan2(py - centerY, px - centerX);
+                    if (theta < -Math.PI / 2) theta += 2 * Math.PI;
+                    return theta >= start && theta <= end;
+                },
+                text: `${labels[index]} : ${format(value)} (${Math.round((value / total) * 100)}%)`
+            });
+        });
+
+        if (innerRadius > 0) {
+            ctx.fillStyle = "#111827";
+            ctx.textAlign = "center";
+            ctx.font = `bold 18px ${this.config.font}`;
+            ctx.fillText(format(total), centerX, centerY + 6);
+            ctx.font = `12px ${this.config.font}`;
+        }
+
+        labels.forEach((label, index) => {
+            const value = dataset.data[index] > 0 ? dataset.data[index] : 0;
+            const x = legendRight ? pieWidth + 8 : 8;
+            const y = legendRight
+                ? centerY - (labels.length * 18) / 2 + index * 18
+                : pieHeight + 8 + index * 18;
+
+            ctx.fillStyle = this.colorOf(dataset, index, index);
+            ctx.fillRect(x, y, 10, 10);
+            ctx.fillStyle = "#374151";
+            ctx.textAlign = "left";
+            ctx.fillText(`${label} ${format(value)} (${Math.round((value / total) * 100)}%)`, x + 16, y + 9);
+        });
+    }
+
+    /**
+     * @method drawLegend
+     * @description Légende horizontale des séries au-dessus du graphique
+     * @returns {number} Hauteur occupée
+     */
+    drawLegend(ctx, width, datasets) {
+        let x = 8;
+        let y = 4;
+        datasets.forEach((dataset, index) => {
+            const text = dataset.label || `Série ${index + 1}`;
+            const itemWidth = ctx.measureText(text).width + 28;
+            if (x + itemWidth > width && x > 8) {
+                x = 8;
+                y += 18;
+            }
+            ctx.fillStyle = dataset.color || CHART_PALETTE[index % CHART_PALETTE.length];
+            ctx.fillRect(x, y, 10, 10);
+            ctx.fillStyle = "#374151";
+            ctx.textAlign = "left";
+            ctx.fillText(text, x + 14, y + 9);
+            x += itemWidth;
+        });
+        return y + 18;
+    }
+
+    colorOf(dataset, datasetIndex, index) {
+        return (dataset.colors && dataset.colors[index]) || dataset.color || CHART_PALETTE[datasetIndex % CHART_PALETTE.length];
+    }
+
+    tooltipText(label, dataset, value) {
+        return dataset.label ? `${label} — ${dataset.label} : ${value}` : `${label} : ${value}`;
+    }
+
+    /**
+     * @method showTooltip
+     * @description Affiche l'infobulle de l'élément survolé (zones enregistrées pendant le dessin)
+     * @param {MouseEvent} event - Déplacement de la souris sur le canvas
+     */
+    showTooltip(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = event.clientX - rect.left;
+        const y = event.clientY - rect.top;
+
+        // Dernière zone dessinée = élément au premier plan
+        const region = [...this.hitRegions].reverse().find(candidate => candidate.contains(x, y));
+        if (!region) {
+            this.hideTooltip();
+            return;
+        }
+
+        this.tooltip.textContent = region.text;
+        this.tooltip.style.display = "block";
+
+        const left = this.canvas.offsetLeft + x + 12;
+        const overflow = left + this.tooltip.offsetWidth - this.container.clientWidth;
+        this.tooltip.style.left = `${overflow > 0 ? left - this.tooltip.offsetWidth - 24 : left}px`;
+        this.tooltip.style.top = `${this.canvas.offsetTop + y - 28}px`;
+    }
+
+    hideTooltip() {
+        this.tooltip.style.display = "none";
+    }
+}
+
+export default Chart;
+export { niceScale, CHART_PALETTE };
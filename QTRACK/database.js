@@ -1,3 +1,418 @@
+// Niveaux de gravité admis pour une NC (ISO 9001 - Classification des non-conformités)
+const GRAVITE_OPTIONS = ["Mineure", "Majeure", "Critique"];
+
+// Workflow d'une NC : Ouvert → En analyse → Action en cours → En vérification → Clos, ou Rejeté
+const NC_STATUTS = ["Ouvert", "En analyse", "Action en cours", "En vérification", "Clos", "Rejeté"];
+const NC_TRANSITIONS = {
+    "Ouvert": ["En analyse", "Rejeté"],
+    "En analyse": ["Action en cours", "Rejeté"],
+    "Action en cours": ["En vérification"],
+    "En vérification": ["Clos", "Action en cours"],
+    "Clos": [],
+    "Rejeté": []
+};
+// Statuts postérieurs à l'analyse : une NC critique n'y figure qu'avec sa cause racine
+const NC_STATUTS_APRES_ANALYSE = ["Action en cours", "En vérification", "Clos"];
+
+// Politique de mot de passe reprise du ConfigManager de l'application Python
+const PASSWORD_POLICY = {
+    min_length: 8,
+    require_uppercase: true,
+    require_lowercase: true,
+    require_digit: true,
+    require_special: true
+};
+
+// Paramètres de hashage PBKDF2 (recommandation OWASP pour PBKDF2-HMAC-SHA256)
+const PASSWORD_HASH = {
+    ALGORITHM: "pbkdf2_sha256",
+    VERSION: "v1",
+    ITERATIONS: 600000,
+    SALT_BYTES: 16,
+    KEY_BITS: 256
+};
+
+// Rôles applicatifs (ISO 9001 §5.3 - Rôles, responsabilités et autorités)
+const ROLES = ["Administrateur", "Responsable Qualité", "Opérateur"];
+
+// Administrateur créé au premier démarrage, identique à l'application Python d'origine
+const DEFAULT_ADMIN = {
+    username: "admin",
+    password: "admin123",
+    role: "Administrateur",
+    email: "admin@qtrack.com"
+};
+
+// Méthodes d'analyse des causes racines (DMAIC - Analyze)
+const METHODES_ANALYSE = ["5 Pourquoi", "Ishikawa"];
+
+// Branches du diagramme d'Ishikawa (méthode des 6M)
+const ISHIKAWA_CATEGORIES = ["Main-d'œuvre", "Méthode", "Matière", "Machine", "Milieu", "Mesure"];
+
+// Hash de départ de la chaîne de la piste d'audit
+const AUDIT_GENESIS_HASH = "0".repeat(64);
+
+// Jeton réservé à executeMutation : seule voie d'ouverture en écriture du store audit_trail
+const AUDIT_WRITER = Symbol("audit_trail");
+
+// Constantes de compression SHA-256 (FIPS 180-4)
+const SHA256_K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+/**
+ * @function sha256Hex
+ * @description SHA-256 synchrone d'une chaîne UTF-8. crypto.subtle est asynchrone : l'attendre au milieu
+ * d'une transaction IndexedDB la validerait avant l'écriture de l'entrée d'audit
+ * @param {string} text - Texte à hacher
+ * @returns {string} Empreinte hexadécimale (64 caractères)
+ */
+function sha256Hex(text) {
+    const bytes = new TextEncoder().encode(text);
+    const length = Math.ceil((bytes.length + 9) / 64) * 64;
+    const padded = new Uint8Array(length);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(length - 8, Math.floor(bytes.length / 0x20000000));
+    view.setUint32(length - 4, (bytes.length * 8) >>> 0);
+
+    const hash = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+    const w = new Uint32Array(64);
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+    for (let offset = 0; offset < length; offset += 64) {
+        for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+        }
+
+        let [a, b, c, d, e, f, g, h] = hash;
+        for (let i = 0; i < 64; i++) {
+            const t1 = h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i];
+            const t2 = (rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c));
+            h = g; g = f; f = e; e = (d + t1) >>> 0;
+            d = c; c = b; b = a; a = (t1 + t2) >>> 0;
+        }
+        [a, b, c, d, e, f, g, h].forEach((value, i) => { hash[i] += value; });
+    }
+
+    return Array.from(hash).map(word => word.toString(16).padStart(8, '0')).join('');
+}
+
+// Sauvegardes : identifiant du format d'archive et modes de restauration
+const BACKUP_FORMAT = "qtrack-backup";
+const RESTORE_MODES = ["remplacer", "fusionner"];
+// État de la synchronisation propre au poste : jamais restauré, remis à zéro par une restauration
+const RESTORE_EXCLUDED_STORES = ["audit_trail", "sync_outbox", "sync_conflicts"];
+const RESTORE_RESET_PARAMETRES = ["sync_curseurs", "sync_rejets"];
+
+// Cycle de vie d'une action corrective (CAPA) et échelle d'évaluation de l'efficacité
+const ACTION_STATUTS = ["Non démarré", "En cours", "Terminé", "Vérifiée"];
+const ACTION_EFFICACITE_OPTIONS = ["Non évaluée", "Efficace", "Partiellement efficace", "Inefficace"];
+const ACTION_STATUTS_TERMINES = ["Terminé", "Vérifiée"];
+
+// Enregistrements rattachés à une NC (index id_nc) : supprimés avec elle
+const NC_DEPENDENT_STORES = ["actions_correctives", "analyses_causes", "rapports_8d"];
+
+/**
+ * @function computeActionDueDate
+ * @description Échéance d'une action corrective : date de création + délai (jours)
+ * @param {string} dateCreation - Date de création ISO
+ * @param {number} delai - Délai en jours
+ * @returns {string|undefined} Date d'échéance ISO (undefined si la date de création est inconnue)
+ */
+function computeActionDueDate(dateCreation, delai) {
+    if (!dateCreation) return undefined;
+    const due = new Date(dateCreation);
+    due.setDate(due.getDate() + Number(delai || 0));
+    return due.toISOString();
+}
+
+// Rapports générés côté client (ISO 9001 §9.3 - Revue de direction)
+const RAPPORT_TYPES = ["Mensuel", "Actions", "8D"];
+const RAPPORT_FORMATS = ["HTML", "PDF", "Word"];
+
+// Niveaux des notifications (table notifications de l'application Python)
+const NOTIFICATION_NIVEAUX = ["info", "success", "warning", "error"];
+
+// Cycle d'un email de la file d'envoi et résultat d'une tentative (journal de remise)
+// "En cours" : email réservé par un onglet le temps de son envoi (voir claimMail)
+const MAIL_STATUTS = ["En attente", "Envoyé", "Échec", "En cours"];
+const MAIL_LOG_STATUTS = ["Envoyé", "Erreur"];
+
+// Disciplines 8D saisies librement (les autres sont tirées de la NC, des analyses et des actions)
+const DISCIPLINES_8D = ["equipe", "confinement", "verification", "prevention", "cloture"];
+
+// Stores synchronisés avec le serveur et mutations reportées dans l'outbox
+const SYNC_ENTITIES = ["users", "non_conformites"];
+const SYNC_OPERATIONS = ["create", "update", "delete"];
+// Champs propres au poste : jamais transmis au serveur
+const SYNC_LOCAL_FIELDS = ["id", "uuid", "password"];
+
+/**
+ * @function generateUuid
+ * @description Identifiant global d'un enregistrement, commun au poste et au serveur
+ * @returns {string} UUID v4
+ */
+function generateUuid() {
+    return crypto.randomUUID();
+}
+
+/**
+ * Registre ordonné des migrations du schéma IndexedDB (ISO 9001 - Maîtrise des modifications)
+ * Chaque entrée est appliquée une seule fois, dans la transaction "versionchange" ;
+ * ajouter une évolution = ajouter une entrée avec la version suivante, sans modifier les précédentes.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: "Schéma initial : utilisateurs, non-conformités, actions correctives",
+        up: ({ createStore }) => {
+            createStore({
+                name: "users",
+                columns: [
+                    { name: "id", key: true, autoIncrement: true },
+                    { name: "username", unique: true, validation: "string" },
+                    { name: "password", encrypted: true, validation: "string" },
+                    { name: "role", default: "Opérateur", validation: "string" },
+                    { name: "email", validation: "email" }
+                ]
+            });
+            createStore({
+                name: "non_conformites",
+                columns: [
+                    { name: "id", key: true, autoIncrement: true },
+                    { name: "type_defaut", validation: "string" },
+                    { name: "poste", validation: "string" },
+                    { name: "gravite", options: GRAVITE_OPTIONS, validation: "enum" },
+                    { name: "description", validation: "string" },
+                    { name: "statut", default: "Ouvert", validation: "string" },
+                    { name: "date_creation", default: "CURRENT_TIMESTAMP", validation: "timestamp" },
+                    { name: "id_declarant", validation: "number" }
+                ]
+            });
+            createStore({
+                name: "actions_correctives",
+                columns: [
+                    { name: "id", key: true, autoIncrement: true },
+                    { name: "description", validation: "string" },
+                    { name: "responsable", validation: "string" },
+                    { name: "delai", validation: "number" },
+                    { name: "statut", default: "Non démarré", validation: "string" },
+                    { name: "id_nc", validation: "number" }
+                ]
+            });
+        }
+    },
+    {
+        version: 2,
+        description: "Piste d'audit append-only",
+        up: ({ createStore }) => {
+            createStore({
+                name: "audit_trail",
+                columns: [
+                    { name: "id", key: true, autoIncrement: true },
+                    { name: "timestamp", validation: "timestamp" },
+                    { name: "user_id", validation: "number" },
+                    { name: "entity", validation: "string" },
+                    { name: "entity_id", validation: "number" }
+                ]
+            });
+        }
+    },
+    {
+        version: 3,
+        description: "Rôles : comptes 'utilisateur' rattachés au rôle Opérateur",
+        up: ({ transformRecords }) => {
+            transformRecords("users", user => (user.role === "utilisateur" ? { ...user, role: "Opérateur" } : undefined));
+        }
+    },
+    {
+        version: 4,
+        description: "Analyses de causes (table AnalyseCause de l'application Python)",
+        up: ({ createStore }) => {
+            createStore({
+                name: "analyses_causes",
+                columns: [
+                    { name: "id", key: true, autoIncrement: true },
+                    { name: "methode", options: METHODES_ANALYSE, validation: "enum" },
+                    { name: "cause_racine", validation: "string" },
+                    { name: "id_nc", validation: "number" },
+                    { name: "date_creation", validation: "timestamp" }
+                ]
+            });
+        }
+    },
+    {
+        version: 5,
+        description: "Volumes de production par poste et période (cartes de contrôle p)",
+        up: ({ createStore }) => {
+            // Clé naturelle "poste|période" : une seule saisie de volume par poste et période
+            createStore({
+                name: "volumes_production",
+                columns: [
+                    { name: "id", key: true },
+                    { name: "poste", validation: "string" },
+                    { name: "periode", validation: "string" },
+                    { name: "volume", validation: "number" }
+                ]
+            });
+        }
+    },
+    {
+        version: 6,
+        description: "Date de clôture des NC (tendances et délai moyen de traitement)",
+        up: ({ createIndex }) => {
+            // Les NC déjà closes n'ont pas de date connue : elles restent hors des calculs de délai
+            createIndex("non_conformites", { name: "date_cloture" });
+        }
+    },
+    {
+        version: 7,
+        description: "Registre des rapports générés (table Rapport de l'application Python)",
+        up: ({ createStore }) => {
+            createStore({
+                name: "rapports",
+                columns: [
+                    { name: "id", key: true, autoIncrement: true },
+                    { name: "type_rapport", options: RAPPORT_TYPES, validation: "enum" },
+                    { name: "periode", validation: "string" },
+                    { name: "format", options: RAPPORT_FORMATS, validation: "enum" },
+                    { name: "date_generation", validation: "timestamp" },
+                    { name: "id_user_generateur", validation: "number" }
+                ]
+            });
+        }
+    },
+    {
+        version: 8,
+        description: "Disciplines 8D complémentaires par NC (réclamations client)",
+        up: ({ createStore }) => {
+            // Un seul 8D par NC : l'identifiant de la NC sert de clé
+            createStore({
+                name: "rapports_8d",
+                columns: [
+                    { name: "id", key: true },
+                    { name: "id_nc", validation: "number" },
+                    { name: "date_modification", validation: "timestamp" }
+                ]
+            });
+        }
+    },
+    {
+        version: 9,
+        description: "Échéance des actions correctives (suivi des retards et escalade)",
+        up: ({ createIndex, transformRecords }) => {
+            createIndex("actions_correctives", { name: "date_echeance" });
+            // Le délai était stocké sans date de référence : l'échéance est recalculée depuis la création
+            transformRecords("actions_correctives", action => (action.date_echeance
+                ? undefined
+                : { ...action, date_echeance: computeActionDueDate(action.date_creation, action.delai) }));
+        }
+    },
+    {
+        version: 10,
+        description: "Centre de notifications par utilisateur (table notifications de l'application Python)",
+        up: ({ createStore }) => {
+            createStore({
+                name: "notifications",
+                columns: [
+                    { name: "id", key: true, autoIncrement: true },
+                    { name: "id_user", validation: "number" },
+                    { name: "titre", validation: "string" },
+                    { name: "message", validation: "string" },
+                    { name: "niveau", options: NOTIFICATION_NIVEAUX, validation: "enum" },
+                    { name: "date_creation", validation: "timestamp" },
+                    { name: "lu", validation: "boolean" },
+                    // Clé de déduplication d'une alerte récurrente (ex. "action_12_retard")
+                    { name: "cle", validation: "string" },
+                    // Lien vers la NC ou l'action concernée
+                    { name: "id_nc", validation: "number" },
+                    { name: "id_action", validation: "number" }
+                ]
+            });
+        }
+    },
+    {
+        version: 11,
+        description: "File d'envoi des emails, journal de remise et paramètres de l'application",
+        up: ({ createStore }) => {
+            createStore({
+                name: "mail_queue",
+                columns: [
+                    { name: "id", key: true, autoIncrement: true },
+                    { name: "destinataire", validation: "email" },
+                    { name: "sujet", validation: "string" },
+                    { name: "statut", options: MAIL_STATUTS, validation: "enum" },
+                    { name: "tentatives", validation: "number" },
+                    { name: "prochaine_tentative", validation: "timestamp" },
+                    { name: "date_creation", validation: "timestamp" },
+                    { name: "id_nc", validation: "number" }
+                ]
+            });
+            createStore({
+                name: "mail_log",
+                columns: [
+                    { name: "id", key: true, autoIncrement: true },
+                    { name: "id_mail", validation: "number" },
+                    { name: "date", validation: "timestamp" },
+                    { name: "statut", options: MAIL_LOG_STATUTS, validation: "enum" }
+                ]
+            });
+            // Paramètres clé / valeur : l'identifiant est le nom du paramètre
+            createStore({
+                name: "parametres",
+                columns: [
+                    { name: "id", key: true },
+                    { name: "date_modification", validation: "timestamp" }
+                ]
+            });
+        }
+    },
+    {
+        version: 12,
+        description: "Synchronisation avec le serveur : identifiants globaux, outbox des mutations et conflits",
+        up: ({ createStore, createIndex, transformRecords }) => {
+            // Les identifiants auto-incrémentés diffèrent d'un poste à l'autre : l'uuid désigne l'enregistrement sur le serveur
+            SYNC_ENTITIES.forEach(storeName => {
+                createIndex(storeName, { name: "uuid", unique: true });
+                transformRecords(storeName, record => (record.uuid ? undefined : { ...record, uuid: generateUuid() }));
+            });
+            createStore({
+                name: "sync_outbox",
+                columns: [
+                    { name: "id", key: true, autoIncrement: true },
+                    { name: "entite", options: SYNC_ENTITIES, validation: "enum" },
+                    { name: "uuid", validation: "string" },
+                    { name: "operation", options: SYNC_OPERATIONS, validation: "enum" },
+                    { name: "date", validation: "timestamp" }
+                ]
+            });
+            // Champs modifiés des deux côtés, en attente d'un arbitrage manuel
+            createStore({
+                name: "sync_conflicts",
+                columns: [
+                    { name: "id", key: true, autoIncrement: true },
+                    { name: "entite", options: SYNC_ENTITIES, validation: "enum" },
+                    { name: "uuid", validation: "string" },
+                    { name: "champ", validation: "string" },
+                    { name: "date", validation: "timestamp" }
+                ]
+            });
+        }
+    }
+];
+
 /**
  * @class DatabaseManager
  * @description Gestionnaire de base de données pour l'application QTrack
@@ -8,13 +423,18 @@ class DatabaseManager {
     /**
      * @constructor
      * @description Initialise le gestionnaire de base de données
+     * @param {Object} options - { dbName } : base distincte de celle de l'application (contrôles du dossier dev/)
      * @implements PDCA - Plan
      */
-    constructor() {
+    constructor({ dbName = "QTrackDB" } = {}) {
         this.db = null;
-        this.dbVersion = 1;
-        this.dbName = "QTrackDB";
+        // La version de la base suit la dernière migration enregistrée
+        this.dbVersion = MIGRATIONS[MIGRATIONS.length - 1].version;
+        this.dbName = dbName;
         this.initializationPromise = null;
+        this.upgradeStatus = null;
+        // Utilisateur courant, auquel sont imputées les entrées de la piste d'audit
+        this.currentUser = null;
         this.initDatabase();
     }
 
@@ -39,13 +459,27 @@ class DatabaseManager {
                 const request = indexedDB.open(this.dbName, this.dbVersion);
 
                 request.onerror = (event) => {
-                    const error = new Error(`Erreur d'ouverture DB: ${event.target.error.message}`);
+                    // Une migration échouée annule la mise à niveau : on remonte sa cause
+                    const error = (this.upgradeStatus && this.upgradeStatus.error)
+                        || new Error(`Erreur d'ouverture DB: ${event.target.error.message}`);
                     this.logError('DB_INIT_ERROR', error);
                     reject(error);
                 };
 
+                request.onblocked = () => {
+                    this.logInfo('DB_UPGRADE_BLOCKED', { reason: "Q-TRACK est ouvert dans un autre onglet" });
+                };
+
                 request.onsuccess = (event) => {
                     this.db = event.target.result;
+
+                    // Libère la base si un autre onglet doit la mettre à niveau
+                    this.db.onversionchange = () => {
+                        this.db.close();
+                        this.db = null;
+                        this.logInfo('DB_CLOSED_FOR_UPGRADE', { dbName: this.dbName });
+                    };
+
                     this.logInfo('DB_INIT_SUCCESS', {
                         dbName: this.dbName,
                         version: this.dbVersion,
@@ -55,18 +489,17 @@ class DatabaseManager {
                 };
 
                 request.onupgradeneeded = (event) => {
-                    this.db = event.target.result;
                     this.logInfo('DB_UPGRADE_NEEDED', {
                         oldVersion: event.oldVersion,
                         newVersion: event.newVersion
                     });
-                    this.createTables();
+                    this.runMigrations(event.target.result, event.target.transaction, event.oldVersion, event.newVersion);
                 };
             });
 
             this.initializationPromise = dbPromise;
             await dbPromise;
-            await this.createTables(); // S'assurer que les tables sont créées
+            await this.seedDefaultAdmin(); // Compte administrateur du premier démarrage
 
         } catch (error) {
             this.logError('DB_INITIALIZATION_FAILED', error);
@@ -75,89 +508,111 @@ class DatabaseManager {
     }
 
     /**
-     * @method createTables
-     * @description Crée les tables de la base de données si elles n'existent pas
-     * @implements ISO 9001 - Documentation des structures de données
+     * @method runMigrations
+     * @description Applique, dans l'ordre, les migrations comprises entre l'ancienne et la nouvelle version
+     * @param {IDBDatabase} db - Base en cours de mise à niveau
+     * @param {IDBTransaction} transaction - Transaction "versionchange" fournie par onupgradeneeded
+     * @param {number} oldVersion - Version installée (0 pour une nouvelle installation)
+     * @param {number} newVersion - Version cible
+     * @implements ISO 9001 - Maîtrise des modifications
      * @implements Lean - Standardisation
      */
-    createTables() {
-        if (!this.db) {
-            throw new Error("Base de données non initialisée");
-        }
+    runMigrations(db, transaction, oldVersion, newVersion) {
+        const pending = MIGRATIONS.filter(m => m.version > oldVersion && m.version <= newVersion);
 
-        const tables = [
-            {
-                name: "users",
-                columns: [
-                    { name: "id", key: true, autoIncrement: true },
-                    { name: "username", unique: true, validation: "string" },
-                    { name: "password", encrypted: true, validation: "string" },
-                    { name: "role", default: "utilisateur", validation: "string" },
-                    { name: "email", validation: "email" }
-                ]
-            },
-            {
-                name: "non_conformites",
-                columns: [
-                    { name: "id", key: true, autoIncrement: true },
-                    { name: "type_defaut", validation: "string" },
-                    { name: "poste", validation: "string" },
-                    { name: "gravite", options: ["Mineure", "Majeure", "Critique"], validation: "enum" },
-                    { name: "description", validation: "string" },
-                    { name: "statut", default: "Ouvert", validation: "string" },
-                    { name: "date_creation", default: "CURRENT_TIMESTAMP", validation: "timestamp" },
-                    { name: "id_declarant", validation: "number" }
-                ]
-            },
-            {
-                name: "actions_correctives",
-                columns: [
-                    { name: "id", key: true, autoIncrement: true },
-                    { name: "description", validation: "string" },
-                    { name: "responsable", validation: "string" },
-                    { name: "delai", validation: "number" },
-                    { name: "statut", default: "Non démarré", validation: "string" },
-                    { name: "id_nc", validation: "number" }
-                ]
+        this.upgradeStatus = { fromVersion: oldVersion, toVersion: newVersion, applied: [], error: null };
+
+        // Annulation de toute la mise à niveau : aucune installation à moitié migrée.
+        // Seule la première erreur est retenue ; les suivantes découlent de l'annulation.
+        const fail = (migration, error) => {
+            if (this.upgradeStatus.error) return;
+            this.upgradeStatus.error = new Error(`Migration v${migration.version} (${migration.description}) échouée: ${error.message}`);
+            this.logError('MIGRATION_FAILED', this.upgradeStatus.error);
+            try {
+                transaction.abort();
+            } catch (abortError) {
+                // Transaction déjà en cours d'annulation
             }
-        ];
+        };
 
-        try {
-            const transaction = this.db.transaction(["users", "non_conformites", "actions_correctives"], "versionchange");
+        for (const migration of pending) {
+            try {
+                migration.up(this.createMigrationContext(db, transaction, error => fail(migration, error)));
+                this.upgradeStatus.applied.push(migration.version);
+                this.logInfo('MIGRATION_APPLIED', { version: migration.version, description: migration.description });
+            } catch (error) {
+                fail(migration, error);
+                return;
+            }
+        }
 
-            tables.forEach(table => {
-                if (!this.db.objectStoreNames.contains(table.name)) {
-                    const objectStore = this.db.createObjectStore(table.name, { keyPath: "id" });
+        transaction.oncomplete = () => {
+            this.logInfo('MIGRATIONS_COMPLETE', { fromVersion: oldVersion, toVersion: newVersion, applied: this.upgradeStatus.applied });
+        };
+    }
 
-                    table.columns.forEach(column => {
-                        if (column.key) return;
+    /**
+     * @method createMigrationContext
+     * @description Fournit aux migrations les opérations autorisées pendant la mise à niveau
+     * @param {IDBDatabase} db - Base en cours de mise à niveau
+     * @param {IDBTransaction} transaction - Transaction "versionchange"
+     * @param {Function} fail - Annule la mise à niveau sur une erreur survenue après le retour de la migration
+     * @implements Lean - Standardisation
+     */
+    createMigrationContext(db, transaction, fail) {
+        return {
+            db,
+            transaction,
 
-                        const options = {
-                            unique: column.unique || false
-                        };
+            // Crée un store et ses index à partir d'une définition de table
+            createStore: (table) => {
+                if (db.objectStoreNames.contains(table.name)) {
+                    throw new Error(`Le store ${table.name} existe déjà`);
+                }
 
-                        if (column.options) options.options = column.options;
-                        if (column.encrypted) options.encrypt = true;
+                const keyColumn = table.columns.find(column => column.key);
+                const objectStore = db.createObjectStore(table.name, {
+                    keyPath: "id",
+                    autoIncrement: !!(keyColumn && keyColumn.autoIncrement)
+                });
 
-                        objectStore.createIndex(column.name, column.name, options);
-                    });
+                table.columns.forEach(column => {
+                    if (column.key) return;
+                    objectStore.createIndex(column.name, column.name, { unique: column.unique || false });
+                });
 
-                    this.logInfo('TABLE_CREATED', { tableName: table.name, columns: table.columns.length });
-                }
-            });
+                this.logInfo('TABLE_CREATED', { tableName: table.name, columns: table.columns.length });
+                return objectStore;
+            },
 
-            transaction.oncomplete = () => {
-                this.logInfo('TABLES_INITIALIZATION_COMPLETE', { tables: tables.length });
-            };
+            // Ajoute un index à un store existant
+            createIndex: (storeName, column) => {
+                transaction.objectStore(storeName).createIndex(column.name, column.name, { unique: column.unique || false });
+            },
 
-            transaction.onerror = (event) => {
-                throw new Error(`Erreur lors de la création des tables: ${event.target.error.message}`);
-            };
+            // Réécrit les enregistrements existants ; transform renvoie l'enregistrement modifié ou undefined
+            // Les enregistrements sont parcourus après le retour de la migration : une erreur de transform
+            // ou d'écriture annule la mise à niveau via fail
+            transformRecords: (storeName, transform) => {
+                const request = transaction.objectStore(storeName).openCursor();
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) return;
 
-        } catch (error) {
-            this.logError('TABLES_CREATION_FAILED', error);
-            throw error;
-        }
+                    try {
+                        const updated = transform(cursor.value);
+                        if (updated !== undefined) {
+                            const updateRequest = cursor.update(updated);
+                            updateRequest.onerror = () => fail(updateRequest.error);
+                        }
+                        cursor.continue();
+                    } catch (error) {
+                        fail(error);
+                    }
+                };
+                request.onerror = () => fail(request.error);
+            }
+        };
     }
 
     /**
@@ -206,6 +661,11 @@ class DatabaseManager {
                             errors.push(`${column.name} doit être une date valide`);
                         }
                         break;
+                    case "boolean":
+                        if (typeof value !== 'boolean') {
+                            errors.push(`${column.name} doit être un booléen`);
+                        }
+                        break;
                 }
             }
         });
@@ -221,16 +681,22 @@ class DatabaseManager {
      * @implements ISO 9001 - Standardisation des processus
      * @implements Lean - Élimination du gaspillage (duplication de code)
      */
-    async executeTransaction(storeNames, mode, operation) {
-        if (!this.db) {
-            throw new Error("Base de données non initialisée");
+    async executeTransaction(storeNames, mode, operation, writer = null) {
+        // Attente de l'ouverture de la base (appels émis au démarrage de l'application)
+        if (!this.db && this.initializationPromise) {
+            await this.initializationPromise;
         }
 
-        if (!this.initializationPromise) {
-            await this.initDatabase();
+        if (!this.db) {
+            throw new Error("Base de données non initialisée");
         }
 
         try {
+            // Piste d'audit en ajout seul : aucune écriture hors executeMutation
+            if (mode !== "readonly" && [].concat(storeNames).includes("audit_trail") && writer !== AUDIT_WRITER) {
+                throw new Error("La piste d'audit est en ajout seul");
+            }
+
             const transaction = this.db.transaction(storeNames, mode);
             const result = await operation(transaction);
             return result;
@@ -240,32 +706,106 @@ class DatabaseManager {
         }
     }
 
+    /**
+     * @method executeMutation
+     * @description Exécute une écriture et ses entrées d'audit dans une seule transaction : la modification
+     * et sa trace sont validées ensemble ou annulées ensemble. L'opération reçoit la transaction (sans accès
+     * au store audit_trail) et une fonction audit(action, entity, entityId, before, after) à appeler
+     * depuis les callbacks de ses requêtes. Une mutation d'un store synchronisé est reportée dans l'outbox
+     * par la même transaction.
+     * @param {Array<string>} storeNames - Stores modifiés
+     * @param {Function} operation - (transaction, audit) => Promise<résultat>
+     * @returns {Promise<*>} Résultat de l'opération, une fois la transaction validée
+     * @implements ISO 9001 §7.5.3 - Maîtrise des informations documentées
+     */
+    async executeMutation(storeNames, operation) {
+        const synced = storeNames.some(name => SYNC_ENTITIES.includes(name));
+        const scope = [...storeNames, ...(synced ? ["sync_outbox"] : []), "audit_trail"];
+
+        return await this.executeTransaction(scope, "readwrite", (transaction) => new Promise((resolve, reject) => {
+            const auditStore = transaction.objectStore("audit_trail");
+            let chain = null;
+
+            const audit = (action, entity, entityId, before, after) => {
+                const entry = this.buildAuditEntry(action, entity, entityId, before, after);
+                // Entrées chaînées dans l'ordre d'appel, à partir de la dernière entrée validée
+                chain = (chain || this.readLastAuditHash(auditStore))
+                    .then(previousHash => this.writeAuditEntry(auditStore, entry, previousHash));
+                chain.catch(error => this.logError('AUDIT_WRITE_FAILED', error));
+
+                const outboxEntry = synced ? this.buildSyncOutboxEntry(action, entity, before, after) : null;
+                if (outboxEntry) transaction.objectStore("sync_outbox").add(outboxEntry);
+            };
+
+            const scoped = {
+                objectStore: (name) => {
+                    if (name === "audit_trail") {
+                        throw new Error("La piste d'audit est en ajout seul");
+                    }
+                    return transaction.objectStore(name);
+                },
+                abort: () => transaction.abort()
+            };
+
+            let value;
+            transaction.oncomplete = () => resolve(value);
+            transaction.onabort = () => reject(transaction.error || new Error("Transaction annulée"));
+
+            Promise.resolve()
+                .then(() => operation(scoped, audit))
+                .then(operationResult => { value = operationResult; }, error => {
+                    // Une opération en échec ne laisse ni modification ni trace
+                    try {
+                        transaction.abort();
+                    } catch (abortError) {
+                        // Transaction déjà terminée
+                    }
+                    reject(error);
+                });
+        }), AUDIT_WRITER);
+    }
+
     // Fonctions CRUD pour les utilisateurs
-    async addUser(user) {
+    async addUser(user, { enforcePasswordPolicy = true } = {}) {
         try {
             // Validation des données (ISO 9001 - Contrôle de la qualité)
             this.validateData(user, [
                 { name: "username", required: true, validation: "string" },
                 { name: "password", required: true, validation: "string" },
-                { name: "role", required: false, validation: "string" },
+                { name: "role", required: false, options: ROLES, validation: "enum" },
                 { name: "email", required: false, validation: "email" }
             ]);
 
-            // Hashage du mot de passe (Sécurité - ISO 27001)
-            if (user.password) {
-                user.password = await this.hashPassword(user.password);
+            // Politique de mot de passe (ISO 27001)
+            const policyErrors = enforcePasswordPolicy ? this.validatePasswordStrength(user.password) : [];
+            if (policyErrors.length > 0) {
+                throw new Error(`Mot de passe non conforme: ${policyErrors.join(', ')}`);
             }
 
-            return await this.executeTransaction(["users"], "readwrite", async (transaction) => {
+            // Hashage du mot de passe (Sécurité - ISO 27001)
+            const newUser = {
+                role: "Opérateur",
+                uuid: generateUuid(),
+                ...user,
+                password: await this.hashPassword(user.password),
+                date_creation: new Date().toISOString()
+            };
+
+            const id = await this.executeMutation(["users"], async (transaction, audit) => {
                 const store = transaction.objectStore("users");
-                const request = store.add(user);
+                const request = store.add(newUser);
 
                 return new Promise((resolve, reject) => {
-                    request.onsuccess = () => resolve(request.result);
+                    request.onsuccess = () => {
+                        audit("CREATE", "users", request.result, null, { ...newUser, id: request.result });
+                        resolve(request.result);
+                    };
                     request.onerror = () => reject(request.error);
                 });
             });
 
+            return id;
+
         } catch (error) {
             this.logError('USER_ADD_FAILED', error);
             throw error;
@@ -285,37 +825,25 @@ class DatabaseManager {
         });
     }
 
-    // Fonctions CRUD pour les NC
-    async addNonConformite(nc) {
-        try {
-            this.validateData(nc, [
-                { name: "type_defaut", required: true, validation: "string" },
-                { name: "poste", required: true, validation: "string" },
-                { name: "gravite", required: true, validation: "enum" },
-                { name: "description", required: true, validation: "string" },
-                { name: "id_declarant", required: true, validation: "number" }
-            ]);
-
-            return await this.executeTransaction(["non_conformites"], "readwrite", async (transaction) => {
-                const store = transaction.objectStore("non_conformites");
-                const request = store.add(nc);
+    async getUsers() {
+        const users = await this.executeTransaction(["users"], "readonly", async (transaction) => {
+            const request = transaction.objectStore("users").getAll();
 
-                return new Promise((resolve, reject) => {
-                    request.onsuccess = () => resolve(request.result);
-                    request.onerror = () => reject(request.error);
-                });
+            return new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
             });
+        });
 
-        } catch (error) {
-            this.logError('NC_ADD_FAILED', error);
-            throw error;
-        }
+        // Les hash de mots de passe ne sortent pas de la couche de persistance
+        return users.map(({ password: _hash, ...user }) => user);
     }
 
-    async getNonConformites() {
-        return await this.executeTransaction(["non_conformites"], "readonly", async (transaction) => {
-            const store = transaction.objectStore("non_conformites");
-            const request = store.getAll();
+    async getUserByEmail(email) {
+        return await this.executeTransaction(["users"], "readonly", async (transaction) => {
+            const store = transaction.objectStore("users");
+            const index = store.index("email");
+            const request = index.get(email);
 
             return new Promise((resolve, reject) => {
                 request.onsuccess = () => resolve(request.result);
@@ -324,44 +852,2251 @@ class DatabaseManager {
         });
     }
 
-    // Fonctions CRUD pour les actions correctives
-    async addActionCorrective(action) {
-        try {
-            this.validateData(action, [
-                { name: "description", required: true, validation: "string" },
-                { name: "responsable", required: true, validation: "string" },
-                { name: "delai", required: true, validation: "number" },
+    async updateUserPassword(id, password) {
+        const hash = await this.hashPassword(password);
+        let before = null;
+
+        const updated = await this.executeMutation(["users"], async (transaction, audit) => {
+            const store = transaction.objectStore("users");
+            const getRequest = store.get(id);
+
+            return new Promise((resolve, reject) => {
+                getRequest.onsuccess = () => {
+                    if (!getRequest.result) {
+                        reject(new Error(`Utilisateur #${id} introuvable`));
+                        return;
+                    }
+
+                    before = getRequest.result;
+                    const user = { ...before, password: hash };
+                    const putRequest = store.put(user);
+                    putRequest.onsuccess = () => {
+                        audit("UPDATE", "users", id, before, user);
+                        resolve(user);
+                    };
+                    putRequest.onerror = () => reject(putRequest.error);
+                };
+                getRequest.onerror = () => reject(getRequest.error);
+            });
+        });
+
+        return id;
+    }
+
+    /**
+     * @method updateUserManager
+     * @description Affecte le responsable hiérarchique d'un utilisateur (destinataire des escalades)
+     * @param {number} id - ID de l'utilisateur
+     * @param {number|null} managerId - ID du responsable, null pour retirer l'affectation
+     * @returns {Promise<Object>} Utilisateur mis à jour (sans hash)
+     * @implements ISO 9001 §5.3 - Rôles, responsabilités et autorités
+     */
+    async updateUserManager(id, managerId) {
+        if (managerId === id) {
+            throw new Error("Un utilisateur ne peut pas être son propre responsable");
+        }
+
+        let before = null;
+        const updated = await this.executeMutation(["users"], async (transaction, audit) => {
+            const store = transaction.objectStore("users");
+            const getRequest = store.get(id);
+
+            return new Promise((resolve, reject) => {
+                getRequest.onsuccess = () => {
+                    if (!getRequest.result) {
+                        reject(new Error(`Utilisateur #${id} introuvable`));
+                        return;
+                    }
+
+                    before = getRequest.result;
+                    const user = { ...before, id_manager: managerId };
+                    const putRequest = store.put(user);
+                    putRequest.onsuccess = () => {
+                        audit("UPDATE", "users", id, before, user);
+                        resolve(user);
+                    };
+                    putRequest.onerror = () => reject(putRequest.error);
+                };
+                getRequest.onerror = () => reject(getRequest.error);
+            });
+        });
+
+        const { password: _hash, ...user } = updated;
+        return user;
+    }
+
+    /**
+     * @method authenticateUser
+     * @description Authentifie un utilisateur local par nom d'utilisateur ou email
+     * @param {string} identifier - Nom d'utilisateur ou email
+     * @param {string} password - Mot de passe en clair
+     * @returns {Promise<Object|null>} Utilisateur (sans hash) ou null si identifiants invalides
+     * @implements ISO 27001 - Contrôle d'accès
+     */
+    async authenticateUser(identifier, password) {
+        const user = (await this.getUser(identifier)) || (await this.getUserByEmail(identifier));
+
+        if (!user || !(await this.verifyPassword(password, user.password))) {
+            this.logInfo('AUTH_FAILED', { identifier });
+            return null;
+        }
+
+        // Migration transparente des anciens hash SHA-256 vers PBKDF2
+        if (this.needsRehash(user.password)) {
+            await this.updateUserPassword(user.id, password);
+            this.logInfo('PASSWORD_HASH_UPGRADED', { userId: user.id });
+        }
+
+        const { password: _hash, ...safeUser } = user;
+        this.logInfo('AUTH_SUCCESS', { userId: user.id });
+        return safeUser;
+    }
+
+    /**
+     * @method seedDefaultAdmin
+     * @description Crée l'administrateur par défaut si aucun utilisateur n'existe (comme l'application Python)
+     * @implements ISO 9001 - Maîtrise du premier démarrage
+     */
+    async seedDefaultAdmin() {
+        const count = await this.executeTransaction(["users"], "readonly", async (transaction) => {
+            const request = transaction.objectStore("users").count();
+
+            return new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        });
+
+        if (count > 0) return;
+
+        // Comme dans l'application Python, la politique ne s'applique qu'aux comptes créés par les utilisateurs
+        await this.addUser({ ...DEFAULT_ADMIN }, { enforcePasswordPolicy: false });
+        this.logInfo('DEFAULT_ADMIN_CREATED', { username: DEFAULT_ADMIN.username });
+    }
+
+    // Fonctions CRUD pour les NC
+    async addNonConformite(nc) {
+        try {
+            this.validateData(nc, [
+                { name: "type_defaut", required: true, validation: "string" },
+                { name: "poste", required: true, validation: "string" },
+                { name: "gravite", required: true, options: GRAVITE_OPTIONS, validation: "enum" },
+                { name: "description", required: true, validation: "string" },
+                { name: "statut", options: [NC_STATUTS[0]], validation: "enum" },
+                { name: "id_declarant", required: true, validation: "number" }
+            ]);
+
+            const record = { uuid: generateUuid(), ...nc };
+            const id = await this.executeMutation(["non_conformites"], async (transaction, audit) => {
+                const store = transaction.objectStore("non_conformites");
+                const request = store.add(record);
+
+                return new Promise((resolve, reject) => {
+                    request.onsuccess = () => {
+                        audit("CREATE", "non_conformites", request.result, null, { ...record, id: request.result });
+                        resolve(request.result);
+                    };
+                    request.onerror = () => reject(request.error);
+                });
+            });
+
+            return id;
+
+        } catch (error) {
+            this.logError('NC_ADD_FAILED', error);
+            throw error;
+        }
+    }
+
+    /**
+     * @method validateNcImport
+     * @description Valide une NC reprise d'un historique (tous statuts, dates fournies) : le statut repris
+     * doit respecter les mêmes règles que s'il avait été atteint par le workflow
+     * @param {Object} nc - NC à importer
+     * @param {Array} actions - Actions correctives déjà liées à cette NC sur le poste
+     * @implements ISO 9001 - Contrôle de la qualité des données
+     */
+    validateNcImport(nc, actions = []) {
+        this.validateData(nc, [
+            { name: "type_defaut", required: true, validation: "string" },
+            { name: "poste", required: true, validation: "string" },
+            { name: "gravite", required: true, options: GRAVITE_OPTIONS, validation: "enum" },
+            { name: "description", required: true, validation: "string" },
+            { name: "statut", required: true, options: NC_STATUTS, validation: "enum" },
+            { name: "date_creation", required: true, validation: "timestamp" },
+            { name: "date_cloture", validation: "timestamp" },
+            { name: "cause_racine", validation: "string" }
+        ]);
+
+        if (nc.date_cloture && Date.parse(nc.date_cloture) < Date.parse(nc.date_creation)) {
+            throw new Error("Validation échouée: date_cloture est antérieure à date_creation");
+        }
+
+        this.checkNcInvariants(nc, actions);
+    }
+
+    /**
+     * @method validateNcFileImport
+     * @description Valide une NC lue dans un fichier d'historique. L'import ne crée pas d'actions correctives :
+     * une NC close, dont la clôture suppose des actions terminées, est refusée
+     * @param {Object} nc - NC à importer
+     * @implements ISO 9001 §10.2 - Maîtrise des non-conformités
+     */
+    validateNcFileImport(nc) {
+        this.validateNcImport(nc);
+
+        if (nc.statut === "Clos") {
+            throw new Error("Validation échouée: une NC close ne peut être importée sans ses actions correctives");
+        }
+    }
+
+    /**
+     * @method importNonConformites
+     * @description Insère un lot de NC dans une transaction unique : tout le lot ou rien
+     * @param {Array} ncs - NC validées par validateNcFileImport
+     * @returns {Promise<Array<number>>} Identifiants créés
+     * @implements ISO 9001 §7.5.3 - Maîtrise des informations documentées
+     */
+    async importNonConformites(ncs) {
+        try {
+            ncs.forEach(nc => this.validateNcFileImport(nc));
+
+            const records = ncs.map(nc => ({
+                ...nc,
+                uuid: generateUuid(),
+                id_declarant: this.currentUser ? this.currentUser.id : 0
+            }));
+
+            // Chaque NC et son entrée d'audit sont écrites dans la même transaction : tout le lot ou rien
+            const ids = await this.executeMutation(["non_conformites"], async (transaction, audit) => {
+                const store = transaction.objectStore("non_conformites");
+
+                return Promise.all(records.map(record => new Promise((resolve, reject) => {
+                    const request = store.add(record);
+                    request.onsuccess = () => {
+                        audit("CREATE", "non_conformites", request.result, null, { ...record, id: request.result });
+                        resolve(request.result);
+                    };
+                    request.onerror = () => reject(request.error);
+                })));
+            });
+
+            this.logInfo('NC_IMPORTED', { count: ids.length });
+            return ids;
+
+        } catch (error) {
+            this.logError('NC_IMPORT_FAILED', error);
+            throw error;
+        }
+    }
+
+    async getNonConformites() {
+        return await this.executeTransaction(["non_conformites"], "readonly", async (transaction) => {
+            const store = transaction.objectStore("non_conformites");
+            const request = store.getAll();
+
+            return new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    async getNonConformiteById(id) {
+        return await this.executeTransaction(["non_conformites"], "readonly", async (transaction) => {
+            const store = transaction.objectStore("non_conformites");
+            const request = store.get(id);
+
+            return new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve(request.result || null);
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    async updateNonConformite(id, updates) {
+        try {
+            // Seuls les champs modifiés sont contrôlés (ISO 9001 - Contrôle de la qualité)
+            this.validateData(updates, [
+                { name: "type_defaut", validation: "string" },
+                { name: "poste", validation: "string" },
+                { name: "gravite", options: GRAVITE_OPTIONS, validation: "enum" },
+                { name: "description", validation: "string" },
+                { name: "statut", options: NC_STATUTS, validation: "enum" },
+                { name: "cause_racine", validation: "string" },
+                { name: "date_creation", validation: "timestamp" },
+                { name: "date_cloture", validation: "timestamp" },
+                { name: "id_declarant", validation: "number" }
+            ]);
+
+            let before = null;
+            const result = await this.executeMutation(["non_conformites", "actions_correctives"], async (transaction, audit) => {
+                const store = transaction.objectStore("non_conformites");
+                const getRequest = store.get(id);
+
+                return new Promise((resolve, reject) => {
+                    const save = (updated) => {
+                        const putRequest = store.put(updated);
+                        putRequest.onsuccess = () => {
+                            audit("UPDATE", "non_conformites", id, before, updated);
+                            resolve(updated);
+                        };
+                        putRequest.onerror = () => reject(putRequest.error);
+                    };
+
+                    getRequest.onsuccess = () => {
+                        const current = getRequest.result;
+                        if (!current) {
+                            reject(new Error(`NC #${id} introuvable`));
+                            return;
+                        }
+
+                        // L'identifiant reste celui attribué par l'auto-incrément
+                        before = current;
+                        const updated = { ...current, ...updates, id };
+                        const statusChanged = !!updates.statut && updates.statut !== current.statut;
+
+                        // Toute modification (gravité, cause racine...) respecte les gardes du statut, avec les actions liées ;
+                        // un changement de statut suit en plus le workflow
+                        const actionsRequest = transaction.objectStore("actions_correctives")
+                            .index("id_nc").getAll(IDBKeyRange.only(id));
+                        actionsRequest.onsuccess = () => {
+                            try {
+                                if (statusChanged) {
+                                    this.checkNcTransition(current, updated, actionsRequest.result);
+                                } else {
+                                    this.checkNcInvariants(updated, actionsRequest.result);
+                                }
+                            } catch (error) {
+                                reject(error);
+                                return;
+                            }
+
+                            // Entrée dans un statut final (Clos, Rejeté) : date de clôture
+                            if (statusChanged && NC_TRANSITIONS[updated.statut].length === 0) {
+                                updated.date_cloture = new Date().toISOString();
+                            }
+                            save(updated);
+                        };
+                        actionsRequest.onerror = () => reject(actionsRequest.error);
+                    };
+                    getRequest.onerror = () => reject(getRequest.error);
+                });
+            });
+
+            return result;
+
+        } catch (error) {
+            this.logError('NC_UPDATE_FAILED', error);
+            throw error;
+        }
+    }
+
+    /**
+     * @method checkNcTransition
+     * @description Vérifie qu'un changement de statut de NC respecte le workflow et ses gardes
+     * @param {Object} current - NC avant modification
+     * @param {Object} updated - NC après modification
+     * @param {Array} actions - Actions correctives liées à la NC
+     * @implements ISO 9001 §10.2 - Maîtrise des non-conformités
+     * @implements Lean - Poka-yoke (prévention des erreurs de saisie)
+     */
+    checkNcTransition(current, updated, actions = []) {
+        const allowed = NC_TRANSITIONS[current.statut] || [];
+
+        if (!allowed.includes(updated.statut)) {
+            throw new Error(`Transition interdite: ${current.statut} → ${updated.statut}`);
+        }
+
+        this.checkNcInvariants(updated, actions);
+    }
+
+    /**
+     * @method checkNcInvariants
+     * @description Gardes du workflow attachées au statut d'une NC, qu'il soit atteint par transition ou repris d'un historique
+     * @param {Object} nc - NC dans son nouveau statut
+     * @param {Array} actions - Actions correctives liées à la NC
+     * @implements ISO 9001 §10.2 - Maîtrise des non-conformités
+     */
+    checkNcInvariants(nc, actions = []) {
+        // Une NC critique ne quitte l'analyse qu'avec une cause racine identifiée
+        if (nc.gravite === "Critique" && NC_STATUTS_APRES_ANALYSE.includes(nc.statut) && !(nc.cause_racine || "").trim()) {
+            throw new Error("Une NC critique nécessite une cause racine enregistrée avant de poursuivre");
+        }
+
+        if (nc.statut === "Clos") {
+            const unfinished = actions.filter(action => !ACTION_STATUTS_TERMINES.includes(action.statut));
+            if (unfinished.length > 0) {
+                throw new Error(`Clôture impossible: ${unfinished.length} action(s) corrective(s) non terminée(s)`);
+            }
+        }
+    }
+
+    /**
+     * @method deleteNonConformite
+     * @description Supprime une NC avec ses actions correctives, analyses de causes et rapport 8D
+     * (une trace DELETE par enregistrement, dans la même transaction)
+     * @param {number} id - Identifiant de la NC
+     * @returns {Promise<number>} Identifiant de la NC supprimée
+     * @implements ISO 9001 §7.5.3 - Maîtrise des informations documentées
+     */
+    async deleteNonConformite(id) {
+        try {
+            await this.executeMutation(["non_conformites", ...NC_DEPENDENT_STORES], async (transaction, audit) => {
+                const store = transaction.objectStore("non_conformites");
+                const getRequest = store.get(id);
+
+                const deleted = new Promise((resolve, reject) => {
+                    getRequest.onsuccess = () => {
+                        const deleteRequest = store.delete(id);
+                        deleteRequest.onsuccess = () => {
+                            audit("DELETE", "non_conformites", id, getRequest.result || null, null);
+                            resolve();
+                        };
+                        deleteRequest.onerror = () => reject(deleteRequest.error);
+                    };
+                    getRequest.onerror = () => reject(getRequest.error);
+                });
+
+                await Promise.all([deleted, this.deleteNcDependents(transaction, audit, id)]);
+            });
+
+            return id;
+
+        } catch (error) {
+            this.logError('NC_DELETE_FAILED', error);
+            throw error;
+        }
+    }
+
+    /**
+     * @method deleteNcDependents
+     * @description Supprime, dans la transaction de suppression d'une NC, les enregistrements qui lui sont rattachés
+     * @param {Object} transaction - Transaction de executeMutation couvrant NC_DEPENDENT_STORES
+     * @param {Function} audit - Fonction de trace de executeMutation
+     * @param {number} ncId - Identifiant de la NC
+     * @returns {Promise<void>}
+     * @implements ISO 9001 §7.5.3 - Maîtrise des informations documentées
+     */
+    deleteNcDependents(transaction, audit, ncId) {
+        return Promise.all(NC_DEPENDENT_STORES.map(name => new Promise((resolve, reject) => {
+            const store = transaction.objectStore(name);
+            const request = store.index("id_nc").getAll(IDBKeyRange.only(ncId));
+
+            request.onsuccess = () => {
+                Promise.all(request.result.map(record => new Promise((done, fail) => {
+                    const deleteRequest = store.delete(record.id);
+                    deleteRequest.onsuccess = () => {
+                        audit("DELETE", name, record.id, record, null);
+                        done();
+                    };
+                    deleteRequest.onerror = () => fail(deleteRequest.error);
+                }))).then(resolve, reject);
+            };
+            request.onerror = () => reject(request.error);
+        })));
+    }
+
+    /**
+     * @method queryNonConformites
+     * @description Recherche paginée des NC en s'appuyant sur les index du store
+     * @param {Object} filters - { statut, gravite, poste, dateFrom, dateTo, declarant }
+     * @param {Object} options - { sort: { field, direction }, limit, offset }
+     * @returns {Promise<Array>} NC correspondant aux filtres
+     * @implements Lean - Élimination du gaspillage (pas de chargement complet du store)
+     * @implements DMAIC - Measure (extraction ciblée des données)
+     */
+    async queryNonConformites(filters = {}, options = {}) {
+        const { statut, gravite, poste, dateFrom, dateTo, declarant } = filters;
+        const { sort = { field: "date_creation", direction: "desc" }, limit = Infinity, offset = 0 } = options;
+
+        const from = dateFrom ? new Date(dateFrom).toISOString() : null;
+        const to = dateTo ? new Date(dateTo).toISOString() : null;
+
+        // Choix de l'index le plus sélectif : égalité d'abord, puis plage de dates
+        let indexName = null;
+        let range = null;
+        if (statut !== undefined) {
+            indexName = "statut";
+            range = IDBKeyRange.only(statut);
+        } else if (gravite !== undefined) {
+            indexName = "gravite";
+            range = IDBKeyRange.only(gravite);
+        } else if (poste !== undefined) {
+            indexName = "poste";
+            range = IDBKeyRange.only(poste);
+        } else if (from || to || sort.field === "date_creation") {
+            indexName = "date_creation";
+            if (from && to) range = IDBKeyRange.bound(from, to);
+            else if (from) range = IDBKeyRange.lowerBound(from);
+            else if (to) range = IDBKeyRange.upperBound(to);
+        }
+
+        const matches = (nc) =>
+            (statut === undefined || nc.statut === statut) &&
+            (gravite === undefined || nc.gravite === gravite) &&
+            (poste === undefined || nc.poste === poste) &&
+            (declarant === undefined || nc.id_declarant === declarant) &&
+            (!from || nc.date_creation >= from) &&
+            (!to || nc.date_creation <= to);
+
+        // Le curseur fournit déjà l'ordre demandé : pagination en flux, arrêt anticipé
+        const cursorSortField = indexName === "date_creation" ? "date_creation" : "id";
+        const streaming = sort.field === cursorSortField;
+        const direction = streaming && sort.direction === "desc" ? "prev" : "next";
+
+        const results = await this.executeTransaction(["non_conformites"], "readonly", async (transaction) => {
+            const store = transaction.objectStore("non_conformites");
+            const source = indexName ? store.index(indexName) : store;
+            const request = source.openCursor(range, direction);
+
+            return new Promise((resolve, reject) => {
+                const items = [];
+                let skipped = 0;
+
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) {
+                        resolve(items);
+                        return;
+                    }
+
+                    if (matches(cursor.value)) {
+                        if (streaming && skipped < offset) {
+                            skipped++;
+                        } else {
+                            items.push(cursor.value);
+                            if (streaming && items.length >= limit) {
+                                resolve(items);
+                                return;
+                            }
+                        }
+                    }
+                    cursor.continue();
+                };
+                request.onerror = () => reject(request.error);
+            });
+        });
+
+        if (streaming) {
+            return results;
+        }
+
+        // Tri sur un champ non indexé : tri en mémoire des seules NC filtrées
+        const factor = sort.direction === "desc" ? -1 : 1;
+        results.sort((a, b) => {
+            if (a[sort.field] === b[sort.field]) return 0;
+            return a[sort.field] > b[sort.field] ? factor : -factor;
+        });
+        return results.slice(offset, offset + limit);
+    }
+
+    // Fonctions CRUD pour les actions correctives
+    async addActionCorrective(action) {
+        try {
+            this.validateData(action, [
+                { name: "description", required: true, validation: "string" },
+                { name: "responsable", required: true, validation: "string" },
+                { name: "delai", required: true, validation: "number" },
+                { name: "id_nc", required: true, validation: "number" },
+                // Une action naît non démarrée et non évaluée : la suite passe par updateActionCorrective
+                { name: "statut", options: [ACTION_STATUTS[0]], validation: "enum" },
+                { name: "efficacite", options: [ACTION_EFFICACITE_OPTIONS[0]], validation: "enum" }
+            ]);
+
+            // Valeurs par défaut alignées sur la table ActionCorrective d'origine
+            const newAction = {
+                date_creation: new Date().toISOString(),
+                ...action,
+                statut: ACTION_STATUTS[0],
+                efficacite: ACTION_EFFICACITE_OPTIONS[0]
+            };
+            newAction.date_echeance = computeActionDueDate(newAction.date_creation, newAction.delai);
+
+            const id = await this.executeMutation(["actions_correctives"], async (transaction, audit) => {
+                const store = transaction.objectStore("actions_correctives");
+                const request = store.add(newAction);
+
+                return new Promise((resolve, reject) => {
+                    request.onsuccess = () => {
+                        audit("CREATE", "actions_correctives", request.result, null, { ...newAction, id: request.result });
+                        resolve(request.result);
+                    };
+                    request.onerror = () => reject(request.error);
+                });
+            });
+
+            return id;
+
+        } catch (error) {
+            this.logError('ACTION_ADD_FAILED', error);
+            throw error;
+        }
+    }
+
+    async getActionsCorrectives(ncId) {
+        return await this.executeTransaction(["actions_correctives"], "readonly", async (transaction) => {
+            const store = transaction.objectStore("actions_correctives");
+            const request = ncId === undefined
+                ? store.getAll()
+                : store.index("id_nc").getAll(IDBKeyRange.only(ncId));
+
+            return new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    async getActionCorrectiveById(id) {
+        return await this.executeTransaction(["actions_correctives"], "readonly", async (transaction) => {
+            const store = transaction.objectStore("actions_correctives");
+            const request = store.get(id);
+
+            return new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve(request.result || null);
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    /**
+     * @method updateActionCorrective
+     * @description Met à jour une action corrective en respectant le cycle CAPA
+     * @implements ISO 9001 §10.2 - Actions correctives et évaluation de leur efficacité
+     * @implements PDCA - Check (vérification avant clôture)
+     */
+    async updateActionCorrective(id, updates) {
+        try {
+            this.validateData(updates, [
+                { name: "description", validation: "string" },
+                { name: "responsable", validation: "string" },
+                { name: "delai", validation: "number" },
+                { name: "statut", options: ACTION_STATUTS, validation: "enum" },
+                { name: "efficacite", options: ACTION_EFFICACITE_OPTIONS, validation: "enum" }
+            ]);
+
+            let before = null;
+            const result = await this.executeMutation(["actions_correctives"], async (transaction, audit) => {
+                const store = transaction.objectStore("actions_correctives");
+                const getRequest = store.get(id);
+
+                return new Promise((resolve, reject) => {
+                    getRequest.onsuccess = () => {
+                        const current = getRequest.result;
+                        if (!current) {
+                            reject(new Error(`Action corrective #${id} introuvable`));
+                            return;
+                        }
+
+                        before = current;
+                        const updated = { ...current, ...updates, id };
+
+                        // Un nouveau délai reporte l'échéance et rouvre l'escalade
+                        if (updates.delai !== undefined && updates.delai !== current.delai) {
+                            updated.date_echeance = computeActionDueDate(current.date_creation, updates.delai);
+                            delete updated.date_escalade;
+                            delete updated.id_manager_escalade;
+                        }
+
+                        if (updates.statut && updates.statut !== current.statut) {
+                            try {
+                                this.checkActionTransition(current, updated);
+                            } catch (error) {
+                                reject(error);
+                                return;
+                            }
+                            updated.date_statut = new Date().toISOString();
+                        }
+
+                        const putRequest = store.put(updated);
+                        putRequest.onsuccess = () => {
+                            audit("UPDATE", "actions_correctives", id, before, updated);
+                            resolve(updated);
+                        };
+                        putRequest.onerror = () => reject(putRequest.error);
+                    };
+                    getRequest.onerror = () => reject(getRequest.error);
+                });
+            });
+
+            return result;
+
+        } catch (error) {
+            this.logError('ACTION_UPDATE_FAILED', error);
+            throw error;
+        }
+    }
+
+    /**
+     * @method escalateActionCorrective
+     * @description Enregistre l'escalade d'une action en retard vers le responsable hiérarchique
+     * @param {number} id - ID de l'action
+     * @param {number|null} managerId - Utilisateur destinataire de l'escalade
+     * @returns {Promise<Object>} Action mise à jour
+     * @implements ISO 9001 §10.2 - Actions correctives (maîtrise des délais)
+     */
+    async escalateActionCorrective(id, managerId) {
+        try {
+            let before = null;
+            const result = await this.executeMutation(["actions_correctives"], async (transaction, audit) => {
+                const store = transaction.objectStore("actions_correctives");
+                const getRequest = store.get(id);
+
+                return new Promise((resolve, reject) => {
+                    getRequest.onsuccess = () => {
+                        const current = getRequest.result;
+                        if (!current) {
+                            reject(new Error(`Action corrective #${id} introuvable`));
+                            return;
+                        }
+
+                        before = current;
+                        const updated = {
+                            ...current,
+                            date_escalade: new Date().toISOString(),
+                            id_manager_escalade: managerId
+                        };
+                        const putRequest = store.put(updated);
+                        putRequest.onsuccess = () => {
+                            audit("ESCALATE", "actions_correctives", id, before, updated);
+                            resolve(updated);
+                        };
+                        putRequest.onerror = () => reject(putRequest.error);
+                    };
+                    getRequest.onerror = () => reject(getRequest.error);
+                });
+            });
+
+            return result;
+
+        } catch (error) {
+            this.logError('ACTION_ESCALATE_FAILED', error);
+            throw error;
+        }
+    }
+
+    /**
+     * @method checkActionTransition
+     * @description Vérifie qu'un changement de statut suit le cycle Non démarré → En cours → Terminé → Vérifiée
+     * @implements Lean - Poka-yoke (prévention des erreurs de saisie)
+     */
+    checkActionTransition(current, updated) {
+        const from = ACTION_STATUTS.indexOf(current.statut);
+        const to = ACTION_STATUTS.indexOf(updated.statut);
+
+        if (to !== from + 1) {
+            throw new Error(`Transition interdite: ${current.statut} → ${updated.statut}`);
+        }
+
+        // Une action ne peut être vérifiée sans évaluation de son efficacité
+        if (updated.statut === "Vérifiée" && updated.efficacite === ACTION_EFFICACITE_OPTIONS[0]) {
+            throw new Error("L'efficacité doit être évaluée avant la vérification de l'action");
+        }
+    }
+
+    // Fonctions CRUD pour les analyses de causes
+    async addAnalyseCause(analyse) {
+        try {
+            // Un diagramme d'Ishikawa peut être enregistré avant qu'une cause soit confirmée
+            const isIshikawa = analyse.methode === "Ishikawa";
+            this.validateData(analyse, [
+                { name: "methode", required: true, options: METHODES_ANALYSE, validation: "enum" },
+                { name: "cause_racine", required: !isIshikawa, validation: "string" },
                 { name: "id_nc", required: true, validation: "number" }
             ]);
 
-            return await this.executeTransaction(["actions_correctives"], "readwrite", async (transaction) => {
-                const store = transaction.objectStore("actions_correctives");
-                const request = store.add(action);
+            if (isIshikawa) {
+                this.validateIshikawaBranches(analyse.branches);
+            }
+
+            const newAnalyse = {
+                ...analyse,
+                date_creation: new Date().toISOString(),
+                id_auteur: this.currentUser ? this.currentUser.id : 0
+            };
+
+            const id = await this.executeMutation(["analyses_causes"], async (transaction, audit) => {
+                const store = transaction.objectStore("analyses_causes");
+                const request = store.add(newAnalyse);
+
+                return new Promise((resolve, reject) => {
+                    request.onsuccess = () => {
+                        audit("CREATE", "analyses_causes", request.result, null, { ...newAnalyse, id: request.result });
+                        resolve(request.result);
+                    };
+                    request.onerror = () => reject(request.error);
+                });
+            });
+
+            return id;
+
+        } catch (error) {
+            this.logError('ANALYSE_ADD_FAILED', error);
+            throw error;
+        }
+    }
+
+    async getAnalysesCauses(ncId) {
+        return await this.executeTransaction(["analyses_causes"], "readonly", async (transaction) => {
+            const store = transaction.objectStore("analyses_causes");
+            const request = ncId === undefined
+                ? store.getAll()
+                : store.index("id_nc").getAll(IDBKeyRange.only(ncId));
+
+            return new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    async updateAnalyseCause(id, updates) {
+        try {
+            this.validateData(updates, [
+                { name: "methode", options: METHODES_ANALYSE, validation: "enum" },
+                { name: "cause_racine", validation: "string" }
+            ]);
+
+            if (updates.branches !== undefined) {
+                this.validateIshikawaBranches(updates.branches);
+            }
+
+            let before = null;
+            const result = await this.executeMutation(["analyses_causes"], async (transaction, audit) => {
+                const store = transaction.objectStore("analyses_causes");
+                const getRequest = store.get(id);
+
+                return new Promise((resolve, reject) => {
+                    getRequest.onsuccess = () => {
+                        if (!getRequest.result) {
+                            reject(new Error(`Analyse #${id} introuvable`));
+                            return;
+                        }
+
+                        before = getRequest.result;
+                        const updated = { ...before, ...updates, id, id_nc: before.id_nc };
+                        const putRequest = store.put(updated);
+                        putRequest.onsuccess = () => {
+                            audit("UPDATE", "analyses_causes", id, before, updated);
+                            resolve(updated);
+                        };
+                        putRequest.onerror = () => reject(putRequest.error);
+                    };
+                    getRequest.onerror = () => reject(getRequest.error);
+                });
+            });
+
+            return result;
+
+        } catch (error) {
+            this.logError('ANALYSE_UPDATE_FAILED', error);
+            throw error;
+        }
+    }
+
+    /**
+     * @method saveVolumeProduction
+     * @description Enregistre (ou remplace) le volume produit par un poste sur une période
+     * @param {Object} entry - { poste, periode, volume }
+     * @returns {Promise<Object>} Enregistrement sauvegardé
+     * @implements DMAIC - Measure (taille des sous-groupes de la carte p)
+     */
+    async saveVolumeProduction(entry) {
+        try {
+            this.validateData(entry, [
+                { name: "poste", required: true, validation: "string" },
+                { name: "periode", required: true, validation: "string" },
+                { name: "volume", required: true, validation: "number" }
+            ]);
+
+            if (!Number.isInteger(entry.volume) || entry.volume < 0) {
+                throw new Error("Validation échouée: volume doit être un entier positif");
+            }
+
+            const record = { id: `${entry.poste}|${entry.periode}`, poste: entry.poste, periode: entry.periode, volume: entry.volume };
+
+            let before = null;
+            await this.executeMutation(["volumes_production"], async (transaction, audit) => {
+                const store = transaction.objectStore("volumes_production");
+                const getRequest = store.get(record.id);
+
+                return new Promise((resolve, reject) => {
+                    getRequest.onsuccess = () => {
+                        before = getRequest.result || null;
+                        const putRequest = store.put(record);
+                        putRequest.onsuccess = () => {
+                            audit(before ? "UPDATE" : "CREATE", "volumes_production", record.id, before, record);
+                            resolve(putRequest.result);
+                        };
+                        putRequest.onerror = () => reject(putRequest.error);
+                    };
+                    getRequest.onerror = () => reject(getRequest.error);
+                });
+            });
+
+            return record;
+
+        } catch (error) {
+            this.logError('VOLUME_SAVE_FAILED', error);
+            throw error;
+        }
+    }
+
+    async getVolumesProduction(poste) {
+        return await this.executeTransaction(["volumes_production"], "readonly", async (transaction) => {
+            const store = transaction.objectStore("volumes_production");
+            const request = store.index("poste").getAll(IDBKeyRange.only(poste));
+
+            return new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    /**
+     * @method addRapport
+     * @description Enregistre la génération d'un rapport (le document lui-même n'est pas conservé)
+     * @param {Object} rapport - { type_rapport, periode, format, nom_fichier }
+     * @returns {Promise<number>} Identifiant du rapport
+     * @implements ISO 9001 §7.5.3 - Maîtrise des informations documentées
+     */
+    async addRapport(rapport) {
+        try {
+            this.validateData(rapport, [
+                { name: "type_rapport", required: true, options: RAPPORT_TYPES, validation: "enum" },
+                { name: "periode", required: true, validation: "string" },
+                { name: "format", required: true, options: RAPPORT_FORMATS, validation: "enum" },
+                { name: "nom_fichier", required: true, validation: "string" }
+            ]);
+
+            const newRapport = {
+                ...rapport,
+                date_generation: new Date().toISOString(),
+                id_user_generateur: this.currentUser ? this.currentUser.id : 0,
+                generateur: this.currentUser ? this.currentUser.username : "système"
+            };
+
+            const id = await this.executeMutation(["rapports"], async (transaction, audit) => {
+                const store = transaction.objectStore("rapports");
+                const request = store.add(newRapport);
+
+                return new Promise((resolve, reject) => {
+                    request.onsuccess = () => {
+                        audit("CREATE", "rapports", request.result, null, { ...newRapport, id: request.result });
+                        resolve(request.result);
+                    };
+                    request.onerror = () => reject(request.error);
+                });
+            });
+
+            return id;
+
+        } catch (error) {
+            this.logError('RAPPORT_ADD_FAILED', error);
+            throw error;
+        }
+    }
+
+    async getRapports() {
+        return await this.executeTransaction(["rapports"], "readonly", async (transaction) => {
+            const store = transaction.objectStore("rapports");
+            const request = store.getAll();
+
+            return new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve(request.result.sort((a, b) => b.date_generation.localeCompare(a.date_generation)));
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    /**
+     * @method saveRapport8D
+     * @description Enregistre (ou remplace) les disciplines 8D saisies pour une NC
+     * @param {Object} entry - { id_nc, equipe, confinement, verification, prevention, cloture }
+     * @returns {Promise<Object>} Enregistrement sauvegardé
+     * @implements ISO 9001 §10.2 - Non-conformité et action corrective
+     */
+    async saveRapport8D(entry) {
+        try {
+            this.validateData(entry, [
+                { name: "id_nc", required: true, validation: "number" },
+                ...DISCIPLINES_8D.map(name => ({ name, validation: "string" }))
+            ]);
+
+            const record = { id: entry.id_nc, id_nc: entry.id_nc, date_modification: new Date().toISOString() };
+            DISCIPLINES_8D.forEach(name => {
+                record[name] = entry[name] || "";
+            });
+
+            let before = null;
+            await this.executeMutation(["rapports_8d"], async (transaction, audit) => {
+                const store = transaction.objectStore("rapports_8d");
+                const getRequest = store.get(record.id);
+
+                return new Promise((resolve, reject) => {
+                    getRequest.onsuccess = () => {
+                        before = getRequest.result || null;
+                        const putRequest = store.put(record);
+                        putRequest.onsuccess = () => {
+                            audit(before ? "UPDATE" : "CREATE", "rapports_8d", record.id_nc, before, record);
+                            resolve(putRequest.result);
+                        };
+                        putRequest.onerror = () => reject(putRequest.error);
+                    };
+                    getRequest.onerror = () => reject(getRequest.error);
+                });
+            });
+
+            return record;
+
+        } catch (error) {
+            this.logError('RAPPORT_8D_SAVE_FAILED', error);
+            throw error;
+        }
+    }
+
+    async getRapport8D(ncId) {
+        return await this.executeTransaction(["rapports_8d"], "readonly", async (transaction) => {
+            const store = transaction.objectStore("rapports_8d");
+            const request = store.get(ncId);
+
+            return new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve(request.result || null);
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    /**
+     * @method addNotification
+     * @description Enregistre une notification pour un utilisateur ; une notification portant une clé déjà
+     * enregistrée pour cet utilisateur n'est pas dupliquée
+     * @param {Object} notification - { id_user, titre, message, niveau, cle, id_nc, id_action }
+     * @returns {Promise<Object|null>} Notification créée, ou null si la clé existe déjà
+     * @implements ISO 9001 §7.4 - Communication
+     */
+    async addNotification(notification) {
+        try {
+            this.validateData(notification, [
+                { name: "id_user", required: true, validation: "number" },
+                { name: "titre", required: true, validation: "string" },
+                { name: "message", required: true, validation: "string" },
+                { name: "niveau", options: NOTIFICATION_NIVEAUX, validation: "enum" },
+                { name: "cle", validation: "string" },
+                { name: "id_nc", validation: "number" },
+                { name: "id_action", validation: "number" }
+            ]);
+
+            const newNotification = {
+                niveau: NOTIFICATION_NIVEAUX[0],
+                ...notification,
+                lu: false,
+                date_creation: new Date().toISOString()
+            };
+
+            // Message d'interface, pas un enregistrement qualité : pas d'entrée dans la piste d'audit
+            return await this.executeTransaction(["notifications"], "readwrite", async (transaction) => {
+                const store = transaction.objectStore("notifications");
+
+                return new Promise((resolve, reject) => {
+                    const add = () => {
+                        const request = store.add(newNotification);
+                        request.onsuccess = () => resolve({ ...newNotification, id: request.result });
+                        request.onerror = () => reject(request.error);
+                    };
+
+                    if (!newNotification.cle) {
+                        add();
+                        return;
+                    }
+
+                    const existing = store.index("cle").getAll(newNotification.cle);
+                    existing.onsuccess = () => {
+                        if (existing.result.some(item => item.id_user === newNotification.id_user)) {
+                            resolve(null);
+                        } else {
+                            add();
+                        }
+                    };
+                    existing.onerror = () => reject(existing.error);
+                });
+            });
+
+        } catch (error) {
+            this.logError('NOTIFICATION_ADD_FAILED', error);
+            throw error;
+        }
+    }
+
+    async getNotifications(userId) {
+        return await this.executeTransaction(["notifications"], "readonly", async (transaction) => {
+            const request = transaction.objectStore("notifications").index("id_user").getAll(userId);
+
+            return new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve(request.result.sort((a, b) => b.date_creation.localeCompare(a.date_creation) || b.id - a.id));
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    /**
+     * @method markNotificationsRead
+     * @description Marque comme lues les notifications d'un utilisateur
+     * @param {number} userId - Destinataire
+     * @param {Array<number>|null} ids - Notifications à marquer, null pour toutes
+     * @returns {Promise<number>} Nombre de notifications modifiées
+     * @implements ISO 9001 §7.4 - Communication
+     */
+    async markNotificationsRead(userId, ids = null) {
+        try {
+            return await this.executeTransaction(["notifications"], "readwrite", async (transaction) => {
+                const request = transaction.objectStore("notifications").index("id_user").openCursor(userId);
+                let count = 0;
+
+                return new Promise((resolve, reject) => {
+                    request.onsuccess = () => {
+                        const cursor = request.result;
+                        if (!cursor) return;
+
+                        const notification = cursor.value;
+                        if (!notification.lu && (!ids || ids.includes(notification.id))) {
+                            cursor.update({ ...notification, lu: true });
+                            count++;
+                        }
+                        cursor.continue();
+                    };
+                    request.onerror = () => reject(request.error);
+                    transaction.oncomplete = () => resolve(count);
+                    transaction.onerror = () => reject(transaction.error);
+                });
+            });
+
+        } catch (error) {
+            this.logError('NOTIFICATION_UPDATE_FAILED', error);
+            throw error;
+        }
+    }
+
+    /**
+     * @method enqueueMail
+     * @description Place un email dans la file d'envoi ; un transport la vide ensuite (drainMailQueue)
+     * @param {Object} mail - { destinataire, sujet, corps, expediteur, id_nc }
+     * @returns {Promise<number>} Identifiant de l'email
+     * @implements ISO 9001 §7.4 - Communication
+     */
+    async enqueueMail(mail) {
+        try {
+            this.validateData(mail, [
+                { name: "destinataire", required: true, validation: "email" },
+                { name: "sujet", required: true, validation: "string" },
+                { name: "corps", required: true, validation: "string" },
+                { name: "expediteur", validation: "email" },
+                { name: "id_nc", validation: "number" }
+            ]);
+
+            const now = new Date().toISOString();
+            const newMail = {
+                ...mail,
+                statut: MAIL_STATUTS[0],
+                tentatives: 0,
+                date_creation: now,
+                prochaine_tentative: now
+            };
+
+            // La traçabilité des envois est assurée par le journal de remise (mail_log)
+            const id = await this.executeTransaction(["mail_queue"], "readwrite", async (transaction) => {
+                const request = transaction.objectStore("mail_queue").add(newMail);
+
+                return new Promise((resolve, reject) => {
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                });
+            });
+
+            this.logInfo('MAIL_QUEUED', { id, destinataire: mail.destinataire });
+            return id;
+
+        } catch (error) {
+            this.logError('MAIL_QUEUE_FAILED', error);
+            throw error;
+        }
+    }
+
+    async getMails() {
+        return await this.executeTransaction(["mail_queue"], "readonly", async (transaction) => {
+            const request = transaction.objectStore("mail_queue").getAll();
+
+            return new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve(request.result.sort((a, b) => b.id - a.id));
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    /**
+     * @method isMailDue
+     * @description Un email est à envoyer s'il est en attente et sa prochaine tentative échue, ou si la
+     * réservation d'un onglet a expiré sans résultat (onglet fermé pendant l'envoi)
+     * @param {Object} mail - Email de la file
+     * @param {Date} now - Date de référence
+     * @returns {boolean}
+     */
+    isMailDue(mail, now) {
+        if (mail.statut === MAIL_STATUTS[0]) return Date.parse(mail.prochaine_tentative) <= now.getTime();
+        if (mail.statut === MAIL_STATUTS[3]) return Date.parse(mail.fin_reservation) <= now.getTime();
+        return false;
+    }
+
+    /**
+     * @method getPendingMails
+     * @description Emails à envoyer (voir isMailDue)
+     * @param {Date} now - Date de référence
+     * @returns {Promise<Array>} Emails à envoyer, les plus anciens en premier
+     * @implements Lean - Flux tiré
+     */
+    async getPendingMails(now = new Date()) {
+        return await this.executeTransaction(["mail_queue"], "readonly", async (transaction) => {
+            const index = transaction.objectStore("mail_queue").index("statut");
+            const request = index.getAll(IDBKeyRange.only(MAIL_STATUTS[0]));
+            const claimedRequest = index.getAll(IDBKeyRange.only(MAIL_STATUTS[3]));
+
+            return new Promise((resolve, reject) => {
+                claimedRequest.onsuccess = () => resolve([...request.result, ...claimedRequest.result]
+                    .filter(mail => this.isMailDue(mail, now))
+                    .sort((a, b) => a.id - b.id));
+                request.onerror = () => reject(request.error);
+                claimedRequest.onerror = () => reject(claimedRequest.error);
+            });
+        });
+    }
+
+    /**
+     * @method claimMail
+     * @description Réserve un email pour l'envoi (statut "En cours") dans une transaction en écriture :
+     * deux onglets qui vident la file en même temps ne peuvent pas réserver le même email
+     * @param {number} id - ID de l'email
+     * @param {Object} options - { duration (ms) : durée de la réservation, au-delà de laquelle un autre onglet peut reprendre l'email }
+     * @returns {Promise<Object|null>} Email réservé, null s'il n'est plus à envoyer
+     * @implements Lean - Flux tiré
+     */
+    async claimMail(id, { duration }) {
+        return await this.executeTransaction(["mail_queue"], "readwrite", async (transaction) => {
+            const store = transaction.objectStore("mail_queue");
+            const getRequest = store.get(id);
+
+            return new Promise((resolve, reject) => {
+                getRequest.onsuccess = () => {
+                    const now = new Date();
+                    const current = getRequest.result;
+                    if (!current || !this.isMailDue(current, now)) {
+                        resolve(null);
+                        return;
+                    }
+
+                    const claimed = {
+                        ...current,
+                        statut: MAIL_STATUTS[3],
+                        fin_reservation: new Date(now.getTime() + duration).toISOString()
+                    };
+                    const putRequest = store.put(claimed);
+                    putRequest.onsuccess = () => resolve(claimed);
+                    putRequest.onerror = () => reject(putRequest.error);
+                };
+                getRequest.onerror = () => reject(getRequest.error);
+            });
+        });
+    }
+
+    /**
+     * @method recordMailAttempt
+     * @description Enregistre le résultat d'une tentative d'envoi dans la file et le journal de remise ;
+     * un échec reprogramme l'email (délai doublé à chaque tentative) jusqu'au nombre maximal de tentatives
+     * @param {number} id - ID de l'email
+     * @param {Object} attempt - { transport, error, maxRetries, retryDelay (ms) } ; error absent = succès
+     * @returns {Promise<Object>} Email mis à jour
+     * @implements ISO 9001 §7.5.3 - Maîtrise des informations documentées
+     */
+    async recordMailAttempt(id, { transport, error = null, maxRetries, retryDelay }) {
+        try {
+            return await this.executeTransaction(["mail_queue", "mail_log"], "readwrite", async (transaction) => {
+                const queue = transaction.objectStore("mail_queue");
+                const getRequest = queue.get(id);
+
+                return new Promise((resolve, reject) => {
+                    getRequest.onsuccess = () => {
+                        const current = getRequest.result;
+                        if (!current) {
+                            reject(new Error(`Email #${id} introuvable`));
+                            return;
+                        }
+
+                        const now = new Date();
+                        const tentatives = current.tentatives + 1;
+                        const updated = { ...current, tentatives };
+                        delete updated.fin_reservation;
+
+                        if (error) {
+                            updated.derniere_erreur = error;
+                            if (tentatives >= maxRetries) {
+                                updated.statut = MAIL_STATUTS[2];
+                            } else {
+                                updated.statut = MAIL_STATUTS[0];
+                                updated.prochaine_tentative = new Date(now.getTime() + retryDelay * 2 ** (tentatives - 1)).toISOString();
+                            }
+                        } else {
+                            updated.statut = MAIL_STATUTS[1];
+                            updated.date_envoi = now.toISOString();
+                            delete updated.derniere_erreur;
+                        }
+
+                        queue.put(updated);
+                        transaction.objectStore("mail_log").add({
+                            id_mail: id,
+                            date: now.toISOString(),
+                            destinataire: current.destinataire,
+                            transport,
+                            tentative: tentatives,
+                            statut: error ? MAIL_LOG_STATUTS[1] : MAIL_LOG_STATUTS[0],
+                            ...(error ? { erreur: error } : {})
+                        });
+
+                        transaction.oncomplete = () => resolve(updated);
+                    };
+                    getRequest.onerror = () => reject(getRequest.error);
+                    transaction.onerror = () => reject(transaction.error);
+                });
+            });
+
+        } catch (err) {
+            this.logError('MAIL_ATTEMPT_RECORD_FAILED', err);
+            throw err;
+        }
+    }
+
+    /**
+     * @method retryMail
+     * @description Remet en file un email en échec (nouvelle série de tentatives)
+     * @param {number} id - ID de l'email
+     * @returns {Promise<Object>} Email remis en attente
+     * @implements PDCA - Act
+     */
+    async retryMail(id) {
+        return await this.executeTransaction(["mail_queue"], "readwrite", async (transaction) => {
+            const store = transaction.objectStore("mail_queue");
+            const getRequest = store.get(id);
+
+            return new Promise((resolve, reject) => {
+                getRequest.onsuccess = () => {
+                    if (!getRequest.result) {
+                        reject(new Error(`Email #${id} introuvable`));
+                        return;
+                    }
+
+                    const mail = {
+                        ...getRequest.result,
+                        statut: MAIL_STATUTS[0],
+                        tentatives: 0,
+                        prochaine_tentative: new Date().toISOString()
+                    };
+                    const putRequest = store.put(mail);
+                    putRequest.onsuccess = () => resolve(mail);
+                    putRequest.onerror = () => reject(putRequest.error);
+                };
+                getRequest.onerror = () => reject(getRequest.error);
+            });
+        });
+    }
+
+    async getMailLog() {
+        return await this.executeTransaction(["mail_log"], "readonly", async (transaction) => {
+            const request = transaction.objectStore("mail_log").getAll();
+
+            return new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve(request.result.sort((a, b) => b.id - a.id));
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    async getParametre(name) {
+        const entry = await this.executeTransaction(["parametres"], "readonly", async (transaction) => {
+            const request = transaction.objectStore("parametres").get(name);
+
+            return new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        });
+        return entry ? entry.valeur : null;
+    }
+
+    /**
+     * @method setParametre
+     * @description Enregistre un paramètre de l'application (clé / valeur)
+     * @param {string} name - Nom du paramètre
+     * @param {*} valeur - Valeur sérialisable
+     * @param {Object} options - { audit: false pour un état technique (curseurs de synchronisation) }
+     * @returns {Promise<Object>} Entrée enregistrée
+     * @implements ISO 9001 - Maîtrise des modifications
+     */
+    async setParametre(name, valeur, { audit = true } = {}) {
+        try {
+            let before = null;
+            const entry = { id: name, valeur, date_modification: new Date().toISOString() };
+
+            // Les jetons d'accès (webhook) ne sont pas recopiés dans la piste d'audit
+            const redact = (value) => (value && value.valeur && value.valeur.token
+                ? { ...value, valeur: { ...value.valeur, token: "[masqué]" } }
+                : value);
+
+            await this.executeMutation(["parametres"], async (transaction, trace) => {
+                const store = transaction.objectStore("parametres");
+                const getRequest = store.get(name);
+
+                return new Promise((resolve, reject) => {
+                    getRequest.onsuccess = () => {
+                        before = getRequest.result || null;
+                        const putRequest = store.put(entry);
+                        putRequest.onsuccess = () => {
+                            if (audit) trace(before ? "UPDATE" : "CREATE", "parametres", name, redact(before), redact(entry));
+                            resolve();
+                        };
+                        putRequest.onerror = () => reject(putRequest.error);
+                    };
+                    getRequest.onerror = () => reject(getRequest.error);
+                });
+            });
+
+            return entry;
+
+        } catch (error) {
+            this.logError('PARAMETRE_SAVE_FAILED', error);
+            throw error;
+        }
+    }
+
+    /**
+     * @method buildSyncOutboxEntry
+     * @description Entrée d'outbox d'une mutation d'un store synchronisé (champs modifiés et leur valeur
+     * précédente) ; les écritures issues du serveur (action SYNC) n'y sont pas reportées
+     * @param {string} action - CREATE, UPDATE ou DELETE
+     * @param {string} entity - Store concerné
+     * @param {Object|null} before - Valeur avant modification
+     * @param {Object|null} after - Valeur après modification
+     * @returns {Object|null} Entrée d'outbox, null si rien à synchroniser
+     * @implements ISO 9001 §7.5.3 - Maîtrise des informations documentées
+     */
+    buildSyncOutboxEntry(action, entity, before, after) {
+        const operation = { CREATE: "create", UPDATE: "update", DELETE: "delete" }[action];
+        const record = after || before;
+        if (!operation || !SYNC_ENTITIES.includes(entity) || !record || !record.uuid) return null;
+
+        const changes = {};
+        const base = {};
+        if (operation !== "delete") {
+            const fields = new Set([...Object.keys(before || {}), ...Object.keys(after)]);
+            fields.forEach(field => {
+                if (SYNC_LOCAL_FIELDS.includes(field)) return;
+                const value = after[field] === undefined ? null : after[field];
+                const previous = !before || before[field] === undefined ? null : before[field];
+                if (operation === "create" || JSON.stringify(value) !== JSON.stringify(previous)) {
+                    changes[field] = value;
+                    base[field] = previous;
+                }
+            });
+            // Changement de mot de passe seul : rien à transmettre
+            if (Object.keys(changes).length === 0) return null;
+        }
+
+        return { entite: entity, uuid: record.uuid, operation, changes, base, date: new Date().toISOString() };
+    }
+
+    /**
+     * @method queueSyncMutation
+     * @description Reporte dans l'outbox une modification sans écriture locale (valeur du poste retenue
+     * lors d'un arbitrage) ; les mutations passent par executeMutation, qui écrit l'outbox dans leur transaction
+     * @param {string} action - CREATE, UPDATE ou DELETE
+     * @param {string} entity - Store concerné
+     * @param {Object|null} before - Valeur avant modification
+     * @param {Object|null} after - Valeur après modification
+     * @returns {Promise<number|null>} Identifiant de l'entrée d'outbox, null si rien à synchroniser
+     * @implements ISO 9001 §7.5.3 - Maîtrise des informations documentées
+     */
+    async queueSyncMutation(action, entity, before, after) {
+        const entry = this.buildSyncOutboxEntry(action, entity, before, after);
+        if (!entry) return null;
+
+        return await this.executeTransaction(["sync_outbox"], "readwrite", async (transaction) => {
+            const request = transaction.objectStore("sync_outbox").add(entry);
+
+            return new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    async getSyncOutbox() {
+        return await this.executeTransaction(["sync_outbox"], "readonly", async (transaction) => {
+            const request = transaction.objectStore("sync_outbox").getAll();
+
+            return new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve(request.result.sort((a, b) => a.id - b.id));
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    /**
+     * @method updateSyncOutbox
+     * @description Réécrit une entrée d'outbox (champs retirés après arbitrage) ; sans champ restant, l'entrée est supprimée
+     * @param {Object} entry - Entrée d'outbox
+     * @returns {Promise<Object|null>} Entrée enregistrée, null si supprimée
+     * @implements Lean - Élimination du gaspillage
+     */
+    async updateSyncOutbox(entry) {
+        if (entry.operation === "update" && Object.keys(entry.changes).length === 0) {
+            await this.deleteSyncOutbox([entry.id]);
+            return null;
+        }
+
+        return await this.executeTransaction(["sync_outbox"], "readwrite", async (transaction) => {
+            const request = transaction.objectStore("sync_outbox").put(entry);
+
+            return new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve(entry);
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    async deleteSyncOutbox(ids) {
+        return await this.executeTransaction(["sync_outbox"], "readwrite", async (transaction) => {
+            const store = transaction.objectStore("sync_outbox");
+            ids.forEach(id => store.delete(id));
+
+            return new Promise((resolve, reject) => {
+                transaction.oncomplete = () => resolve(ids.length);
+                transaction.onerror = () => reject(transaction.error);
+            });
+        });
+    }
+
+    /**
+     * @method getRecordByUuid
+     * @description Recherche un enregistrement synchronisé par son identifiant global
+     * @param {string} entity - Store synchronisé
+     * @param {string} uuid - Identifiant global
+     * @returns {Promise<Object|null>} Enregistrement (sans hash de mot de passe) ou null
+     * @implements ISO 9001 - Traçabilité
+     */
+    async getRecordByUuid(entity, uuid) {
+        const record = await this.executeTransaction([entity], "readonly", async (transaction) => {
+            const request = transaction.objectStore(entity).index("uuid").get(uuid);
+
+            return new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve(request.result || null);
+                request.onerror = () => reject(request.error);
+            });
+        });
+
+        if (!record) return null;
+        const { password: _hash, ...safeRecord } = record;
+        return safeRecord;
+    }
+
+    /**
+     * @method validateSyncRecord
+     * @description Contrôle les champs reçus du serveur avant écriture locale
+     * @param {string} entity - Store synchronisé
+     * @param {Object} fields - Champs reçus
+     * @implements ISO 9001 - Contrôle de la qualité des données
+     */
+    validateSyncRecord(entity, fields) {
+        if (entity === "users") {
+            this.validateData(fields, [
+                { name: "username", validation: "string" },
+                { name: "role", options: ROLES, validation: "enum" },
+                { name: "email", validation: "email" },
+                { name: "id_manager", validation: "number" }
+            ]);
+            return;
+        }
+
+        this.validateData(fields, [
+            { name: "type_defaut", validation: "string" },
+            { name: "poste", validation: "string" },
+            { name: "gravite", options: GRAVITE_OPTIONS, validation: "enum" },
+            { name: "description", validation: "string" },
+            { name: "statut", options: NC_STATUTS, validation: "enum" },
+            { name: "cause_racine", validation: "string" },
+            { name: "date_creation", validation: "timestamp" },
+            { name: "date_cloture", validation: "timestamp" },
+            { name: "id_declarant", validation: "number" }
+        ]);
+    }
 
-                return new Promise((resolve, reject) => {
+    /**
+     * @method applyRemoteChanges
+     * @description Écrit localement des modifications reçues du serveur, sans les reporter dans l'outbox ;
+     * une NC créée ou modifiée n'est écrite que complète et conforme aux gardes de son statut (validateNcImport),
+     * un utilisateur inconnu n'est créé qu'à sa connexion
+     * @param {string} entity - Store synchronisé
+     * @param {string} uuid - Identifiant global
+     * @param {Object|null} fields - Champs à écrire, null pour supprimer l'enregistrement
+     * @returns {Promise<Object|null>} Enregistrement local (sans hash), null s'il est supprimé ou ignoré
+     * @implements ISO 9001 §7.5.3 - Maîtrise des informations documentées
+     */
+    async applyRemoteChanges(entity, uuid, fields) {
+        if (!SYNC_ENTITIES.includes(entity)) {
+            throw new Error(`Store non synchronisé: ${entity}`);
+        }
+        if (fields) this.validateSyncRecord(entity, fields);
+
+        const isNc = entity === "non_conformites";
+        let before = null;
+        const after = await this.executeMutation(isNc ? [entity, ...NC_DEPENDENT_STORES] : [entity], async (transaction, audit) => {
+            const store = transaction.objectStore(entity);
+            const getRequest = store.index("uuid").get(uuid);
+
+            return new Promise((resolve, reject) => {
+                const track = (request, record) => {
+                    request.onsuccess = () => {
+                        const written = record && { ...record, id: request.result };
+                        audit("SYNC", entity, (written || before).id, before, written);
+                        resolve(written);
+                    };
+                    request.onerror = () => reject(request.error);
+                };
+
+                getRequest.onsuccess = () => {
+                    before = getRequest.result || null;
+
+                    if (!fields) {
+                        if (!before) return resolve(null);
+                        // Les enregistrements rattachés à la NC, propres au poste, disparaissent avec elle
+                        if (isNc) this.deleteNcDependents(transaction, audit, before.id).catch(reject);
+                        return track(store.delete(before.id), null);
+                    }
+                    if (!before && !isNc) return resolve(null);
+
+                    const record = before ? { ...before, ...fields, id: before.id, uuid } : { ...fields, uuid };
+                    if (!isNc) return track(store.put(record), record);
+
+                    // Une NC reçue du serveur, créée ou modifiée, doit être complète et respecter les gardes de son
+                    // statut avec ses actions, comme une NC reprise d'un historique. Les transitions ne sont pas
+                    // contrôlées : le serveur peut avoir franchi plusieurs étapes depuis la dernière réception.
+                    const actionsRequest = before
+                        ? transaction.objectStore("actions_correctives").index("id_nc").getAll(IDBKeyRange.only(before.id))
+                        : null;
+                    const validate = (actions) => {
+                        try {
+                            this.validateNcImport(record, actions);
+                        } catch (error) {
+                            reject(error);
+                            return;
+                        }
+                        track(before ? store.put(record) : store.add(record), record);
+                    };
+
+                    if (!actionsRequest) return validate([]);
+                    actionsRequest.onsuccess = () => validate(actionsRequest.result);
+                    actionsRequest.onerror = () => reject(actionsRequest.error);
+                };
+                getRequest.onerror = () => reject(getRequest.error);
+            });
+        });
+
+        if (!after) return null;
+        const { password: _hash, ...safeRecord } = after;
+        return safeRecord;
+    }
+
+    /**
+     * @method addSyncConflict
+     * @description Enregistre un champ modifié à la fois sur le poste et sur le serveur (arbitrage manuel)
+     * @param {Object} conflict - { entite, uuid, champ, valeur_locale, valeur_distante, date_distante }
+     * @returns {Promise<number>} Identifiant du conflit
+     * @implements ISO 9001 §7.5.3 - Maîtrise des informations documentées
+     */
+    async addSyncConflict(conflict) {
+        const record = { ...conflict, date: new Date().toISOString() };
+
+        return await this.executeTransaction(["sync_conflicts"], "readwrite", async (transaction) => {
+            const store = transaction.objectStore("sync_conflicts");
+            // Un seul conflit ouvert par champ : le plus récent remplace le précédent
+            const index = store.index("uuid").getAll(IDBKeyRange.only(conflict.uuid));
+
+            return new Promise((resolve, reject) => {
+                index.onsuccess = () => {
+                    index.result
+                        .filter(existing => existing.entite === conflict.entite && existing.champ === conflict.champ)
+                        .forEach(existing => store.delete(existing.id));
+
+                    const request = store.add(record);
                     request.onsuccess = () => resolve(request.result);
                     request.onerror = () => reject(request.error);
+                };
+                index.onerror = () => reject(index.error);
+            });
+        });
+    }
+
+    async getSyncConflicts() {
+        return await this.executeTransaction(["sync_conflicts"], "readonly", async (transaction) => {
+            const request = transaction.objectStore("sync_conflicts").getAll();
+
+            return new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    async deleteSyncConflict(id) {
+        return await this.executeTransaction(["sync_conflicts"], "readwrite", async (transaction) => {
+            const request = transaction.objectStore("sync_conflicts").delete(id);
+
+            return new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve(id);
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    /**
+     * @method validateIshikawaBranches
+     * @description Vérifie la structure 6M : { branche: [{ cause, sous_causes: [] }] }
+     * @param {Object} branches - Causes classées par branche
+     * @implements DMAIC - Analyze (diagramme causes-effet)
+     */
+    validateIshikawaBranches(branches) {
+        if (!branches || typeof branches !== 'object' || Array.isArray(branches)) {
+            throw new Error("Validation échouée: branches doit décrire les 6M du diagramme");
+        }
+
+        const errors = [];
+        Object.entries(branches).forEach(([categorie, causes]) => {
+            if (!ISHIKAWA_CATEGORIES.includes(categorie)) {
+                errors.push(`branche inconnue: ${categorie}`);
+                return;
+            }
+            if (!Array.isArray(causes)) {
+                errors.push(`${categorie} doit être une liste de causes`);
+                return;
+            }
+            causes.forEach((item, index) => {
+                if (!item || typeof item.cause !== 'string' || item.cause.trim() === '') {
+                    errors.push(`${categorie} #${index + 1}: cause requise`);
+                }
+                const sousCauses = item && item.sous_causes;
+                if (sousCauses !== undefined && (!Array.isArray(sousCauses) || sousCauses.some(s => typeof s !== 'string'))) {
+                    errors.push(`${categorie} #${index + 1}: sous_causes doit être une liste de chaînes`);
+                }
+            });
+        });
+
+        if (errors.length > 0) {
+            throw new Error(`Validation échouée: ${errors.join(', ')}`);
+        }
+    }
+
+    /**
+     * @method setCurrentUser
+     * @description Définit l'utilisateur auquel sont imputées les écritures de la piste d'audit
+     * @implements ISO 9001 - Traçabilité
+     */
+    setCurrentUser(user) {
+        this.currentUser = user ? { id: user.id, username: user.username } : null;
+    }
+
+    /**
+     * @method buildAuditEntry
+     * @description Prépare une entrée de la piste d'audit (append-only, chaînée par hash SHA-256)
+     * @param {string} action - CREATE, UPDATE ou DELETE
+     * @param {string} entity - Store concerné
+     * @param {number} entityId - Identifiant de l'enregistrement
+     * @param {Object|null} before - Valeur avant modification
+     * @param {Object|null} after - Valeur après modification
+     * @implements ISO 9001 §7.5.3 - Maîtrise des informations documentées
+     */
+    buildAuditEntry(action, entity, entityId, before, after) {
+        return {
+            timestamp: new Date().toISOString(),
+            user_id: this.currentUser ? this.currentUser.id : 0,
+            username: this.currentUser ? this.currentUser.username : "système",
+            action,
+            entity,
+            entity_id: entityId,
+            before: this.redactAuditValue(before),
+            after: this.redactAuditValue(after)
+        };
+    }
+
+    readLastAuditHash(auditStore) {
+        const request = auditStore.openCursor(null, "prev");
+
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result ? request.result.value.hash : AUDIT_GENESIS_HASH);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * @method writeAuditEntry
+     * @description Seule écriture autorisée sur audit_trail : ajout d'une entrée chaînée à la précédente.
+     * Les transactions qui incluent audit_trail en écriture sont sérialisées par IndexedDB, ce qui garantit
+     * l'unicité du maillon suivant.
+     * @param {IDBObjectStore} auditStore - Store audit_trail de la transaction de la mutation
+     * @param {Object} entry - Entrée préparée par buildAuditEntry
+     * @param {string} previousHash - Hash de l'entrée précédente
+     * @returns {Promise<string>} Hash de l'entrée ajoutée
+     */
+    writeAuditEntry(auditStore, entry, previousHash) {
+        const chained = { ...entry, previous_hash: previousHash };
+        chained.hash = this.computeAuditHash(chained);
+        const request = auditStore.add(chained);
+
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(chained.hash);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    computeAuditHash(entry) {
+        const { timestamp, user_id, username, action, entity, entity_id, before, after, previous_hash } = entry;
+        return sha256Hex(JSON.stringify([timestamp, user_id, username, action, entity, entity_id, before, after, previous_hash]));
+    }
+
+    redactAuditValue(value) {
+        // Les hash de mots de passe ne sont jamais recopiés dans la piste d'audit
+        if (!value || value.password === undefined) return value;
+        return { ...value, password: "[masqué]" };
+    }
+
+    /**
+     * @method queryAuditTrail
+     * @description Consulte la piste d'audit filtrée par utilisateur, entité et période
+     * @param {Object} filters - { userId, entity, entityId, dateFrom, dateTo }
+     * @returns {Promise<Array>} Entrées de la plus récente à la plus ancienne
+     * @implements ISO 9001 - Traçabilité
+     */
+    async queryAuditTrail(filters = {}) {
+        const { userId, entity, entityId, dateFrom, dateTo } = filters;
+        const from = dateFrom ? new Date(dateFrom).toISOString() : null;
+        const to = dateTo ? new Date(dateTo).toISOString() : null;
+
+        let range = null;
+        if (from && to) range = IDBKeyRange.bound(from, to);
+        else if (from) range = IDBKeyRange.lowerBound(from);
+        else if (to) range = IDBKeyRange.upperBound(to);
+
+        return await this.executeTransaction(["audit_trail"], "readonly", async (transaction) => {
+            const request = transaction.objectStore("audit_trail").index("timestamp").openCursor(range, "prev");
+
+            return new Promise((resolve, reject) => {
+                const entries = [];
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) {
+                        resolve(entries);
+                        return;
+                    }
+
+                    const entry = cursor.value;
+                    if ((userId === undefined || entry.user_id === userId) &&
+                        (entity === undefined || entry.entity === entity) &&
+                        (entityId === undefined || entry.entity_id === entityId)) {
+                        entries.push(entry);
+                    }
+                    cursor.continue();
+                };
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    /**
+     * @method verifyAuditTrail
+     * @description Recalcule la chaîne de hash pour détecter toute altération de la piste d'audit
+     * @returns {Promise<Object>} { valid, checked, brokenAt }
+     * @implements ISO 9001 - Intégrité des enregistrements
+     * @implements PDCA - Check
+     */
+    async verifyAuditTrail() {
+        const entries = await this.executeTransaction(["audit_trail"], "readonly", async (transaction) => {
+            const request = transaction.objectStore("audit_trail").getAll();
+
+            return new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        });
+
+        const brokenAt = this.findAuditChainBreak(entries);
+        if (brokenAt !== null) {
+            this.logError('AUDIT_TRAIL_TAMPERED', new Error(`Piste d'audit altérée à l'entrée #${brokenAt}`));
+            return { valid: false, checked: entries.length, brokenAt };
+        }
+
+        return { valid: true, checked: entries.length, brokenAt: null };
+    }
+
+    /**
+     * @method findAuditChainBreak
+     * @description Parcourt une suite d'entrées d'audit et renvoie l'identifiant de la première dont le chaînage ou le hash est faux
+     * @param {Array} entries - Entrées triées par identifiant croissant
+     * @returns {number|null} Identifiant de l'entrée altérée, null si la chaîne est intacte
+     * @implements ISO 9001 - Intégrité des enregistrements
+     */
+    findAuditChainBreak(entries) {
+        let previousHash = AUDIT_GENESIS_HASH;
+        for (const entry of entries) {
+            if (entry.previous_hash !== previousHash || entry.hash !== this.computeAuditHash(entry)) {
+                return entry.id;
+            }
+            previousHash = entry.hash;
+        }
+        return null;
+    }
+
+    /**
+     * @method exportBackup
+     * @description Copie intégrale de tous les stores, avec version du schéma et somme de contrôle
+     * @returns {Promise<Object>} Archive { format, version, created_at, created_by, stores, checksum }
+     * @implements ISO 9001 §7.5.3 - Protection des informations documentées
+     */
+    async exportBackup() {
+        try {
+            const storeNames = Array.from(this.db.objectStoreNames);
+            const stores = await this.executeTransaction(storeNames, "readonly", async (transaction) => {
+                const contents = await Promise.all(storeNames.map(name => new Promise((resolve, reject) => {
+                    const request = transaction.objectStore(name).getAll();
+                    request.onsuccess = () => resolve([name, request.result]);
+                    request.onerror = () => reject(request.error);
+                })));
+                return Object.fromEntries(contents);
+            });
+
+            const archive = {
+                format: BACKUP_FORMAT,
+                version: this.dbVersion,
+                created_at: new Date().toISOString(),
+                created_by: this.currentUser ? this.currentUser.username : "système",
+                stores,
+                checksum: await this.computeBackupChecksum(this.dbVersion, stores)
+            };
+
+            this.logInfo('BACKUP_EXPORTED', { version: archive.version, stores: storeNames.length });
+            return archive;
+
+        } catch (error) {
+            this.logError('BACKUP_EXPORT_FAILED', error);
+            throw error;
+        }
+    }
+
+    async computeBackupChecksum(version, stores) {
+        const payload = JSON.stringify([version, stores]);
+        const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(payload));
+        return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * @method migrateBackupStores
+     * @description Rejoue sur le contenu d'une archive les migrations postérieures à sa version
+     * @param {Object} stores - Enregistrements par store
+     * @param {number} fromVersion - Version du schéma de l'archive
+     * @returns {Object} Enregistrements au schéma courant
+     * @implements ISO 9001 - Maîtrise des modifications
+     */
+    migrateBackupStores(stores, fromVersion) {
+        const migrated = JSON.parse(JSON.stringify(stores));
+
+        // Même registre que la base : seules les opérations sur les données ont un effet
+        const context = {
+            createStore: (table) => {
+                if (!migrated[table.name]) migrated[table.name] = [];
+            },
+            createIndex: () => {},
+            transformRecords: (storeName, transform) => {
+                migrated[storeName] = (migrated[storeName] || []).map(record => {
+                    const updated = transform(record);
+                    return updated === undefined ? record : updated;
+                });
+            }
+        };
+
+        MIGRATIONS.filter(m => m.version > fromVersion).forEach(migration => migration.up(context));
+        return migrated;
+    }
+
+    /**
+     * @method validateBackup
+     * @description Contrôle une archive (format, version, somme de contrôle, clés) et la migre au schéma courant
+     * @param {Object} archive - Archive produite par exportBackup
+     * @returns {Promise<Object>} { version, created_at, created_by, counts, stores }
+     * @implements ISO 9001 - Intégrité des enregistrements
+     */
+    async validateBackup(archive) {
+        if (!archive || archive.format !== BACKUP_FORMAT) {
+            throw new Error("Archive invalide: ce fichier n'est pas une sauvegarde Q-TRACK");
+        }
+        if (!Number.isInteger(archive.version) || archive.version < 1) {
+            throw new Error("Archive invalide: version du schéma absente");
+        }
+        if (archive.version > this.dbVersion) {
+            throw new Error(`Archive créée par une version plus récente de Q-TRACK (schéma v${archive.version}, v${this.dbVersion} installé)`);
+        }
+        if (!archive.stores || typeof archive.stores !== 'object' || Object.values(archive.stores).some(records => !Array.isArray(records))) {
+            throw new Error("Archive invalide: contenu des stores illisible");
+        }
+        if (archive.checksum !== await this.computeBackupChecksum(archive.version, archive.stores)) {
+            throw new Error("Archive corrompue: la somme de contrôle ne correspond pas au contenu");
+        }
+
+        // La piste d'audit archivée n'est pas restaurée, mais une chaîne rompue trahit une archive altérée
+        const auditEntries = [...(archive.stores.audit_trail || [])].sort((a, b) => a.id - b.id);
+        const brokenAt = this.findAuditChainBreak(auditEntries);
+        if (brokenAt !== null) {
+            throw new Error(`Archive invalide: piste d'audit altérée (entrée #${brokenAt})`);
+        }
+
+        const stores = this.migrateBackupStores(archive.stores, archive.version);
+        const unknown = Object.keys(stores).filter(name => !this.db.objectStoreNames.contains(name));
+        if (unknown.length > 0) {
+            throw new Error(`Archive invalide: stores inconnus (${unknown.join(', ')})`);
+        }
+        Object.entries(stores).forEach(([name, records]) => {
+            if (records.some(record => !record || record.id === undefined)) {
+                throw new Error(`Archive invalide: enregistrement sans identifiant dans ${name}`);
+            }
+        });
+
+        return {
+            version: archive.version,
+            created_at: archive.created_at,
+            created_by: archive.created_by,
+            counts: Object.fromEntries(Object.entries(stores).map(([name, records]) => [name, records.length])),
+            stores
+        };
+    }
+
+    /**
+     * @method restoreBackup
+     * @description Restaure une archive en une transaction : remplacement complet ou fusion avec l'existant.
+     * En fusion, un identifiant déjà présent avec un contenu différent est un conflit, résolu selon "conflicts".
+     * Dans les deux modes, la piste d'audit locale est conservée telle quelle (elle est en ajout seul) :
+     * la restauration n'y ajoute qu'une entrée RESTORE.
+     * L'outbox et les conflits de synchronisation du poste sont conservés, et les enregistrements restaurés
+     * ne sont pas envoyés au serveur : les curseurs et les rejets sont remis à zéro, le cycle suivant
+     * reçoit de nouveau tout le contenu du serveur (resynchronisation complète).
+     * @param {Object} archive - Archive produite par exportBackup
+     * @param {Object} options - { mode: 'remplacer' | 'fusionner', conflicts: 'conserver' | 'ecraser' }
+     * @returns {Promise<Object>} Bilan par store { ajoutes, remplaces, identiques, conflits, rejetes }
+     * @implements ISO 9001 §7.5.3 - Protection des informations documentées
+     */
+    async restoreBackup(archive, { mode = "fusionner", conflicts = "conserver" } = {}) {
+        try {
+            if (!RESTORE_MODES.includes(mode)) {
+                throw new Error(`Mode de restauration inconnu: ${mode}`);
+            }
+            const { stores, version } = await this.validateBackup(archive);
+            const storeNames = Object.keys(stores).filter(name => !RESTORE_EXCLUDED_STORES.includes(name));
+            if (stores.parametres) {
+                stores.parametres = stores.parametres.filter(entry => !RESTORE_RESET_PARAMETRES.includes(entry.id));
+            }
+
+            const archivedAudit = (stores.audit_trail || []).length;
+            const scope = storeNames.includes("parametres") ? storeNames : [...storeNames, "parametres"];
+
+            const summary = await this.executeMutation(scope, async (transaction, audit) => {
+                const report = {};
+
+                const writes = storeNames.flatMap(name => {
+                    const store = transaction.objectStore(name);
+                    const counts = { ajoutes: 0, remplaces: 0, identiques: 0, conflits: 0, rejetes: 0 };
+                    report[name] = counts;
+
+                    // Une écriture refusée (ex: nom d'utilisateur déjà pris) est comptée sans annuler la restauration
+                    const write = (record, counter, done) => {
+                        const request = store.put(record);
+                        request.onsuccess = () => {
+                            counts[counter] += 1;
+                            done();
+                        };
+                        request.onerror = (event) => {
+                            event.preventDefault();
+                            counts.rejetes += 1;
+                            done();
+                        };
+                    };
+
+                    if (mode === "remplacer") {
+                        store.clear();
+                        return stores[name].map(record => new Promise(done => write(record, "ajoutes", done)));
+                    }
+
+                    return stores[name].map(record => new Promise((done, reject) => {
+                        const request = store.get(record.id);
+                        request.onsuccess = () => {
+                            const existing = request.result;
+                            if (!existing) {
+                                write(record, "ajoutes", done);
+                            } else if (JSON.stringify(existing) === JSON.stringify(record)) {
+                                counts.identiques += 1;
+                                done();
+                            } else if (conflicts === "ecraser") {
+                                write(record, "remplaces", done);
+                            } else {
+                                counts.conflits += 1;
+                                done();
+                            }
+                        };
+                        request.onerror = () => reject(request.error);
+                    }));
                 });
+
+                // La trace RESTORE porte le bilan, connu une fois toutes les écritures traitées
+                await Promise.all(writes);
+                const parametres = transaction.objectStore("parametres");
+                RESTORE_RESET_PARAMETRES.forEach(name => parametres.delete(name));
+                audit("RESTORE", "database", 0, null, { mode, conflicts, version, created_at: archive.created_at, archivedAudit, summary: report });
+                return report;
             });
 
+            this.logInfo('BACKUP_RESTORED', { mode, conflicts, version });
+            return summary;
+
         } catch (error) {
-            this.logError('ACTION_ADD_FAILED', error);
+            this.logError('BACKUP_RESTORE_FAILED', error);
             throw error;
         }
     }
 
     /**
      * @method hashPassword
-     * @description Hashage sécurisé du mot de passe
+     * @description Hashage salé PBKDF2-SHA256 au format versionné "pbkdf2_sha256$v1$<itérations>$<sel>$<hash>"
      * @implements ISO 27001 - Sécurité de l'information
      */
-    async hashPassword(password) {
-        // Utilisation de l'API SubtleCrypto pour le hashage sécurisé
+    async hashPassword(password, salt = crypto.getRandomValues(new Uint8Array(PASSWORD_HASH.SALT_BYTES)), iterations = PASSWORD_HASH.ITERATIONS) {
+        const hash = await this.derivePbkdf2(password, salt, iterations);
+        return [PASSWORD_HASH.ALGORITHM, PASSWORD_HASH.VERSION, iterations, this.toBase64(salt), this.toBase64(hash)].join('$');
+    }
+
+    /**
+     * @method derivePbkdf2
+     * @description Dérive la clé PBKDF2 via l'API SubtleCrypto
+     * @implements ISO 27001 - Sécurité de l'information
+     */
+    async derivePbkdf2(password, salt, iterations) {
+        const encoder = new TextEncoder();
+        const keyMaterial = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            keyMaterial,
+            PASSWORD_HASH.KEY_BITS
+        );
+        return new Uint8Array(bits);
+    }
+
+    /**
+     * @method hashLegacyPassword
+     * @description Ancien format : SHA-256 hexadécimal sans sel (conservé pour la migration des comptes)
+     * @implements ISO 27001 - Sécurité de l'information
+     */
+    async hashLegacyPassword(password) {
         const encoder = new TextEncoder();
-        const data = encoder.encode(password);
-        const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-        const hashArray = Array.from(new Uint8Array(hashBuffer));
-        return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+        const hashBuffer = await crypto.subtle.digest('SHA-256', encoder.encode(password));
+        return new Uint8Array(hashBuffer);
+    }
+
+    /**
+     * @method verifyPassword
+     * @description Vérifie un mot de passe en clair contre le hash stocké (comparaison en temps constant)
+     * @implements ISO 27001 - Sécurité de l'information
+     */
+    async verifyPassword(password, storedHash) {
+        if (!password || !storedHash) return false;
+
+        if (this.isLegacyHash(storedHash)) {
+            const expected = storedHash.match(/../g).map(byte => parseInt(byte, 16));
+            return this.constantTimeEqual(await this.hashLegacyPassword(password), Uint8Array.from(expected));
+        }
+
+        const [algorithm, version, iterations, salt, hash] = storedHash.split('$');
+        if (algorithm !== PASSWORD_HASH.ALGORITHM || version !== PASSWORD_HASH.VERSION) {
+            this.logError('UNKNOWN_HASH_FORMAT', new Error(`Format de hash inconnu: ${algorithm}$${version}`));
+            return false;
+        }
+
+        const derived = await this.derivePbkdf2(password, this.fromBase64(salt), Number(iterations));
+        return this.constantTimeEqual(derived, this.fromBase64(hash));
+    }
+
+    /**
+     * @method needsRehash
+     * @description Indique si un hash stocké doit être régénéré au format courant
+     * @implements ISO 27001 - Sécurité de l'information
+     */
+    needsRehash(storedHash) {
+        if (this.isLegacyHash(storedHash)) return true;
+
+        const [algorithm, version, iterations] = storedHash.split('$');
+        return algorithm !== PASSWORD_HASH.ALGORITHM
+            || version !== PASSWORD_HASH.VERSION
+            || Number(iterations) < PASSWORD_HASH.ITERATIONS;
+    }
+
+    isLegacyHash(storedHash) {
+        return /^[0-9a-f]{64}$/.test(storedHash);
+    }
+
+    constantTimeEqual(a, b) {
+        // Parcours complet quelle que soit la position de la première différence
+        let diff = a.length ^ b.length;
+        for (let i = 0; i < Math.max(a.length, b.length); i++) {
+            diff |= (a[i] || 0) ^ (b[i] || 0);
+        }
+        return diff === 0;
+    }
+
+    toBase64(bytes) {
+        return btoa(String.fromCharCode(...bytes));
+    }
+
+    fromBase64(value) {
+        return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+    }
+
+    /**
+     * @method validatePasswordStrength
+     * @description Applique la politique de mot de passe de la configuration d'origine (ConfigManager)
+     * @returns {Array<string>} Liste des règles non respectées
+     * @implements ISO 27001 - Politique de mots de passe
+     */
+    validatePasswordStrength(password) {
+        const errors = [];
+
+        if (password.length < PASSWORD_POLICY.min_length) {
+            errors.push(`Le mot de passe doit contenir au moins ${PASSWORD_POLICY.min_length} caractères`);
+        }
+        if (PASSWORD_POLICY.require_uppercase && !/[A-Z]/.test(password)) {
+            errors.push("Le mot de passe doit contenir au moins une majuscule");
+        }
+        if (PASSWORD_POLICY.require_lowercase && !/[a-z]/.test(password)) {
+            errors.push("Le mot de passe doit contenir au moins une minuscule");
+        }
+        if (PASSWORD_POLICY.require_digit && !/[0-9]/.test(password)) {
+            errors.push("Le mot de passe doit contenir au moins un chiffre");
+        }
+        if (PASSWORD_POLICY.require_special && !/[!@#$%^&*()_+\-=\[\]{}|;:'",.<>/?`~]/.test(password)) {
+            errors.push("Le mot de passe doit contenir au moins un caractère spécial");
+        }
+
+        return errors;
     }
 
     /**
@@ -411,11 +3146,15 @@ class DatabaseManager {
             initialized: !!this.db,
             dbName: this.dbName,
             version: this.dbVersion,
-            storeNames: this.db ? Array.from(this.db.objectStoreNames) : []
+            storeNames: this.db ? Array.from(this.db.objectStoreNames) : [],
+            upgrade: this.upgradeStatus
+                ? { ...this.upgradeStatus, error: this.upgradeStatus.error && this.upgradeStatus.error.message }
+                : null
         };
     }
 }
 
 // Exporter l'instance de la base de données avec pattern Singleton
 const dbManager = new DatabaseManager();
-export default dbManager;
\ No newline at end of file
+export default dbManager;
+export { DatabaseManager, PASSWORD_POLICY, ROLES, METHODES_ANALYSE, ISHIKAWA_CATEGORIES, GRAVITE_OPTIONS, NC_STATUTS, NC_TRANSITIONS, ACTION_STATUTS, ACTION_STATUTS_TERMINES, ACTION_EFFICACITE_OPTIONS, RAPPORT_TYPES, RAPPORT_FORMATS, DISCIPLINES_8D, NOTIFICATION_NIVEAUX, MAIL_STATUTS };
\ No newline at end of file
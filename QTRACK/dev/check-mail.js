@@ -0,0 +1,113 @@
+/**
+ * Contrôle de la file d'envoi des emails contre le serveur de développement (dev/stub-server.mjs) :
+ * nouvelles tentatives, abandon, journal de remise et réservation des emails entre onglets.
+ * Travaille dans une base IndexedDB dédiée, supprimée à la fin du contrôle.
+ */
+import { DatabaseManager } from "../database.js";
+import createMailTransport, { dispatchMailQueue } from "../mail.js";
+
+const DB_NAME = "QTrackDB-check-mail";
+const OPTIONS = { maxRetries: 3, retryDelay: 0, claimDuration: 60 * 1000 };
+
+const deleteDatabase = (name) => new Promise((resolve, reject) => {
+    const request = indexedDB.deleteDatabase(name);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+});
+
+async function stub(baseUrl, method, pathname, body) {
+    const response = await fetch(`${baseUrl}${pathname}`, {
+        method,
+        headers: body ? { "Content-Type": "application/json" } : {},
+        body: body ? JSON.stringify(body) : undefined
+    });
+    if (!response.ok) throw new Error(`${method} ${pathname} : HTTP ${response.status}`);
+    return response.json();
+}
+
+/**
+ * @function checkMail
+ * @description Déroule le scénario et renvoie un résultat par vérification
+ * @param {Object} options - { baseUrl } : adresse du serveur de développement
+ * @returns {Promise<Array>} [{ name, ok, detail }]
+ */
+export default async function checkMail({ baseUrl }) {
+    const results = [];
+    const expect = (name, ok, detail = "") => results.push({ name, ok: !!ok, detail });
+
+    await deleteDatabase(DB_NAME);
+    const db = new DatabaseManager({ dbName: DB_NAME });
+    await db.initializationPromise;
+
+    try {
+        await stub(baseUrl, "POST", "/stub/reset", {
+            mail: { failures: { "retry@qtrack.test": 2, "down@qtrack.test": 99 }, delay: 20 }
+        });
+
+        const enqueue = (destinataire) => db.enqueueMail({ destinataire, sujet: `Contrôle ${destinataire}`, corps: "Contrôle de la file" });
+        const ids = {
+            ok: await enqueue("ok@qtrack.test"),
+            retry: await enqueue("retry@qtrack.test"),
+            down: await enqueue("down@qtrack.test"),
+            locked: await enqueue("locked@qtrack.test")
+        };
+
+        // Email en cours d'envoi par un autre onglet : sa réservation court encore
+        await db.claimMail(ids.locked, { duration: 60 * 1000 });
+
+        const webhook = createMailTransport({ type: "webhook", url: `${baseUrl}/stub/mail/webhook` });
+
+        // Deux onglets vident la file en même temps, puis les passes suivantes épuisent les tentatives
+        await Promise.all([dispatchMailQueue(db, webhook, OPTIONS), dispatchMailQueue(db, webhook, OPTIONS)]);
+        for (let pass = 0; pass < OPTIONS.maxRetries && (await db.getPendingMails()).length > 0; pass++) {
+            await dispatchMailQueue(db, webhook, OPTIONS);
+        }
+
+        const mails = Object.fromEntries((await db.getMails()).map(mail => [mail.id, mail]));
+        const log = await db.getMailLog();
+        const logOf = (id) => log.filter(entry => entry.id_mail === id).sort((a, b) => a.tentative - b.tentative);
+        const { deliveries } = await stub(baseUrl, "GET", "/stub/mail/deliveries");
+        const deliveredTo = (address) => deliveries.filter(delivery => delivery.to === address).length;
+
+        expect("Email remis une seule fois malgré deux envois simultanés",
+            deliveredTo("ok@qtrack.test") === 1 && mails[ids.ok].tentatives === 1,
+            `${deliveredTo("ok@qtrack.test")} remise(s), ${mails[ids.ok].tentatives} tentative(s)`);
+
+        expect("Email remis à la 3e tentative après deux échecs",
+            mails[ids.retry].statut === "Envoyé" && mails[ids.retry].tentatives === 3 && deliveredTo("retry@qtrack.test") === 1,
+            `${mails[ids.retry].statut}, ${mails[ids.retry].tentatives} tentative(s)`);
+
+        const retryLog = logOf(ids.retry).map(entry => `${entry.tentative}:${entry.statut}`).join(" ");
+        expect("Journal de remise : chaque tentative tracée", retryLog === "1:Erreur 2:Erreur 3:Envoyé", retryLog);
+
+        expect("Email abandonné après le nombre maximal de tentatives",
+            mails[ids.down].statut === "Échec" && mails[ids.down].tentatives === OPTIONS.maxRetries
+                && logOf(ids.down).every(entry => entry.statut === "Erreur" && /HTTP 503/.test(entry.erreur)),
+            `${mails[ids.down].statut}, ${logOf(ids.down).length} entrée(s) au journal`);
+
+        expect("Email réservé par un autre onglet non envoyé",
+            mails[ids.locked].statut === "En cours" && deliveredTo("locked@qtrack.test") === 0,
+            mails[ids.locked].statut);
+
+        // Onglet fermé pendant l'envoi : la réservation expirée rend l'email à la file
+        ids.smtp = await enqueue("smtp@qtrack.test");
+        await db.claimMail(ids.smtp, { duration: 0 });
+        const relay = createMailTransport({ type: "smtp", relayUrl: `${baseUrl}/stub/mail/smtp`, host: "smtp.qtrack.test" });
+        const summary = await dispatchMailQueue(db, relay, OPTIONS);
+        const smtpMail = (await db.getMails()).find(mail => mail.id === ids.smtp);
+        expect("Réservation expirée reprise et remise par le relais SMTP",
+            summary.envoyes === 1 && smtpMail.statut === "Envoyé" && smtpMail.fin_reservation === undefined
+                && (await db.getMailLog()).some(entry => entry.id_mail === ids.smtp && entry.transport === "smtp"),
+            `${smtpMail.statut}, ${summary.envoyes} envoi(s)`);
+
+    } catch (error) {
+        expect("Déroulement du contrôle", false, error.message);
+    } finally {
+        // Le compte administrateur du premier démarrage est créé en arrière-plan : la base ne se ferme qu'après
+        while ((await db.getUsers()).length === 0) await new Promise(resolve => setTimeout(resolve, 50));
+        db.db.close();
+        await deleteDatabase(DB_NAME);
+    }
+
+    return results;
+}
@@ -0,0 +1,198 @@
+/**
+ * Contrôle de la synchronisation contre l'API simulée par le serveur de développement (dev/stub-server.mjs) :
+ * outbox écrite avec la mutation, envoi, réception, enregistrements refusés et conflits.
+ * Un second poste est simulé par des appels directs à l'API. Travaille dans une base IndexedDB dédiée,
+ * supprimée à la fin du contrôle.
+ */
+import { DatabaseManager } from "../database.js";
+import SyncEngine, { API_ENDPOINTS } from "../sync.js";
+
+const DB_NAME = "QTrackDB-check-sync";
+
+const deleteDatabase = (name) => new Promise((resolve, reject) => {
+    const request = indexedDB.deleteDatabase(name);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function call(baseUrl, method, pathname, body, token = null) {
+    const headers = body ? { "Content-Type": "application/json" } : {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const response = await fetch(`${baseUrl}${pathname}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined
+    });
+    if (!response.ok) throw new Error(`${method} ${pathname} : HTTP ${response.status}`);
+    return response.json();
+}
+
+/**
+ * @function checkSync
+ * @description Déroule le scénario et renvoie un résultat par vérification
+ * @param {Object} options - { baseUrl } : adresse du serveur de développement
+ * @returns {Promise<Array>} [{ name, ok, detail }]
+ */
+export default async function checkSync({ baseUrl }) {
+    const results = [];
+    const expect = (name, ok, detail = "") => results.push({ name, ok: !!ok, detail });
+
+    await deleteDatabase(DB_NAME);
+    const db = new DatabaseManager({ dbName: DB_NAME });
+    await db.initializationPromise;
+    // Compte administrateur du premier démarrage, créé en arrière-plan : c'est l'utilisateur du poste
+    while ((await db.getUsers()).length === 0) await sleep(50);
+
+    try {
+        await call(baseUrl, "POST", "/stub/reset", { sync: { endpoints: API_ENDPOINTS } });
+
+        const [admin] = await db.getUsers();
+        const engine = new SyncEngine({ db, baseUrl, endpoints: API_ENDPOINTS, strategy: "manuel" });
+        await engine.register({ uuid: admin.uuid, username: admin.username, email: admin.email, password: "admin123" });
+
+        // Second poste : écrit directement sur le serveur avec sa propre session
+        const other = await call(baseUrl, "POST", API_ENDPOINTS.REGISTER, {
+            uuid: crypto.randomUUID(), username: "autre", email: "autre@qtrack.test", password: "Autre-poste-1"
+        });
+        const remote = (method, pathname, body) => call(baseUrl, method, pathname, body, other.token);
+        const serverNc = async (uuid) => (await call(baseUrl, "GET", "/stub/sync/records")).non_conformites.find(nc => nc.uuid === uuid);
+        const localNc = async (uuid) => db.getRecordByUuid("non_conformites", uuid);
+        const completeNc = (fields) => ({
+            uuid: crypto.randomUUID(),
+            type_defaut: "Dimensionnel",
+            poste: "P3",
+            gravite: "Mineure",
+            description: "Cote hors tolérance",
+            statut: "Ouvert",
+            date_creation: new Date().toISOString(),
+            declarant_uuid: admin.uuid,
+            ...fields
+        });
+
+        // Outbox écrite par la transaction de la mutation
+        const outboxBefore = (await db.getSyncOutbox()).length;
+        const ncId = await db.addNonConformite({
+            type_defaut: "Soudure",
+            poste: "P1",
+            gravite: "Majeure",
+            description: "Cordon poreux",
+            statut: "Ouvert",
+            date_creation: new Date().toISOString(),
+            id_declarant: admin.id
+        });
+        const nc = (await db.getNonConformites()).find(item => item.id === ncId);
+        const outbox = await db.getSyncOutbox();
+        expect("Création reportée dans l'outbox par la même transaction",
+            outbox.length === outboxBefore + 1 && outbox[outbox.length - 1].uuid === nc.uuid,
+            `${outbox.length - outboxBefore} entrée(s)`);
+
+        let refused = false;
+        try {
+            await db.updateNonConformite(ncId, { statut: "Clos" });
+        } catch (error) {
+            refused = true;
+        }
+        expect("Mutation refusée : aucune entrée d'outbox",
+            refused && (await db.getSyncOutbox()).length === outbox.length,
+            `${(await db.getSyncOutbox()).length - outbox.length} entrée(s) ajoutée(s)`);
+
+        // Envoi
+        let summary = await engine.sync();
+        const pushed = await serverNc(nc.uuid);
+        expect("Envoi : NC créée sur le serveur avec la référence au déclarant",
+            pushed && pushed.description === "Cordon poreux" && pushed.declarant_uuid === admin.uuid
+                && (await db.getSyncOutbox()).length === 0,
+            `${summary.envoyes} envoi(s)`);
+
+        // Réception : création et modification faites sur le second poste
+        const created = completeNc();
+        await remote("POST", API_ENDPOINTS.NON_CONFORMITES, created);
+        await remote("PATCH", `${API_ENDPOINTS.NON_CONFORMITES}/${nc.uuid}`, {
+            changes: { description: "Cordon poreux (reprise)" },
+            base: { description: "Cordon poreux" }
+        });
+        summary = await engine.sync();
+        const received = await localNc(created.uuid);
+        expect("Réception : NC créée et NC modifiée sur l'autre poste",
+            received && received.id_declarant === admin.id && (await localNc(nc.uuid)).description === "Cordon poreux (reprise)",
+            `${summary.recus} reçu(s)`);
+
+        // Enregistrement invalide : écarté sans bloquer la suite du cycle
+        const incomplete = { uuid: crypto.randomUUID(), description: "NC sans champs obligatoires" };
+        const valid = completeNc({ description: "Reçue après une NC invalide" });
+        await remote("POST", API_ENDPOINTS.NON_CONFORMITES, incomplete);
+        await remote("POST", API_ENDPOINTS.NON_CONFORMITES, valid);
+        await db.updateNonConformite(ncId, { poste: "P2" });
+        summary = await engine.sync();
+
+        const rejets = (await db.getParametre("sync_rejets")) || {};
+        const cursor = (await db.getParametre("sync_curseurs")).non_conformites;
+        const { records: afterCursor } = await remote("GET", `${API_ENDPOINTS.NON_CONFORMITES}?since=${cursor}`);
+        expect("Enregistrement invalide écarté dans les rejets",
+            summary.rejets === 1 && rejets[`non_conformites:${incomplete.uuid}`] && !(await localNc(incomplete.uuid)),
+            rejets[`non_conformites:${incomplete.uuid}`] ? rejets[`non_conformites:${incomplete.uuid}`].erreur : "aucun rejet");
+        // Au-delà du curseur ne reste que l'écho de l'envoi du même cycle
+        const pendingAgain = afterCursor.filter(record => record.uuid === incomplete.uuid || record.uuid === valid.uuid);
+        expect("Réception poursuivie et curseur avancé après le rejet",
+            (await localNc(valid.uuid)) && pendingAgain.length === 0,
+            `curseur ${cursor}, ${pendingAgain.length} enregistrement(s) à recevoir de nouveau`);
+        expect("Envoi effectué malgré le rejet", (await serverNc(nc.uuid)).poste === "P2", `${summary.envoyes} envoi(s)`);
+
+        await remote("POST", API_ENDPOINTS.NON_CONFORMITES, completeNc({ uuid: incomplete.uuid, description: "NC complétée" }));
+        summary = await engine.sync();
+        expect("Version corrigée reçue : rejet levé",
+            summary.rejets === 0 && (await localNc(incomplete.uuid))
+                && !((await db.getParametre("sync_rejets")) || {})[`non_conformites:${incomplete.uuid}`],
+            `${summary.rejets} rejet(s)`);
+
+        // Conflit en arbitrage manuel : même champ modifié sur les deux postes
+        await db.updateNonConformite(ncId, { gravite: "Critique" });
+        await remote("PATCH", `${API_ENDPOINTS.NON_CONFORMITES}/${nc.uuid}`, {
+            changes: { gravite: "Mineure" },
+            base: { gravite: "Majeure" }
+        });
+        summary = await engine.sync();
+        const conflict = (await db.getSyncConflicts()).find(item => item.uuid === nc.uuid && item.champ === "gravite");
+        expect("Arbitrage manuel : conflit ouvert, aucune valeur écrasée",
+            summary.conflits === 1 && conflict && conflict.valeur_locale === "Critique" && conflict.valeur_distante === "Mineure"
+                && (await localNc(nc.uuid)).gravite === "Critique" && (await serverNc(nc.uuid)).gravite === "Mineure",
+            `${summary.conflits} conflit(s)`);
+
+        // Dernier écrit gagne : la modification du serveur, plus récente, remplace la valeur locale
+        const lww = new SyncEngine({ db, baseUrl, endpoints: API_ENDPOINTS, strategy: "lww" });
+        lww.setToken(engine.token);
+        await db.updateNonConformite(ncId, { type_defaut: "Soudure manuelle" });
+        await sleep(10);
+        await remote("PATCH", `${API_ENDPOINTS.NON_CONFORMITES}/${nc.uuid}`, {
+            changes: { type_defaut: "Soudure robotisée" },
+            base: { type_defaut: "Soudure" }
+        });
+        summary = await lww.sync();
+        expect("Dernier écrit gagne : valeur la plus récente retenue sur les deux postes",
+            summary.conflits === 0 && (await localNc(nc.uuid)).type_defaut === "Soudure robotisée"
+                && (await serverNc(nc.uuid)).type_defaut === "Soudure robotisée" && (await db.getSyncOutbox()).length === 0,
+            (await localNc(nc.uuid)).type_defaut);
+
+        // Modification du serveur contraire aux gardes du workflow : clôture avec une action en cours
+        await db.addActionCorrective({ description: "Reprendre le cordon", responsable: "Atelier", delai: 5, id_nc: ncId });
+        await remote("PATCH", `${API_ENDPOINTS.NON_CONFORMITES}/${nc.uuid}`, {
+            changes: { statut: "Clos" },
+            base: { statut: "Ouvert" }
+        });
+        summary = await lww.sync();
+        const closure = ((await db.getParametre("sync_rejets")) || {})[`non_conformites:${nc.uuid}`];
+        expect("Modification invalide du serveur écartée dans les rejets",
+            summary.rejets === 1 && closure && (await localNc(nc.uuid)).statut === "Ouvert",
+            closure ? closure.erreur : "aucun rejet");
+
+    } catch (error) {
+        expect("Déroulement du contrôle", false, error.message);
+    } finally {
+        db.db.close();
+        await deleteDatabase(DB_NAME);
+    }
+
+    return results;
+}
@@ -0,0 +1,263 @@
+/**
+ * Serveur de développement Q-TRACK (Node.js 18+, sans dépendance)
+ *
+ * - sert l'application et les contrôles de dev/checks.html depuis le dossier QTRACK ;
+ * - simule les services externes appelés par le poste :
+ *     POST /stub/mail/webhook       webhook d'emails (WebhookTransport)
+ *     POST /stub/mail/smtp          relais SMTP (SmtpTransport)
+ *     GET  /stub/mail/deliveries    emails remis depuis la dernière réinitialisation
+ *     API REST de synchronisation   contrat décrit dans sync.js, aux chemins de API_ENDPOINTS
+ *     GET  /stub/sync/records       enregistrements du serveur, suppressions comprises
+ *     POST /stub/reset              { mail: { failures: { "<destinataire>": n }, delay }, sync: { endpoints } }
+ *                                   les n premières remises au destinataire échouent (HTTP 503) ;
+ *                                   l'API de synchronisation répond aux chemins de endpoints (API_ENDPOINTS de sync.js)
+ *
+ * Usage : node dev/stub-server.mjs [port]   puis http://localhost:8787/dev/checks.html
+ * Les contrôles travaillent dans leurs propres bases IndexedDB : les données de l'application ne sont pas modifiées.
+ * Une fois l'application ouverte sur ce serveur, son service worker sert les modules de la version installée :
+ * après une modification, changer CACHE_VERSION (sw.js) ou désinscrire le service worker avant les contrôles.
+ */
+import http from "node:http";
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const PORT = Number(process.argv[2] || process.env.PORT || 8787);
+
+const CONTENT_TYPES = {
+    ".html": "text/html; charset=utf-8",
+    ".js": "text/javascript; charset=utf-8",
+    ".mjs": "text/javascript; charset=utf-8",
+    ".css": "text/css; charset=utf-8",
+    ".json": "application/json",
+    ".webmanifest": "application/manifest+json",
+    ".svg": "image/svg+xml",
+    ".png": "image/png",
+    ".woff2": "font/woff2"
+};
+
+// Entités de l'API de synchronisation et clé de leur point d'accès dans API_ENDPOINTS
+const SYNC_ENTITIES = { users: "USERS", non_conformites: "NON_CONFORMITES" };
+
+const createState = (config = {}) => ({
+    mail: {
+        failures: { ...((config.mail && config.mail.failures) || {}) },
+        delay: (config.mail && config.mail.delay) || 0,
+        deliveries: []
+    },
+    sync: {
+        endpoints: (config.sync && config.sync.endpoints) || null,
+        // Numéro de la dernière modification : sert de curseur de réception
+        seq: 0,
+        records: Object.fromEntries(Object.keys(SYNC_ENTITIES).map(entity => [entity, new Map()])),
+        accounts: new Map(),
+        tokens: new Set()
+    }
+});
+
+let state = createState();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*"
+    });
+    res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+async function readJson(req) {
+    let text = "";
+    for await (const chunk of req) text += chunk;
+    return text ? JSON.parse(text) : {};
+}
+
+// Webhook et relais SMTP : même traitement, seule la forme du message diffère
+async function receiveMail(req, res, kind) {
+    const body = await readJson(req);
+    const message = kind === "smtp" ? body.message : body;
+    if (!message || !message.to) {
+        send(res, 400, { error: "Destinataire manquant" });
+        return;
+    }
+
+    if (state.mail.delay) await sleep(state.mail.delay);
+
+    const remaining = state.mail.failures[message.to] || 0;
+    if (remaining > 0) {
+        state.mail.failures[message.to] = remaining - 1;
+        send(res, 503, { error: "Service indisponible (simulé)" });
+        return;
+    }
+
+    state.mail.deliveries.push({
+        kind,
+        id: kind === "smtp" ? Number(message.headers["X-QTrack-Mail-Id"]) : message.id,
+        to: message.to,
+        subject: message.subject,
+        date: new Date().toISOString()
+    });
+    send(res, 200, { accepted: true });
+}
+
+// Enregistrement tel que renvoyé au client (sans numéro de modification)
+const publicRecord = ({ seq: _seq, ...record }) => record;
+
+function writeRecord(entity, record) {
+    const sync = state.sync;
+    const written = { ...record, updated_at: new Date().toISOString(), seq: ++sync.seq };
+    sync.records[entity].set(record.uuid, written);
+    return publicRecord(written);
+}
+
+function openSession(account) {
+    const token = `stub-${state.sync.tokens.size + 1}`;
+    state.sync.tokens.add(token);
+    const user = publicRecord(state.sync.records.users.get(account.uuid));
+    return { token, user };
+}
+
+/**
+ * Routes de l'API de synchronisation ; renvoie false si la requête ne la concerne pas
+ */
+async function handleSync(req, res, pathname, searchParams) {
+    const { endpoints } = state.sync;
+    if (!endpoints) return false;
+
+    if (req.method === "POST" && pathname === endpoints.REGISTER) {
+        const { password, ...user } = await readJson(req);
+        if (!user.uuid || !user.username || !password) {
+            send(res, 400, { error: "uuid, username et password requis" });
+        } else if (state.sync.accounts.has(user.username)) {
+            send(res, 409, { error: "Identifiant déjà utilisé" });
+        } else {
+            const existing = state.sync.records.users.get(user.uuid);
+            writeRecord("users", { ...(existing ? publicRecord(existing) : {}), ...user });
+            const account = { uuid: user.uuid, password };
+            state.sync.accounts.set(user.username, account);
+            send(res, 201, openSession(account));
+        }
+        return true;
+    }
+
+    if (req.method === "POST" && pathname === endpoints.LOGIN) {
+        const { username, password } = await readJson(req);
+        const account = state.sync.accounts.get(username);
+        if (!account || account.password !== password) {
+            send(res, 401, { error: "Identifiants invalides" });
+        } else {
+            send(res, 200, openSession(account));
+        }
+        return true;
+    }
+
+    const entity = Object.keys(SYNC_ENTITIES).find(name => {
+        const endpoint = endpoints[SYNC_ENTITIES[name]];
+        return pathname === endpoint || pathname.startsWith(`${endpoint}/`);
+    });
+    if (!entity) return false;
+
+    const authorization = req.headers.authorization || "";
+    if (!state.sync.tokens.has(authorization.replace(/^Bearer /, ""))) {
+        send(res, 401, { error: "Session requise" });
+        return true;
+    }
+
+    const records = state.sync.records[entity];
+    const endpoint = endpoints[SYNC_ENTITIES[entity]];
+    const uuid = pathname === endpoint ? null : decodeURIComponent(pathname.slice(endpoint.length + 1));
+    const current = uuid ? records.get(uuid) : null;
+
+    if (req.method === "GET" && !uuid) {
+        const since = Number(searchParams.get("since") || 0);
+        const changed = [...records.values()].filter(record => record.seq > since).sort((a, b) => a.seq - b.seq);
+        send(res, 200, { records: changed.map(publicRecord), cursor: String(state.sync.seq) });
+    } else if (req.method === "POST" && !uuid) {
+        // Création ou remplacement idempotent : les champs absents (dont le mot de passe) sont conservés
+        const { password: _password, ...record } = await readJson(req);
+        if (!record.uuid) {
+            send(res, 400, { error: "uuid requis" });
+            return true;
+        }
+        const existing = records.get(record.uuid);
+        const { deleted: _deleted, ...kept } = existing ? publicRecord(existing) : {};
+        send(res, existing ? 200 : 201, writeRecord(entity, { ...kept, ...record }));
+    } else if (req.method === "PATCH" && uuid) {
+        if (!current || current.deleted) {
+            send(res, 404, { error: "Enregistrement inconnu" });
+            return true;
+        }
+        const { changes = {} } = await readJson(req);
+        send(res, 200, writeRecord(entity, { ...publicRecord(current), ...changes, uuid }));
+    } else if (req.method === "DELETE" && uuid) {
+        if (!current || current.deleted) {
+            send(res, 404, { error: "Enregistrement inconnu" });
+            return true;
+        }
+        writeRecord(entity, { uuid, deleted: true });
+        send(res, 200, { deleted: true });
+    } else {
+        send(res, 405, { error: "Méthode non prise en charge" });
+    }
+    return true;
+}
+
+async function serveFile(req, res, pathname) {
+    const file = path.normalize(path.join(ROOT, decodeURIComponent(pathname === "/" ? "/index.html" : pathname)));
+    if (!file.startsWith(ROOT + path.sep)) {
+        send(res, 403, { error: "Accès refusé" });
+        return;
+    }
+
+    try {
+        const content = await readFile(file);
+        res.writeHead(200, {
+            "Content-Type": CONTENT_TYPES[path.extname(file)] || "application/octet-stream",
+            "Cache-Control": "no-store"
+        });
+        res.end(content);
+    } catch (error) {
+        send(res, 404, { error: "Fichier introuvable" });
+    }
+}
+
+const server = http.createServer(async (req, res) => {
+    const { pathname, searchParams } = new URL(req.url, `http://${req.headers.host}`);
+
+    try {
+        if (req.method === "OPTIONS") {
+            res.writeHead(204, {
+                "Access-Control-Allow-Origin": "*",
+                "Access-Control-Allow-Methods": "GET, POST, PATCH, DELETE",
+                "Access-Control-Allow-Headers": "Content-Type, Authorization"
+            });
+            res.end();
+        } else if (req.method === "POST" && pathname === "/stub/reset") {
+            state = createState(await readJson(req));
+            send(res, 200, { reset: true });
+        } else if (req.method === "POST" && pathname === "/stub/mail/webhook") {
+            await receiveMail(req, res, "webhook");
+        } else if (req.method === "POST" && pathname === "/stub/mail/smtp") {
+            await receiveMail(req, res, "smtp");
+        } else if (req.method === "GET" && pathname === "/stub/mail/deliveries") {
+            send(res, 200, { deliveries: state.mail.deliveries });
+        } else if (req.method === "GET" && pathname === "/stub/sync/records") {
+            send(res, 200, Object.fromEntries(Object.entries(state.sync.records)
+                .map(([entity, records]) => [entity, [...records.values()].map(publicRecord)])));
+        } else if (await handleSync(req, res, pathname, searchParams)) {
+            // Requête traitée par l'API de synchronisation
+        } else if (req.method === "GET") {
+            await serveFile(req, res, pathname);
+        } else {
+            send(res, 404, { error: "Route inconnue" });
+        }
+    } catch (error) {
+        send(res, 500, { error: error.message });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Serveur de développement Q-TRACK : http://localhost:${PORT}/ (contrôles : /dev/checks.html)`);
+});
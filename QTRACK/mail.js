@@ -0,0 +1,155 @@
+// Transports disponibles pour la file d'envoi des emails
+const MAIL_TRANSPORTS = ["webhook", "smtp"];
+
+/**
+ * @function postJson
+ * @description Envoie un document JSON en POST ; rejette sur erreur réseau, délai dépassé ou statut HTTP non 2xx
+ * @param {string} url - Adresse du service
+ * @param {Object} body - Contenu envoyé
+ * @param {Object} options - { headers, timeout }
+ * @returns {Promise<Object>} { status, body } de la réponse
+ */
+async function postJson(url, body, { headers = {}, timeout = 10000 } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        const response = await fetch(url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json", ...headers },
+            body: JSON.stringify(body),
+            signal: controller.signal
+        });
+        const text = await response.text();
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}${text ? ` : ${text.slice(0, 200)}` : ""}`);
+        }
+        return { status: response.status, body: text };
+
+    } catch (error) {
+        if (error.name === "AbortError") {
+            throw new Error(`Délai dépassé (${timeout} ms)`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * @class WebhookTransport
+ * @description Remet chaque email à un webhook HTTP (service d'envoi, outil d'automatisation, serveur de test)
+ * @implements ISO 9001 §7.4 - Communication
+ */
+class WebhookTransport {
+    constructor({ url, token = "", timeout = 10000 }) {
+        if (!url) throw new Error("Adresse du webhook requise");
+        this.name = "webhook";
+        this.url = url;
+        this.token = token;
+        this.timeout = timeout;
+    }
+
+    async send(mail) {
+        const headers = this.token ? { Authorization: `Bearer ${this.token}` } : {};
+        return postJson(this.url, {
+            id: mail.id,
+            from: mail.expediteur,
+            to: mail.destinataire,
+            subject: mail.sujet,
+            text: mail.corps
+        }, { headers, timeout: this.timeout });
+    }
+}
+
+/**
+ * @class SmtpTransport
+ * @description Envoi SMTP via un relais HTTP : un navigateur ne peut pas ouvrir de connexion SMTP.
+ * Le relais reçoit le serveur cible et le message ; les identifiants SMTP restent configurés côté relais.
+ * @implements ISO 9001 §7.4 - Communication
+ */
+class SmtpTransport {
+    constructor({ relayUrl, host, port = 587, secure = false, timeout = 10000 }) {
+        if (!relayUrl) throw new Error("Adresse du relais SMTP requise");
+        if (!host) throw new Error("Serveur SMTP requis");
+        this.name = "smtp";
+        this.relayUrl = relayUrl;
+        this.server = { host, port: Number(port), secure: !!secure };
+        this.timeout = timeout;
+    }
+
+    async send(mail) {
+        return postJson(this.relayUrl, {
+            smtp: this.server,
+            message: {
+                from: mail.expediteur,
+                to: mail.destinataire,
+                subject: mail.sujet,
+                text: mail.corps,
+                headers: { "X-QTrack-Mail-Id": String(mail.id) }
+            }
+        }, { timeout: this.timeout });
+    }
+}
+
+/**
+ * @function createMailTransport
+ * @description Instancie le transport décrit par une configuration enregistrée
+ * @param {Object|null} config - { type: "webhook"|"smtp", ... } ; null : aucun transport
+ * @returns {Object|null} Transport exposant send(mail)
+ * @implements Lean - Standardisation
+ */
+function createMailTransport(config) {
+    if (!config || !config.type) return null;
+
+    switch (config.type) {
+        case "webhook":
+            return new WebhookTransport(config);
+        case "smtp":
+            return new SmtpTransport(config);
+        default:
+            throw new Error(`Transport inconnu : ${config.type}`);
+    }
+}
+
+/**
+ * @function dispatchMailQueue
+ * @description Vide une fois la file d'envoi : chaque email à envoyer est réservé (plusieurs onglets vident
+ * la même file), remis au transport, puis la tentative est enregistrée dans la file et le journal de remise
+ * @param {Object} db - Gestionnaire de base (getPendingMails, claimMail, recordMailAttempt)
+ * @param {Object} transport - Transport exposant name et send(mail)
+ * @param {Object} options - { maxRetries, retryDelay, claimDuration (ms), onFailure(mail, updated, error) }
+ * @returns {Promise<Object>} { envoyes, echecs, transport }
+ * @implements ISO 9001 §7.4 - Communication
+ */
+async function dispatchMailQueue(db, transport, { maxRetries, retryDelay, claimDuration, onFailure = () => {} }) {
+    const summary = { envoyes: 0, echecs: 0, transport: transport.name };
+    const mails = await db.getPendingMails();
+
+    for (const pending of mails) {
+        // Email déjà réservé ou traité par un autre onglet depuis la lecture de la file
+        const mail = await db.claimMail(pending.id, { duration: claimDuration });
+        if (!mail) continue;
+
+        let error = null;
+        try {
+            await transport.send(mail);
+        } catch (sendError) {
+            error = sendError.message;
+        }
+
+        const updated = await db.recordMailAttempt(mail.id, { transport: transport.name, error, maxRetries, retryDelay });
+        if (error) {
+            summary.echecs++;
+            onFailure(mail, updated, error);
+        } else {
+            summary.envoyes++;
+        }
+    }
+
+    return summary;
+}
+
+export default createMailTransport;
+export { WebhookTransport, SmtpTransport, MAIL_TRANSPORTS, dispatchMailQueue };
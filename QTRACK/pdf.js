@@ -0,0 +1,216 @@
+// Format A4 en points PDF (1 pt = 1/72 pouce)
+const A4 = { width: 595.28, height: 841.89 };
+
+// Chasses Helvetica (AFM, millièmes d'em) des caractères ASCII 32 à 126
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// Caractères hors Latin-1 présents dans WinAnsiEncoding (typographie française)
+const WIN_ANSI_EXTRA = {
+    "€": 0x80, "‚": 0x82, "„": 0x84, "…": 0x85, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94,
+    "•": 0x95, "–": 0x96, "—": 0x97, "™": 0x99, "œ": 0x9c, "Œ": 0x8c, "Ÿ": 0x9f
+};
+
+/**
+ * @function toWinAnsi
+ * @description Convertit un texte Unicode en chaîne d'octets WinAnsi (caractères non représentables → "?")
+ * @param {string} text - Texte à convertir
+ * @returns {string} Chaîne dont chaque caractère est un octet
+ */
+function toWinAnsi(text) {
+    return Array.from(String(text), char => {
+        const code = char.charCodeAt(0);
+        if (WIN_ANSI_EXTRA[char] !== undefined) return String.fromCharCode(WIN_ANSI_EXTRA[char]);
+        if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) return char;
+        return "?";
+    }).join("");
+}
+
+/**
+ * @function parseColor
+ * @description Convertit une couleur "#rrggbb" en composantes PDF (0 à 1)
+ * @param {string} hex - Couleur hexadécimale
+ * @returns {string} "r g b"
+ */
+function parseColor(hex) {
+    const value = parseInt(hex.replace("#", ""), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(c => (c / 255).toFixed(3)).join(" ");
+}
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+/**
+ * @class PdfDocument
+ * @description Générateur PDF minimal côté navigateur (texte Helvetica, traits, rectangles, images JPEG).
+ * Les coordonnées sont exprimées en points depuis le coin supérieur gauche de la page.
+ * @implements ISO 9001 - Informations documentées
+ * @implements Lean - Fonctionnement hors ligne, sans dépendance externe
+ */
+class PdfDocument {
+    constructor({ width = A4.width, height = A4.height, margin = 40 } = {}) {
+        this.width = width;
+        this.height = height;
+        this.margin = margin;
+        this.pages = [];
+        this.images = [];
+        this.addPage();
+    }
+
+    get pageCount() {
+        return this.pages.length;
+    }
+
+    addPage() {
+        this.pages.push([]);
+        this.currentPage = this.pages.length - 1;
+    }
+
+    setPage(index) {
+        this.currentPage = index;
+    }
+
+    write(operator) {
+        this.pages[this.currentPage].push(operator);
+    }
+
+    /**
+     * @method textWidth
+     * @description Largeur d'un texte en points (métriques Helvetica, gras approché)
+     */
+    textWidth(text, size = 10, bold = false) {
+        const base = Array.from(String(text).normalize("NFD").replace(/[\u0300-\u036f]/g, "")).reduce((sum, char) => {
+            const code = char.charCodeAt(0);
+            return sum + (code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556);
+        }, 0);
+        return (base * size * (bold ? 1.06 : 1)) / 1000;
+    }
+
+    /**
+     * @method wrapText
+     * @description Découpe un texte en lignes tenant dans une largeur donnée
+     * @returns {Array<string>} Lignes
+     */
+    wrapText(text, maxWidth, size = 10, bold = false) {
+        const lines = [];
+        String(text === undefined || text === null ? "" : text).split("\n").forEach(paragraph => {
+            let line = "";
+            paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (this.textWidth(candidate, size, bold) <= maxWidth || !line) {
+                    line = candidate;
+                } else {
+                    lines.push(line);
+                    line = word;
+                }
+            });
+            lines.push(line);
+        });
+        return lines;
+    }
+
+    text(text, x, y, { size = 10, bold = false, color = "#111827", align = "left" } = {}) {
+        const encoded = toWinAnsi(text).replace(/\\/g, "\\\\").replace(/\(/g, "\\(").replace(/\)/g, "\\)");
+        const width = this.textWidth(text, size, bold);
+        const left = align === "right" ? x - width : align === "center" ? x - width / 2 : x;
+
+        this.write(`BT /${bold ? "F2" : "F1"} ${formatNumber(size)} Tf ${parseColor(color)} rg ${formatNumber(left)} ${formatNumber(this.height - y)} Td (${encoded}) Tj ET`);
+    }
+
+    line(x1, y1, x2, y2, { color = "#d1d5db", width = 0.5 } = {}) {
+        this.write(`${parseColor(color)} RG ${formatNumber(width)} w ${formatNumber(x1)} ${formatNumber(this.height - y1)} m ${formatNumber(x2)} ${formatNumber(this.height - y2)} l S`);
+    }
+
+    rect(x, y, width, height, { fill = null, stroke = null } = {}) {
+        const path = `${formatNumber(x)} ${formatNumber(this.height - y - height)} ${formatNumber(width)} ${formatNumber(height)} re`;
+        if (fill && stroke) this.write(`${parseColor(fill)} rg ${parseColor(stroke)} RG 0.5 w ${path} B`);
+        else if (fill) this.write(`${parseColor(fill)} rg ${path} f`);
+        else this.write(`${parseColor(stroke || "#000000")} RG 0.5 w ${path} S`);
+    }
+
+    /**
+     * @method image
+     * @description Place une image JPEG (octets bruts) sur la page courante
+     * @param {Uint8Array} jpeg - Contenu JPEG
+     * @param {number} pixelWidth - Largeur en pixels
+     * @param {number} pixelHeight - Hauteur en pixels
+     */
+    image(jpeg, pixelWidth, pixelHeight, x, y, width, height) {
+        const name = `Im${this.images.length + 1}`;
+        this.images.push({ name, jpeg, pixelWidth, pixelHeight });
+        this.write(`q ${formatNumber(width)} 0 0 ${formatNumber(height)} ${formatNumber(x)} ${formatNumber(this.height - y - height)} cm /${name} Do Q`);
+    }
+
+    /**
+     * @method toBlob
+     * @description Sérialise le document (objets, table xref, trailer)
+     * @returns {Blob} Fichier PDF
+     */
+    toBlob() {
+        const chunks = [];
+        const offsets = [];
+        let length = 0;
+
+        const push = (data) => {
+            const bytes = typeof data === "string"
+                ? Uint8Array.from(data, char => char.charCodeAt(0))
+                : data;
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+        const object = (id, body, stream) => {
+            offsets[id] = length;
+            push(`${id} 0 obj\n${body}\n`);
+            if (stream) {
+                push("stream\n");
+                push(stream);
+                push("\nendstream\n");
+            }
+            push("endobj\n");
+        };
+
+        // 1 catalogue, 2 arbre des pages, 3-4 polices, puis images, puis pages et contenus
+        const imageIds = this.images.map((_, index) => 5 + index);
+        const firstPageId = 5 + this.images.length;
+        const pageIds = this.pages.map((_, index) => firstPageId + index * 2);
+        const xObjects = this.images.map((image, index) => `/${image.name} ${imageIds[index]} 0 R`).join(" ");
+
+        push("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n");
+        object(1, "<< /Type /Catalog /Pages 2 0 R >>");
+        object(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(" ")}] /Count ${this.pages.length} >>`);
+        object(3, "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+        object(4, "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+
+        this.images.forEach((image, index) => {
+            object(imageIds[index],
+                `<< /Type /XObject /Subtype /Image /Width ${image.pixelWidth} /Height ${image.pixelHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.jpeg.length} >>`,
+                image.jpeg);
+        });
+
+        this.pages.forEach((operators, index) => {
+            const content = operators.join("\n");
+            object(pageIds[index],
+                `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatNumber(this.width)} ${formatNumber(this.height)}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> /XObject << ${xObjects} >> >> /Contents ${pageIds[index] + 1} 0 R >>`);
+            object(pageIds[index] + 1, `<< /Length ${content.length} >>`, content);
+        });
+
+        const xrefOffset = length;
+        const count = firstPageId + this.pages.length * 2;
+        push(`xref\n0 ${count}\n0000000000 65535 f \n`);
+        for (let id = 1; id < count; id++) {
+            push(`${String(offsets[id]).padStart(10, "0")} 00000 n \n`);
+        }
+        push(`trailer\n<< /Size ${count} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        return new Blob(chunks, { type: "application/pdf" });
+    }
+}
+
+export default PdfDocument;
+export { A4 };
@@ -0,0 +1,319 @@
+import PdfDocument from './pdf.js';
+
+/*
+ * Un rapport est décrit une seule fois sous forme de blocs, puis rendu en HTML imprimable, en Word ou en PDF :
+ *   { title, subtitle, author, generatedAt, blocks: [...] }
+ * Blocs reconnus :
+ *   { type: 'section', title }
+ *   { type: 'paragraph', text }
+ *   { type: 'kpis', items: [{ label, value, detail }] }
+ *   { type: 'fields', items: [{ label, value }] }
+ *   { type: 'table', columns: [libellés], rows: [[cellules]], emptyMessage }
+ *   { type: 'chart', title, image: { png, jpeg, width, height, pixelWidth, pixelHeight } }
+ */
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const formatDateTime = (iso) => new Date(iso).toLocaleString('fr-FR');
+
+/**
+ * @function renderBlocksHtml
+ * @description Rendu HTML des blocs ; la variante Word n'utilise que des tableaux (ni grille ni flex)
+ * @param {Array} blocks - Blocs du rapport
+ * @param {boolean} word - Rendu destiné à Microsoft Word
+ * @returns {string} Fragment HTML
+ */
+function renderBlocksHtml(blocks, word = false) {
+    return blocks.map(block => {
+        switch (block.type) {
+            case 'section':
+                return `<h2>${escapeHtml(block.title)}</h2>`;
+            case 'paragraph':
+                return `<p>${escapeHtml(block.text).replace(/\n/g, '<br>')}</p>`;
+            case 'kpis':
+                if (word) {
+                    return `<table class="kpis"><tr>${block.items.map(item => `
+                        <td><div class="kpi-label">${escapeHtml(item.label)}</div>
+                        <div class="kpi-value">${escapeHtml(item.value)}</div>
+                        ${item.detail ? `<div class="kpi-detail">${escapeHtml(item.detail)}</div>` : ''}</td>`).join('')}</tr></table>`;
+                }
+                return `<div class="kpis">${block.items.map(item => `
+                    <div class="kpi">
+                        <div class="kpi-label">${escapeHtml(item.label)}</div>
+                        <div class="kpi-value">${escapeHtml(item.value)}</div>
+                        ${item.detail ? `<div class="kpi-detail">${escapeHtml(item.detail)}</div>` : ''}
+                    </div>`).join('')}</div>`;
+            case 'fields':
+                if (word) {
+                    return `<table class="fields">${block.items.map(item => `
+                        <tr><th>${escapeHtml(item.label)}</th><td>${escapeHtml(item.value || '—').replace(/\n/g, '<br>')}</td></tr>`).join('')}</table>`;
+                }
+                return `<dl>${block.items.map(item => `
+                    <dt>${escapeHtml(item.label)}</dt>
+                    <dd>${escapeHtml(item.value || '—').replace(/\n/g, '<br>')}</dd>`).join('')}</dl>`;
+            case 'table':
+                if (block.rows.length === 0) {
+                    return `<p class="empty">${escapeHtml(block.emptyMessage || 'Aucune donnée')}</p>`;
+                }
+                return `<table>
+                    <thead><tr>${block.columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr></thead>
+                    <tbody>${block.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody>
+                </table>`;
+            case 'chart':
+                return `<figure><img src="${block.image.png}" alt="${escapeHtml(block.title)}"><figcaption>${escapeHtml(block.title)}</figcaption></figure>`;
+            default:
+                return '';
+        }
+    }).join('\n');
+}
+
+/**
+ * @function renderReportHtml
+ * @description Produit un document HTML autonome et imprimable (styles intégrés, bouton d'impression)
+ * @param {Object} report - Rapport décrit en blocs
+ * @returns {string} Document HTML
+ * @implements ISO 9001 §7.5 - Informations documentées
+ */
+function renderReportHtml(report) {
+    const blocks = renderBlocksHtml(report.blocks);
+
+    return `<!DOCTYPE html>
+<html lang="fr">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(report.title)}</title>
+<style>
+    body { font-family: Inter, Helvetica, Arial, sans-serif; color: #111827; max-width: 900px; margin: 0 auto; padding: 32px; }
+    header { border-bottom: 3px solid #3b82f6; margin-bottom: 24px; padding-bottom: 12px; }
+    h1 { margin: 0; font-size: 24px; }
+    .meta { color: #6b7280; font-size: 13px; margin-top: 4px; }
+    h2 { font-size: 17px; color: #1f2937; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; margin-top: 28px; page-break-after: avoid; }
+    .kpis { display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; }
+    .kpi { border: 1px solid #e5e7eb; border-radius: 8px; padding: 12px; }
+    .kpi-label { font-size: 12px; color: #6b7280; }
+    .kpi-value { font-size: 22px; font-weight: bold; }
+    .kpi-detail { font-size: 12px; color: #6b7280; }
+    dl { display: grid; grid-template-columns: 200px 1fr; gap: 6px 12px; }
+    dt { font-weight: bold; color: #374151; }
+    dd { margin: 0; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; page-break-inside: auto; }
+    th { background: #f3f4f6; text-align: left; }
+    th, td { border: 1px solid #e5e7eb; padding: 6px 8px; vertical-align: top; }
+    tr { page-break-inside: avoid; }
+    figure { margin: 16px 0; text-align: center; page-break-inside: avoid; }
+    figure img { max-width: 100%; }
+    figcaption { font-size: 12px; color: #6b7280; }
+    .empty { color: #6b7280; font-style: italic; }
+    .print { position: fixed; top: 16px; right: 16px; background: #3b82f6; color: #fff; border: 0; border-radius: 6px; padding: 8px 16px; cursor: pointer; }
+    @media print { .print { display: none; } body { padding: 0; } }
+</style>
+</head>
+<body>
+<button class="print" onclick="window.print()">Imprimer</button>
+<header>
+    <h1>${escapeHtml(report.title)}</h1>
+    ${report.subtitle ? `<div class="meta">${escapeHtml(report.subtitle)}</div>` : ''}
+    <div class="meta">Généré le ${escapeHtml(formatDateTime(report.generatedAt))} par ${escapeHtml(report.author)}</div>
+</header>
+${blocks}
+</body>
+</html>`;
+}
+
+/**
+ * @function renderReportWord
+ * @description Produit un document HTML au format Office, ouvert et enregistrable en DOCX par Word
+ * @param {Object} report - Rapport décrit en blocs
+ * @returns {Blob} Fichier .doc
+ * @implements ISO 9001 §7.5 - Informations documentées
+ */
+function renderReportWord(report) {
+    const html = `<html xmlns:o="urn:schemas-microsoft-com:office:office" xmlns:w="urn:schemas-microsoft-com:office:word" xmlns="http://www.w3.org/TR/REC-html40">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(report.title)}</title>
+<!--[if gte mso 9]><xml><w:WordDocument><w:View>Print</w:View><w:Zoom>100</w:Zoom></w:WordDocument></xml><![endif]-->
+<style>
+    @page { size: 21cm 29.7cm; margin: 2cm; }
+    body { font-family: Calibri, Arial, sans-serif; font-size: 11pt; color: #111827; }
+    h1 { font-size: 18pt; margin: 0; }
+    h2 { font-size: 13pt; color: #1f2937; border-bottom: 1px solid #9ca3af; margin-top: 18pt; }
+    .meta { color: #6b7280; font-size: 9pt; }
+    table { width: 100%; border-collapse: collapse; font-size: 9.5pt; }
+    th, td { border: 1px solid #d1d5db; padding: 4pt; vertical-align: top; text-align: left; }
+    th { background: #f3f4f6; }
+    table.fields th { width: 30%; }
+    .kpi-label, .kpi-detail { font-size: 8pt; color: #6b7280; }
+    .kpi-value { font-size: 14pt; font-weight: bold; }
+    .empty { color: #6b7280; font-style: italic; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(report.title)}</h1>
+${report.subtitle ? `<p class="meta">${escapeHtml(report.subtitle)}</p>` : ''}
+<p class="meta">Généré le ${escapeHtml(formatDateTime(report.generatedAt))} par ${escapeHtml(report.author)}</p>
+${renderBlocksHtml(report.blocks, true)}
+</body>
+</html>`;
+
+    // BOM : Word détecte ainsi l'encodage UTF-8 des accents
+    return new Blob(['\ufeff', html], { type: 'application/msword' });
+}
+
+/**
+ * @function renderReportPdf
+ * @description Met en page le rapport au format A4 (pagination, en-têtes de tableau répétés, pied de page)
+ * @param {Object} report - Rapport décrit en blocs
+ * @returns {Blob} Fichier PDF
+ * @implements ISO 9001 §7.5 - Informations documentées
+ */
+function renderReportPdf(report) {
+    const pdf = new PdfDocument();
+    const { margin } = pdf;
+    const contentWidth = pdf.width - 2 * margin;
+    const bottomLimit = pdf.height - margin - 20;
+    let y = margin;
+
+    const ensureSpace = (height) => {
+        if (y + height > bottomLimit) {
+            pdf.addPage();
+            y = margin;
+            return true;
+        }
+        return false;
+    };
+
+    // En-tête du document
+    pdf.text(report.title, margin, y + 18, { size: 18, bold: true });
+    y += 28;
+    if (report.subtitle) {
+        pdf.text(report.subtitle, margin, y + 10, { size: 10, color: '#6b7280' });
+        y += 14;
+    }
+    pdf.text(`Généré le ${formatDateTime(report.generatedAt)} par ${report.author}`, margin, y + 10, { size: 9, color: '#6b7280' });
+    y += 18;
+    pdf.line(margin, y, margin + contentWidth, y, { color: '#3b82f6', width: 2 });
+    y += 12;
+
+    report.blocks.forEach(block => {
+        switch (block.type) {
+            case 'section': {
+                // Un titre ne reste jamais seul en bas de page
+                ensureSpace(60);
+                y += 10;
+                pdf.text(block.title, margin, y + 12, { size: 13, bold: true, color: '#1f2937' });
+                y += 18;
+                pdf.line(margin, y, margin + contentWidth, y, { color: '#e5e7eb' });
+                y += 8;
+                break;
+            }
+            case 'paragraph': {
+                pdf.wrapText(block.text, contentWidth, 10).forEach(line => {
+                    ensureSpace(14);
+                    pdf.text(line, margin, y + 10, { size: 10 });
+                    y += 14;
+                });
+                y += 4;
+                break;
+            }
+            case 'kpis': {
+                const perRow = 3;
+                const gap = 8;
+                const boxWidth = (contentWidth - gap * (perRow - 1)) / perRow;
+                for (let start = 0; start < block.items.length; start += perRow) {
+                    ensureSpace(58);
+                    block.items.slice(start, start + perRow).forEach((item, index) => {
+                        const x = margin + index * (boxWidth + gap);
+                        pdf.rect(x, y, boxWidth, 50, { stroke: '#e5e7eb' });
+                        pdf.text(item.label, x + 8, y + 14, { size: 8, color: '#6b7280' });
+                        pdf.text(String(item.value), x + 8, y + 32, { size: 15, bold: true });
+                        if (item.detail) pdf.text(item.detail, x + 8, y + 44, { size: 8, color: '#6b7280' });
+                    });
+                    y += 58;
+                }
+                break;
+            }
+            case 'fields': {
+                const labelWidth = 150;
+                block.items.forEach(item => {
+                    const lines = pdf.wrapText(item.value || '—', contentWidth - labelWidth, 10);
+                    ensureSpace(Math.min(lines.length, 3) * 13 + 4);
+                    pdf.text(item.label, margin, y + 10, { size: 10, bold: true, color: '#374151' });
+                    lines.forEach(line => {
+                        ensureSpace(13);
+                        pdf.text(line, margin + labelWidth, y + 10, { size: 10 });
+                        y += 13;
+                    });
+                    y += 4;
+                });
+                break;
+            }
+            case 'table': {
+                if (block.rows.length === 0) {
+                    ensureSpace(16);
+                    pdf.text(block.emptyMessage || 'Aucune donnée', margin, y + 10, { size: 10, color: '#6b7280' });
+                    y += 18;
+                    break;
+                }
+
+                // Largeurs de colonnes proportionnelles au contenu, bornées
+                const size = 8.5;
+                const natural = block.columns.map((column, index) => Math.min(200, Math.max(
+                    pdf.textWidth(column, size, true),
+                    ...block.rows.map(row => pdf.textWidth(String(row[index] === undefined ? '' : row[index]), size))
+                )) + 10);
+                const scale = contentWidth / natural.reduce((sum, width) => sum + width, 0);
+                const widths = natural.map(width => width * scale);
+
+                const drawRow = (cells, bold, fill) => {
+                    const wrapped = cells.map((cell, index) => pdf.wrapText(cell, widths[index] - 8, size, bold));
+                    const height = Math.max(...wrapped.map(lines => lines.length)) * 11 + 6;
+                    let x = margin;
+                    wrapped.forEach((lines, index) => {
+                        pdf.rect(x, y, widths[index], height, { fill, stroke: '#d1d5db' });
+                        lines.forEach((line, lineIndex) => pdf.text(line, x + 4, y + 12 + lineIndex * 11, { size, bold }));
+                        x += widths[index];
+                    });
+                    y += height;
+                };
+                const rowHeight = (cells, bold) => Math.max(...cells.map((cell, index) => pdf.wrapText(cell, widths[index] - 8, size, bold).length)) * 11 + 6;
+
+                ensureSpace(rowHeight(block.columns, true) + 20);
+                drawRow(block.columns, true, '#f3f4f6');
+                block.rows.forEach(row => {
+                    const cells = row.map(cell => (cell === undefined || cell === null ? '' : String(cell)));
+                    // En-tête répété sur chaque nouvelle page
+                    if (ensureSpace(rowHeight(cells, false))) drawRow(block.columns, true, '#f3f4f6');
+                    drawRow(cells, false, null);
+                });
+                y += 8;
+                break;
+            }
+            case 'chart': {
+                const { image } = block;
+                const width = Math.min(contentWidth, image.width * 0.75);
+                const height = (width * image.height) / image.width;
+                ensureSpace(height + 20);
+                pdf.image(image.jpeg, image.pixelWidth, image.pixelHeight, margin + (contentWidth - width) / 2, y, width, height);
+                y += height + 4;
+                pdf.text(block.title, margin + contentWidth / 2, y + 9, { size: 9, color: '#6b7280', align: 'center' });
+                y += 18;
+                break;
+            }
+        }
+    });
+
+    // Pied de page numéroté, une fois le nombre de pages connu
+    for (let index = 0; index < pdf.pageCount; index++) {
+        pdf.setPage(index);
+        pdf.text(`${report.title} — page ${index + 1}/${pdf.pageCount}`, pdf.width / 2, pdf.height - margin / 2, { size: 8, color: '#9ca3af', align: 'center' });
+    }
+
+    return pdf.toBlob();
+}
+
+export { renderReportHtml, renderReportWord, renderReportPdf };
@@ -1,3 +1,88 @@
+import dbManager, { NC_STATUTS, NC_TRANSITIONS, GRAVITE_OPTIONS, ACTION_STATUTS, ACTION_STATUTS_TERMINES, ACTION_EFFICACITE_OPTIONS, ISHIKAWA_CATEGORIES, MAIL_STATUTS } from './database.js';
+import Chart from './charts.js';
+import { renderReportHtml, renderReportWord, renderReportPdf } from './reports.js';
+import buildXlsx, { readXlsx } from './xlsx.js';
+import createMailTransport, { MAIL_TRANSPORTS, dispatchMailQueue } from './mail.js';
+import SyncEngine, { SYNC_STRATEGIES, API_ENDPOINTS } from './sync.js';
+
+// Permissions applicatives (ISO 9001 §5.3 - Rôles, responsabilités et autorités)
+const PERMISSIONS = {
+    DECLARE_NC: 'declare_nc',
+    EDIT_NC: 'edit_nc',
+    CLOSE_NC: 'close_nc',
+    MANAGE_ACTIONS: 'manage_actions',
+    ANALYZE: 'analyze',
+    GENERATE_REPORTS: 'generate_reports',
+    VIEW_AUDIT: 'view_audit',
+    MANAGE_USERS: 'manage_users',
+    PURGE_DATA: 'purge_data'
+};
+
+// Matrice rôle → permissions ; "utilisateur" est le rôle par défaut des anciens comptes
+const ROLE_PERMISSIONS = {
+    'Administrateur': Object.values(PERMISSIONS),
+    'Responsable Qualité': [
+        PERMISSIONS.DECLARE_NC,
+        PERMISSIONS.EDIT_NC,
+        PERMISSIONS.CLOSE_NC,
+        PERMISSIONS.MANAGE_ACTIONS,
+        PERMISSIONS.ANALYZE,
+        PERMISSIONS.GENERATE_REPORTS,
+        PERMISSIONS.VIEW_AUDIT
+    ],
+    'Opérateur': [PERMISSIONS.DECLARE_NC],
+    'utilisateur': [PERMISSIONS.DECLARE_NC]
+};
+
+// Règles de Western Electric appliquées aux cartes de contrôle (DMAIC - Control)
+const WESTERN_ELECTRIC_RULES = {
+    1: 'Un point au-delà de 3σ',
+    2: '2 points sur 3 au-delà de 2σ du même côté',
+    3: '4 points sur 5 au-delà de 1σ du même côté',
+    4: '8 points consécutifs du même côté de la ligne centrale'
+};
+
+// Titre par défaut des notifications selon leur niveau
+const NOTIFICATION_TITRES = {
+    info: 'Information',
+    success: 'Succès',
+    warning: 'Alerte',
+    error: 'Erreur'
+};
+
+// Volume saisi pour l'ensemble des postes (carte p globale)
+const ALL_POSTES = 'Tous postes';
+
+// Colonnes proposées à l'export des NC ; "action" : colonne issue des actions correctives jointes
+const EXPORT_COLUMNS = [
+    { key: 'id', label: 'N° NC', value: nc => nc.id },
+    { key: 'date_creation', label: 'Déclarée le', value: nc => new Date(nc.date_creation) },
+    { key: 'poste', label: 'Poste', value: nc => nc.poste },
+    { key: 'type_defaut', label: 'Type de défaut', value: nc => nc.type_defaut },
+    { key: 'gravite', label: 'Gravité', value: nc => nc.gravite },
+    { key: 'statut', label: 'Statut', value: nc => nc.statut },
+    { key: 'description', label: 'Description', value: nc => nc.description },
+    { key: 'cause_racine', label: 'Cause racine', value: nc => nc.cause_racine },
+    { key: 'date_cloture', label: 'Clôturée le', value: nc => (nc.date_cloture ? new Date(nc.date_cloture) : '') },
+    { key: 'action_description', label: 'Action corrective', action: true, value: (nc, action) => action.description },
+    { key: 'action_responsable', label: 'Responsable', action: true, value: (nc, action) => action.responsable },
+    { key: 'action_echeance', label: 'Échéance', action: true, value: (nc, action, app) => app.getActionDueDate(action) },
+    { key: 'action_statut', label: 'Statut action', action: true, value: (nc, action) => action.statut },
+    { key: 'action_efficacite', label: 'Efficacité', action: true, value: (nc, action) => action.efficacite }
+];
+
+// Champs des NC alimentés par l'import d'un historique ; aliases : intitulés usuels des tableurs
+const IMPORT_FIELDS = [
+    { field: 'type_defaut', label: 'Type de défaut', required: true, aliases: ['Défaut', 'Type'] },
+    { field: 'poste', label: 'Poste', required: true, aliases: ['Poste de travail', 'Atelier'] },
+    { field: 'gravite', label: 'Gravité', required: true, aliases: ['Sévérité', 'Criticité'] },
+    { field: 'description', label: 'Description', required: true, aliases: ['Libellé', 'Commentaire'] },
+    { field: 'statut', label: 'Statut', aliases: ['État', 'Etat'] },
+    { field: 'date_creation', label: 'Date de création', required: true, aliases: ['Date', 'Date de déclaration'] },
+    { field: 'date_cloture', label: 'Date de clôture', aliases: ['Clôture'] },
+    { field: 'cause_racine', label: 'Cause racine', aliases: ['Cause'] }
+];
+
 /**
  * @class QualityManagementApp
  * @description Application de Management de la Qualité Q-TRACK
@@ -24,12 +109,64 @@ class QualityManagementApp {
             },
             CHART_CONFIG: {
                 DISTRIBUTION: {
-                    BAR_WIDTH: 60,
-                    BAR_SPACING: 40,
-                    START_X: 50,
-                    START_Y: 150,
-                    RADIUS: 80
+                    HEIGHT: 220,
+                    COLORS: ['#3b82f6', '#8b5cf6', '#f97316', '#eab308', '#10b981', '#6b7280']
+                },
+                REPARTITION: {
+                    HEIGHT: 220,
+                    COLORS: { 'Mineure': '#10b981', 'Majeure': '#eab308', 'Critique': '#ef4444' }
+                },
+                ISHIKAWA: {
+                    WIDTH: 1100,
+                    LABEL_SPACE: 180,
+                    HEAD_WIDTH: 180,
+                    MARGIN: 40,
+                    BRANCH_SLANT: 60,
+                    MIN_BRANCH_HEIGHT: 140,
+                    LINE_HEIGHT: 22,
+                    MAX_LABEL: 26
+                },
+                PARETO: {
+                    HEIGHT: 340,
+                    THRESHOLD: 80
+                },
+                CONTROL: {
+                    HEIGHT: 300
+                },
+                TREND: {
+                    HEIGHT: 260,
+                    // Nombre de périodes affichées selon la granularité
+                    PERIODS: { jour: 30, semaine: 26, mois: 12 }
+                },
+                REPORT: {
+                    // Largeur des graphiques capturés pour les rapports
+                    WIDTH: 720,
+                    TOP_DEFECTS: 10
                 }
+            },
+            DEADLINES: {
+                // Vérification périodique des échéances des actions correctives
+                CHECK_INTERVAL: 15 * 60 * 1000,
+                // Une action est signalée "proche" dans les N jours précédant son échéance
+                WARNING_DAYS: 3,
+                // Jours de retard tolérés avant escalade au responsable hiérarchique
+                ESCALATION_GRACE_DAYS: 2
+            },
+            MAIL: {
+                FROM: 'qtrack@localhost',
+                // Tentatives avant abandon ; le délai entre tentatives double à chaque échec
+                MAX_RETRIES: 5,
+                RETRY_DELAY: 60 * 1000,
+                DRAIN_INTERVAL: 60 * 1000,
+                // Réservation d'un email par l'onglet qui l'envoie ; au-delà, un autre onglet peut le reprendre
+                CLAIM_DURATION: 5 * 60 * 1000
+            },
+            // Points d'accès de l'API REST (contrat décrit dans sync.js)
+            API_ENDPOINTS,
+            SYNC: {
+                // Cycle réception / envoi périodique, et relancé au retour de la connexion
+                INTERVAL: 60 * 1000,
+                TIMEOUT: 15 * 1000
             }
         };
 
@@ -39,7 +176,10 @@ class QualityManagementApp {
             isLoggedIn: false,
             isLoading: false,
             error: null,
-            notifications: []
+            notifications: [],
+            actionDeadlines: { approaching: [], overdue: [] },
+            // desactive, hors_ligne, en_cours, a_jour, en_attente ou erreur
+            sync: { etat: 'desactive', derniere_synchro: null, en_attente: 0, conflits: [], rejets: [], erreur: null }
         };
 
         // Logger pour traçabilité (ISO 9001)
@@ -48,6 +188,24 @@ class QualityManagementApp {
         // Validation pour contrôle de qualité (ISO 9001)
         this.validator = new Validator();
 
+        // Graphiques affichés, par conteneur (réutilisés lors des mises à jour)
+        this.charts = new WeakMap();
+
+        // Planificateur des échéances et abonnés au centre de notifications (interface React)
+        this.deadlineTimer = null;
+        this.notificationListeners = new Set();
+
+        // Transport des emails (webhook, relais SMTP) et envoi en cours de la file
+        this.mailTransport = null;
+        this.mailTimer = null;
+        this.mailDrain = null;
+
+        // Synchronisation avec le serveur (null : désactivée) et abonnés à son état
+        this.syncEngine = null;
+        this.syncTimer = null;
+        this.syncListeners = new Set();
+        this.handleOnline = () => this.syncNow();
+
         // Initialisation de l'application
         this.init();
     }
@@ -205,6 +363,9 @@ class QualityManagementApp {
             // Mesure du temps de chargement (DMAIC - Measure)
             const startTime = performance.now();
 
+            // Chargement des NC persistées (ISO 9001 - Traçabilité)
+            await this.loadNonConformites();
+
             await Promise.all([
                 this.loadMetrics(),
                 this.loadCharts(),
@@ -226,6 +387,17 @@ class QualityManagementApp {
         }
     }
 
+    /**
+     * @method loadNonConformites
+     * @description Charge les NC depuis le store IndexedDB "non_conformites"
+     * @implements ISO 9001 - Maîtrise des informations documentées
+     */
+    async loadNonConformites() {
+        const nonConformites = await dbManager.getNonConformites();
+        this.setState({ nonConformites });
+        this.logger.info("Non-conformités chargées", { count: nonConformites.length });
+    }
+
     /**
      * @method loadMetrics
      * @description Charge et affiche les métriques de qualité
@@ -261,13 +433,14 @@ class QualityManagementApp {
      * @implements Lean - Standardisation des calculs
      */
     calculateMetrics() {
-        const { nonConformites } = this.state;
+        const { nonConformites, actionDeadlines } = this.state;
 
         return [
             {
                 title: 'Total NC',
                 value: nonConformites.length.toString(),
                 subtitle: 'Toutes périodes',
+                delta: this.computeMonthOverMonth(nonConformites, () => true).label,
                 color: 'bg-blue-500',
                 icon: 'fas fa-info-circle'
             },
@@ -275,6 +448,7 @@ class QualityManagementApp {
                 title: 'NC Ouvertes',
                 value: nonConformites.filter(nc => nc.statut === 'Ouvert').length.toString(),
                 subtitle: 'En attente',
+                delta: this.computeBacklogDelta(nonConformites).label,
                 color: 'bg-orange-500',
                 icon: 'fas fa-clock'
             },
@@ -282,6 +456,7 @@ class QualityManagementApp {
                 title: 'NC Critiques',
                 value: nonConformites.filter(nc => nc.gravite === 'Critique').length.toString(),
                 subtitle: 'Priorité haute',
+                delta: this.computeMonthOverMonth(nonConformites, nc => nc.gravite === 'Critique').label,
                 color: 'bg-red-500',
                 icon: 'fas fa-exclamation-circle'
             },
@@ -289,8 +464,16 @@ class QualityManagementApp {
                 title: 'NC Clôturées',
                 value: nonConformites.filter(nc => nc.statut === 'Clos').length.toString(),
                 subtitle: 'Traitées',
+                delta: this.computeMonthOverMonth(nonConformites, nc => nc.statut === 'Clos', 'date_cloture').label,
                 color: 'bg-green-500',
                 icon: 'fas fa-check-circle'
+            },
+            {
+                title: 'Actions en retard',
+                value: actionDeadlines.overdue.length.toString(),
+                subtitle: `${actionDeadlines.approaching.length} échéance(s) proche(s)`,
+                color: 'bg-purple-500',
+                icon: 'fas fa-hourglass-end'
             }
         ];
     }
@@ -309,6 +492,7 @@ class QualityManagementApp {
             <div class="metric-title">${metric.title}</div>
             <div class="metric-value">${metric.value}</div>
             <div class="metric-subtitle">${metric.subtitle}</div>
+            ${metric.delta ? `<div class="metric-subtitle">${metric.delta}</div>` : ''}
             <div class="metric-icon ${metric.color}">
                 <i class="${metric.icon}"></i>
             </div>
@@ -340,16 +524,14 @@ class QualityManagementApp {
             const chartContainer = document.querySelector('.distribution-chart');
             if (!chartContainer) return;
 
-            // Création du canvas pour le graphique
-            const canvas = this.createChartCanvas(chartContainer);
-            const ctx = canvas.getContext('2d');
-
-            // Récupération des données
-            const data = this.getDistributionData();
-            const { labels, colors, maxValue } = this.getChartConfig(data);
-
-            // Dessin du graphique
-            this.drawBarChart(ctx, canvas, data, labels, colors, maxValue);
+            const chartConfig = this.config.CHART_CONFIG.DISTRIBUTION;
+            this.renderChart(chartContainer, {
+                type: 'bar',
+                labels: NC_STATUTS,
+                datasets: [{ label: 'NC', data: this.getDistributionData(), colors: chartConfig.COLORS }],
+                height: chartConfig.HEIGHT,
+                emptyMessage: 'Aucune NC enregistrée'
+            });
 
         } catch (error) {
             this.handleError("Chargement du graphique de distribution échoué", error);
@@ -366,33 +548,66 @@ class QualityManagementApp {
             const chartContainer = document.querySelector('.repartition-chart');
             if (!chartContainer) return;
 
-            // Création du canvas pour le graphique
-            const canvas = this.createChartCanvas(chartContainer);
-            const ctx = canvas.getContext('2d');
-
-            // Récupération des données
-            const data = this.getRepartitionData();
-            const { labels, colors, total } = this.getRepartitionConfig(data);
-
-            // Dessin du graphique
-            this.drawPieChart(ctx, canvas, data, labels, colors, total);
+            const chartConfig = this.config.CHART_CONFIG.REPARTITION;
+            this.renderChart(chartContainer, {
+                type: 'donut',
+                labels: GRAVITE_OPTIONS,
+                datasets: [{ label: 'NC', data: this.getRepartitionData(), colors: GRAVITE_OPTIONS.map(gravite => chartConfig.COLORS[gravite]) }],
+                height: chartConfig.HEIGHT,
+                emptyMessage: 'Aucune NC enregistrée'
+            });
 
         } catch (error) {
             this.handleError("Chargement du graphique de répartition échoué", error);
         }
     }
 
+    /**
+     * @method renderChart
+     * @description Dessine un graphique dans un conteneur, en réutilisant l'instance existante
+     * @param {HTMLElement} container - Conteneur du graphique
+     * @param {Object} config - Configuration du moteur de graphiques (charts.js)
+     * @returns {Chart} Instance du graphique
+     * @implements Lean - Standardisation des composants
+     */
+    renderChart(container, config) {
+        const existing = this.charts.get(container);
+        if (existing) {
+            existing.update(config);
+            return existing;
+        }
+
+        const chart = new Chart(container, config);
+        this.charts.set(container, chart);
+        return chart;
+    }
+
+    /**
+     * @method destroyChart
+     * @description Libère le graphique d'un conteneur (écouteurs de redimensionnement et de survol)
+     * @param {HTMLElement|null} container - Conteneur du graphique
+     * @implements Lean - Élimination du gaspillage
+     */
+    destroyChart(container) {
+        const chart = container && this.charts.get(container);
+        if (!chart) return;
+        chart.destroy();
+        this.charts.delete(container);
+    }
+
     /**
      * @method createChartCanvas
      * @description Crée un canvas pour les graphiques
      * @param {HTMLElement} container - Conteneur du graphique
+     * @param {number} width - Largeur du canvas
+     * @param {number} height - Hauteur du canvas
      * @returns {HTMLCanvasElement} Canvas pour le graphique
      * @implements Lean - Standardisation des composants
      */
-    createChartCanvas(container) {
+    createChartCanvas(container, width = 400, height = 200) {
         const canvas = document.createElement('canvas');
-        canvas.width = 400;
-        canvas.height = 200;
+        canvas.width = width;
+        canvas.height = height;
         container.innerHTML = '';
         container.appendChild(canvas);
         return canvas;
@@ -400,853 +615,4596 @@ class QualityManagementApp {
 
     /**
      * @method getDistributionData
-     * @description Récupère les données pour le graphique de distribution
-     * @returns {Array} Données pour le graphique
+     * @description Récupère le nombre de NC par statut du workflow
+     * @returns {Array} Données pour le graphique, dans l'ordre de NC_STATUTS
      * @implements Lean - Standardisation des calculs
      */
     getDistributionData() {
         const { nonConformites } = this.state;
-        return [
-            nonConformites.filter(nc => nc.statut === 'Ouvert').length,
-            nonConformites.filter(nc => nc.gravite === 'Critique').length,
-            nonConformites.filter(nc => nc.statut === 'Clos').length
-        ];
+        return NC_STATUTS.map(statut => nonConformites.filter(nc => nc.statut === statut).length);
     }
 
     /**
      * @method getRepartitionData
-     * @description Récupère les données pour le graphique de répartition
-     * @returns {Array} Données pour le graphique
+     * @description Récupère le nombre de NC par niveau de gravité
+     * @returns {Array} Données pour le graphique, dans l'ordre de GRAVITE_OPTIONS
      * @implements Lean - Standardisation des calculs
      */
     getRepartitionData() {
         const { nonConformites } = this.state;
-        return [
-            nonConformites.filter(nc => nc.statut === 'Ouvert').length,
-            nonConformites.filter(nc => nc.gravite === 'Critique').length,
-            nonConformites.filter(nc => nc.statut === 'Clos').length
-        ];
+        return GRAVITE_OPTIONS.map(gravite => nonConformites.filter(nc => nc.gravite === gravite).length);
     }
 
     /**
-     * @method getChartConfig
-     * @description Récupère la configuration pour le graphique de distribution
-     * @param {Array} data - Données du graphique
-     * @returns {Object} Configuration du graphique
-     * @implements Lean - Standardisation des configurations
+     * @method computeMonthOverMonth
+     * @description Compare le mois en cours à la même durée écoulée du mois précédent
+     * @param {Array} ncs - Non-conformités
+     * @param {Function} predicate - Filtre des NC comptées
+     * @param {string} dateField - Date de l'événement compté (date_creation, date_cloture)
+     * @param {Date} now - Date de référence
+     * @returns {Object} { current, previous, trend, label }
+     * @implements DMAIC - Control (suivi de l'amélioration)
      */
-    getChartConfig(data) {
-        const labels = ['Ouvert', 'Critique', 'Clos'];
-        const colors = ['#3b82f6', '#f97316', '#10b981'];
-        const maxValue = Math.max(...data, 4);
-
-        return { labels, colors, maxValue };
+    computeMonthOverMonth(ncs, predicate, dateField = 'date_creation', now = new Date()) {
+        const currentStart = new Date(now.getFullYear(), now.getMonth(), 1);
+        const previousStart = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+        // Même jour du mois précédent, borné à sa fin (ex: 31 mars → 1er mars)
+        const sameDayLastMonth = new Date(now.getFullYear(), now.getMonth() - 1, now.getDate(), now.getHours(), now.getMinutes());
+        const previousEnd = sameDayLastMonth < currentStart ? sameDayLastMonth : currentStart;
+
+        const countBetween = (from, to) => ncs.filter(nc => {
+            if (!nc[dateField] || !predicate(nc)) return false;
+            const date = new Date(nc[dateField]);
+            return date >= from && date < to;
+        }).length;
+
+        const current = countBetween(currentStart, now);
+        const previous = countBetween(previousStart, previousEnd);
+        return { current, previous, ...this.formatDelta(current, previous, 'mois dernier') };
     }
 
     /**
-     * @method getRepartitionConfig
-     * @description Récupère la configuration pour le graphique de répartition
-     * @param {Array} data - Données du graphique
-     * @returns {Object} Configuration du graphique
-     * @implements Lean - Standardisation des configurations
+     * @method computeBacklogDelta
+     * @description Compare le nombre de NC non clôturées aujourd'hui et un mois plus tôt
+     * @param {Array} ncs - Non-conformités
+     * @param {Date} now - Date de référence
+     * @returns {Object} { current, previous, trend, label }
+     * @implements DMAIC - Control
      */
-    getRepartitionConfig(data) {
-        const labels = ['Ouvert', 'Critique', 'Clos'];
-        const colors = ['#3b82f6', '#f97316', '#10b981'];
-        const total = data.reduce((sum, value) => sum + value, 0);
-
-        return { labels, colors, total };
+    computeBacklogDelta(ncs, now = new Date()) {
+        const oneMonthAgo = new Date(now.getFullYear(), now.getMonth() - 1, now.getDate(), now.getHours(), now.getMinutes());
+        const current = this.countBacklogAt(ncs, now);
+        const previous = this.countBacklogAt(ncs, oneMonthAgo);
+        return { current, previous, ...this.formatDelta(current, previous, 'il y a un mois') };
     }
 
     /**
-     * @method drawBarChart
-     * @description Dessine un graphique à barres
-     * @param {CanvasRenderingContext2D} ctx - Contexte du canvas
-     * @param {HTMLCanvasElement} canvas - Canvas du graphique
-     * @param {Array} data - Données du graphique
-     * @param {Array} labels - Étiquettes du graphique
-     * @param {Array} colors - Couleurs du graphique
-     * @param {number} maxValue - Valeur maximale pour l'axe Y
-     * @implements Lean - Standardisation des dessins
+     * @method countBacklogAt
+     * @description Nombre de NC déclarées et non clôturées à une date donnée
+     * @param {Array} ncs - Non-conformités
+     * @param {Date} date - Date d'observation
+     * @returns {number} Backlog
+     * @implements Lean - Visualisation du travail en cours
      */
-    drawBarChart(ctx, canvas, data, labels, colors, maxValue) {
-        const chartConfig = this.config.CHART_CONFIG.DISTRIBUTION;
-
-        // Dessin des axes
-        this.drawAxes(ctx, canvas, chartConfig, maxValue);
+    countBacklogAt(ncs, date) {
+        return ncs.filter(nc => {
+            if (new Date(nc.date_creation) > date) return false;
+            // NC close avant la migration : date de clôture inconnue, hors backlog ;
+            // un statut hors workflow (données anciennes ou reçues) reste compté ouvert
+            if (!nc.date_cloture) return (NC_TRANSITIONS[nc.statut] || [nc.statut]).length > 0;
+            return new Date(nc.date_cloture) > date;
+        }).length;
+    }
 
-        // Dessin des barres
-        data.forEach((value, index) => {
-            const x = chartConfig.START_X + index * (chartConfig.BAR_WIDTH + chartConfig.BAR_SPACING);
-            const height = (value / maxValue) * 120;
-            const y = chartConfig.START_Y - height;
+    /**
+     * @method formatDelta
+     * @description Formate une évolution entre deux périodes ("+12% vs mois dernier")
+     * @param {number} current - Valeur de la période courante
+     * @param {number} previous - Valeur de la période de référence
+     * @param {string} reference - Libellé de la période de référence
+     * @returns {Object} { trend: 1 | 0 | -1, label }
+     * @implements DMAIC - Control
+     */
+    formatDelta(current, previous, reference) {
+        const trend = Math.sign(current - previous);
 
-            ctx.fillStyle = colors[index];
-            ctx.fillRect(x, y, chartConfig.BAR_WIDTH, height);
+        if (trend === 0) {
+            return { trend, label: `Stable vs ${reference}` };
+        }
+        if (previous === 0) {
+            return { trend, label: `+${current} vs ${reference}` };
+        }
 
-            // Ajout des labels
-            this.drawBarLabels(ctx, x, y, height, labels[index], value, chartConfig);
-        });
+        const percent = Math.round(((current - previous) / previous) * 100);
+        return { trend, label: `${percent > 0 ? '+' : ''}${percent}% vs ${reference}` };
     }
 
     /**
-     * @method drawPieChart
-     * @description Dessine un graphique en camembert
-     * @param {CanvasRenderingContext2D} ctx - Contexte du canvas
-     * @param {HTMLCanvasElement} canvas - Canvas du graphique
-     * @param {Array} data - Données du graphique
-     * @param {Array} labels - Étiquettes du graphique
-     * @param {Array} colors - Couleurs du graphique
-     * @param {number} total - Total des données
-     * @implements Lean - Standardisation des dessins
+     * @method computeNcTrends
+     * @description NC déclarées et clôturées par période, avec le backlog en fin de période
+     * @param {Array} ncs - Non-conformités
+     * @param {string} granularity - 'jour', 'semaine' ou 'mois'
+     * @returns {Array} [{ periode, opened, closed, backlog }] sur les dernières périodes
+     * @implements DMAIC - Measure (tendance de la performance qualité)
      */
-    drawPieChart(ctx, canvas, data, labels, colors, total) {
-        const chartConfig = this.config.CHART_CONFIG.DISTRIBUTION;
-        const centerX = canvas.width / 2;
-        const centerY = canvas.height / 2;
-
-        let currentAngle = -Math.PI / 2;
+    computeNcTrends(ncs, granularity) {
+        if (ncs.length === 0) return [];
 
-        data.forEach((value, index) => {
-            const sliceAngle = (value / total) * 2 * Math.PI;
+        const first = ncs.reduce((min, nc) => (nc.date_creation < min ? nc.date_creation : min), ncs[0].date_creation);
+        const periods = new Map(this.listPeriodKeys(first, new Date(), granularity)
+            .map(key => [key, { periode: key, opened: 0, closed: 0 }]));
 
-            ctx.beginPath();
-            ctx.moveTo(centerX, centerY);
-            ctx.arc(centerX, centerY, chartConfig.RADIUS, currentAngle, currentAngle + sliceAngle);
-            ctx.closePath();
-            ctx.fillStyle = colors[index];
-            ctx.fill();
+        ncs.forEach(nc => {
+            const openedIn = periods.get(this.getPeriodKey(nc.date_creation, granularity));
+            if (openedIn) openedIn.opened += 1;
 
-            currentAngle += sliceAngle;
+            // NC close sans date de clôture (antérieure à la migration) : comptée close à sa déclaration
+            const closedAt = nc.date_cloture || ((NC_TRANSITIONS[nc.statut] || [nc.statut]).length === 0 ? nc.date_creation : null);
+            const closedIn = closedAt && periods.get(this.getPeriodKey(closedAt, granularity));
+            if (closedIn) closedIn.closed += 1;
         });
 
-        // Ajout de la légende
-        this.drawPieLegend(ctx, canvas, data, labels, colors);
-    }
-
-    /**
-     * @method drawAxes
-     * @description Dessine les axes du graphique
-     * @param {CanvasRenderingContext2D} ctx - Contexte du canvas
-     * @param {HTMLCanvasElement} canvas - Canvas du graphique
-     * @param {Object} config - Configuration du graphique
-     * @param {number} maxValue - Valeur maximale pour l'axe Y
-     * @implements Lean - Standardisation des dessins
-     */
-    drawAxes(ctx, canvas, config, maxValue) {
-        ctx.beginPath();
-        ctx.moveTo(config.START_X, config.START_Y);
-        ctx.lineTo(config.START_X + (config.BAR_WIDTH + config.BAR_SPACING) * 3, config.START_Y);
-        ctx.moveTo(config.START_X, config.START_Y);
-        ctx.lineTo(config.START_X, config.START_Y - 150);
-        ctx.strokeStyle = '#e5e7eb';
-        ctx.stroke();
-
-        // Ajout des valeurs sur les axes
-        this.drawAxisLabels(ctx, config, maxValue);
+        // Le backlog se cumule depuis la première NC, seules les dernières périodes sont retournées
+        let backlog = 0;
+        const trends = [...periods.values()].map(period => {
+            backlog += period.opened - period.closed;
+            return { ...period, backlog };
+        });
+        return trends.slice(-this.config.CHART_CONFIG.TREND.PERIODS[granularity]);
     }
 
     /**
-     * @method drawBarLabels
-     * @description Dessine les labels des barres
-     * @param {CanvasRenderingContext2D} ctx - Contexte du canvas
-     * @param {number} x - Position X
-     * @param {number} y - Position Y
-     * @param {number} height - Hauteur de la barre
-     * @param {string} label - Étiquette de la barre
-     * @param {number} value - Valeur de la barre
-     * @param {Object} config - Configuration du graphique
-     * @implements Lean - Standardisation des dessins
+     * @method computeMeanTimeToClose
+     * @description Délai moyen de clôture (en jours) par niveau de gravité
+     * @param {Array} ncs - Non-conformités
+     * @returns {Array} [{ gravite, days, count }] ; days vaut null sans NC clôturée datée
+     * @implements Lean - Réduction des délais
      */
-    drawBarLabels(ctx, x, y, height, label, value, config) {
-        ctx.fillStyle = '#6b7280';
-        ctx.font = '12px Inter';
-        ctx.textAlign = 'center';
-        ctx.fillText(label, x + config.BAR_WIDTH / 2, config.START_Y + 20);
-
-        // Ajout des valeurs sur les axes
-        ctx.fillText('0', config.START_X - 20, config.START_Y + 5);
-        ctx.fillText('1', config.START_X - 20, config.START_Y - 30);
-        ctx.fillText('2', config.START_X - 20, config.START_Y - 60);
-        ctx.fillText('3', config.START_X - 20, config.START_Y - 90);
-        ctx.fillText('4', config.START_X - 20, config.START_Y - 120);
+    computeMeanTimeToClose(ncs) {
+        return GRAVITE_OPTIONS.map(gravite => {
+            const closed = ncs.filter(nc => nc.gravite === gravite && nc.statut === 'Clos' && nc.date_cloture);
+            const totalMs = closed.reduce((sum, nc) => sum + (Date.parse(nc.date_cloture) - Date.parse(nc.date_creation)), 0);
+            return {
+                gravite,
+                days: closed.length > 0 ? totalMs / closed.length / 86400000 : null,
+                count: closed.length
+            };
+        });
     }
 
     /**
-     * @method drawAxisLabels
-     * @description Dessine les labels des axes
-     * @param {CanvasRenderingContext2D} ctx - Contexte du canvas
-     * @param {Object} config - Configuration du graphique
-     * @param {number} maxValue - Valeur maximale pour l'axe Y
-     * @implements Lean - Standardisation des dessins
+     * @method renderTrendChart
+     * @description Dessine les NC déclarées et clôturées par période et la courbe du backlog
+     * @param {HTMLElement} container - Conteneur du graphique
+     * @param {Array} trends - Données calculées par computeNcTrends
+     * @returns {Chart} Instance du graphique
+     * @implements ISO 9001 - Visualisation des données
      */
-    drawAxisLabels(ctx, config, maxValue) {
-        for (let i = 0; i <= 4; i++) {
-            ctx.fillText(i.toString(), config.START_X - 20, config.START_Y - (i * 30));
-        }
+    renderTrendChart(container, trends) {
+        return this.renderChart(container, {
+            type: 'bar',
+            labels: trends.map(period => period.periode),
+            datasets: [
+                { label: 'Déclarées', data: trends.map(period => period.opened), color: '#3b82f6' },
+                { label: 'Clôturées', data: trends.map(period => period.closed), color: '#10b981' },
+                { type: 'line', label: 'Backlog', data: trends.map(period => period.backlog), color: '#f97316' }
+            ],
+            height: this.config.CHART_CONFIG.TREND.HEIGHT,
+            emptyMessage: 'Aucune NC enregistrée'
+        });
     }
 
     /**
-     * @method drawPieLegend
-     * @description Dessine la légende du graphique en camembert
-     * @param {CanvasRenderingContext2D} ctx - Contexte du canvas
-     * @param {HTMLCanvasElement} canvas - Canvas du graphique
-     * @param {Array} data - Données du graphique
-     * @param {Array} labels - Étiquettes du graphique
-     * @param {Array} colors - Couleurs du graphique
-     * @implements Lean - Standardisation des dessins
+     * @method renderMeanTimeToCloseChart
+     * @description Dessine le délai moyen de clôture par gravité
+     * @param {HTMLElement} container - Conteneur du graphique
+     * @param {Array} mttc - Données calculées par computeMeanTimeToClose
+     * @returns {Chart} Instance du graphique
+     * @implements ISO 9001 - Visualisation des données
      */
-    drawPieLegend(ctx, canvas, data, labels, colors) {
-        const legendContainer = document.createElement('div');
-        legendContainer.className = 'mt-4 space-y-2';
-        canvas.parentNode.appendChild(legendContainer);
-
-        data.forEach((value, index) => {
-            const legendItem = document.createElement('div');
-            legendItem.className = 'flex items-center justify-between';
-            legendItem.innerHTML = `
-                <div className="flex items-center">
-                    <div className="w-3 h-3 rounded-full mr-2" style="background-color: ${colors[index]}"></div>
-                    <span className="text-sm text-gray-600">${labels[index]}</span>
-                </div>
-                <span className="text-sm font-semibold">${value}</span>
-            `;
-            legendContainer.appendChild(legendItem);
+    renderMeanTimeToCloseChart(container, mttc) {
+        const colors = this.config.CHART_CONFIG.REPARTITION.COLORS;
+
+        return this.renderChart(container, {
+            type: 'bar',
+            labels: mttc.map(item => item.gravite),
+            datasets: [{
+                label: 'Délai moyen',
+                data: mttc.map(item => item.days),
+                colors: mttc.map(item => colors[item.gravite])
+            }],
+            axes: { y: { format: value => `${Math.round(value * 10) / 10} j` } },
+            height: this.config.CHART_CONFIG.TREND.HEIGHT,
+            emptyMessage: 'Aucune NC clôturée'
         });
     }
 
     /**
-     * @method loadTableData
-     * @description Charge et affiche les données de la table
-     * @implements ISO 9001 - Visualisation des données
+     * @method loadParetoData
+     * @description Charge les NC de la période et les regroupe pour l'analyse de Pareto
+     * @param {Object} options - { groupBy: 'type_defaut' | 'poste' | 'gravite', dateFrom, dateTo }
+     * @returns {Promise<Array>} Catégories triées avec effectif et pourcentage cumulé
+     * @implements DMAIC - Measure (priorisation des défauts)
      */
-    loadTableData() {
+    async loadParetoData({ groupBy, dateFrom, dateTo }) {
         try {
-            const tableBody = document.querySelector('.table tbody');
-            if (!tableBody) return;
-
-            tableBody.innerHTML = '';
-
-            if (this.state.nonConformites.length === 0) {
-                this.createEmptyTableRow(tableBody);
-                return;
-            }
-
-            this.state.nonConformites.forEach(nc => {
-                const row = this.createTableRow(nc);
-                tableBody.appendChild(row);
-            });
-
+            const ncs = await dbManager.queryNonConformites({ dateFrom, dateTo });
+            return this.computeParetoData(ncs, groupBy);
         } catch (error) {
-            this.handleError("Chargement des données de table échoué", error);
+            this.handleError("Chargement de l'analyse de Pareto échoué", error);
+            return [];
         }
     }
 
     /**
-     * @method createEmptyTableRow
-     * @description Crée une ligne vide pour la table
-     * @param {HTMLElement} tableBody - Corps de la table
-     * @implements Lean - Standardisation des composants
+     * @method computeParetoData
+     * @description Regroupe les NC par champ, trie par effectif décroissant et calcule le cumul
+     * @param {Array} ncs - Non-conformités
+     * @param {string} groupBy - Champ de regroupement
+     * @returns {Array} [{ label, count, percent, cumulativePercent, vital }]
+     * @implements Lean - Loi de Pareto (80/20)
      */
-    createEmptyTableRow(tableBody) {
-        const emptyRow = document.createElement('tr');
-        emptyRow.innerHTML = `
-            <td colspan="5" className="text-center py-8 text-gray-500">
-                Aucune non-conformité enregistrée
-            </td>
-        `;
-        tableBody.appendChild(emptyRow);
+    computeParetoData(ncs, groupBy) {
+        const counts = new Map();
+        ncs.forEach(nc => {
+            const label = nc[groupBy] || 'Non renseigné';
+            counts.set(label, (counts.get(label) || 0) + 1);
+        });
+
+        const total = ncs.length;
+        const threshold = this.config.CHART_CONFIG.PARETO.THRESHOLD;
+        let cumulative = 0;
+
+        return [...counts.entries()]
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .map(([label, count]) => {
+                // Les "causes vitales" sont celles nécessaires pour atteindre le seuil de 80 %
+                const vital = (cumulative / total) * 100 < threshold;
+                cumulative += count;
+                return {
+                    label,
+                    count,
+                    percent: (count / total) * 100,
+                    cumulativePercent: (cumulative / total) * 100,
+                    vital
+                };
+            });
     }
 
     /**
-     * @method createTableRow
-     * @description Crée une ligne pour la table
-     * @param {Object} nc - Non-conformité
-     * @returns {HTMLElement} Ligne de table
-     * @implements Lean - Standardisation des composants
+     * @method renderParetoChart
+     * @description Dessine le diagramme de Pareto : barres triées, pourcentage cumulé et seuil de 80 %
+     * @param {HTMLElement} container - Conteneur du graphique
+     * @param {Array} data - Données calculées par computeParetoData
+     * @returns {Chart} Instance du graphique
+     * @implements ISO 9001 - Visualisation des données
      */
-    createTableRow(nc) {
-        const row = document.createElement('tr');
-        row.innerHTML = `
-            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">${nc.id}</td>
-            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">${nc.type_defaut}</td>
-            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">${nc.gravite}</td>
-            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">${nc.statut}</td>
-            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">${nc.id_declarant || 'Inconnu'}</td>
-        `;
-        return row;
+    renderParetoChart(container, data) {
+        const config = this.config.CHART_CONFIG.PARETO;
+
+        return this.renderChart(container, {
+            type: 'bar',
+            labels: data.map(item => item.label),
+            datasets: [
+                {
+                    label: 'NC',
+                    data: data.map(item => item.count),
+                    // Les causes vitales en couleur
+                    colors: data.map(item => (item.vital ? '#3b82f6' : '#d1d5db'))
+                },
+                {
+                    type: 'line',
+                    label: 'Cumul',
+                    axis: 'y2',
+                    data: data.map(item => item.cumulativePercent),
+                    color: '#f97316'
+                }
+            ],
+            axes: { y2: { min: 0, max: 100, format: value => `${Math.round(value)}%` } },
+            annotations: [{ value: config.THRESHOLD, axis: 'y2', color: '#ef4444', label: `${config.THRESHOLD}%` }],
+            legend: false,
+            height: config.HEIGHT,
+            emptyMessage: 'Aucune NC sur la période'
+        });
     }
 
     /**
-     * @method loadModuleContent
-     * @description Charge le contenu du module sélectionné
-     * @param {string} moduleId - ID du module
-     * @implements DMAIC - Improve (chargement dynamique)
+     * @method getPeriodKey
+     * @description Retourne la clé de période d'une date ("2024-03-15" par jour, "2024-S11" par semaine ISO, "2024-03" par mois)
+     * @param {string|Date} date - Date à classer
+     * @param {string} granularity - 'jour', 'semaine' ou 'mois'
+     * @returns {string} Clé de période
+     * @implements DMAIC - Measure (sous-groupes rationnels)
      */
-    loadModuleContent(moduleId) {
-        try {
-            this.logger.info("Chargement du module", { moduleId });
-            // Implémenter le chargement du contenu spécifique à chaque module
-            // Exemple: charger les composants React correspondants
-
-        } catch (error) {
-            this.handleError("Chargement du module échoué", error);
+    getPeriodKey(date, granularity) {
+        const d = new Date(date);
+        const pad = (value) => String(value).padStart(2, '0');
+
+        if (granularity === 'semaine') {
+            // Semaine ISO 8601 : le jeudi de la semaine détermine l'année
+            const thursday = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 3 - ((d.getDay() + 6) % 7));
+            const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+            const week = 1 + Math.round(((thursday - firstThursday) / 86400000 - 3 + ((firstThursday.getDay() + 6) % 7)) / 7);
+            return `${thursday.getFullYear()}-S${pad(week)}`;
         }
-    }
 
-    /**
-     * @method openNcForm
-     * @description Ouvre le formulaire de déclaration de NC
-     * @param {HTMLElement} ncForm - Formulaire de NC
-     * @implements Lean - Amélioration de l'UX
-     */
-    openNcForm(ncForm) {
-        try {
-            if (ncForm && document.getElementById('dashboard')) {
-                ncForm.style.display = 'block';
-                document.getElementById('dashboard').style.display = 'none';
-            }
-        } catch (error) {
-            this.handleError("Ouverture du formulaire échouée", error);
+        if (granularity === 'mois') {
+            return `${d.getFullYear()}-${pad(d.getMonth() + 1)}`;
         }
+
+        return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
     }
 
     /**
-     * @method closeNcForm
-     * @description Ferme le formulaire de déclaration de NC
-     * @param {HTMLElement} ncForm - Formulaire de NC
-     * @implements Lean - Amélioration de l'UX
+     * @method listPeriodKeys
+     * @description Liste toutes les périodes entre deux dates, y compris celles sans NC
+     * @param {string|Date} from - Début
+     * @param {string|Date} to - Fin
+     * @param {string} granularity - 'jour', 'semaine' ou 'mois'
+     * @returns {Array<string>} Clés de période ordonnées
+     * @implements DMAIC - Measure
      */
-    closeNcForm(ncForm) {
-        try {
-            if (ncForm && document.getElementById('dashboard')) {
-                ncForm.style.display = 'none';
-                document.getElementById('dashboard').style.display = 'block';
-                document.getElementById('declaration-form').reset();
-            }
-        } catch (error) {
-            this.handleError("Fermeture du formulaire échouée", error);
+    listPeriodKeys(from, to, granularity) {
+        const keys = [];
+        const start = new Date(from);
+        const end = new Date(to);
+
+        for (let d = new Date(start.getFullYear(), start.getMonth(), start.getDate()); d <= end; d.setDate(d.getDate() + 1)) {
+            const key = this.getPeriodKey(d, granularity);
+            if (keys[keys.length - 1] !== key) keys.push(key);
         }
+
+        return keys;
     }
 
     /**
-     * @method handleSubmitNcForm
-     * @description Gère la soumission du formulaire de NC
-     * @param {HTMLFormElement} form - Formulaire de déclaration
-     * @implements ISO 9001 - Contrôle de la qualité
+     * @method loadControlChart
+     * @description Construit une carte de contrôle c (nombre de NC) ou p (proportion de défectueux)
+     * @param {Object} options - { type: 'c' | 'p', poste, granularity, dateFrom, dateTo }
+     * @returns {Promise<Object|null>} { type, periods, points, center, violations }
+     * @implements DMAIC - Control (maîtrise statistique des procédés)
      */
-    async handleSubmitNcForm(form) {
+    async loadControlChart({ type, poste, granularity, dateFrom, dateTo }) {
         try {
-            // Validation des données (ISO 9001 - Contrôle de la qualité)
-            const formData = this.getFormData(form);
-            const validation = this.validator.validateNcForm(formData);
-
-            if (!validation.isValid) {
-                this.showErrorMessage(validation.errors);
-                return;
+            const ncs = await dbManager.queryNonConformites({ poste: poste || undefined, dateFrom, dateTo });
+            if (ncs.length === 0 && !dateFrom) {
+                return { type, periods: [], points: [], center: 0, violations: [] };
             }
 
-            this.setState({ isLoading: true });
+            // Comptage par période sur toute la plage, les périodes sans NC comptent pour zéro
+            const from = dateFrom || ncs.reduce((min, nc) => (nc.date_creation < min ? nc.date_creation : min), ncs[0].date_creation);
+            const to = dateTo || new Date().toISOString();
+            const counts = new Map(this.listPeriodKeys(from, to, granularity).map(key => [key, 0]));
+            ncs.forEach(nc => {
+                const key = this.getPeriodKey(nc.date_creation, granularity);
+                if (counts.has(key)) counts.set(key, counts.get(key) + 1);
+            });
 
-            // Soumission des données
-            await this.submitNcDeclaration(formData);
+            const volumes = type === 'p' ? await dbManager.getVolumesProduction(poste || ALL_POSTES) : [];
+            const volumeByPeriod = new Map(volumes.map(entry => [entry.periode, entry.volume]));
+            const periods = [...counts.entries()].map(([periode, defects]) => ({
+                periode,
+                defects,
+                size: volumeByPeriod.get(periode)
+            }));
 
-            // Mise à jour de l'affichage
-            this.updateDisplay();
+            // La carte p n'utilise que les périodes dont le volume produit est connu
+            const chart = type === 'p'
+                ? this.computePChart(periods.filter(period => period.size > 0))
+                : this.computeCChart(periods);
 
-            // Fermeture du formulaire
-            this.closeNcForm(document.getElementById('nc-form'));
+            const violations = this.detectWesternElectricViolations(chart.points);
+            this.notifySpcViolations(violations, `${type} ${poste || ALL_POSTES}`);
 
-            // Affichage du message de succès
-            this.showSuccessMessage('Non-Conformité déclarée avec succès');
+            return { type, periods, ...chart, violations };
 
         } catch (error) {
-            this.handleError("Soumission du formulaire échouée", error);
-        } finally {
-            this.setState({ isLoading: false });
+            this.handleError("Chargement de la carte de contrôle échoué", error);
+            return null;
         }
     }
 
     /**
-     * @method getFormData
-     * @description Récupère les données du formulaire
-     * @param {HTMLFormElement} form - Formulaire
-     * @returns {Object} Données du formulaire
-     * @implements Lean - Standardisation des traitements
+     * @method computeCChart
+     * @description Carte c : ligne centrale c̄, limites c̄ ± 3√c̄ (LCL bornée à 0)
+     * @param {Array} periods - [{ periode, defects }]
+     * @returns {Object} { center, points }
+     * @implements DMAIC - Control
      */
-    getFormData(form) {
-        const formData = new FormData(form);
-        const data = {};
+    computeCChart(periods) {
+        const center = periods.length > 0
+            ? periods.reduce((sum, period) => sum + period.defects, 0) / periods.length
+            : 0;
+        const sigma = Math.sqrt(center);
 
-        for (let [key, value] of formData.entries()) {
-            data[key] = value;
-        }
+        return {
+            center,
+            points: periods.map(period => ({
+                periode: period.periode,
+                value: period.defects,
+                center,
+                sigma,
+                ucl: center + 3 * sigma,
+                lcl: Math.max(0, center - 3 * sigma)
+            }))
+        };
+    }
 
-        return data;
+    /**
+     * @method computePChart
+     * @description Carte p : p̄ = Σdéfauts / Σvolumes, limites variables p̄ ± 3√(p̄(1-p̄)/n)
+     * @param {Array} periods - [{ periode, defects, size }]
+     * @returns {Object} { center, points }
+     * @implements DMAIC - Control
+     */
+    computePChart(periods) {
+        const totalDefects = periods.reduce((sum, period) => sum + period.defects, 0);
+        const totalSize = periods.reduce((sum, period) => sum + period.size, 0);
+        const center = totalSize > 0 ? totalDefects / totalSize : 0;
+
+        return {
+            center,
+            points: periods.map(period => {
+                const sigma = Math.sqrt(center * (1 - center) / period.size);
+                return {
+                    periode: period.periode,
+                    value: period.defects / period.size,
+                    center,
+                    sigma,
+                    ucl: Math.min(1, center + 3 * sigma),
+                    lcl: Math.max(0, center - 3 * sigma)
+                };
+            })
+        };
     }
 
     /**
-     * @method submitNcDeclaration
-     * @description Soumet une nouvelle déclaration de NC
-     * @param {Object} ncData - Données de la NC
-     * @implements DMAIC - Improve (gestion des données)
+     * @method detectWesternElectricViolations
+     * @description Applique les règles de Western Electric ; marque chaque point concerné
+     * @param {Array} points - Points de la carte ({ value, center, sigma })
+     * @returns {Array} [{ rule, periode, message }]
+     * @implements DMAIC - Control (détection des causes spéciales)
      */
-    async submitNcDeclaration(ncData) {
-        try {
-            // Simulation de l'ajout de la NC
-            const newNc = {
-                ...ncData,
-                id: this.state.nonConformites.length + 1,
-                date_creation: new Date().toISOString(),
-                statut: 'Ouvert'
-            };
+    detectWesternElectricViolations(points) {
+        const z = points.map(point => (point.sigma > 0 ? (point.value - point.center) / point.sigma : 0));
+        const violations = [];
+
+        // Au moins `count` points parmi les `size` derniers au-delà de `limit` σ, du côté du point courant
+        const sameSide = (index, size, count, limit) => {
+            if (index < size - 1) return false;
+            const side = Math.sign(z[index]);
+            if (side === 0 || side * z[index] <= limit) return false;
+            return z.slice(index - size + 1, index + 1).filter(value => side * value > limit).length >= count;
+        };
 
-            this.setState(prevState => ({
-                nonConformites: [...prevState.nonConformites, newNc]
-            }));
+        points.forEach((point, index) => {
+            point.violations = [];
+            if (point.sigma === 0) return;
 
-            this.logger.info("Nouvelle NC ajoutée", { ncId: newNc.id, ncData });
+            if (Math.abs(z[index]) > 3) point.violations.push(1);
+            if (sameSide(index, 3, 2, 2)) point.violations.push(2);
+            if (sameSide(index, 5, 4, 1)) point.violations.push(3);
+            if (sameSide(index, 8, 8, 0)) point.violations.push(4);
 
-        } catch (error) {
-            this.handleError("Ajout de la NC échoué", error);
-            throw error;
-        }
+            point.violations.forEach(rule => {
+                violations.push({ rule, periode: point.periode, message: WESTERN_ELECTRIC_RULES[rule] });
+            });
+        });
+
+        return violations;
     }
 
     /**
-     * @method updateDisplay
-     * @description Met à jour l'affichage de l'application
-     * @implements DMAIC - Control (mise à jour des données)
+     * @method notifySpcViolations
+     * @description Signale les violations détectées, une notification par règle
+     * @param {Array} violations - Violations détectées
+     * @param {string} label - Carte concernée
+     * @implements DMAIC - Control (réaction hors contrôle)
      */
-    updateDisplay() {
-        this.loadMetrics();
-        this.loadCharts();
-        this.loadTableData();
+    notifySpcViolations(violations, label) {
+        const byRule = new Map();
+        violations.forEach(violation => {
+            byRule.set(violation.rule, [...(byRule.get(violation.rule) || []), violation.periode]);
+        });
+
+        byRule.forEach((periodes, rule) => {
+            this.showAlert('warning', `Carte ${label} hors contrôle — ${WESTERN_ELECTRIC_RULES[rule]} (${periodes.join(', ')})`, {
+                titre: 'Carte de contrôle',
+                cle: `spc_${label}_${rule}_${periodes.join(',')}`
+            });
+        });
+
+        if (violations.length > 0) {
+            this.logger.warn("Violations des règles de Western Electric", { label, violations });
+        }
     }
 
     /**
-     * @method showSuccessMessage
-     * @description Affiche un message de succès
-     * @param {string} message - Message de succès
-     * @implements ISO 9001 - Communication avec l'utilisateur
+     * @method saveVolumeProduction
+     * @description Enregistre le volume produit d'un poste pour une période
+     * @param {string} poste - Poste ('' pour l'ensemble des postes)
+     * @param {string} periode - Clé de période
+     * @param {number} volume - Nombre d'unités produites
+     * @returns {Promise<boolean>} Succès de l'enregistrement
+     * @implements DMAIC - Measure
      */
-    showSuccessMessage(message) {
-        this.showNotification('success', message);
+    async saveVolumeProduction(poste, periode, volume) {
+        try {
+            this.requirePermission(PERMISSIONS.ANALYZE);
+            await dbManager.saveVolumeProduction({ poste: poste || ALL_POSTES, periode, volume });
+            return true;
+        } catch (error) {
+            this.handleError(`Enregistrement du volume échoué: ${error.message}`, error);
+            return false;
+        }
     }
 
     /**
-     * @method showErrorMessage
-     * @description Affiche un message d'erreur
-     * @param {string|Object} message - Message d'erreur
-     * @implements ISO 9001 - Communication avec l'utilisateur
+     * @method renderControlChart
+     * @description Dessine une carte de contrôle : mesures, ligne centrale, limites UCL/LCL et violations
+     * @param {HTMLElement} container - Conteneur du graphique
+     * @param {Object} chart - Carte calculée par loadControlChart
+     * @returns {Chart} Instance du graphique
+     * @implements ISO 9001 - Visualisation des données
      */
-    showErrorMessage(message) {
-        this.showNotification('error', message);
+    renderControlChart(container, chart) {
+        const { points } = chart;
+        const format = chart.type === 'p'
+            ? value => `${(value * 100).toFixed(1)}%`
+            : value => String(Math.round(value * 10) / 10);
+        const limit = (label, accessor, color, dashed) => ({
+            type: 'line', label, data: points.map(accessor), color, dashed, lineWidth: 1, showPoints: false
+        });
+
+        return this.renderChart(container, {
+            type: 'line',
+            labels: points.map(point => point.periode),
+            datasets: [
+                {
+                    label: chart.type === 'p' ? 'Proportion' : 'NC',
+                    data: points.map(point => point.value),
+                    color: '#3b82f6',
+                    // Points hors contrôle en rouge, annotés des règles violées
+                    pointColors: points.map(point => (point.violations.length > 0 ? '#ef4444' : null)),
+                    pointLabels: points.map(point => point.violations.join(','))
+                },
+                limit('UCL', point => point.ucl, '#ef4444', true),
+                limit('CL', point => point.center, '#10b981', false),
+                limit('LCL', point => point.lcl, '#ef4444', true)
+            ],
+            axes: { y: { min: 0, format } },
+            height: this.config.CHART_CONFIG.CONTROL.HEIGHT,
+            emptyMessage: chart.type === 'p' ? 'Saisissez les volumes de production' : 'Aucune NC sur la période'
+        });
     }
 
     /**
-     * @method showNotification
-     * @description Affiche une notification
-     * @param {string} type - Type de notification (success, error, warning, info)
-     * @param {string|Object} message - Message de notification
-     * @implements ISO 9001 - Communication avec l'utilisateur
+     * @method renderIshikawaDiagram
+     * @description Dessine le diagramme d'Ishikawa (6M) dans un conteneur
+     * @param {HTMLElement} container - Conteneur du diagramme
+     * @param {Object} branches - Causes classées par branche 6M
+     * @param {string} effet - Problème analysé (tête du poisson)
+     * @param {string} causeRacine - Cause confirmée, mise en évidence
+     * @returns {HTMLCanvasElement} Canvas du diagramme
+     * @implements DMAIC - Analyze (diagramme causes-effet)
      */
-    showNotification(type, message) {
-        const notification = {
-            id: Date.now(),
-            type,
-            message,
-            timestamp: new Date().toISOString()
-        };
+    renderIshikawaDiagram(container, branches, effet, causeRacine) {
+        const layout = this.getIshikawaLayout(branches, effet, causeRacine);
+        const canvas = this.createChartCanvas(container, layout.width, layout.height);
+        canvas.style.width = '100%';
 
-        this.setState(prevState => ({
-            notifications: [notification, ...prevState.notifications]
-        }));
+        this.drawShapes(canvas.getContext('2d'), layout);
+        return canvas;
+    }
+
+    /**
+     * @method getIshikawaLayout
+     * @description Calcule la géométrie du diagramme, commune au rendu canvas et à l'export SVG
+     * @param {Object} branches - Causes classées par branche 6M
+     * @param {string} effet - Problème analysé
+     * @param {string} causeRacine - Cause confirmée
+     * @returns {Object} { width, height, shapes } où shapes liste lignes, cadres et textes
+     * @implements Lean - Standardisation des dessins
+     */
+    getIshikawaLayout(branches, effet, causeRacine) {
+        const config = this.config.CHART_CONFIG.ISHIKAWA;
+        const truncate = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+        const linesOf = (categorie) => ((branches && branches[categorie]) || []).flatMap(item => [
+            { text: item.cause, level: 0 },
+            ...(item.sous_causes || []).map(sousCause => ({ text: sousCause, level: 1 }))
+        ]);
+
+        const maxLines = Math.max(1, ...ISHIKAWA_CATEGORIES.map(categorie => linesOf(categorie).length));
+        const branchHeight = Math.max(config.MIN_BRANCH_HEIGHT, (maxLines + 1) * config.LINE_HEIGHT);
+        const width = config.WIDTH;
+        const height = 2 * (branchHeight + config.MARGIN);
+        const spineY = height / 2;
+        const spineStart = config.LABEL_SPACE;
+        const spineEnd = width - config.HEAD_WIDTH - config.MARGIN;
+        const segment = (spineEnd - spineStart) / 3;
+
+        // Arête centrale et tête du poisson (effet)
+        const shapes = [
+            { type: 'line', x1: config.MARGIN, y1: spineY, x2: spineEnd, y2: spineY, color: '#1f2937', width: 3 },
+            { type: 'rect', x: spineEnd, y: spineY - 30, width: config.HEAD_WIDTH, height: 60, color: '#3b82f6' },
+            { type: 'text', x: spineEnd + config.HEAD_WIDTH / 2, y: spineY + 5, text: truncate(effet || 'Effet', 22), align: 'center', size: 13, bold: true, color: '#1f2937' }
+        ];
+
+        // Trois branches au-dessus de l'arête, trois en dessous
+        ISHIKAWA_CATEGORIES.forEach((categorie, index) => {
+            const top = index < 3;
+            const joinX = spineStart + segment * (index % 3 + 1) - 10;
+            const endX = joinX - config.BRANCH_SLANT;
+            const endY = top ? spineY - branchHeight : spineY + branchHeight;
+
+            shapes.push({ type: 'line', x1: endX, y1: endY, x2: joinX, y2: spineY, color: '#6b7280', width: 2 });
+            shapes.push({ type: 'text', x: endX, y: top ? endY - 10 : endY + 20, text: categorie, align: 'center', size: 13, bold: true, color: '#1f2937' });
+
+            const lines = linesOf(categorie);
+            lines.forEach((line, lineIndex) => {
+                const ratio = (lineIndex + 1) / (lines.length + 1);
+                const x = endX + (joinX - endX) * ratio;
+                const y = endY + (spineY - endY) * ratio;
+                const tick = line.level === 0 ? 60 : 40;
+                const isRoot = Boolean(causeRacine) && line.text === causeRacine;
+
+                shapes.push({ type: 'line', x1: x - tick, y1: y, x2: x, y2: y, color: isRoot ? '#dc2626' : '#9ca3af', width: 1 });
+                shapes.push({
+                    type: 'text',
+                    x: x - tick - 4,
+                    y: y + 4,
+                    text: truncate(line.text, config.MAX_LABEL),
+                    align: 'right',
+                    size: line.level === 0 ? 12 : 11,
+                    bold: isRoot,
+                    color: isRoot ? '#dc2626' : (line.level === 0 ? '#374151' : '#6b7280')
+                });
+            });
+        });
 
-        // Auto-suppression après 5 secondes
-        setTimeout(() => {
-            this.removeNotification(notification.id);
-        }, 5000);
+        return { width, height, shapes };
     }
 
     /**
-     * @method removeNotification
-     * @description Supprime une notification
-     * @param {number} id - ID de la notification
-     * @implements DMAIC - Control (gestion des notifications)
+     * @method drawShapes
+     * @description Dessine une liste de formes calculée par un layout sur un canvas
+     * @param {CanvasRenderingContext2D} ctx - Contexte du canvas
+     * @param {Object} layout - { width, height, shapes }
+     * @implements Lean - Standardisation des dessins
      */
-    removeNotification(id) {
-        this.setState(prevState => ({
-            notifications: prevState.notifications.filter(n => n.id !== id)
-        }));
+    drawShapes(ctx, layout) {
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, layout.width, layout.height);
+
+        layout.shapes.forEach(shape => {
+            switch (shape.type) {
+                case 'line':
+                    ctx.beginPath();
+                    ctx.moveTo(shape.x1, shape.y1);
+                    ctx.lineTo(shape.x2, shape.y2);
+                    ctx.strokeStyle = shape.color;
+                    ctx.lineWidth = shape.width;
+                    ctx.stroke();
+                    break;
+                case 'rect':
+                    ctx.strokeStyle = shape.color;
+                    ctx.lineWidth = 2;
+                    ctx.strokeRect(shape.x, shape.y, shape.width, shape.height);
+                    break;
+                case 'text':
+                    ctx.fillStyle = shape.color;
+                    ctx.font = `${shape.bold ? 'bold ' : ''}${shape.size}px Inter`;
+                    ctx.textAlign = shape.align;
+                    ctx.fillText(shape.text, shape.x, shape.y);
+                    break;
+            }
+        });
     }
 
     /**
-     * @method handleNavigationClick
-     * @description Gère le clic sur un item de navigation
-     * @param {HTMLElement} item - Item de navigation cliqué
-     * @implements Lean - Élimination du gaspillage (code réutilisable)
+     * @method buildSvg
+     * @description Sérialise un layout de formes en document SVG
+     * @param {Object} layout - { width, height, shapes }
+     * @returns {string} Document SVG
+     * @implements ISO 9001 - Informations documentées
      */
-    handleNavigationClick(item) {
+    buildSvg(layout) {
+        const escape = (text) => String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        const anchors = { left: 'start', center: 'middle', right: 'end' };
+
+        const elements = layout.shapes.map(shape => {
+            switch (shape.type) {
+                case 'line':
+                    return `<line x1="${shape.x1}" y1="${shape.y1}" x2="${shape.x2}" y2="${shape.y2}" stroke="${shape.color}" stroke-width="${shape.width}"/>`;
+                case 'rect':
+                    return `<rect x="${shape.x}" y="${shape.y}" width="${shape.width}" height="${shape.height}" fill="none" stroke="${shape.color}" stroke-width="2"/>`;
+                case 'text':
+                    return `<text x="${shape.x}" y="${shape.y}" text-anchor="${anchors[shape.align]}" font-family="Inter, sans-serif" font-size="${shape.size}" font-weight="${shape.bold ? 'bold' : 'normal'}" fill="${shape.color}">${escape(shape.text)}</text>`;
+                default:
+                    return '';
+            }
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" height="${layout.height}" viewBox="0 0 ${layout.width} ${layout.height}">`,
+            `<rect width="${layout.width}" height="${layout.height}" fill="#ffffff"/>`,
+            ...elements,
+            '</svg>'
+        ].join('\n');
+    }
+
+    /**
+     * @method exportIshikawa
+     * @description Exporte le diagramme d'Ishikawa d'une NC en PNG ou SVG
+     * @param {string} format - 'png' ou 'svg'
+     * @param {Object} analyse - Analyse Ishikawa (branches, cause_racine)
+     * @param {Object} nc - NC analysée
+     * @implements ISO 9001 - Informations documentées
+     */
+    exportIshikawa(format, analyse, nc) {
         try {
-            // Mise à jour de l'état actif
-            document.querySelectorAll('.sidebar-item').forEach(nav => nav.classList.remove('active'));
-            item.classList.add('active');
+            const layout = this.getIshikawaLayout(analyse.branches, nc.type_defaut, analyse.cause_racine);
+            const filename = `ishikawa-nc-${nc.id}.${format}`;
 
-            // Chargement du contenu du module
-            const moduleId = item.dataset.module;
-            this.loadModuleContent(moduleId);
+            if (format === 'svg') {
+                this.downloadFile(new Blob([this.buildSvg(layout)], { type: 'image/svg+xml' }), filename);
+            } else {
+                const canvas = document.createElement('canvas');
+                canvas.width = layout.width;
+                canvas.height = layout.height;
+                this.drawShapes(canvas.getContext('2d'), layout);
+                canvas.toBlob(blob => this.downloadFile(blob, filename), 'image/png');
+            }
+
+            this.logger.info("Diagramme d'Ishikawa exporté", { ncId: nc.id, format });
 
         } catch (error) {
-            this.handleError("Gestion de la navigation échouée", error);
+            this.handleError("Export du diagramme échoué", error);
         }
     }
 
     /**
-     * @method toggleSidebar
-     * @description Ouvre/ferme le sidebar
-     * @param {HTMLElement} sidebar - Sidebar à toggle
-     * @implements Lean - Amélioration de l'UX
+     * @method downloadFile
+     * @description Déclenche le téléchargement d'un fichier généré côté client
+     * @param {Blob} blob - Contenu du fichier
+     * @param {string} filename - Nom du fichier
+     * @implements Lean - Standardisation des composants
      */
-    toggleSidebar(sidebar) {
-        sidebar.classList.toggle('open');
+    downloadFile(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Révocation différée : certains navigateurs lisent l'URL après le retour de click()
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 
     /**
-     * @method closeSidebar
-     * @description Ferme le sidebar
-     * @param {HTMLElement} sidebar - Sidebar à fermer
-     * @implements Lean - Amélioration de l'UX
+     * @method filterNonConformites
+     * @description Applique les filtres de la liste des opérations
+     * @param {Array} ncs - Non-conformités
+     * @param {Object} filters - { statut, gravite, poste, dateFrom, dateTo } ; valeur vide = pas de filtre
+     * @returns {Array} NC retenues
+     * @implements Lean - Visualisation ciblée
      */
-    closeSidebar(sidebar) {
-        sidebar.classList.remove('open');
+    filterNonConformites(ncs, { statut, gravite, poste, dateFrom, dateTo }) {
+        // Bornes de dates incluses, en heure locale
+        const from = dateFrom ? new Date(`${dateFrom}T00:00:00`) : null;
+        const to = dateTo ? new Date(`${dateTo}T23:59:59.999`) : null;
+
+        return ncs.filter(nc => (!statut || nc.statut === statut)
+            && (!gravite || nc.gravite === gravite)
+            && (!poste || nc.poste === poste)
+            && (!from || new Date(nc.date_creation) >= from)
+            && (!to || new Date(nc.date_creation) <= to));
     }
 
     /**
-     * @method handleLogin
-     * @description Gère la connexion de l'utilisateur
-     * @param {HTMLFormElement} form - Formulaire de connexion
-     * @implements ISO 9001 - Contrôle d'accès
+     * @method buildExportTable
+     * @description Prépare les lignes d'export des NC, avec une ligne par action corrective si demandé
+     * @param {Array} ncs - NC à exporter
+     * @param {Object} options - { columns: [clés de EXPORT_COLUMNS], includeActions }
+     * @returns {Promise<Object>} { columns: [libellés], rows: [[valeurs]] }
+     * @implements ISO 9001 §7.5 - Informations documentées
      */
-    async handleLogin(form) {
+    async buildExportTable(ncs, { columns, includeActions }) {
+        const selected = EXPORT_COLUMNS.filter(column => columns.includes(column.key) && (includeActions || !column.action));
+        const actionsByNc = new Map();
+
+        if (includeActions) {
+            (await dbManager.getActionsCorrectives()).forEach(action => {
+                if (!actionsByNc.has(action.id_nc)) actionsByNc.set(action.id_nc, []);
+                actionsByNc.get(action.id_nc).push(action);
+            });
+        }
+
+        const rows = [];
+        ncs.forEach(nc => {
+            // Une NC sans action reste exportée, avec des colonnes d'action vides
+            const actions = includeActions && actionsByNc.has(nc.id) ? actionsByNc.get(nc.id) : [null];
+            actions.forEach(action => {
+                rows.push(selected.map(column => (column.action && !action ? '' : column.value(nc, action, this))));
+            });
+        });
+
+        return { columns: selected.map(column => column.label), rows };
+    }
+
+    /**
+     * @method toCsv
+     * @description Sérialise un tableau en CSV pour Excel en français (séparateur ";", virgule décimale, BOM UTF-8,
+     * cellules texte commençant par =, +, -, @ préfixées d'une apostrophe)
+     * @param {Array} columns - Libellés des colonnes
+     * @param {Array} rows - Lignes de valeurs (texte, nombre ou Date)
+     * @returns {Blob} Fichier CSV
+     * @implements Lean - Standardisation des échanges
+     */
+    toCsv(columns, rows) {
+        const formatCell = (value) => {
+            if (value === undefined || value === null) return '';
+            if (value instanceof Date) return value.toLocaleString('fr-FR');
+            if (typeof value === 'number') return String(value).replace('.', ',');
+            // Texte interprétable comme une formule par le tableur (injection CSV) : neutralisé par une apostrophe
+            const raw = String(value);
+            const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+            return /[;"\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [columns, ...rows].map(row => row.map(formatCell).join(';'));
+        return new Blob(['\ufeff', lines.join('\r\n'), '\r\n'], { type: 'text/csv;charset=utf-8' });
+    }
+
+    /**
+     * @method exportNonConformites
+     * @description Exporte la liste filtrée des NC en CSV ou en XLSX
+     * @param {Array} ncs - NC affichées (filtres appliqués)
+     * @param {string} format - 'CSV' ou 'XLSX'
+     * @param {Object} options - { columns, includeActions }
+     * @returns {Promise<boolean>} Succès de l'export
+     * @implements ISO 9001 §7.5 - Informations documentées
+     */
+    async exportNonConformites(ncs, format, options) {
         try {
-            const username = document.getElementById('login-username').value;
-            const password = document.getElementById('login-password').value;
+            this.requirePermission(PERMISSIONS.GENERATE_REPORTS);
 
-            // Validation des identifiants (ISO 9001 - Contrôle d'accès)
-            if (!username || !password) {
-                this.showErrorMessage('Veuillez remplir tous les champs');
-                return;
+            const { columns, rows } = await this.buildExportTable(ncs, options);
+            if (columns.length === 0) {
+                throw new Error("Aucune colonne sélectionnée");
             }
 
-            const user = await this.login(username, password);
-
-            if (user) {
-                this.setState({ currentUser: user, isLoggedIn: true });
-                this.showDashboard();
-                this.showSuccessMessage('Connexion réussie');
+            const basename = `non-conformites-${this.getPeriodKey(new Date(), 'jour')}`;
+            if (format === 'XLSX') {
+                this.downloadFile(buildXlsx([{ name: 'Non-conformités', columns, rows }]), `${basename}.xlsx`);
             } else {
-                this.showErrorMessage('Identifiants incorrects');
+                this.downloadFile(this.toCsv(columns, rows), `${basename}.csv`);
             }
 
+            this.logger.info("NC exportées", { format, count: ncs.length, rows: rows.length, includeActions: options.includeActions });
+            return true;
+
         } catch (error) {
-            this.handleError("Connexion échouée", error);
+            this.handleError(`Export des NC échoué: ${error.message}`, error);
+            return false;
         }
     }
 
     /**
-     * @method login
-     * @description Authentifie un utilisateur
-     * @param {string} username - Nom d'utilisateur
-     * @param {string} password - Mot de passe
-     * @returns {Object|null} Utilisateur authentifié ou null
-     * @implements ISO 9001 - Contrôle d'accès
+     * @method parseCsv
+     * @description Découpe un texte CSV (séparateur ";", "," ou tabulation détecté sur la première ligne)
+     * @param {string} text - Contenu du fichier
+     * @returns {Array} Lignes de cellules texte
+     * @implements Lean - Reprise de l'historique sans ressaisie
      */
-    async login(username, password) {
-        try {
-            // Simulation de l'authentification
-            if (username === 'admin' && password === 'admin123') {
-                return { id: 1, username: 'admin', role: 'admin' };
+    parseCsv(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+        const delimiter = [';', ',', '\t'].reduce((best, candidate) => (
+            firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+        ), ';');
+
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
             }
-            return null;
+        }
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows;
+    }
 
-        } catch (error) {
-            this.handleError("Authentification échouée", error);
-            return null;
+    /**
+     * @method readImportFile
+     * @description Lit un fichier CSV ou XLSX et sépare l'en-tête des lignes de données
+     * @param {File} file - Fichier choisi par l'utilisateur
+     * @returns {Promise<Object>} { headers, rows }
+     * @implements Lean - Reprise de l'historique sans ressaisie
+     */
+    async readImportFile(file) {
+        let rows;
+        if (/\.xlsx$/i.test(file.name)) {
+            rows = await readXlsx(await file.arrayBuffer());
+        } else {
+            const bytes = await file.arrayBuffer();
+            let text;
+            try {
+                text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+            } catch (error) {
+                // Export Excel "CSV (séparateur : point-virgule)" : encodage Windows
+                text = new TextDecoder('windows-1252').decode(bytes);
+            }
+            rows = this.parseCsv(text.replace(/^\ufeff/, ''));
         }
+
+        const isEmpty = row => row.every(cell => cell === '' || cell === null || cell === undefined);
+        const [headers = [], ...data] = rows.filter(row => !isEmpty(row));
+        return { headers: headers.map(header => String(header).trim()), rows: data };
     }
 
     /**
-     * @method showDashboard
-     * @description Affiche le dashboard
-     * @implements Lean - Amélioration de l'UX
+     * @method guessImportMapping
+     * @description Associe les colonnes du fichier aux champs des NC d'après leurs intitulés
+     * @param {Array} headers - Intitulés des colonnes du fichier
+     * @returns {Object} { champ: index de colonne | '' }
+     * @implements Lean - Poka-yoke (correspondance proposée)
      */
-    showDashboard() {
-        try {
-            const loginForm = document.getElementById('login-form');
-            const dashboard = document.getElementById('dashboard');
+    guessImportMapping(headers) {
+        const normalize = value => String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+        const normalizedHeaders = headers.map(normalize);
+
+        return Object.fromEntries(IMPORT_FIELDS.map(({ field, label, aliases = [] }) => {
+            // Les intitulés de l'export (EXPORT_COLUMNS) sont reconnus : un export se réimporte tel quel
+            const exported = EXPORT_COLUMNS.find(column => column.key === field);
+            const candidates = [field, label, ...aliases, ...(exported ? [exported.label] : [])].map(normalize);
+            const index = normalizedHeaders.findIndex(header => candidates.includes(header));
+            return [field, index === -1 ? '' : index];
+        }));
+    }
 
-            if (loginForm && dashboard) {
-                loginForm.style.display = 'none';
-                dashboard.style.display = 'block';
-            }
-        } catch (error) {
-            this.handleError("Affichage du dashboard échoué", error);
+    /**
+     * @method parseImportDate
+     * @description Convertit une date du fichier (Date, "JJ/MM/AAAA [hh:mm]" ou ISO) en horodatage ISO
+     * @param {*} value - Valeur de la cellule
+     * @returns {string} Horodatage ISO, ou la valeur d'origine si elle n'est pas une date (rejetée à la validation)
+     */
+    parseImportDate(value) {
+        if (value instanceof Date) return value.toISOString();
+
+        const text = String(value).trim();
+        const french = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})(?:[ T](\d{1,2})[:h](\d{2})(?::(\d{2}))?)?$/);
+        if (french) {
+            const [, day, month, year, hours = 0, minutes = 0, seconds = 0] = french;
+            const fullYear = year.length === 2 ? 2000 + Number(year) : Number(year);
+            const date = new Date(fullYear, month - 1, day, hours, minutes, seconds);
+            // 31/02 ou 13/13 : date inexistante
+            return date.getMonth() === month - 1 ? date.toISOString() : text;
         }
+        return isNaN(Date.parse(text)) ? text : new Date(text).toISOString();
     }
 
     /**
-     * @method closeNc
-     * @description Clôture une NC
-     * @param {number} ncId - ID de la NC à clôturer
-     * @implements DMAIC - Improve (gestion des NC)
+     * @method buildImportPreview
+     * @description Construit et valide chaque ligne du fichier selon la correspondance des colonnes
+     * @param {Array} rows - Lignes de données
+     * @param {Object} mapping - { champ: index de colonne | '' }
+     * @returns {Array} [{ line, record, errors }] ; line = numéro de ligne dans le fichier
+     * @implements ISO 9001 - Contrôle de la qualité des données
      */
-    closeNc(ncId) {
-        try {
-            const ncIndex = this.state.nonConformites.findIndex(nc => nc.id === ncId);
+    buildImportPreview(rows, mapping) {
+        const matchOption = (value, options) => options.find(option => option.localeCompare(value, 'fr', { sensitivity: 'base' }) === 0) || value;
+
+        return rows.map((row, index) => {
+            const record = {};
+            IMPORT_FIELDS.forEach(({ field }) => {
+                if (mapping[field] === '' || mapping[field] === undefined) return;
+                const value = row[mapping[field]];
+                if (value === undefined || value === null || String(value).trim() === '') return;
+
+                if (field === 'date_creation' || field === 'date_cloture') {
+                    record[field] = this.parseImportDate(value);
+                } else {
+                    record[field] = String(value).trim();
+                }
+            });
 
-            if (ncIndex !== -1) {
-                this.setState(prevState => {
-                    const updatedNcs = [...prevState.nonConformites];
-                    updatedNcs[ncIndex] = { ...updatedNcs[ncIndex], statut: 'Clos' };
-                    return { nonConformites: updatedNcs };
-                });
+            // Casse et accents tolérés sur les listes fermées ("critique" → "Critique")
+            if (record.gravite) record.gravite = matchOption(record.gravite, GRAVITE_OPTIONS);
+            record.statut = record.statut ? matchOption(record.statut, NC_STATUTS) : NC_STATUTS[0];
 
-                this.updateDisplay();
-                this.showSuccessMessage('NC clôturée avec succès');
+            let errors = [];
+            try {
+                dbManager.validateNcFileImport(record);
+            } catch (error) {
+                errors = [error.message.replace(/^Validation échouée: /, '')];
             }
 
+            // Ligne 1 = en-tête
+            return { line: index + 2, record, errors };
+        });
+    }
+
+    /**
+     * @method importNonConformites
+     * @description Importe les lignes valides de l'aperçu en une seule transaction
+     * @param {Array} records - NC validées
+     * @returns {Promise<number|null>} Nombre de NC importées, null en cas d'échec
+     * @implements ISO 9001 §7.5.3 - Maîtrise des informations documentées
+     */
+    async importNonConformites(records) {
+        try {
+            this.requirePermission(PERMISSIONS.EDIT_NC);
+            const ids = await dbManager.importNonConformites(records);
+            await this.loadNonConformites();
+            this.updateDisplay();
+            return ids.length;
         } catch (error) {
-            this.handleError("Clôture de la NC échouée", error);
+            this.handleError(`Import des NC échoué: ${error.message}`, error);
+            return null;
         }
     }
 
     /**
-     * @method updateNc
-     * @description Met à jour une NC
-     * @param {number} ncId - ID de la NC à mettre à jour
-     * @param {Object} updates - Mises à jour à appliquer
-     * @implements DMAIC - Improve (gestion des NC)
+     * @method downloadBackup
+     * @description Télécharge une sauvegarde complète de la base au format JSON
+     * @returns {Promise<boolean>} Succès de la sauvegarde
+     * @implements ISO 9001 §7.5.3 - Protection des informations documentées
      */
-    updateNc(ncId, updates) {
+    async downloadBackup() {
         try {
-            const ncIndex = this.state.nonConformites.findIndex(nc => nc.id === ncId);
-
-            if (ncIndex !== -1) {
-                this.setState(prevState => {
-                    const updatedNcs = [...prevState.nonConformites];
-                    updatedNcs[ncIndex] = { ...updatedNcs[ncIndex], ...updates };
-                    return { nonConformites: updatedNcs };
-                });
-
-                this.updateDisplay();
-                this.showSuccessMessage('NC mise à jour avec succès');
-            }
-
+            this.requirePermission(PERMISSIONS.PURGE_DATA);
+            const archive = await dbManager.exportBackup();
+            const filename = `qtrack-sauvegarde-${archive.created_at.slice(0, 19).replace(/[:T]/g, '-')}.json`;
+            this.downloadFile(new Blob([JSON.stringify(archive)], { type: 'application/json' }), filename);
+            this.showSuccessMessage('Sauvegarde téléchargée');
+            return true;
         } catch (error) {
-            this.handleError("Mise à jour de la NC échouée", error);
+            this.handleError(`Sauvegarde échouée: ${error.message}`, error);
+            return false;
         }
     }
 
     /**
-     * @method setState
-     * @description Met à jour l'état de l'application
-     * @param {Object} newState - Nouvel état
-     * @implements DMAIC - Control (gestion de l'état)
+     * @method readBackupFile
+     * @description Lit et contrôle un fichier de sauvegarde avant restauration
+     * @param {File} file - Fichier choisi par l'utilisateur
+     * @returns {Promise<Object|null>} { archive, details } ou null si le fichier est refusé
+     * @implements ISO 9001 - Intégrité des enregistrements
      */
-    setState(newState) {
-        this.state = { ...this.state, ...newState };
+    async readBackupFile(file) {
+        try {
+            let archive;
+            try {
+                archive = JSON.parse(await file.text());
+            } catch (error) {
+                throw new Error("le fichier n'est pas un JSON valide");
+            }
+            const { stores, ...details } = await dbManager.validateBackup(archive);
+            return { archive, details };
+        } catch (error) {
+            this.handleError(`Sauvegarde refusée: ${error.message}`, error);
+            return null;
+        }
     }
 
     /**
-     * @method handleError
-     * @description Gère les erreurs de l'application
-     * @param {string} message - Message d'erreur
-     * @param {Error} error - Objet d'erreur
-     * @implements ISO 9001 - Gestion des non-conformités
+     * @method restoreBackup
+     * @description Restaure une sauvegarde contrôlée puis recharge les données affichées
+     * @param {Object} archive - Archive lue par readBackupFile
+     * @param {Object} options - { mode: 'remplacer' | 'fusionner', conflicts: 'conserver' | 'ecraser' }
+     * @returns {Promise<Object|null>} Bilan par store, null en cas d'échec
+     * @implements ISO 9001 §7.5.3 - Protection des informations documentées
      */
-    handleError(message, error) {
-        this.logger.error(message, error);
-        this.showErrorMessage(message);
+    async restoreBackup(archive, options) {
+        try {
+            this.requirePermission(PERMISSIONS.PURGE_DATA);
+            const summary = await dbManager.restoreBackup(archive, options);
+            await this.loadNonConformites();
+            this.updateDisplay();
+            this.showSuccessMessage('Sauvegarde restaurée');
+            return summary;
+        } catch (error) {
+            this.handleError(`Restauration échouée: ${error.message}`, error);
+            return null;
+        }
     }
-}
 
-/**
- * @class Logger
- * @description Système de logging pour l'application
- * @implements ISO 9001 - Traçabilité
- */
-class Logger {
-    constructor(appName, appVersion) {
-        this.appName = appName;
-        this.appVersion = appVersion;
-    }
+    /**
+     * @method captureChartImage
+     * @description Dessine un graphique hors écran et le capture sur fond blanc (PNG pour le HTML, JPEG pour le PDF)
+     * @param {Function} draw - Fonction de rendu recevant le conteneur et retournant l'instance Chart
+     * @param {number} width - Largeur du graphique en pixels CSS
+     * @returns {Object} { png, jpeg, width, height, pixelWidth, pixelHeight }
+     * @implements ISO 9001 - Informations documentées
+     */
+    captureChartImage(draw, width = this.config.CHART_CONFIG.REPORT.WIDTH) {
+        const container = document.createElement('div');
+        Object.assign(container.style, { position: 'fixed', left: '-10000px', top: '0', width: `${width}px` });
+        document.body.appendChild(container);
 
-    log(level, message, data = {}) {
-        const logEntry = {
-            timestamp: new Date().toISOString(),
-            level,
-            message,
-            data: {
-                ...data,
-                appName: this.appName,
-                appVersion: this.appVersion,
-                userAgent: navigator.userAgent
-            }
-        };
+        try {
+            const chart = draw(container);
+            const source = chart.canvas;
 
-        console[level === 'error' ? 'error' : 'log'](JSON.stringify(logEntry));
+            // Le canvas du graphique est transparent : le JPEG le rendrait sur fond noir
+            const canvas = document.createElement('canvas');
+            canvas.width = source.width;
+            canvas.height = source.height;
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.drawImage(source, 0, 0);
+
+            const jpegBase64 = canvas.toDataURL('image/jpeg', 0.92).split(',')[1];
+            const image = {
+                png: canvas.toDataURL('image/png'),
+                jpeg: Uint8Array.from(atob(jpegBase64), char => char.charCodeAt(0)),
+                width,
+                height: chart.config.height,
+                pixelWidth: canvas.width,
+                pixelHeight: canvas.height
+            };
 
-        // Envoyer les logs à un système de monitoring
-        if (level === 'error') {
-            this.sendToMonitoring(logEntry);
+            chart.destroy();
+            return image;
+        } finally {
+            container.remove();
         }
     }
 
-    info(message, data) { this.log('info', message, data); }
-    warn(message, data) { this.log('warn', message, data); }
-    error(message, data) { this.log('error', message, data); }
+    /**
+     * @method getActionDueDate
+     * @description Échéance d'une action corrective : enregistrée à la création, sinon date de création + délai (jours)
+     * @param {Object} action - Action corrective
+     * @returns {Date} Date d'échéance
+     * @implements PDCA - Check (respect des délais)
+     */
+    getActionDueDate(action) {
+        if (action.date_echeance) return new Date(action.date_echeance);
 
-    sendToMonitoring(logEntry) {
-        // Implémenter l'envoi vers un système de monitoring (Sentry, LogRocket, etc.)
-        console.log('Sending to monitoring:', logEntry);
+        const due = new Date(action.date_creation);
+        due.setDate(due.getDate() + Number(action.delai || 0));
+        return due;
     }
-}
 
-/**
- * @class Validator
- * @description Système de validation pour l'application
- * @implements ISO 9001 - Contrôle de la qualité
- */
-class Validator {
-    validateNcForm(formData) {
-        const errors = {};
+    /**
+     * @method computeActionDeadlines
+     * @description Classe les actions non terminées selon leur échéance : proches, en retard, à escalader
+     * @param {Date} now - Date de référence
+     * @returns {Promise<Object>} { approaching, overdue, toEscalate } (actions enrichies de joursRetard)
+     * @implements PDCA - Check (respect des délais)
+     */
+    async computeActionDeadlines(now = new Date()) {
+        const { WARNING_DAYS, ESCALATION_GRACE_DAYS } = this.config.DEADLINES;
+        const dayMs = 86400000;
+        const actions = (await dbManager.getActionsCorrectives())
+            .filter(action => !ACTION_STATUTS_TERMINES.includes(action.statut));
+
+        const approaching = [];
+        const overdue = [];
+        actions.forEach(action => {
+            const remaining = (this.getActionDueDate(action) - now) / dayMs;
+            if (remaining < 0) {
+                overdue.push({ ...action, joursRetard: Math.ceil(-remaining) });
+            } else if (remaining <= WARNING_DAYS) {
+                approaching.push(action);
+            }
+        });
+
+        const byDueDate = (a, b) => this.getActionDueDate(a) - this.getActionDueDate(b);
+        return {
+            approaching: approaching.sort(byDueDate),
+            overdue: overdue.sort(byDueDate),
+            // Escalade unique, une fois le délai de grâce dépassé
+            toEscalate: overdue.filter(action => !action.date_escalade && action.joursRetard > ESCALATION_GRACE_DAYS)
+        };
+    }
+
+    /**
+     * @method findEscalationManager
+     * @description Responsable hiérarchique du déclarant de la NC, à défaut un Responsable Qualité puis un Administrateur
+     * @param {Object} nc - NC de l'action
+     * @param {Array} users - Utilisateurs
+     * @returns {Object|null} Destinataire de l'escalade
+     * @implements ISO 9001 §5.3 - Rôles, responsabilités et autorités
+     */
+    findEscalationManager(nc, users) {
+        const owner = nc && users.find(user => user.id === nc.id_declarant);
+        const manager = owner && owner.id_manager !== undefined && users.find(user => user.id === owner.id_manager);
+        if (manager) return manager;
+
+        const others = users.filter(user => user.id !== owner?.id);
+        return others.find(user => user.role === 'Responsable Qualité')
+            || others.find(user => user.role === 'Administrateur')
+            || null;
+    }
+
+    /**
+     * @method checkActionDeadlines
+     * @description Signale les actions proches ou en retard et escalade celles dont le délai de grâce est dépassé
+     * (équivalent de NotificationSystem.check_action_deadlines de l'application Python)
+     * @returns {Promise<Object|null>} Échéances calculées ou null en cas d'échec
+     * @implements ISO 9001 §10.2 - Actions correctives (maîtrise des délais)
+     */
+    async checkActionDeadlines() {
+        try {
+            const deadlines = await this.computeActionDeadlines();
+
+            if (deadlines.toEscalate.length > 0) {
+                const [ncs, users] = await Promise.all([dbManager.getNonConformites(), dbManager.getUsers()]);
+                for (const action of deadlines.toEscalate) {
+                    const nc = ncs.find(item => item.id === action.id_nc);
+                    const manager = this.findEscalationManager(nc, users);
+                    const escalated = await dbManager.escalateActionCorrective(action.id, manager ? manager.id : null);
+                    Object.assign(action, escalated);
+
+                    this.logger.warn("Action corrective escaladée", { actionId: action.id, ncId: action.id_nc, managerId: manager?.id });
+                    const message = `Action « ${action.description} » (NC #${action.id_nc}) en retard de ${action.joursRetard} j : escaladée à ${manager ? manager.username : 'aucun responsable'}`;
+                    if (manager && manager.id !== this.state.currentUser?.id) {
+                        await this.notify(manager.id, { niveau: 'warning', message, ...this.deadlineNotification(action, 'escalade') });
+                    }
+                    await this.showAlert('warning', message, this.deadlineNotification(action, 'escalade'));
+                }
+            }
+
+            for (const action of deadlines.overdue.filter(item => !item.date_escalade)) {
+                await this.showAlert('warning', `Action « ${action.description} » (NC #${action.id_nc}) en retard de ${action.joursRetard} j`,
+                    this.deadlineNotification(action, 'retard'));
+            }
+            for (const action of deadlines.approaching) {
+                await this.showAlert('info', `Action « ${action.description} » (NC #${action.id_nc}) à échéance le ${this.getActionDueDate(action).toLocaleDateString('fr-FR')}`,
+                    this.deadlineNotification(action, 'proche'));
+            }
+
+            this.setState({ actionDeadlines: { approaching: deadlines.approaching, overdue: deadlines.overdue } });
+            return deadlines;
+
+        } catch (error) {
+            this.handleError(`Contrôle des échéances échoué: ${error.message}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * @method deadlineNotification
+     * @description Titre, clé de déduplication et liens d'une alerte d'échéance (une alerte par action et par niveau)
+     * @param {Object} action - Action concernée
+     * @param {string} level - "proche", "retard" ou "escalade"
+     * @returns {Object} Options de showAlert
+     * @implements ISO 9001 - Communication avec l'utilisateur
+     */
+    deadlineNotification(action, level) {
+        const titres = { proche: 'Échéance proche', retard: 'Action en retard', escalade: 'Action escaladée' };
+        return { titre: titres[level], cle: `action_${action.id}_${level}`, id_nc: action.id_nc, id_action: action.id };
+    }
+
+    /**
+     * @method startDeadlineScheduler
+     * @description Lance le contrôle périodique des échéances (immédiat puis à intervalle régulier)
+     * @implements PDCA - Check
+     */
+    startDeadlineScheduler() {
+        this.stopDeadlineScheduler();
+        this.checkActionDeadlines();
+        this.deadlineTimer = setInterval(() => this.checkActionDeadlines(), this.config.DEADLINES.CHECK_INTERVAL);
+    }
+
+    /**
+     * @method stopDeadlineScheduler
+     * @description Arrête le contrôle périodique des échéances
+     * @implements PDCA - Check
+     */
+    stopDeadlineScheduler() {
+        if (this.deadlineTimer) {
+            clearInterval(this.deadlineTimer);
+            this.deadlineTimer = null;
+        }
+    }
+
+    /**
+     * @method findCriticalNcRecipients
+     * @description Responsables à alerter pour une NC critique : responsable hiérarchique du déclarant et
+     * Responsables Qualité (à défaut, les Administrateurs), hors déclarant
+     * @param {Object} nc - NC critique
+     * @param {Array} users - Utilisateurs
+     * @returns {Array} Destinataires
+     * @implements ISO 9001 §5.3 - Rôles, responsabilités et autorités
+     */
+    findCriticalNcRecipients(nc, users) {
+        const declarant = users.find(user => user.id === nc.id_declarant);
+        const others = users.filter(user => user.id !== nc.id_declarant);
+        const qualite = others.filter(user => user.role === 'Responsable Qualité');
+        const recipients = [
+            ...others.filter(user => declarant && user.id === declarant.id_manager),
+            ...(qualite.length > 0 ? qualite : others.filter(user => user.role === 'Administrateur'))
+        ];
+
+        return recipients.filter((user, index) => recipients.findIndex(item => item.id === user.id) === index);
+    }
+
+    /**
+     * @method alertCriticalNc
+     * @description Alerte immédiate à la déclaration d'une NC critique : notification des responsables,
+     * notification du navigateur et email placé dans la file d'envoi
+     * @param {Object} nc - NC critique déclarée
+     * @returns {Promise<Object|null>} { destinataires, emails } ou null en cas d'échec
+     * @implements ISO 9001 §8.7 - Maîtrise des éléments de sortie non conformes
+     */
+    async alertCriticalNc(nc) {
+        try {
+            const users = await dbManager.getUsers();
+            const recipients = this.findCriticalNcRecipients(nc, users);
+            const declarant = users.find(user => user.id === nc.id_declarant);
+            const titre = `NC critique #${nc.id}`;
+            const message = `${nc.type_defaut} au poste ${nc.poste} : ${nc.description}`;
+            const cle = `nc_critique_${nc.id}`;
+
+            this.showBrowserNotification(titre, message, cle);
+
+            let emails = 0;
+            for (const recipient of recipients) {
+                await this.notify(recipient.id, { niveau: 'error', titre, message, cle, id_nc: nc.id });
+
+                if (recipient.email) {
+                    await dbManager.enqueueMail({
+                        destinataire: recipient.email,
+                        expediteur: this.config.MAIL.FROM,
+                        sujet: `[${this.config.APP_NAME}] ${titre} — ${nc.type_defaut} (${nc.poste})`,
+                        corps: [
+                            `Bonjour ${recipient.username},`,
+                            '',
+                            "Une non-conformité critique vient d'être déclarée :",
+                            `- N° : ${nc.id}`,
+                            `- Défaut : ${nc.type_defaut}`,
+                            `- Poste : ${nc.poste}`,
+                            `- Description : ${nc.description}`,
+                            `- Déclarée le ${new Date(nc.date_creation).toLocaleString('fr-FR')} par ${declarant ? declarant.username : 'inconnu'}`,
+                            '',
+                            'Merci de lancer les actions de confinement sans délai.'
+                        ].join('\n'),
+                        id_nc: nc.id
+                    });
+                    emails++;
+                }
+            }
+
+            this.logger.warn("Alerte NC critique émise", { ncId: nc.id, recipients: recipients.map(user => user.id), emails });
+            this.showAlert('info', `Alerte transmise à ${recipients.length} responsable(s), ${emails} email(s) en file d'envoi`, {
+                titre,
+                id_nc: nc.id
+            });
+
+            this.drainMailQueue();
+            return { destinataires: recipients, emails };
+
+        } catch (error) {
+            this.handleError(`Alerte NC critique échouée: ${error.message}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * @method requestBrowserNotifications
+     * @description Demande l'autorisation d'afficher les notifications du navigateur (Web Notifications API)
+     * @returns {Promise<string>} "granted", "denied", "default" ou "unsupported"
+     * @implements ISO 9001 - Communication avec l'utilisateur
+     */
+    async requestBrowserNotifications() {
+        if (typeof Notification === 'undefined') return 'unsupported';
+        if (Notification.permission !== 'default') return Notification.permission;
+
+        try {
+            return await Notification.requestPermission();
+        } catch (error) {
+            this.logger.warn("Autorisation des notifications du navigateur indisponible", { error: error.message });
+            return Notification.permission;
+        }
+    }
+
+    /**
+     * @method showBrowserNotification
+     * @description Affiche une notification système si l'utilisateur l'a autorisée
+     * @param {string} title - Titre
+     * @param {string} body - Texte
+     * @param {string} tag - Regroupe les notifications d'un même sujet
+     * @returns {Notification|null} Notification affichée
+     * @implements ISO 9001 - Communication avec l'utilisateur
+     */
+    showBrowserNotification(title, body, tag) {
+        if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return null;
+
+        try {
+            const notification = new Notification(title, { body, tag });
+            notification.onclick = () => window.focus();
+            return notification;
+        } catch (error) {
+            this.logger.warn("Notification du navigateur impossible", { error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * @method loadMailTransport
+     * @description Instancie le transport d'emails enregistré dans les paramètres
+     * @returns {Promise<Object|null>} Configuration du transport
+     * @implements Lean - Standardisation
+     */
+    async loadMailTransport() {
+        try {
+            const config = await dbManager.getParametre('mail_transport');
+            this.setMailTransport(createMailTransport(config));
+            return config;
+        } catch (error) {
+            this.logger.error("Chargement du transport d'emails échoué", error);
+            this.setMailTransport(null);
+            return null;
+        }
+    }
+
+    /**
+     * @method setMailTransport
+     * @description Branche le transport qui vide la file d'envoi (tout objet exposant name et send(mail))
+     * @param {Object|null} transport - Transport, null pour suspendre les envois
+     * @implements Lean - Standardisation
+     */
+    setMailTransport(transport) {
+        this.mailTransport = transport;
+    }
+
+    /**
+     * @method saveMailTransport
+     * @description Enregistre la configuration du transport d'emails et relance l'envoi de la file
+     * @param {Object|null} config - { type: "webhook", url, token } ou { type: "smtp", relayUrl, host, port, secure }
+     * @returns {Promise<boolean>} true si la configuration est enregistrée
+     * @implements ISO 9001 - Maîtrise des modifications
+     */
+    async saveMailTransport(config) {
+        try {
+            this.requirePermission(PERMISSIONS.MANAGE_USERS);
+            const transport = createMailTransport(config);
+
+            await dbManager.setParametre('mail_transport', config);
+            this.setMailTransport(transport);
+
+            this.logger.info("Transport d'emails enregistré", { type: config ? config.type : null });
+            this.showSuccessMessage('Configuration de la messagerie enregistrée');
+            this.drainMailQueue();
+            return true;
+
+        } catch (error) {
+            this.handleError(`Configuration de la messagerie refusée: ${error.message}`, error);
+            return false;
+        }
+    }
+
+    /**
+     * @method sendTestMail
+     * @description Place un email de test pour l'utilisateur connecté et vide la file
+     * @returns {Promise<Object|null>} Bilan de l'envoi ou null en cas d'échec
+     * @implements PDCA - Check
+     */
+    async sendTestMail() {
+        try {
+            this.requirePermission(PERMISSIONS.MANAGE_USERS);
+            const { currentUser } = this.state;
+            if (!currentUser.email) {
+                throw new Error("Aucune adresse email sur le compte connecté");
+            }
+
+            await dbManager.enqueueMail({
+                destinataire: currentUser.email,
+                expediteur: this.config.MAIL.FROM,
+                sujet: `[${this.config.APP_NAME}] Email de test`,
+                corps: `Email de test envoyé le ${new Date().toLocaleString('fr-FR')} : la messagerie est opérationnelle.`
+            });
+            return await this.drainMailQueue();
+
+        } catch (error) {
+            this.handleError(`Email de test refusé: ${error.message}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * @method drainMailQueue
+     * @description Envoie les emails en attente par le transport configuré et journalise chaque tentative ;
+     * les envois de la file sont successifs, jamais simultanés, et chaque email est réservé avant son envoi
+     * (les autres onglets ouverts vident la même file)
+     * @returns {Promise<Object|null>} { envoyes, echecs, transport } ou null en cas d'échec
+     * @implements ISO 9001 §7.4 - Communication
+     */
+    drainMailQueue() {
+        // Un envoi déjà en cours peut ignorer les emails ajoutés depuis : nouvel envoi à sa suite
+        if (this.mailDrain) return this.mailDrain.then(() => this.drainMailQueue());
+
+        this.mailDrain = (async () => {
+            const transport = this.mailTransport;
+            // Sans transport ou hors ligne, les emails restent en file sans consommer de tentative
+            if (!transport || navigator.onLine === false) {
+                return { envoyes: 0, echecs: 0, transport: transport ? transport.name : null };
+            }
+
+            const { MAX_RETRIES, RETRY_DELAY, CLAIM_DURATION } = this.config.MAIL;
+            const summary = await dispatchMailQueue(dbManager, transport, {
+                maxRetries: MAX_RETRIES,
+                retryDelay: RETRY_DELAY,
+                claimDuration: CLAIM_DURATION,
+                onFailure: (mail, updated, error) => {
+                    this.logger.warn("Envoi d'email échoué", { mailId: mail.id, tentative: updated.tentatives, error });
+                    if (updated.statut === MAIL_STATUTS[2]) {
+                        this.showAlert('error', `Email à ${mail.destinataire} non remis après ${updated.tentatives} tentative(s) : ${error}`, {
+                            titre: "Échec d'envoi d'email",
+                            id_nc: mail.id_nc
+                        });
+                    }
+                }
+            });
+
+            if (summary.envoyes + summary.echecs > 0) {
+                this.logger.info("File d'envoi traitée", summary);
+            }
+            return summary;
+        })()
+            .catch(error => {
+                this.logger.error("Envoi de la file d'emails échoué", error);
+                return null;
+            })
+            .finally(() => {
+                this.mailDrain = null;
+            });
+
+        return this.mailDrain;
+    }
+
+    /**
+     * @method startMailDispatcher
+     * @description Lance l'envoi périodique de la file d'emails (immédiat puis à intervalle régulier)
+     * @implements Lean - Flux tiré
+     */
+    startMailDispatcher() {
+        this.stopMailDispatcher();
+        this.drainMailQueue();
+        this.mailTimer = setInterval(() => this.drainMailQueue(), this.config.MAIL.DRAIN_INTERVAL);
+    }
+
+    /**
+     * @method stopMailDispatcher
+     * @description Arrête l'envoi périodique de la file d'emails
+     * @implements Lean - Flux tiré
+     */
+    stopMailDispatcher() {
+        if (this.mailTimer) {
+            clearInterval(this.mailTimer);
+            this.mailTimer = null;
+        }
+    }
+
+    /**
+     * @method loadMailQueue
+     * @description Charge la file d'envoi et le journal de remise des emails
+     * @returns {Promise<Object>} { mails, log }
+     * @implements ISO 9001 §7.5.3 - Maîtrise des informations documentées
+     */
+    async loadMailQueue() {
+        try {
+            this.requirePermission(PERMISSIONS.MANAGE_USERS);
+            const [mails, log] = await Promise.all([dbManager.getMails(), dbManager.getMailLog()]);
+            return { mails, log };
+        } catch (error) {
+            this.handleError(`Chargement de la file d'emails échoué: ${error.message}`, error);
+            return { mails: [], log: [] };
+        }
+    }
+
+    /**
+     * @method retryMail
+     * @description Remet en file un email en échec puis relance l'envoi
+     * @param {number} mailId - ID de l'email
+     * @returns {Promise<Object|null>} Bilan de l'envoi ou null en cas d'échec
+     * @implements PDCA - Act
+     */
+    async retryMail(mailId) {
+        try {
+            this.requirePermission(PERMISSIONS.MANAGE_USERS);
+            await dbManager.retryMail(mailId);
+            return await this.drainMailQueue();
+        } catch (error) {
+            this.handleError(`Relance de l'email échouée: ${error.message}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * @method loadSyncSettings
+     * @description Instancie le moteur de synchronisation selon les paramètres enregistrés ;
+     * le jeton de session serveur déjà obtenu est conservé
+     * @returns {Promise<Object|null>} Paramètres { actif, url, strategie }
+     * @implements Lean - Standardisation
+     */
+    async loadSyncSettings() {
+        try {
+            const settings = await dbManager.getParametre('sync');
+            this.setSyncEngine(settings && settings.actif ? this.createSyncEngine(settings) : null);
+            return settings;
+        } catch (error) {
+            this.logger.error("Chargement des paramètres de synchronisation échoué", error);
+            this.setSyncEngine(null);
+            return null;
+        }
+    }
+
+    createSyncEngine(settings) {
+        return new SyncEngine({
+            db: dbManager,
+            baseUrl: settings.url || '',
+            endpoints: this.config.API_ENDPOINTS,
+            strategy: settings.strategie || SYNC_STRATEGIES[0],
+            timeout: this.config.SYNC.TIMEOUT
+        });
+    }
+
+    setSyncEngine(engine) {
+        if (engine && this.syncEngine) engine.setToken(this.syncEngine.token);
+        this.syncEngine = engine;
+        if (!engine) this.setSyncStatus({ etat: 'desactive', erreur: null });
+    }
+
+    /**
+     * @method saveSyncSettings
+     * @description Enregistre les paramètres de synchronisation ; un changement de serveur repart de zéro
+     * (curseurs de réception et rejets réinitialisés)
+     * @param {Object} settings - { actif, url, strategie: 'lww' | 'manuel' }
+     * @returns {Promise<boolean>} true si les paramètres sont enregistrés
+     * @implements ISO 9001 - Maîtrise des modifications
+     */
+    async saveSyncSettings(settings) {
+        try {
+            this.requirePermission(PERMISSIONS.MANAGE_USERS);
+            const engine = settings.actif ? this.createSyncEngine(settings) : null;
+            const previous = await dbManager.getParametre('sync');
+
+            await dbManager.setParametre('sync', settings);
+            if (!previous || (previous.url || '') !== (settings.url || '')) {
+                await dbManager.setParametre('sync_curseurs', {}, { audit: false });
+                await dbManager.setParametre('sync_rejets', {}, { audit: false });
+            }
+            this.setSyncEngine(engine);
+
+            this.logger.info("Paramètres de synchronisation enregistrés", { actif: settings.actif, strategie: settings.strategie });
+            this.showSuccessMessage('Paramètres de synchronisation enregistrés');
+            if (engine) await this.syncNow();
+            return true;
+
+        } catch (error) {
+            this.handleError(`Paramètres de synchronisation refusés: ${error.message}`, error);
+            return false;
+        }
+    }
+
+    /**
+     * @method authenticateRemote
+     * @description Ouvre la session serveur (jeton de l'API) ; sans serveur joignable la connexion reste locale
+     * @param {string} username - Identifiant
+     * @param {string} password - Mot de passe
+     * @returns {Promise<Object|null>} Utilisateur connu du serveur, null si indisponible ou refusé
+     * @implements ISO 27001 - Contrôle d'accès
+     */
+    async authenticateRemote(username, password) {
+        if (!this.syncEngine || navigator.onLine === false) return null;
+
+        try {
+            return await this.syncEngine.login(username, password);
+        } catch (error) {
+            this.logger.warn("Authentification serveur échouée", { username, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * @method provisionRemoteUser
+     * @description Crée sur le poste un compte connu du serveur lors de sa première connexion, ou met à jour
+     * le hash d'un compte local dont le mot de passe a été changé sur un autre poste
+     * (le mot de passe saisi, vérifié par le serveur, est hashé localement pour les connexions hors ligne)
+     * @param {Object} remoteUser - { uuid, username, email, role }
+     * @param {string} password - Mot de passe vérifié par le serveur
+     * @returns {Promise<Object|null>} Utilisateur local (sans mot de passe)
+     * @implements ISO 27001 - Contrôle d'accès
+     */
+    async provisionRemoteUser(remoteUser, password) {
+        if (!remoteUser || !remoteUser.uuid || !remoteUser.username) return null;
+
+        const localUser = await dbManager.getUser(remoteUser.username);
+        if (localUser) {
+            await dbManager.updateUserPassword(localUser.id, password);
+            this.logger.info("Mot de passe du compte local mis à jour depuis le serveur", { userId: localUser.id });
+            return dbManager.authenticateUser(remoteUser.username, password);
+        }
+
+        await dbManager.addUser({
+            uuid: remoteUser.uuid,
+            username: remoteUser.username,
+            ...(remoteUser.email ? { email: remoteUser.email } : {}),
+            ...(remoteUser.role ? { role: remoteUser.role } : {}),
+            password
+        }, { enforcePasswordPolicy: false });
+        this.logger.info("Compte serveur ajouté au poste", { username: remoteUser.username });
+
+        return dbManager.authenticateUser(remoteUser.username, password);
+    }
+
+    /**
+     * @method syncNow
+     * @description Lance un cycle de synchronisation (réception puis envoi de l'outbox)
+     * @returns {Promise<Object|null>} { recus, envoyes, conflits } ou null si le cycle n'a pas abouti
+     * @implements PDCA - Do
+     */
+    async syncNow() {
+        const engine = this.syncEngine;
+        if (!engine || !this.state.currentUser) return null;
+        if (navigator.onLine === false) {
+            await this.refreshSyncStatus({ etat: 'hors_ligne' });
+            return null;
+        }
+
+        this.setSyncStatus({ etat: 'en_cours', erreur: null });
+        try {
+            const summary = await engine.sync();
+
+            if (summary.recus > 0) await this.loadNonConformites();
+            if (summary.conflits > 0) {
+                this.showAlert('warning', `${summary.conflits} conflit(s) de synchronisation à arbitrer`, { titre: 'Synchronisation' });
+            }
+            if (summary.rejets > 0) {
+                this.showAlert('error', `${summary.rejets} enregistrement(s) du serveur refusé(s)`, { titre: 'Synchronisation' });
+            }
+            this.logger.info("Synchronisation terminée", summary);
+            await this.refreshSyncStatus({ derniere_synchro: new Date().toISOString(), erreur: null }, summary);
+            return summary;
+
+        } catch (error) {
+            const expired = error.status === 401 || error.status === 403;
+            const message = expired ? 'Session serveur expirée : reconnectez-vous' : error.message;
+            this.logger.warn("Synchronisation échouée", { error: error.message });
+            await this.refreshSyncStatus({ etat: 'erreur', erreur: message });
+            return null;
+        }
+    }
+
+    /**
+     * @method refreshSyncStatus
+     * @description Recalcule l'état de synchronisation affiché (mutations en attente, conflits ouverts,
+     * enregistrements du serveur refusés)
+     * @param {Object} changes - Champs d'état à modifier ; sans "etat", il est déduit de l'outbox
+     * @param {Object|null} summary - Bilan du dernier cycle
+     * @implements ISO 9001 - Communication avec l'utilisateur
+     */
+    async refreshSyncStatus(changes = {}, summary = null) {
+        try {
+            const [outbox, conflits, rejets] = await Promise.all([
+                dbManager.getSyncOutbox(),
+                dbManager.getSyncConflicts(),
+                dbManager.getParametre('sync_rejets')
+            ]);
+            const etat = changes.etat || (outbox.length > 0 ? 'en_attente' : 'a_jour');
+            this.setSyncStatus({
+                ...changes,
+                etat: this.syncEngine ? etat : 'desactive',
+                en_attente: outbox.length,
+                conflits,
+                rejets: Object.values(rejets || {})
+            }, summary);
+        } catch (error) {
+            this.logger.error("Lecture de l'état de synchronisation échouée", error);
+        }
+    }
+
+    setSyncStatus(changes, summary = null) {
+        this.setState(prevState => ({ sync: { ...prevState.sync, ...changes } }));
+        this.syncListeners.forEach(listener => listener({ ...this.state.sync, summary }));
+    }
+
+    /**
+     * @method subscribeSync
+     * @description Abonne l'interface à l'état de synchronisation
+     * @param {Function} listener - Appelée avec { etat, derniere_synchro, en_attente, conflits, rejets, erreur, summary }
+     * @returns {Function} Désabonnement
+     * @implements ISO 9001 - Communication avec l'utilisateur
+     */
+    subscribeSync(listener) {
+        this.syncListeners.add(listener);
+        listener({ ...this.state.sync, summary: null });
+        return () => this.syncListeners.delete(listener);
+    }
+
+    /**
+     * @method startSyncScheduler
+     * @description Lance la synchronisation périodique et au retour de la connexion
+     * @implements Lean - Flux tiré
+     */
+    startSyncScheduler() {
+        this.stopSyncScheduler();
+        if (!this.syncEngine) return;
+
+        window.addEventListener('online', this.handleOnline);
+        this.syncNow();
+        this.syncTimer = setInterval(() => this.syncNow(), this.config.SYNC.INTERVAL);
+    }
+
+    /**
+     * @method stopSyncScheduler
+     * @description Arrête la synchronisation périodique
+     * @implements Lean - Flux tiré
+     */
+    stopSyncScheduler() {
+        window.removeEventListener('online', this.handleOnline);
+        if (this.syncTimer) {
+            clearInterval(this.syncTimer);
+            this.syncTimer = null;
+        }
+    }
+
+    /**
+     * @method resolveSyncConflict
+     * @description Arbitre un champ modifié sur le poste et sur le serveur : la valeur retenue est écrite
+     * localement (serveur) ou renvoyée au serveur (poste)
+     * @param {number} conflictId - ID du conflit
+     * @param {string} choix - 'local' ou 'distant'
+     * @returns {Promise<boolean>} true si le conflit est arbitré
+     * @implements ISO 9001 §7.5.3 - Maîtrise des informations documentées
+     */
+    async resolveSyncConflict(conflictId, choix) {
+        try {
+            const conflict = this.state.sync.conflits.find(item => item.id === conflictId);
+            if (!conflict) throw new Error(`Conflit #${conflictId} introuvable`);
+            this.requirePermission(conflict.entite === 'users' ? PERMISSIONS.MANAGE_USERS : PERMISSIONS.EDIT_NC);
+
+            if (choix === 'distant') {
+                await dbManager.applyRemoteChanges(conflict.entite, conflict.uuid, { [conflict.champ]: conflict.valeur_distante });
+            } else {
+                // Base = valeur du serveur : au prochain cycle, la valeur locale est envoyée sans nouveau conflit
+                const local = await dbManager.getRecordByUuid(conflict.entite, conflict.uuid);
+                if (local) {
+                    await dbManager.queueSyncMutation('UPDATE', conflict.entite,
+                        { ...local, [conflict.champ]: conflict.valeur_distante },
+                        { ...local, [conflict.champ]: local[conflict.champ] });
+                }
+            }
+            await dbManager.deleteSyncConflict(conflictId);
+
+            this.logger.info("Conflit de synchronisation arbitré", { conflictId, champ: conflict.champ, choix });
+            if (conflict.entite === 'non_conformites') await this.loadNonConformites();
+            await this.refreshSyncStatus();
+            this.syncNow();
+            return true;
+
+        } catch (error) {
+            this.handleError(`Arbitrage du conflit refusé: ${error.message}`, error);
+            return false;
+        }
+    }
+
+    /**
+     * @method buildMonthlyReport
+     * @description Assemble le rapport qualité mensuel : indicateurs, graphiques, principaux défauts,
+     * NC critiques, actions en retard et actions terminées
+     * @param {string} month - Mois au format "AAAA-MM"
+     * @returns {Promise<Object>} Rapport décrit en blocs (reports.js)
+     * @implements ISO 9001 §9.3 - Revue de direction
+     */
+    async buildMonthlyReport(month) {
+        const [year, monthIndex] = month.split('-').map(Number);
+        const start = new Date(year, monthIndex - 1, 1);
+        const end = new Date(year, monthIndex, 1);
+        const previousStart = new Date(year, monthIndex - 2, 1);
+        // Un mois en cours est arrêté à aujourd'hui
+        const reference = end < new Date() ? end : new Date();
+        const inRange = (value, from, to) => Boolean(value) && new Date(value) >= from && new Date(value) < to;
+
+        const [ncs, actions] = await Promise.all([dbManager.getNonConformites(), dbManager.getActionsCorrectives()]);
+        const ncsById = new Map(ncs.map(nc => [nc.id, nc]));
+
+        const declared = ncs.filter(nc => inRange(nc.date_creation, start, end));
+        const previousDeclared = ncs.filter(nc => inRange(nc.date_creation, previousStart, start));
+        const closed = ncs.filter(nc => inRange(nc.date_cloture, start, end));
+        const backlog = this.countBacklogAt(ncs, reference);
+        const mttc = this.computeMeanTimeToClose(closed);
+        const closedCount = mttc.reduce((sum, item) => sum + item.count, 0);
+        const meanDays = closedCount > 0 ? mttc.reduce((sum, item) => sum + (item.days || 0) * item.count, 0) / closedCount : null;
+
+        const critical = ncs.filter(nc => nc.gravite === 'Critique'
+            && (inRange(nc.date_creation, start, end) || (new Date(nc.date_creation) < end && this.countBacklogAt([nc], reference) > 0)));
+        const overdue = actions.filter(action => !ACTION_STATUTS_TERMINES.includes(action.statut)
+            && new Date(action.date_creation) < end
+            && this.getActionDueDate(action) < reference);
+        const completed = actions.filter(action => ACTION_STATUTS_TERMINES.includes(action.statut) && inRange(action.date_statut, start, end));
+
+        const pareto = this.computeParetoData(declared, 'type_defaut');
+        const trends = this.computeNcTrends(ncs, 'mois').filter(period => period.periode <= month);
+        const monthLabel = start.toLocaleDateString('fr-FR', { month: 'long', year: 'numeric' });
+        const formatDate = value => new Date(value).toLocaleDateString('fr-FR');
+        const ncRef = id => (ncsById.has(id) ? `NC #${id} — ${ncsById.get(id).type_defaut}` : `NC #${id}`);
+
+        return {
+            title: `Rapport qualité mensuel — ${monthLabel}`,
+            subtitle: `Période du ${formatDate(start)} au ${formatDate(new Date(end - 1))}`,
+            author: this.state.currentUser?.username,
+            generatedAt: new Date().toISOString(),
+            blocks: [
+                { type: 'section', title: 'Indicateurs clés' },
+                {
+                    type: 'kpis',
+                    items: [
+                        { label: 'NC déclarées', value: declared.length, detail: this.formatDelta(declared.length, previousDeclared.length, 'mois précédent').label },
+                        { label: 'NC clôturées', value: closed.length },
+                        { label: 'NC non clôturées (fin de période)', value: backlog },
+                        { label: 'Délai moyen de clôture', value: meanDays === null ? '—' : `${meanDays.toFixed(1)} j` },
+                        { label: 'Actions terminées', value: completed.length },
+                        { label: 'Actions en retard', value: overdue.length }
+                    ]
+                },
+                { type: 'section', title: 'Graphiques' },
+                { type: 'chart', title: 'NC déclarées, clôturées et backlog (12 derniers mois)', image: this.captureChartImage(container => this.renderTrendChart(container, trends)) },
+                { type: 'chart', title: 'Délai moyen de clôture par gravité', image: this.captureChartImage(container => this.renderMeanTimeToCloseChart(container, mttc)) },
+                { type: 'chart', title: 'Pareto des NC par type de défaut', image: this.captureChartImage(container => this.renderParetoChart(container, pareto)) },
+                { type: 'section', title: 'Principaux défauts' },
+                {
+                    type: 'table',
+                    columns: ['Type de défaut', 'NC', '%', '% cumulé'],
+                    rows: pareto.slice(0, this.config.CHART_CONFIG.REPORT.TOP_DEFECTS).map(item => [
+                        item.label, item.count, `${item.percent.toFixed(1)} %`, `${item.cumulativePercent.toFixed(1)} %`
+                    ]),
+                    emptyMessage: 'Aucune NC déclarée sur la période'
+                },
+                { type: 'section', title: 'NC critiques' },
+                {
+                    type: 'table',
+                    columns: ['N°', 'Déclarée le', 'Poste', 'Type de défaut', 'Description', 'Statut'],
+                    rows: critical.map(nc => [nc.id, formatDate(nc.date_creation), nc.poste, nc.type_defaut, nc.description, nc.statut]),
+                    emptyMessage: 'Aucune NC critique sur la période'
+                },
+                { type: 'section', title: 'Actions correctives en retard' },
+                {
+                    type: 'table',
+                    columns: ['NC', 'Action', 'Responsable', 'Échéance', 'Statut'],
+                    rows: overdue.map(action => [ncRef(action.id_nc), action.description, action.responsable, formatDate(this.getActionDueDate(action)), action.statut]),
+                    emptyMessage: 'Aucune action en retard'
+                },
+                { type: 'section', title: 'Actions correctives terminées' },
+                {
+                    type: 'table',
+                    columns: ['NC', 'Action', 'Responsable', 'Terminée le', 'Efficacité'],
+                    rows: completed.map(action => [ncRef(action.id_nc), action.description, action.responsable, formatDate(action.date_statut), action.efficacite]),
+                    emptyMessage: 'Aucune action terminée sur la période'
+                }
+            ]
+        };
+    }
+
+    /**
+     * @method buildActionReport
+     * @description Assemble l'état des actions correctives : synthèse par statut, retards et efficacité
+     * @returns {Promise<Object>} Rapport décrit en blocs (reports.js)
+     * @implements PDCA - Check (suivi des actions correctives)
+     */
+    async buildActionReport() {
+        const now = new Date();
+        const [ncs, actions] = await Promise.all([dbManager.getNonConformites(), dbManager.getActionsCorrectives()]);
+        const ncsById = new Map(ncs.map(nc => [nc.id, nc]));
+        const formatDate = value => new Date(value).toLocaleDateString('fr-FR');
+        const isOverdue = action => !ACTION_STATUTS_TERMINES.includes(action.statut) && this.getActionDueDate(action) < now;
+
+        const open = actions
+            .filter(action => !ACTION_STATUTS_TERMINES.includes(action.statut))
+            .sort((a, b) => this.getActionDueDate(a) - this.getActionDueDate(b));
+        const done = actions.filter(action => ACTION_STATUTS_TERMINES.includes(action.statut));
+        const evaluated = done.filter(action => action.efficacite && action.efficacite !== ACTION_EFFICACITE_OPTIONS[0]);
+        const effective = evaluated.filter(action => action.efficacite === 'Efficace');
+
+        return {
+            title: 'Rapport des actions correctives',
+            subtitle: `Situation au ${formatDate(now)}`,
+            author: this.state.currentUser?.username,
+            generatedAt: now.toISOString(),
+            blocks: [
+                { type: 'section', title: 'Synthèse' },
+                {
+                    type: 'kpis',
+                    items: [
+                        ...ACTION_STATUTS.map(statut => ({ label: statut, value: actions.filter(action => action.statut === statut).length })),
+                        { label: 'Actions en retard', value: open.filter(isOverdue).length },
+                        {
+                            label: 'Taux d\'efficacité',
+                            value: evaluated.length > 0 ? `${Math.round((effective.length / evaluated.length) * 100)} %` : '—',
+                            detail: `${evaluated.length} action(s) évaluée(s)`
+                        }
+                    ]
+                },
+                { type: 'section', title: 'Actions en cours' },
+                {
+                    type: 'table',
+                    columns: ['NC', 'Action', 'Responsable', 'Échéance', 'Statut', 'Retard'],
+                    rows: open.map(action => [
+                        ncsById.has(action.id_nc) ? `NC #${action.id_nc} — ${ncsById.get(action.id_nc).type_defaut}` : `NC #${action.id_nc}`,
+                        action.description,
+                        action.responsable,
+                        formatDate(this.getActionDueDate(action)),
+                        action.statut,
+                        isOverdue(action) ? `${Math.ceil((now - this.getActionDueDate(action)) / 86400000)} j` : ''
+                    ]),
+                    emptyMessage: 'Aucune action en cours'
+                },
+                { type: 'section', title: 'Actions terminées' },
+                {
+                    type: 'table',
+                    columns: ['NC', 'Action', 'Responsable', 'Statut', 'Terminée le', 'Efficacité'],
+                    rows: done.map(action => [
+                        `NC #${action.id_nc}`,
+                        action.description,
+                        action.responsable,
+                        action.statut,
+                        action.date_statut ? formatDate(action.date_statut) : '',
+                        action.efficacite
+                    ]),
+                    emptyMessage: 'Aucune action terminée'
+                }
+            ]
+        };
+    }
+
+    /**
+     * @method build8DReport
+     * @description Assemble le rapport 8D d'une NC à partir de la NC, de ses analyses, de ses actions
+     * et des disciplines saisies (équipe, confinement, vérification, prévention, clôture)
+     * @param {number} ncId - ID de la NC
+     * @returns {Promise<Object>} Rapport décrit en blocs (reports.js)
+     * @implements ISO 9001 §10.2 - Non-conformité et action corrective
+     */
+    async build8DReport(ncId) {
+        const [nc, analyses, actions, disciplines] = await Promise.all([
+            dbManager.getNonConformiteById(ncId),
+            dbManager.getAnalysesCauses(ncId),
+            dbManager.getActionsCorrectives(ncId),
+            dbManager.getRapport8D(ncId)
+        ]);
+        if (!nc) {
+            throw new Error(`NC #${ncId} introuvable`);
+        }
+
+        const d = disciplines || {};
+        const formatDate = value => new Date(value).toLocaleDateString('fr-FR');
+        const missing = 'À compléter';
+        const describeAnalyse = analyse => {
+            if (analyse.pourquois) {
+                return analyse.pourquois.map((pourquoi, index) => `${index + 1}. ${pourquoi}`).join('\n');
+            }
+            if (analyse.branches) {
+                return Object.entries(analyse.branches)
+                    .filter(([, causes]) => causes.length > 0)
+                    .map(([categorie, causes]) => `${categorie} : ${causes.map(item => item.cause).join(', ')}`)
+                    .join('\n');
+            }
+            return '';
+        };
+
+        return {
+            title: `Rapport 8D — NC #${nc.id}`,
+            subtitle: `${nc.type_defaut} · ${nc.poste} · gravité ${nc.gravite}`,
+            author: this.state.currentUser?.username,
+            generatedAt: new Date().toISOString(),
+            blocks: [
+                { type: 'section', title: 'D1 — Équipe' },
+                { type: 'paragraph', text: d.equipe || missing },
+                { type: 'section', title: 'D2 — Description du problème' },
+                {
+                    type: 'fields',
+                    items: [
+                        { label: 'Déclarée le', value: formatDate(nc.date_creation) },
+                        { label: 'Poste', value: nc.poste },
+                        { label: 'Type de défaut', value: nc.type_defaut },
+                        { label: 'Gravité', value: nc.gravite },
+                        { label: 'Description', value: nc.description }
+                    ]
+                },
+                { type: 'section', title: 'D3 — Actions de confinement' },
+                { type: 'paragraph', text: d.confinement || missing },
+                { type: 'section', title: 'D4 — Analyse des causes racines' },
+                ...(analyses.length === 0
+                    ? [{ type: 'paragraph', text: 'Aucune analyse enregistrée' }]
+                    : analyses.map(analyse => ({
+                        type: 'fields',
+                        items: [
+                            { label: 'Méthode', value: `${analyse.methode} (${formatDate(analyse.date_creation)})` },
+                            { label: 'Démarche', value: describeAnalyse(analyse) },
+                            { label: 'Cause racine', value: analyse.cause_racine || 'À confirmer' }
+                        ]
+                    }))),
+                ...(nc.cause_racine ? [{ type: 'fields', items: [{ label: 'Cause racine retenue', value: nc.cause_racine }] }] : []),
+                { type: 'section', title: 'D5 — Actions correctives' },
+                {
+                    type: 'table',
+                    columns: ['Action', 'Responsable', 'Échéance', 'Statut'],
+                    rows: actions.map(action => [action.description, action.responsable, formatDate(this.getActionDueDate(action)), action.statut]),
+                    emptyMessage: 'Aucune action corrective'
+                },
+                { type: 'section', title: 'D6 — Mise en œuvre et vérification de l\'efficacité' },
+                {
+                    type: 'table',
+                    columns: ['Action', 'Statut', 'Date du statut', 'Efficacité'],
+                    rows: actions.map(action => [action.description, action.statut, action.date_statut ? formatDate(action.date_statut) : '', action.efficacite]),
+                    emptyMessage: 'Aucune action corrective'
+                },
+                { type: 'paragraph', text: d.verification || missing },
+                { type: 'section', title: 'D7 — Prévention de la récurrence' },
+                { type: 'paragraph', text: d.prevention || missing },
+                { type: 'section', title: 'D8 — Clôture' },
+                {
+                    type: 'fields',
+                    items: [
+                        { label: 'Statut de la NC', value: nc.statut },
+                        { label: 'Clôturée le', value: nc.date_cloture ? formatDate(nc.date_cloture) : 'Non clôturée' },
+                        { label: 'Conclusion', value: d.cloture || missing }
+                    ]
+                }
+            ]
+        };
+    }
+
+    /**
+     * @method generateReport
+     * @description Génère un rapport en HTML imprimable (nouvel onglet, téléchargé si le navigateur bloque l'onglet), en Word ou en PDF (téléchargement)
+     * et l'inscrit au registre des rapports
+     * @param {string} type - Type de rapport (RAPPORT_TYPES)
+     * @param {string} format - 'HTML', 'Word' ou 'PDF'
+     * @param {Object} options - { month } pour le rapport mensuel, { ncId } pour le 8D
+     * @returns {Promise<boolean>} Succès de la génération
+     * @implements ISO 9001 §9.3 - Revue de direction
+     */
+    async generateReport(type, format, { month, ncId } = {}) {
+        let preview = null;
+        try {
+            this.requirePermission(PERMISSIONS.GENERATE_REPORTS);
+
+            // Onglet du rapport HTML ouvert pendant le clic, avant tout traitement asynchrone :
+            // ouvert après, il serait bloqué par le navigateur
+            if (format === 'HTML') {
+                preview = window.open('', '_blank');
+            }
+
+            const builders = {
+                'Mensuel': () => this.buildMonthlyReport(month),
+                'Actions': () => this.buildActionReport(),
+                '8D': () => this.build8DReport(ncId)
+            };
+            const report = await builders[type]();
+            const periode = { 'Mensuel': month, '8D': `NC-${ncId}` }[type] || report.generatedAt.slice(0, 10);
+            const extension = { 'PDF': 'pdf', 'Word': 'doc', 'HTML': 'html' }[format];
+            const filename = `rapport-${type.toLowerCase()}-${periode}.${extension}`;
+
+            if (format === 'PDF') {
+                this.downloadFile(renderReportPdf(report), filename);
+            } else if (format === 'Word') {
+                this.downloadFile(renderReportWord(report), filename);
+            } else {
+                const blob = new Blob([renderReportHtml(report)], { type: 'text/html' });
+                if (preview) {
+                    // Onglet dirigé vers l'URL d'un Blob : le document reste imprimable après révocation
+                    const url = URL.createObjectURL(blob);
+                    preview.location.href = url;
+                    setTimeout(() => URL.revokeObjectURL(url), 60000);
+                } else {
+                    // Fenêtre bloquée : le rapport est téléchargé
+                    this.downloadFile(blob, filename);
+                }
+            }
+
+            await dbManager.addRapport({ type_rapport: type, periode, format, nom_fichier: filename });
+            this.logger.info("Rapport généré", { type, format, periode });
+            this.showSuccessMessage('Rapport généré avec succès');
+            return true;
+
+        } catch (error) {
+            if (preview) preview.close();
+            this.handleError(`Génération du rapport échouée: ${error.message}`, error);
+            return false;
+        }
+    }
+
+    /**
+     * @method loadRapports
+     * @description Charge le registre des rapports générés
+     * @returns {Promise<Array>} Rapports, du plus récent au plus ancien
+     * @implements ISO 9001 §7.5.3 - Maîtrise des informations documentées
+     */
+    async loadRapports() {
+        try {
+            return await dbManager.getRapports();
+        } catch (error) {
+            this.handleError("Chargement des rapports échoué", error);
+            return [];
+        }
+    }
+
+    /**
+     * @method loadRapport8D
+     * @description Charge les disciplines 8D saisies pour une NC
+     * @param {number} ncId - ID de la NC
+     * @returns {Promise<Object|null>} Disciplines ou null si aucune saisie
+     * @implements ISO 9001 §10.2 - Non-conformité et action corrective
+     */
+    async loadRapport8D(ncId) {
+        try {
+            return await dbManager.getRapport8D(ncId);
+        } catch (error) {
+            this.handleError("Chargement du 8D échoué", error);
+            return null;
+        }
+    }
+
+    /**
+     * @method saveRapport8D
+     * @description Enregistre les disciplines 8D complétées par l'utilisateur
+     * @param {number} ncId - ID de la NC
+     * @param {Object} disciplines - { equipe, confinement, verification, prevention, cloture }
+     * @returns {Promise<Object|null>} Enregistrement sauvegardé
+     * @implements ISO 9001 §10.2 - Non-conformité et action corrective
+     */
+    async saveRapport8D(ncId, disciplines) {
+        try {
+            this.requirePermission(PERMISSIONS.EDIT_NC);
+            const saved = await dbManager.saveRapport8D({ ...disciplines, id_nc: ncId });
+            this.showSuccessMessage('8D enregistré');
+            return saved;
+        } catch (error) {
+            this.handleError(`Enregistrement du 8D échoué: ${error.message}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * @method loadTableData
+     * @description Charge et affiche les données de la table
+     * @implements ISO 9001 - Visualisation des données
+     */
+    loadTableData() {
+        try {
+            const tableBody = document.querySelector('.table tbody');
+            if (!tableBody) return;
+
+            tableBody.innerHTML = '';
+
+            if (this.state.nonConformites.length === 0) {
+                this.createEmptyTableRow(tableBody);
+                return;
+            }
+
+            this.state.nonConformites.forEach(nc => {
+                const row = this.createTableRow(nc);
+                tableBody.appendChild(row);
+            });
+
+        } catch (error) {
+            this.handleError("Chargement des données de table échoué", error);
+        }
+    }
+
+    /**
+     * @method createEmptyTableRow
+     * @description Crée une ligne vide pour la table
+     * @param {HTMLElement} tableBody - Corps de la table
+     * @implements Lean - Standardisation des composants
+     */
+    createEmptyTableRow(tableBody) {
+        const emptyRow = document.createElement('tr');
+        emptyRow.innerHTML = `
+            <td colspan="5" className="text-center py-8 text-gray-500">
+                Aucune non-conformité enregistrée
+            </td>
+        `;
+        tableBody.appendChild(emptyRow);
+    }
+
+    /**
+     * @method createTableRow
+     * @description Crée une ligne pour la table
+     * @param {Object} nc - Non-conformité
+     * @returns {HTMLElement} Ligne de table
+     * @implements Lean - Standardisation des composants
+     */
+    createTableRow(nc) {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">${nc.id}</td>
+            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">${nc.type_defaut}</td>
+            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">${nc.gravite}</td>
+            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">${nc.statut}</td>
+            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">${nc.id_declarant || 'Inconnu'}</td>
+        `;
+        return row;
+    }
+
+    /**
+     * @method loadModuleContent
+     * @description Charge le contenu du module sélectionné
+     * @param {string} moduleId - ID du module
+     * @implements DMAIC - Improve (chargement dynamique)
+     */
+    loadModuleContent(moduleId) {
+        try {
+            this.logger.info("Chargement du module", { moduleId });
+            // Implémenter le chargement du contenu spécifique à chaque module
+            // Exemple: charger les composants React correspondants
+
+        } catch (error) {
+            this.handleError("Chargement du module échoué", error);
+        }
+    }
+
+    /**
+     * @method openNcForm
+     * @description Ouvre le formulaire de déclaration de NC
+     * @param {HTMLElement} ncForm - Formulaire de NC
+     * @implements Lean - Amélioration de l'UX
+     */
+    openNcForm(ncForm) {
+        try {
+            if (ncForm && document.getElementById('dashboard')) {
+                ncForm.style.display = 'block';
+                document.getElementById('dashboard').style.display = 'none';
+            }
+        } catch (error) {
+            this.handleError("Ouverture du formulaire échouée", error);
+        }
+    }
+
+    /**
+     * @method closeNcForm
+     * @description Ferme le formulaire de déclaration de NC
+     * @param {HTMLElement} ncForm - Formulaire de NC
+     * @implements Lean - Amélioration de l'UX
+     */
+    closeNcForm(ncForm) {
+        try {
+            if (ncForm && document.getElementById('dashboard')) {
+                ncForm.style.display = 'none';
+                document.getElementById('dashboard').style.display = 'block';
+                document.getElementById('declaration-form').reset();
+            }
+        } catch (error) {
+            this.handleError("Fermeture du formulaire échouée", error);
+        }
+    }
+
+    /**
+     * @method handleSubmitNcForm
+     * @description Gère la soumission du formulaire de NC
+     * @param {HTMLFormElement} form - Formulaire de déclaration
+     * @implements ISO 9001 - Contrôle de la qualité
+     */
+    async handleSubmitNcForm(form) {
+        try {
+            // Validation des données (ISO 9001 - Contrôle de la qualité)
+            const formData = this.getFormData(form);
+            const validation = this.validator.validateNcForm(formData);
+
+            if (!validation.isValid) {
+                this.showErrorMessage(validation.errors);
+                return;
+            }
+
+            this.setState({ isLoading: true });
+
+            // Soumission des données
+            await this.submitNcDeclaration(formData);
+
+            // Mise à jour de l'affichage
+            this.updateDisplay();
+
+            // Fermeture du formulaire
+            this.closeNcForm(document.getElementById('nc-form'));
+
+            // Affichage du message de succès
+            this.showSuccessMessage('Non-Conformité déclarée avec succès');
+
+        } catch (error) {
+            this.handleError("Soumission du formulaire échouée", error);
+        } finally {
+            this.setState({ isLoading: false });
+        }
+    }
+
+    /**
+     * @method getFormData
+     * @description Récupère les données du formulaire
+     * @param {HTMLFormElement} form - Formulaire
+     * @returns {Object} Données du formulaire
+     * @implements Lean - Standardisation des traitements
+     */
+    getFormData(form) {
+        const formData = new FormData(form);
+        const data = {};
+
+        for (let [key, value] of formData.entries()) {
+            data[key] = value;
+        }
+
+        return data;
+    }
+
+    /**
+     * @method submitNcDeclaration
+     * @description Soumet une nouvelle déclaration de NC
+     * @param {Object} ncData - Données de la NC
+     * @implements DMAIC - Improve (gestion des données)
+     */
+    async submitNcDeclaration(ncData) {
+        try {
+            const { currentUser } = this.state;
+            if (!currentUser) {
+                throw new Error("Aucun utilisateur connecté pour déclarer la NC");
+            }
+            this.requirePermission(PERMISSIONS.DECLARE_NC);
+
+            const nc = {
+                ...ncData,
+                id_declarant: currentUser.id,
+                date_creation: new Date().toISOString(),
+                statut: 'Ouvert'
+            };
+
+            // Persistance dans IndexedDB : l'identifiant est attribué par l'auto-incrément
+            const id = await dbManager.addNonConformite(nc);
+            const newNc = { ...nc, id };
+
+            this.setState(prevState => ({
+                nonConformites: [...prevState.nonConformites, newNc]
+            }));
+
+            this.logger.info("Nouvelle NC ajoutée", { ncId: newNc.id, ncData });
+
+            if (newNc.gravite === 'Critique') {
+                await this.alertCriticalNc(newNc);
+            }
+
+        } catch (error) {
+            this.handleError("Ajout de la NC échoué", error);
+            throw error;
+        }
+    }
+
+    /**
+     * @method updateDisplay
+     * @description Met à jour l'affichage de l'application
+     * @implements DMAIC - Control (mise à jour des données)
+     */
+    updateDisplay() {
+        this.loadMetrics();
+        this.loadCharts();
+        this.loadTableData();
+    }
+
+    /**
+     * @method showSuccessMessage
+     * @description Affiche un message de succès
+     * @param {string} message - Message de succès
+     * @implements ISO 9001 - Communication avec l'utilisateur
+     */
+    showSuccessMessage(message) {
+        this.showNotification('success', message);
+    }
+
+    /**
+     * @method showErrorMessage
+     * @description Affiche un message d'erreur
+     * @param {string|Object} message - Message d'erreur
+     * @implements ISO 9001 - Communication avec l'utilisateur
+     */
+    showErrorMessage(message) {
+        this.showNotification('error', message);
+    }
+
+    /**
+     * @method showNotification
+     * @description Affiche un message passager (confirmation, erreur de saisie ou de traitement), non conservé
+     * @param {string} type - Type de notification (success, error, warning, info)
+     * @param {string|Object} message - Message de notification (objet : erreurs de validation par champ)
+     * @implements ISO 9001 - Communication avec l'utilisateur
+     */
+    showNotification(type, message) {
+        const text = typeof message === 'string' ? message : Object.values(message).join(', ');
+        this.emitNotifications({
+            id: Date.now(),
+            type,
+            message: text,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * @method showAlert
+     * @description Affiche une alerte (échéances, NC critiques, cartes de contrôle, messagerie, synchronisation)
+     * et la conserve dans le centre de notifications de l'utilisateur connecté
+     * @param {string} type - Niveau de l'alerte (error, warning, info)
+     * @param {string} message - Message de l'alerte
+     * @param {Object} options - { titre, cle, id_nc, id_action } (cle : alerte affichée une seule fois)
+     * @returns {Promise<Object|null>} Notification enregistrée, ou null si elle n'est pas conservée
+     * @implements ISO 9001 §7.4 - Communication
+     */
+    async showAlert(type, message, options = {}) {
+        const { currentUser } = this.state;
+        if (!currentUser) {
+            this.showNotification(type, message);
+            return null;
+        }
+
+        try {
+            const notification = await this.notify(currentUser.id, { niveau: type, message, ...options });
+            // Une alerte déjà enregistrée sous la même clé n'est pas réaffichée
+            if (notification) this.showNotification(type, message);
+            return notification;
+        } catch (error) {
+            // Pas de handleError ici : l'erreur serait elle-même notifiée
+            this.logger.error("Enregistrement de la notification échoué", error);
+            this.showNotification(type, message);
+            return null;
+        }
+    }
+
+    /**
+     * @method notify
+     * @description Enregistre une notification pour un utilisateur (l'utilisateur connecté ou un destinataire d'escalade)
+     * @param {number} userId - Destinataire
+     * @param {Object} data - { message, niveau, titre, cle, id_nc, id_action }
+     * @returns {Promise<Object|null>} Notification créée, ou null si sa clé est déjà enregistrée
+     * @implements ISO 9001 §7.4 - Communication
+     */
+    async notify(userId, { niveau = 'info', titre, ...data }) {
+        const notification = await dbManager.addNotification({
+            ...data,
+            id_user: userId,
+            niveau,
+            titre: titre || NOTIFICATION_TITRES[niveau]
+        });
+
+        if (notification && userId === this.state.currentUser?.id) {
+            this.setState(prevState => ({ notifications: [notification, ...prevState.notifications] }));
+            this.emitNotifications();
+        }
+        return notification;
+    }
+
+    /**
+     * @method loadNotifications
+     * @description Charge les notifications de l'utilisateur connecté
+     * @returns {Promise<Array>} Notifications, les plus récentes en premier
+     * @implements ISO 9001 §7.4 - Communication
+     */
+    async loadNotifications() {
+        try {
+            const { currentUser } = this.state;
+            const notifications = currentUser ? await dbManager.getNotifications(currentUser.id) : [];
+            this.setState({ notifications });
+            this.emitNotifications();
+            return notifications;
+        } catch (error) {
+            this.logger.error("Chargement des notifications échoué", error);
+            return [];
+        }
+    }
+
+    /**
+     * @method markNotificationsRead
+     * @description Marque comme lues des notifications de l'utilisateur connecté
+     * @param {Array<number>|null} ids - Notifications à marquer, null pour toutes
+     * @returns {Promise<number>} Nombre de notifications modifiées
+     * @implements ISO 9001 §7.4 - Communication
+     */
+    async markNotificationsRead(ids = null) {
+        try {
+            const { currentUser } = this.state;
+            if (!currentUser) return 0;
+
+            const count = await dbManager.markNotificationsRead(currentUser.id, ids);
+            this.setState(prevState => ({
+                notifications: prevState.notifications.map(n => (!ids || ids.includes(n.id) ? { ...n, lu: true } : n))
+            }));
+            this.emitNotifications();
+            return count;
+        } catch (error) {
+            this.logger.error("Mise à jour des notifications échouée", error);
+            return 0;
+        }
+    }
+
+    /**
+     * @method subscribeNotifications
+     * @description Abonne l'interface aux notifications (toast à afficher et liste de l'utilisateur)
+     * @param {Function} listener - Appelée avec { toast, notifications, unread }
+     * @returns {Function} Désabonnement
+     * @implements ISO 9001 - Communication avec l'utilisateur
+     */
+    subscribeNotifications(listener) {
+        this.notificationListeners.add(listener);
+        return () => this.notificationListeners.delete(listener);
+    }
+
+    emitNotifications(toast = null) {
+        const { notifications } = this.state;
+        const unread = notifications.filter(n => !n.lu).length;
+        this.notificationListeners.forEach(listener => listener({ toast, notifications, unread }));
+    }
+
+    /**
+     * @method handleNavigationClick
+     * @description Gère le clic sur un item de navigation
+     * @param {HTMLElement} item - Item de navigation cliqué
+     * @implements Lean - Élimination du gaspillage (code réutilisable)
+     */
+    handleNavigationClick(item) {
+        try {
+            // Mise à jour de l'état actif
+            document.querySelectorAll('.sidebar-item').forEach(nav => nav.classList.remove('active'));
+            item.classList.add('active');
+
+            // Chargement du contenu du module
+            const moduleId = item.dataset.module;
+            this.loadModuleContent(moduleId);
+
+        } catch (error) {
+            this.handleError("Gestion de la navigation échouée", error);
+        }
+    }
+
+    /**
+     * @method toggleSidebar
+     * @description Ouvre/ferme le sidebar
+     * @param {HTMLElement} sidebar - Sidebar à toggle
+     * @implements Lean - Amélioration de l'UX
+     */
+    toggleSidebar(sidebar) {
+        sidebar.classList.toggle('open');
+    }
+
+    /**
+     * @method closeSidebar
+     * @description Ferme le sidebar
+     * @param {HTMLElement} sidebar - Sidebar à fermer
+     * @implements Lean - Amélioration de l'UX
+     */
+    closeSidebar(sidebar) {
+        sidebar.classList.remove('open');
+    }
+
+    /**
+     * @method handleLogin
+     * @description Gère la connexion de l'utilisateur
+     * @param {HTMLFormElement} form - Formulaire de connexion
+     * @implements ISO 9001 - Contrôle d'accès
+     */
+    async handleLogin(form) {
+        try {
+            const username = document.getElementById('login-username').value;
+            const password = document.getElementById('login-password').value;
+
+            // Validation des identifiants (ISO 9001 - Contrôle d'accès)
+            if (!username || !password) {
+                this.showErrorMessage('Veuillez remplir tous les champs');
+                return;
+            }
+
+            const user = await this.login(username, password);
+
+            if (user) {
+                this.showDashboard();
+                this.showSuccessMessage('Connexion réussie');
+            } else {
+                this.showErrorMessage('Identifiants incorrects');
+            }
+
+        } catch (error) {
+            this.handleError(error.message, error);
+        }
+    }
+
+    /**
+     * @method login
+     * @description Authentifie un utilisateur
+     * @param {string} username - Nom d'utilisateur
+     * @param {string} password - Mot de passe
+     * @returns {Object|null} Utilisateur authentifié, null si les identifiants sont refusés
+     * @throws {Error} Erreur de la base locale (distincte d'identifiants incorrects)
+     * @implements ISO 9001 - Contrôle d'accès
+     */
+    async login(username, password) {
+        try {
+            // Authentification locale contre le store "users" (fonctionne hors ligne) ;
+            // un compte créé sur un autre poste est récupéré du serveur à sa première connexion
+            await this.loadSyncSettings();
+            // Le serveur n'est interrogé (mot de passe transmis) qu'en cas de refus local
+            let user = await dbManager.authenticateUser(username, password);
+            if (!user) {
+                const remoteUser = await this.authenticateRemote(username, password);
+                if (remoteUser) user = await this.provisionRemoteUser(remoteUser, password);
+            }
+
+            if (user) {
+                this.setState({ currentUser: user, isLoggedIn: true });
+                dbManager.setCurrentUser(user);
+                this.logger.info("Utilisateur connecté", { userId: user.id });
+                const notifications = await this.loadNotifications();
+                this.startDeadlineScheduler();
+                await this.loadMailTransport();
+                this.startMailDispatcher();
+                await this.refreshSyncStatus();
+                this.startSyncScheduler();
+
+                // Alertes critiques reçues hors connexion : rappel par notification du navigateur
+                await this.requestBrowserNotifications();
+                notifications
+                    .filter(notification => !notification.lu && (notification.cle || '').startsWith('nc_critique_'))
+                    .forEach(notification => this.showBrowserNotification(notification.titre, notification.message, notification.cle));
+            }
+            return user;
+
+        } catch (error) {
+            // Base indisponible ou corrompue : l'appelant l'affiche comme telle, pas comme un refus
+            this.logger.error("Authentification échouée", error);
+            throw new Error(`Connexion impossible: ${error.message}`);
+        }
+    }
+
+    /**
+     * @method register
+     * @description Crée un compte utilisateur local
+     * @param {Object} userData - Données du compte (username, email, password)
+     * @returns {Promise<Object>} Utilisateur créé (sans mot de passe)
+     * @implements ISO 9001 - Contrôle d'accès
+     */
+    async register(userData) {
+        const { username, email, password } = userData;
+
+        if (await dbManager.getUser(username) || (email && await dbManager.getUserByEmail(email))) {
+            throw new Error("Un compte existe déjà avec cet identifiant");
+        }
+
+        const id = await dbManager.addUser({ username, email, password });
+        this.logger.info("Compte utilisateur créé", { userId: id });
+
+        // Compte déclaré au serveur : la connexion depuis un autre poste le retrouvera
+        await this.loadSyncSettings();
+        if (this.syncEngine && navigator.onLine !== false) {
+            const { uuid } = await dbManager.getUser(username);
+            await this.syncEngine.register({ uuid, username, email, password }).catch(error => {
+                this.logger.warn("Déclaration du compte au serveur échouée", { username, error: error.message });
+            });
+        }
+
+        return this.login(username, password);
+    }
+
+    /**
+     * @method logout
+     * @description Termine la session de l'utilisateur courant
+     * @implements ISO 9001 - Contrôle d'accès
+     */
+    logout() {
+        this.logger.info("Utilisateur déconnecté", { userId: this.state.currentUser?.id });
+        this.stopDeadlineScheduler();
+        this.stopMailDispatcher();
+        this.stopSyncScheduler();
+        if (this.syncEngine) this.syncEngine.setToken(null);
+        this.setState({ currentUser: null, isLoggedIn: false, notifications: [], actionDeadlines: { approaching: [], overdue: [] } });
+        dbManager.setCurrentUser(null);
+        this.emitNotifications();
+    }
+
+    /**
+     * @method checkPasswordPolicy
+     * @description Contrôle un mot de passe selon la politique appliquée par DatabaseManager
+     * @param {string} password - Mot de passe saisi
+     * @returns {Array<string>} Règles non respectées (vide si conforme)
+     * @implements ISO 27001 - Contrôle d'accès
+     */
+    checkPasswordPolicy(password) {
+        return dbManager.validatePasswordStrength(password);
+    }
+
+    /**
+     * @method can
+     * @description Indique si l'utilisateur courant dispose d'une permission
+     * @param {string} permission - Permission (voir PERMISSIONS)
+     * @returns {boolean} true si le rôle de l'utilisateur l'autorise
+     * @implements ISO 9001 §5.3 - Rôles, responsabilités et autorités
+     */
+    can(permission) {
+        const { currentUser } = this.state;
+        if (!currentUser) return false;
+
+        return (ROLE_PERMISSIONS[currentUser.role] || []).includes(permission);
+    }
+
+    /**
+     * @method requirePermission
+     * @description Refuse l'opération si l'utilisateur courant n'a pas la permission
+     * @param {string} permission - Permission requise
+     * @implements ISO 27001 - Contrôle d'accès
+     */
+    requirePermission(permission) {
+        if (!this.can(permission)) {
+            this.logger.warn("Accès refusé", { permission, userId: this.state.currentUser?.id });
+            throw new Error(`Accès refusé: permission "${permission}" requise`);
+        }
+    }
+
+    /**
+     * @method showDashboard
+     * @description Affiche le dashboard
+     * @implements Lean - Amélioration de l'UX
+     */
+    showDashboard() {
+        try {
+            const loginForm = document.getElementById('login-form');
+            const dashboard = document.getElementById('dashboard');
+
+            if (loginForm && dashboard) {
+                loginForm.style.display = 'none';
+                dashboard.style.display = 'block';
+            }
+        } catch (error) {
+            this.handleError("Affichage du dashboard échoué", error);
+        }
+    }
+
+    /**
+     * @method closeNc
+     * @description Clôture une NC
+     * @param {number} ncId - ID de la NC à clôturer
+     * @implements DMAIC - Improve (gestion des NC)
+     */
+    async closeNc(ncId) {
+        try {
+            this.requirePermission(PERMISSIONS.CLOSE_NC);
+            const ncIndex = this.state.nonConformites.findIndex(nc => nc.id === ncId);
+
+            if (ncIndex !== -1) {
+                this.checkNcTransition(this.state.nonConformites[ncIndex], 'Clos');
+                const updatedNc = await dbManager.updateNonConformite(ncId, { statut: 'Clos' });
+
+                this.setState(prevState => {
+                    const updatedNcs = [...prevState.nonConformites];
+                    updatedNcs[ncIndex] = updatedNc;
+                    return { nonConformites: updatedNcs };
+                });
+
+                this.updateDisplay();
+                this.showSuccessMessage('NC clôturée avec succès');
+            }
+
+        } catch (error) {
+            this.handleError(`Clôture de la NC refusée: ${error.message}`, error);
+        }
+    }
+
+    /**
+     * @method updateNc
+     * @description Met à jour une NC
+     * @param {number} ncId - ID de la NC à mettre à jour
+     * @param {Object} updates - Mises à jour à appliquer
+     * @returns {Promise<Object|null>} NC mise à jour ou null en cas d'échec (erreur déjà signalée)
+     * @implements DMAIC - Improve (gestion des NC)
+     */
+    async updateNc(ncId, updates) {
+        try {
+            this.requirePermission(updates.statut === 'Clos' ? PERMISSIONS.CLOSE_NC : PERMISSIONS.EDIT_NC);
+            const ncIndex = this.state.nonConformites.findIndex(nc => nc.id === ncId);
+
+            if (ncIndex === -1) {
+                throw new Error(`NC #${ncId} introuvable`);
+            }
+            if (updates.statut) {
+                this.checkNcTransition(this.state.nonConformites[ncIndex], updates.statut);
+            }
+            const updatedNc = await dbManager.updateNonConformite(ncId, updates);
+
+            this.setState(prevState => {
+                const updatedNcs = [...prevState.nonConformites];
+                updatedNcs[ncIndex] = updatedNc;
+                return { nonConformites: updatedNcs };
+            });
+
+            this.updateDisplay();
+            this.showSuccessMessage('NC mise à jour avec succès');
+            return updatedNc;
+
+        } catch (error) {
+            this.handleError(`Mise à jour de la NC refusée: ${error.message}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * @method checkNcTransition
+     * @description Refuse un changement de statut hors du workflow des NC
+     * @param {Object} nc - NC concernée
+     * @param {string} statut - Statut demandé
+     * @implements Lean - Poka-yoke (prévention des erreurs de saisie)
+     */
+    checkNcTransition(nc, statut) {
+        if (statut === nc.statut) return;
+
+        const allowed = NC_TRANSITIONS[nc.statut] || [];
+        if (!allowed.includes(statut)) {
+            throw new Error(`Transition interdite: ${nc.statut} → ${statut}`);
+        }
+    }
+
+    /**
+     * @method loadActionsCorrectives
+     * @description Charge les actions correctives liées à une NC
+     * @param {number} ncId - ID de la NC
+     * @returns {Promise<Array>} Actions correctives de la NC
+     * @implements ISO 9001 §10.2 - Actions correctives
+     */
+    async loadActionsCorrectives(ncId) {
+        try {
+            return await dbManager.getActionsCorrectives(ncId);
+        } catch (error) {
+            this.handleError("Chargement des actions correctives échoué", error);
+            return [];
+        }
+    }
+
+    /**
+     * @method createActionCorrective
+     * @description Crée une action corrective pour une NC
+     * @param {number} ncId - ID de la NC
+     * @param {Object} actionData - Données du formulaire (description, responsable, delai)
+     * @returns {Promise<Object|null>} Action créée ou null en cas d'échec
+     * @implements PDCA - Do (mise en œuvre des actions)
+     */
+    async createActionCorrective(ncId, actionData) {
+        try {
+            this.requirePermission(PERMISSIONS.MANAGE_ACTIONS);
+            const validation = this.validator.validateActionForm(actionData);
+            if (!validation.isValid) {
+                this.showErrorMessage(validation.errors);
+                return null;
+            }
+
+            const action = {
+                description: actionData.description.trim(),
+                responsable: actionData.responsable.trim(),
+                delai: Number(actionData.delai),
+                id_nc: ncId
+            };
+
+            const id = await dbManager.addActionCorrective(action);
+            const newAction = await dbManager.getActionCorrectiveById(id);
+
+            this.logger.info("Action corrective créée", { actionId: id, ncId });
+            this.showSuccessMessage('Action corrective créée avec succès');
+            return newAction;
+
+        } catch (error) {
+            this.handleError(`Création de l'action corrective échouée: ${error.message}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * @method updateActionCorrective
+     * @description Met à jour une action corrective (statut, efficacité, responsable...)
+     * @param {number} actionId - ID de l'action
+     * @param {Object} updates - Mises à jour à appliquer
+     * @returns {Promise<Object|null>} Action mise à jour ou null si la mise à jour est refusée
+     * @implements PDCA - Check (suivi de l'efficacité)
+     */
+    async updateActionCorrective(actionId, updates) {
+        try {
+            this.requirePermission(PERMISSIONS.MANAGE_ACTIONS);
+            const updatedAction = await dbManager.updateActionCorrective(actionId, updates);
+
+            this.logger.info("Action corrective mise à jour", { actionId, updates });
+            this.showSuccessMessage('Action corrective mise à jour avec succès');
+            return updatedAction;
+
+        } catch (error) {
+            this.handleError(`Mise à jour de l'action corrective refusée: ${error.message}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * @method loadAnalysesCauses
+     * @description Charge les analyses de causes d'une NC
+     * @param {number} ncId - ID de la NC
+     * @returns {Promise<Array>} Analyses enregistrées
+     * @implements DMAIC - Analyze
+     */
+    async loadAnalysesCauses(ncId) {
+        try {
+            return await dbManager.getAnalysesCauses(ncId);
+        } catch (error) {
+            this.handleError("Chargement des analyses de causes échoué", error);
+            return [];
+        }
+    }
+
+    /**
+     * @method saveAnalyseCause
+     * @description Enregistre une analyse de causes et, sur demande, reporte la cause racine sur la NC
+     * @param {number} ncId - ID de la NC analysée
+     * @param {Object} analyse - { methode, cause_racine, ... } (pourquois pour les 5 Pourquoi, branches pour Ishikawa)
+     * @param {Object} options - { applyToNc } pour confirmer la cause racine de la NC
+     * @returns {Promise<Object|null>} Analyse enregistrée ou null en cas d'échec
+     * @implements DMAIC - Analyze (identification de la cause racine)
+     */
+    async saveAnalyseCause(ncId, analyse, { applyToNc = false } = {}) {
+        try {
+            this.requirePermission(PERMISSIONS.ANALYZE);
+
+            // Un diagramme d'Ishikawa peut être enregistré avant de confirmer sa cause racine
+            const causeRacine = (analyse.cause_racine || '').trim();
+            if (causeRacine === '' && (applyToNc || analyse.methode !== 'Ishikawa')) {
+                throw new Error("La cause racine est requise");
+            }
+
+            const { id: analyseId, ...fields } = analyse;
+            const data = { ...fields, cause_racine: causeRacine, id_nc: ncId };
+            const id = analyseId
+                ? (await dbManager.updateAnalyseCause(analyseId, data)).id
+                : await dbManager.addAnalyseCause(data);
+
+            // Cause racine refusée sur la NC (erreur signalée par updateNc) : l'analyse reste enregistrée
+            // mais l'opération n'est pas confirmée
+            if (applyToNc && !(await this.updateNc(ncId, { cause_racine: data.cause_racine }))) {
+                this.logger.warn("Cause racine non reportée sur la NC", { analyseId: id, ncId });
+                return null;
+            }
+
+            this.logger.info("Analyse de causes enregistrée", { analyseId: id, ncId, methode: analyse.methode });
+            this.showSuccessMessage('Analyse enregistrée avec succès');
+            return { ...data, id };
+
+        } catch (error) {
+            this.handleError(`Enregistrement de l'analyse échoué: ${error.message}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * @method promoteIshikawaCause
+     * @description Confirme une cause du diagramme d'Ishikawa comme cause racine de la NC
+     * @param {number} ncId - ID de la NC
+     * @param {Object} analyse - Analyse Ishikawa courante
+     * @param {string} cause - Cause ou sous-cause retenue
+     * @returns {Promise<Object|null>} Analyse enregistrée ou null en cas d'échec
+     * @implements DMAIC - Analyze
+     */
+    async promoteIshikawaCause(ncId, analyse, cause) {
+        return await this.saveAnalyseCause(ncId, { ...analyse, cause_racine: cause }, { applyToNc: true });
+    }
+
+    /**
+     * @method loadUsers
+     * @description Charge la liste des comptes (sans mots de passe)
+     * @returns {Promise<Array>} Utilisateurs
+     * @implements ISO 9001 - Traçabilité
+     */
+    async loadUsers() {
+        try {
+            return await dbManager.getUsers();
+        } catch (error) {
+            this.handleError("Chargement des utilisateurs échoué", error);
+            return [];
+        }
+    }
+
+    /**
+     * @method assignManager
+     * @description Affecte le responsable hiérarchique d'un utilisateur (destinataire des escalades)
+     * @param {number} userId - ID de l'utilisateur
+     * @param {number|null} managerId - ID du responsable, null pour retirer l'affectation
+     * @returns {Promise<Object|null>} Utilisateur mis à jour ou null en cas d'échec
+     * @implements ISO 9001 §5.3 - Rôles, responsabilités et autorités
+     */
+    async assignManager(userId, managerId) {
+        try {
+            this.requirePermission(PERMISSIONS.MANAGE_USERS);
+            const user = await dbManager.updateUserManager(userId, managerId);
+
+            this.logger.info("Responsable hiérarchique affecté", { userId, managerId });
+            this.showSuccessMessage('Responsable hiérarchique enregistré');
+            return user;
+
+        } catch (error) {
+            this.handleError(`Affectation du responsable échouée: ${error.message}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * @method loadAuditTrail
+     * @description Charge la piste d'audit selon les filtres du visualiseur
+     * @param {Object} filters - { userId, entity, dateFrom, dateTo }
+     * @returns {Promise<Array>} Entrées d'audit
+     * @implements ISO 9001 §7.5.3 - Maîtrise des informations documentées
+     */
+    async loadAuditTrail(filters) {
+        try {
+            this.requirePermission(PERMISSIONS.VIEW_AUDIT);
+            return await dbManager.queryAuditTrail(filters);
+        } catch (error) {
+            this.handleError(`Chargement de la piste d'audit échoué: ${error.message}`, error);
+            return [];
+        }
+    }
+
+    /**
+     * @method verifyAuditTrail
+     * @description Contrôle l'intégrité de la chaîne de hash de la piste d'audit
+     * @returns {Promise<Object|null>} Résultat de la vérification
+     * @implements PDCA - Check
+     */
+    async verifyAuditTrail() {
+        try {
+            this.requirePermission(PERMISSIONS.VIEW_AUDIT);
+            const result = await dbManager.verifyAuditTrail();
+
+            if (result.valid) {
+                this.showSuccessMessage(`Piste d'audit intègre (${result.checked} entrées)`);
+            } else {
+                this.showErrorMessage(`Piste d'audit altérée à l'entrée #${result.brokenAt}`);
+            }
+            return result;
+
+        } catch (error) {
+            this.handleError(`Vérification de la piste d'audit échouée: ${error.message}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * @method setState
+     * @description Met à jour l'état de l'application
+     * @param {Object|Function} newState - Nouvel état ou fonction (prevState) => état partiel
+     * @implements DMAIC - Control (gestion de l'état)
+     */
+    setState(newState) {
+        const partialState = typeof newState === 'function' ? newState(this.state) : newState;
+        this.state = { ...this.state, ...partialState };
+    }
+
+    /**
+     * @method handleError
+     * @description Gère les erreurs de l'application
+     * @param {string} message - Message d'erreur
+     * @param {Error} error - Objet d'erreur
+     * @implements ISO 9001 - Gestion des non-conformités
+     */
+    handleError(message, error) {
+        this.logger.error(message, error);
+        this.showErrorMessage(message);
+    }
+}
+
+/**
+ * @class Logger
+ * @description Système de logging pour l'application
+ * @implements ISO 9001 - Traçabilité
+ */
+class Logger {
+    constructor(appName, appVersion) {
+        this.appName = appName;
+        this.appVersion = appVersion;
+    }
+
+    log(level, message, data = {}) {
+        const logEntry = {
+            timestamp: new Date().toISOString(),
+            level,
+            message,
+            data: {
+                ...data,
+                appName: this.appName,
+                appVersion: this.appVersion,
+                userAgent: navigator.userAgent
+            }
+        };
+
+        console[level === 'error' ? 'error' : 'log'](JSON.stringify(logEntry));
+
+        // Envoyer les logs à un système de monitoring
+        if (level === 'error') {
+            this.sendToMonitoring(logEntry);
+        }
+    }
+
+    info(message, data) { this.log('info', message, data); }
+    warn(message, data) { this.log('warn', message, data); }
+    error(message, data) { this.log('error', message, data); }
+
+    sendToMonitoring(logEntry) {
+        // Implémenter l'envoi vers un système de monitoring (Sentry, LogRocket, etc.)
+        console.log('Sending to monitoring:', logEntry);
+    }
+}
+
+/**
+ * @class Validator
+ * @description Système de validation pour l'application
+ * @implements ISO 9001 - Contrôle de la qualité
+ */
+class Validator {
+    validateNcForm(formData) {
+        const errors = {};
+
+        if (!formData.type_defaut || formData.type_defaut.trim() === '') {
+            errors.type_defaut = 'Le type de défaut est requis';
+        }
+
+        if (!formData.poste || formData.poste.trim() === '') {
+            errors.poste = 'Le poste est requis';
+        }
+
+        if (!formData.gravite || formData.gravite.trim() === '') {
+            errors.gravite = 'La gravité est requise';
+        }
+
+        if (!formData.description || formData.description.trim() === '') {
+            errors.description = 'La description est requise';
+        }
+
+        return {
+            isValid: Object.keys(errors).length === 0,
+            errors
+        };
+    }
+
+    validateActionForm(formData) {
+        const errors = {};
+
+        if (!formData.description || formData.description.trim() === '') {
+            errors.description = 'La description est requise';
+        }
+
+        if (!formData.responsable || formData.responsable.trim() === '') {
+            errors.responsable = 'Le responsable est requis';
+        }
+
+        const delai = Number(formData.delai);
+        if (formData.delai === '' || !Number.isInteger(delai) || delai <= 0) {
+            errors.delai = 'Le délai doit être un nombre de jours positif';
+        }
+
+        return {
+            isValid: Object.keys(errors).length === 0,
+            errors
+        };
+    }
+}
+
+// Initialisation de l'application (PDCA - Plan)
+const startQTrack = () => {
+    try {
+        const app = new QualityManagementApp();
+
+        // Exposer l'application globalement pour le débogage (ISO 9001 - Traçabilité)
+        window.qTrackApp = app;
+        // L'interface principale (index.html), chargée avant ce module, s'abonne à l'application à ce signal
+        window.dispatchEvent(new Event('qtrack:ready'));
+
+        // Mesure du temps de chargement initial (DMAIC - Measure)
+        const loadTime = performance.now();
+        console.log(`Q-TRACK initialisé en ${loadTime}ms`);
+
+    } catch (error) {
+        console.error("Initialisation de Q-TRACK échouée", error);
+    }
+};
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', startQTrack);
+} else {
+    // Script exécuté après le chargement du DOM (transpilation Babel à la volée)
+    startQTrack();
+}
+
+// Composants React pour les modules (à intégrer avec l'application)
+const OperationsQualite = ({ app, focus = null }) => {
+    const emptyFilters = { statut: '', gravite: '', poste: '', dateFrom: '', dateTo: '' };
+    const [ncs, setNcs] = React.useState([]);
+    const [selectedNc, setSelectedNc] = React.useState(null);
+    const [filters, setFilters] = React.useState(emptyFilters);
+    const [showImport, setShowImport] = React.useState(false);
+
+    const filteredNcs = React.useMemo(() => app.filterNonConformites(ncs, filters), [app, ncs, filters]);
+    const postes = React.useMemo(() => [...new Set(ncs.map(nc => nc.poste).filter(Boolean))].sort(), [ncs]);
+
+    React.useEffect(() => {
+        // Charger les NC existantes depuis l'application
+        if (app && app.state.nonConformites) {
+            setNcs(app.state.nonConformites);
+            app.loadNonConformites()
+                .then(() => setNcs(app.state.nonConformites))
+                .catch(error => app.handleError("Chargement des NC échoué", error));
+        }
+    }, [app]);
+
+    // Ouverture demandée depuis le centre de notifications : { ncId, actionId }, appliquée une fois les NC chargées
+    const appliedFocus = React.useRef(null);
+    React.useEffect(() => {
+        if (!focus || appliedFocus.current === focus) return;
+        const nc = ncs.find(item => item.id === focus.ncId);
+        if (nc) {
+            appliedFocus.current = focus;
+            setFilters(emptyFilters);
+            setSelectedNc(nc);
+        }
+    }, [focus, ncs]);
+
+    // Resynchronise la liste et le détail après une mutation de l'application
+    const refreshNcs = () => {
+        setNcs([...app.state.nonConformites]);
+        setSelectedNc(prev => prev && app.state.nonConformites.find(nc => nc.id === prev.id));
+    };
+
+    const handleNcClick = (nc) => {
+        setSelectedNc(nc);
+    };
+
+    const handleFilterChange = (field) => (e) => {
+        setFilters(prev => ({ ...prev, [field]: e.target.value }));
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-50">
+            <header className="bg-white shadow-sm border-b border-gray-200 px-6 py-4">
+                <h1 className="text-xl font-semibold text-gray-800">Opérations Qualité</h1>
+            </header>
+            <main className="p-6">
+                <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                    <div className="lg:col-span-2">
+                        <div className="flex items-center justify-between mb-4">
+                            <h2 className="text-lg font-semibold">Liste des Non-Conformités</h2>
+                            {app.can(PERMISSIONS.EDIT_NC) && !showImport && (
+                                <button onClick={() => setShowImport(true)} className="text-blue-500 hover:text-blue-700 text-sm font-semibold">
+                                    ⬆ Importer
+                                </button>
+                            )}
+                        </div>
+                        {showImport && (
+                            <ImportNc
+                                app={app}
+                                onImported={() => setNcs([...app.state.nonConformites])}
+                                onClose={() => setShowImport(false)}
+                            />
+                        )}
+                        <div className="grid grid-cols-2 md:grid-cols-6 gap-3 mb-4">
+                            <select value={filters.statut} onChange={handleFilterChange('statut')} className="border border-gray-200 rounded px-3 py-2 text-sm">
+                                <option value="">Tous les statuts</option>
+                                {NC_STATUTS.map(statut => <option key={statut} value={statut}>{statut}</option>)}
+                            </select>
+                            <select value={filters.gravite} onChange={handleFilterChange('gravite')} className="border border-gray-200 rounded px-3 py-2 text-sm">
+                                <option value="">Toutes gravités</option>
+                                {GRAVITE_OPTIONS.map(gravite => <option key={gravite} value={gravite}>{gravite}</option>)}
+                            </select>
+                            <select value={filters.poste} onChange={handleFilterChange('poste')} className="border border-gray-200 rounded px-3 py-2 text-sm">
+                                <option value="">Tous les postes</option>
+                                {postes.map(poste => <option key={poste} value={poste}>{poste}</option>)}
+                            </select>
+                            <input type="date" value={filters.dateFrom} onChange={handleFilterChange('dateFrom')} className="border border-gray-200 rounded px-3 py-2 text-sm" />
+                            <input type="date" value={filters.dateTo} onChange={handleFilterChange('dateTo')} className="border border-gray-200 rounded px-3 py-2 text-sm" />
+                            <button onClick={() => setFilters(emptyFilters)} className="text-blue-500 hover:text-blue-700 text-sm font-semibold">
+                                Réinitialiser
+                            </button>
+                        </div>
+                        {app.can(PERMISSIONS.GENERATE_REPORTS) && <ExportNc app={app} ncs={filteredNcs} />}
+                        <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+                            <table className="w-full">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ID</th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">DÉFAUT</th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">GRAVITÉ</th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">STATUT</th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ACTIONS</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {filteredNcs.length === 0 && (
+                                        <tr>
+                                            <td colSpan="5" className="px-6 py-4 text-center text-sm text-gray-500">Aucune NC ne correspond aux filtres</td>
+                                        </tr>
+                                    )}
+                                    {filteredNcs.map(nc => (
+                                        <tr key={nc.id} onClick={() => handleNcClick(nc)} className="cursor-pointer hover:bg-gray-50">
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{nc.id}</td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{nc.type_defaut}</td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{nc.gravite}</td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{nc.statut}</td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                <select
+                                                    value=""
+                                                    title="📝 Changer le statut"
+                                                    disabled={(NC_TRANSITIONS[nc.statut] || []).length === 0 || !app.can(PERMISSIONS.EDIT_NC)}
+                                                    onClick={(e) => e.stopPropagation()}
+                                                    onChange={async (e) => {
+                                                        await app.updateNc(nc.id, { statut: e.target.value });
+                                                        refreshNcs();
+                                                    }}
+                                                    className="text-blue-500 border border-gray-200 rounded mr-2 text-xs"
+                                                >
+                                                    <option value="" disabled>📝</option>
+                                                    {(NC_TRANSITIONS[nc.statut] || []).map(statut => (
+                                                        <option key={statut} value={statut}>{statut}</option>
+                                                    ))}
+                                                </select>
+                                                {(NC_TRANSITIONS[nc.statut] || []).includes('Clos') && app.can(PERMISSIONS.CLOSE_NC) && (
+                                                    <button
+                                                        onClick={async (e) => {
+                                                            e.stopPropagation();
+                                                            await app.closeNc(nc.id);
+                                                            refreshNcs();
+                                                        }}
+                                                        className="text-green-500 hover:text-green-700"
+                                                    >
+                                                        ✅
+                                                    </button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                    <div>
+                        {selectedNc && (
+                            <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+                                <h3 className="text-lg font-semibold mb-4">Détails de la NC #{selectedNc.id}</h3>
+                                <div className="space-y-3">
+                                    <div>
+                                        <span className="font-medium">Type:</span> {selectedNc.type_defaut}
+                                    </div>
+                                    <div>
+                                        <span className="font-medium">Gravité:</span> {selectedNc.gravite}
+                                    </div>
+                                    <div>
+                                        <span className="font-medium">Statut:</span> {selectedNc.statut}
+                                    </div>
+                                    <div>
+                                        <span className="font-medium">Description:</span>
+                                        <p className="mt-1">{selectedNc.description}</p>
+                                    </div>
+                                    {app.can(PERMISSIONS.EDIT_NC) && (
+                                        <CauseRacine app={app} nc={selectedNc} onSaved={refreshNcs} />
+                                    )}
+                                </div>
+                                <AnalysesCauses app={app} nc={selectedNc} />
+                                <ActionsCorrectives
+                                    app={app}
+                                    nc={selectedNc}
+                                    highlightId={focus && focus.ncId === selectedNc.id ? focus.actionId : null}
+                                />
+                                <Rapport8D app={app} nc={selectedNc} />
+                            </div>
+                        )}
+                    </div>
+                </div>
+            </main>
+        </div>
+    );
+};
+
+// Export CSV / Excel de la liste filtrée des NC, avec choix des colonnes
+const ExportNc = ({ app, ncs }) => {
+    const [columns, setColumns] = React.useState(() => EXPORT_COLUMNS.map(column => column.key));
+    const [includeActions, setIncludeActions] = React.useState(false);
+    const [showColumns, setShowColumns] = React.useState(false);
+    const [exporting, setExporting] = React.useState(null);
+
+    const toggleColumn = (key) => {
+        setColumns(prev => (prev.includes(key) ? prev.filter(item => item !== key) : [...prev, key]));
+    };
+
+    const handleExport = async (format) => {
+        setExporting(format);
+        await app.exportNonConformites(ncs, format, { columns, includeActions });
+        setExporting(null);
+    };
+
+    return (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-3 mb-4 text-sm">
+            <div className="flex flex-wrap items-center gap-3">
+                <span className="text-gray-600">{ncs.length} NC</span>
+                <label className="flex items-center gap-1">
+                    <input type="checkbox" checked={includeActions} onChange={(e) => setIncludeActions(e.target.checked)} />
+                    Inclure les actions correctives
+                </label>
+                <button onClick={() => setShowColumns(prev => !prev)} className="text-blue-500 hover:text-blue-700 font-semibold">
+                    Colonnes ({columns.filter(key => includeActions || !EXPORT_COLUMNS.find(column => column.key === key).action).length})
+                </button>
+                <div className="flex gap-2 ml-auto">
+                    {['CSV', 'XLSX'].map(format => (
+                        <button
+                            key={format}
+                            onClick={() => handleExport(format)}
+                            disabled={exporting !== null || ncs.length === 0}
+                            className="bg-green-500 text-white px-3 py-1 rounded hover:bg-green-600 disabled:opacity-50"
+                        >
+                            {exporting === format ? 'Export...' : `⬇ ${format === 'XLSX' ? 'Excel' : format}`}
+                        </button>
+                    ))}
+                </div>
+            </div>
+            {showColumns && (
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mt-3 pt-3 border-t border-gray-200">
+                    {EXPORT_COLUMNS.map(column => (
+                        <label key={column.key} className={`flex items-center gap-1 ${column.action && !includeActions ? 'text-gray-400' : ''}`}>
+                            <input
+                                type="checkbox"
+                                checked={columns.includes(column.key)}
+                                disabled={column.action && !includeActions}
+                                onChange={() => toggleColumn(column.key)}
+                            />
+                            {column.label}
+                        </label>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Assistant d'import d'un historique de NC (CSV / XLSX) : fichier, correspondance, aperçu, résultat
+const ImportNc = ({ app, onImported, onClose }) => {
+    const [step, setStep] = React.useState('fichier');
+    const [file, setFile] = React.useState(null);
+    const [mapping, setMapping] = React.useState({});
+    const [preview, setPreview] = React.useState([]);
+    const [result, setResult] = React.useState(null);
+    const [busy, setBusy] = React.useState(false);
+
+    const validRows = preview.filter(row => row.errors.length === 0);
+    const missingRequired = IMPORT_FIELDS.filter(({ field, required }) => required && mapping[field] === '');
+
+    const handleFile = async (e) => {
+        const selected = e.target.files[0];
+        if (!selected) return;
+        setBusy(true);
+        try {
+            const parsed = await app.readImportFile(selected);
+            if (parsed.rows.length === 0) {
+                throw new Error("Le fichier ne contient aucune ligne de données");
+            }
+            setFile({ name: selected.name, ...parsed });
+            setMapping(app.guessImportMapping(parsed.headers));
+            setStep('correspondance');
+        } catch (error) {
+            app.handleError(`Lecture du fichier échouée: ${error.message}`, error);
+        }
+        setBusy(false);
+    };
+
+    const handleImport = async () => {
+        setBusy(true);
+        const imported = await app.importNonConformites(validRows.map(row => row.record));
+        setBusy(false);
+        if (imported !== null) {
+            onImported();
+            setResult({ imported, rejected: preview.length - validRows.length });
+            setStep('resultat');
+        }
+    };
+
+    const formatCell = (value) => (value instanceof Date ? value.toLocaleString() : String(value));
+
+    return (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 mb-4 text-sm">
+            <div className="flex items-center justify-between mb-3">
+                <h3 className="font-semibold">Import de NC {file && <span className="text-gray-500 font-normal">— {file.name}</span>}</h3>
+                <button onClick={onClose} className="text-gray-500 hover:text-gray-700">✕</button>
+            </div>
+
+            {step === 'fichier' && (
+                <div>
+                    <p className="text-gray-600 mb-3">
+                        Fichier CSV (séparateur ; , ou tabulation) ou classeur Excel (.xlsx), première ligne = intitulés des colonnes.
+                    </p>
+                    <input type="file" accept=".csv,.txt,.xlsx" onChange={handleFile} disabled={busy} />
+                </div>
+            )}
+
+            {step === 'correspondance' && (
+                <div>
+                    <p className="text-gray-600 mb-3">{file.rows.length} ligne(s) lue(s). Associez les colonnes du fichier aux champs des NC.</p>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                        {IMPORT_FIELDS.map(({ field, label, required }) => (
+                            <label key={field} className="flex items-center justify-between gap-2">
+                                <span>{label}{required && <span className="text-red-500"> *</span>}</span>
+                                <select
+                                    value={mapping[field]}
+                                    onChange={(e) => setMapping(prev => ({ ...prev, [field]: e.target.value === '' ? '' : Number(e.target.value) }))}
+                                    className="border border-gray-200 rounded px-2 py-1 w-48"
+                                >
+                                    <option value="">— Ignorer —</option>
+                                    {file.headers.map((header, index) => (
+                                        <option key={index} value={index}>{header || `Colonne ${index + 1}`}</option>
+                                    ))}
+                                </select>
+                            </label>
+                        ))}
+                    </div>
+                    <p className="text-xs text-gray-500 mt-2">Sans colonne Statut, les NC sont importées au statut « {NC_STATUTS[0]} ».</p>
+                    <div className="flex justify-between mt-4">
+                        <button onClick={() => setStep('fichier')} className="text-blue-500 hover:text-blue-700 font-semibold">← Autre fichier</button>
+                        <button
+                            onClick={() => {
+                                setPreview(app.buildImportPreview(file.rows, mapping));
+                                setStep('apercu');
+                            }}
+                            disabled={missingRequired.length > 0}
+                            title={missingRequired.length > 0 ? `Champs requis : ${missingRequired.map(item => item.label).join(', ')}` : ''}
+                            className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600 disabled:opacity-50"
+                        >
+                            Aperçu →
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {step === 'apercu' && (
+                <div>
+                    <p className="mb-3">
+                        <span className="text-green-600 font-semibold">{validRows.length} ligne(s) valide(s)</span>
+                        {' · '}
+                        <span className="text-red-600 font-semibold">{preview.length - validRows.length} ligne(s) rejetée(s)</span>
+                    </p>
+                    <div className="overflow-auto max-h-96 border border-gray-200 rounded">
+                        <table className="w-full text-xs">
+                            <thead className="bg-gray-50 sticky top-0">
+                                <tr>
+                                    <th className="px-2 py-1 text-left">Ligne</th>
+                                    {IMPORT_FIELDS.filter(({ field }) => mapping[field] !== '').map(({ field, label }) => (
+                                        <th key={field} className="px-2 py-1 text-left">{label}</th>
+                                    ))}
+                                    <th className="px-2 py-1 text-left">Erreurs</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {preview.map(row => (
+                                    <tr key={row.line} className={`border-t border-gray-100 ${row.errors.length > 0 ? 'bg-red-50' : ''}`}>
+                                        <td className="px-2 py-1">{row.line}</td>
+                                        {IMPORT_FIELDS.filter(({ field }) => mapping[field] !== '').map(({ field }) => (
+                                            <td key={field} className="px-2 py-1">
+                                                {field.startsWith('date_') && row.record[field] && !isNaN(Date.parse(row.record[field]))
+                                                    ? new Date(row.record[field]).toLocaleString()
+                                                    : formatCell(row.record[field] ?? '')}
+                                            </td>
+                                        ))}
+                                        <td className="px-2 py-1 text-red-600">{row.errors.join(' · ')}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    <div className="flex justify-between mt-4">
+                        <button onClick={() => setStep('correspondance')} className="text-blue-500 hover:text-blue-700 font-semibold">← Correspondance</button>
+                        <button
+                            onClick={handleImport}
+                            disabled={busy || validRows.length === 0}
+                            className="bg-green-500 text-white px-4 py-2 rounded hover:bg-green-600 disabled:opacity-50"
+                        >
+                            {busy ? 'Import...' : `Importer ${validRows.length} NC`}
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {step === 'resultat' && result && (
+                <div>
+                    <p className="text-green-600 font-semibold">{result.imported} NC importée(s).</p>
+                    {result.rejected > 0 && <p className="text-red-600">{result.rejected} ligne(s) rejetée(s), non importée(s).</p>}
+                    <button onClick={onClose} className="mt-3 bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600">Fermer</button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Cause racine d'une NC, exigée avant le traitement d'une NC critique
+const CauseRacine = ({ app, nc, onSaved }) => {
+    const [causeRacine, setCauseRacine] = React.useState(nc.cause_racine || '');
+
+    React.useEffect(() => {
+        setCauseRacine(nc.cause_racine || '');
+    }, [nc.id, nc.cause_racine]);
+
+    const handleSave = async () => {
+        if (await app.updateNc(nc.id, { cause_racine: causeRacine.trim() })) {
+            onSaved();
+        }
+    };
+
+    return (
+        <div>
+            <span className="font-medium">Cause racine:</span>
+            <textarea
+                value={causeRacine}
+                onChange={(e) => setCauseRacine(e.target.value)}
+                rows="2"
+                className="mt-1 w-full border border-gray-200 rounded px-3 py-2 text-sm"
+            />
+            <button
+                onClick={handleSave}
+                disabled={causeRacine.trim() === (nc.cause_racine || '')}
+                className="text-blue-500 hover:text-blue-700 text-xs font-semibold disabled:opacity-50"
+            >
+                Enregistrer la cause racine
+            </button>
+        </div>
+    );
+};
+
+// Analyses de causes enregistrées pour une NC (panneau de détail)
+const AnalysesCauses = ({ app, nc }) => {
+    const [analyses, setAnalyses] = React.useState([]);
+
+    React.useEffect(() => {
+        let cancelled = false;
+        app.loadAnalysesCauses(nc.id).then(loaded => {
+            if (!cancelled) setAnalyses(loaded);
+        });
+        return () => { cancelled = true; };
+    }, [app, nc.id]);
+
+    return (
+        <div className="mt-6 pt-6 border-t border-gray-200">
+            <h4 className="font-semibold mb-3">Analyses de causes</h4>
+            {analyses.length === 0 && (
+                <p className="text-sm text-gray-500">Aucune analyse enregistrée</p>
+            )}
+            <ul className="space-y-3">
+                {analyses.map(analyse => (
+                    <li key={analyse.id} className="border border-gray-200 rounded-lg p-3 text-sm">
+                        <div className="flex items-center justify-between mb-1">
+                            <span className="font-medium">{analyse.methode}</span>
+                            <span className="text-xs text-gray-500">{new Date(analyse.date_creation).toLocaleDateString()}</span>
+                        </div>
+                        {analyse.pourquois && (
+                            <ol className="list-decimal list-inside text-gray-600 mb-1">
+                                {analyse.pourquois.map((pourquoi, index) => <li key={index}>{pourquoi}</li>)}
+                            </ol>
+                        )}
+                        {analyse.branches && (
+                            <ul className="text-gray-600 mb-1">
+                                {Object.entries(analyse.branches)
+                                    .filter(([, causes]) => causes.length > 0)
+                                    .map(([categorie, causes]) => (
+                                        <li key={categorie}>
+                                            <span className="font-medium">{categorie}:</span> {causes.map(item => item.cause).join(', ')}
+                                        </li>
+                                    ))}
+                            </ul>
+                        )}
+                        <p><span className="font-medium">Cause racine:</span> {analyse.cause_racine || 'À confirmer'}</p>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+// Module CAPA : actions correctives d'une NC (ISO 9001 §10.2)
+const ActionsCorrectives = ({ app, nc, highlightId = null }) => {
+    const emptyForm = { description: '', responsable: '', delai: '' };
+    const [actions, setActions] = React.useState([]);
+    const [formData, setFormData] = React.useState(emptyForm);
+    const canManage = app.can(PERMISSIONS.MANAGE_ACTIONS);
+    const now = new Date();
+    const overdueIds = new Set(actions
+        .filter(action => !ACTION_STATUTS_TERMINES.includes(action.statut) && app.getActionDueDate(action) < now)
+        .map(action => action.id));
+
+    React.useEffect(() => {
+        let cancelled = false;
+        app.loadActionsCorrectives(nc.id).then(loaded => {
+            if (!cancelled) setActions(loaded);
+        });
+        return () => { cancelled = true; };
+    }, [app, nc.id]);
+
+    // Action ouverte depuis une notification
+    React.useEffect(() => {
+        if (!highlightId) return;
+        const element = document.getElementById(`action-${highlightId}`);
+        if (element) element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }, [highlightId, actions]);
+
+    const handleChange = (field) => (e) => {
+        setFormData(prev => ({ ...prev, [field]: e.target.value }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const action = await app.createActionCorrective(nc.id, formData);
+        if (action) {
+            setActions(prev => [...prev, action]);
+            setFormData(emptyForm);
+        }
+    };
+
+    const handleUpdate = async (action, updates) => {
+        const updated = await app.updateActionCorrective(action.id, updates);
+        if (updated) {
+            setActions(prev => prev.map(a => (a.id === updated.id ? updated : a)));
+        }
+    };
+
+    const statutClasses = {
+        'Non démarré': 'bg-gray-100 text-gray-700',
+        'En cours': 'bg-blue-100 text-blue-800',
+        'Terminé': 'bg-yellow-100 text-yellow-800',
+        'Vérifiée': 'bg-green-100 text-green-800'
+    };
+
+    return (
+        <div className="mt-6 pt-6 border-t border-gray-200">
+            <h4 className="font-semibold mb-3">Actions correctives</h4>
+            {actions.length === 0 && (
+                <p className="text-sm text-gray-500 mb-3">Aucune action corrective</p>
+            )}
+            <ul className="space-y-3 mb-4">
+                {actions.map(action => {
+                    const nextStatut = ACTION_STATUTS[ACTION_STATUTS.indexOf(action.statut) + 1];
+                    return (
+                        <li
+                            key={action.id}
+                            id={`action-${action.id}`}
+                            className={`border rounded-lg p-3 text-sm ${action.id === highlightId ? 'border-blue-500 ring-2 ring-blue-200' : 'border-gray-200'}`}
+                        >
+                            <div className="flex items-center justify-between mb-1">
+                                <span className="font-medium">{action.description}</span>
+                                <span className={`px-2 py-1 rounded-full text-xs font-semibold ${statutClasses[action.statut]}`}>
+                                    {action.statut}
+                                </span>
+                            </div>
+                            <p className="text-gray-600">
+                                Responsable: {action.responsable} · Délai: {action.delai} j · Échéance: {app.getActionDueDate(action).toLocaleDateString('fr-FR')}
+                                {overdueIds.has(action.id) && (
+                                    <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-semibold bg-red-100 text-red-800">
+                                        {action.date_escalade ? 'En retard · escaladée' : 'En retard'}
+                                    </span>
+                                )}
+                            </p>
+                            <div className="flex items-center justify-between mt-2">
+                                <select
+                                    value={action.efficacite}
+                                    disabled={action.statut === 'Vérifiée' || !canManage}
+                                    onChange={(e) => handleUpdate(action, { efficacite: e.target.value })}
+                                    className="border border-gray-200 rounded px-2 py-1 text-xs"
+                                >
+                                    {ACTION_EFFICACITE_OPTIONS.map(option => (
+                                        <option key={option} value={option}>{option}</option>
+                                    ))}
+                                </select>
+                                {nextStatut && canManage && (
+                                    <button
+                                        onClick={() => handleUpdate(action, { statut: nextStatut })}
+                                        className="text-blue-500 hover:text-blue-700 text-xs font-semibold"
+                                    >
+                                        → {nextStatut}
+                                    </button>
+                                )}
+                            </div>
+                        </li>
+                    );
+                })}
+            </ul>
+            {canManage && (
+                <form onSubmit={handleSubmit} className="space-y-2">
+                    <input
+                        type="text"
+                        placeholder="Description de l'action"
+                        value={formData.description}
+                        onChange={handleChange('description')}
+                        className="w-full border border-gray-200 rounded px-3 py-2 text-sm"
+                    />
+                    <div className="flex gap-2">
+                        <input
+                            type="text"
+                            placeholder="Responsable"
+                            value={formData.responsable}
+                            onChange={handleChange('responsable')}
+                            className="flex-1 border border-gray-200 rounded px-3 py-2 text-sm"
+                        />
+                        <input
+                            type="number"
+                            min="1"
+                            placeholder="Délai (j)"
+                            value={formData.delai}
+                            onChange={handleChange('delai')}
+                            className="w-24 border border-gray-200 rounded px-3 py-2 text-sm"
+                        />
+                    </div>
+                    <button type="submit" className="w-full bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 text-sm">
+                        Ajouter une action
+                    </button>
+                </form>
+            )}
+        </div>
+    );
+};
+
+// Rapport 8D d'une NC : disciplines à compléter et export PDF / Word (réclamations client)
+const Rapport8D = ({ app, nc }) => {
+    const disciplines = [
+        { field: 'equipe', label: 'D1 — Équipe', placeholder: 'Pilote, membres et fonctions' },
+        { field: 'confinement', label: 'D3 — Actions de confinement', placeholder: 'Tri, blocage des stocks, information client...' },
+        { field: 'verification', label: 'D6 — Vérification de l\'efficacité', placeholder: 'Mesures et résultats après mise en œuvre' },
+        { field: 'prevention', label: 'D7 — Prévention de la récurrence', placeholder: 'Standards, AMDEC, formations mis à jour' },
+        { field: 'cloture', label: 'D8 — Clôture', placeholder: 'Conclusion et félicitations à l\'équipe' }
+    ];
+    const emptyForm = Object.fromEntries(disciplines.map(({ field }) => [field, '']));
+    const [formData, setFormData] = React.useState(emptyForm);
+    const [saved, setSaved] = React.useState(emptyForm);
+    const [generating, setGenerating] = React.useState(null);
+    const canEdit = app.can(PERMISSIONS.EDIT_NC);
+    const canGenerate = app.can(PERMISSIONS.GENERATE_REPORTS);
+
+    React.useEffect(() => {
+        let cancelled = false;
+        app.loadRapport8D(nc.id).then(loaded => {
+            if (cancelled) return;
+            const values = { ...emptyForm, ...(loaded ? Object.fromEntries(disciplines.map(({ field }) => [field, loaded[field] || ''])) : {}) };
+            setFormData(values);
+            setSaved(values);
+        });
+        return () => { cancelled = true; };
+    }, [app, nc.id]);
+
+    const isDirty = disciplines.some(({ field }) => formData[field] !== saved[field]);
+
+    const handleChange = (field) => (e) => {
+        setFormData(prev => ({ ...prev, [field]: e.target.value }));
+    };
+
+    const handleSave = async () => {
+        const record = await app.saveRapport8D(nc.id, formData);
+        if (record) setSaved(formData);
+    };
+
+    const handleExport = async (format) => {
+        // Les saisies en cours sont enregistrées pour figurer dans le document
+        if (isDirty && canEdit) {
+            if (!(await app.saveRapport8D(nc.id, formData))) return;
+            setSaved(formData);
+        }
+        setGenerating(format);
+        await app.generateReport('8D', format, { ncId: nc.id });
+        setGenerating(null);
+    };
+
+    return (
+        <div className="mt-6 pt-6 border-t border-gray-200">
+            <h4 className="font-semibold mb-1">Rapport 8D</h4>
+            <p className="text-xs text-gray-500 mb-3">
+                D2, D4 et D5 sont repris de la NC, des analyses de causes et des actions correctives.
+            </p>
+            <div className="space-y-3">
+                {disciplines.map(({ field, label, placeholder }) => (
+                    <div key={field}>
+                        <label className="block text-sm font-medium text-gray-700">{label}</label>
+                        <textarea
+                            value={formData[field]}
+                            onChange={handleChange(field)}
+                            placeholder={placeholder}
+                            disabled={!canEdit}
+                            rows="2"
+                            className="mt-1 w-full border border-gray-200 rounded px-3 py-2 text-sm"
+                        />
+                    </div>
+                ))}
+            </div>
+            <div className="flex items-center justify-between mt-3">
+                {canEdit && (
+                    <button
+                        onClick={handleSave}
+                        disabled={!isDirty}
+                        className="text-blue-500 hover:text-blue-700 text-xs font-semibold disabled:opacity-50"
+                    >
+                        Enregistrer le 8D
+                    </button>
+                )}
+                {canGenerate && (
+                    <div className="flex gap-2">
+                        {['PDF', 'Word'].map(format => (
+                            <button
+                                key={format}
+                                onClick={() => handleExport(format)}
+                                disabled={generating !== null}
+                                className="bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600 text-xs disabled:opacity-50"
+                            >
+                                {generating === format ? 'Génération...' : `📄 ${format}`}
+                            </button>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// Éditeur 5 Pourquoi : chaîne de questions de longueur variable et cause racine finale
+const CinqPourquoi = ({ app, nc }) => {
+    const emptyChain = [''];
+    const [pourquois, setPourquois] = React.useState(emptyChain);
+    const [causeRacine, setCauseRacine] = React.useState('');
+    const [applyToNc, setApplyToNc] = React.useState(true);
+
+    React.useEffect(() => {
+        setPourquois(emptyChain);
+        setCauseRacine('');
+    }, [nc.id]);
+
+    const updatePourquoi = (index, value) => {
+        setPourquois(prev => prev.map((pourquoi, i) => (i === index ? value : pourquoi)));
+    };
+
+    const handleSave = async () => {
+        const chain = pourquois.map(p => p.trim()).filter(Boolean);
+        const saved = await app.saveAnalyseCause(nc.id, {
+            methode: '5 Pourquoi',
+            pourquois: chain,
+            cause_racine: causeRacine
+        }, { applyToNc });
+
+        if (saved) {
+            setPourquois(emptyChain);
+            setCauseRacine('');
+        }
+    };
+
+    return (
+        <div className="space-y-4">
+            <p className="text-sm text-gray-600">Problème: {nc.description}</p>
+            {pourquois.map((pourquoi, index) => (
+                <div key={index} className="border-l-4 border-blue-500 pl-4">
+                    <div className="flex items-center justify-between">
+                        <p className="font-medium">Pourquoi {index + 1}:</p>
+                        {pourquois.length > 1 && (
+                            <button
+                                onClick={() => setPourquois(prev => prev.filter((_, i) => i !== index))}
+                                className="text-red-500 hover:text-red-700 text-xs"
+                            >
+                                Retirer
+                            </button>
+                        )}
+                    </div>
+                    <input
+                        type="text"
+                        value={pourquoi}
+                        onChange={(e) => updatePourquoi(index, e.target.value)}
+                        className="w-full border border-gray-200 rounded px-3 py-2 text-sm"
+                    />
+                </div>
+            ))}
+            <button
+                onClick={() => setPourquois(prev => [...prev, ''])}
+                className="text-blue-500 hover:text-blue-700 text-sm font-semibold"
+            >
+                + Ajouter un pourquoi
+            </button>
+            <div className="border-l-4 border-green-500 pl-4">
+                <p className="font-medium">Cause racine:</p>
+                <input
+                    type="text"
+                    value={causeRacine}
+                    onChange={(e) => setCauseRacine(e.target.value)}
+                    className="w-full border border-gray-200 rounded px-3 py-2 text-sm"
+                />
+            </div>
+            <label className="flex items-center text-sm text-gray-600">
+                <input type="checkbox" checked={applyToNc} onChange={(e) => setApplyToNc(e.target.checked)} className="mr-2" />
+                Confirmer comme cause racine de la NC
+            </label>
+            <button
+                onClick={handleSave}
+                disabled={causeRacine.trim() === ''}
+                className="w-full bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 text-sm disabled:opacity-50"
+            >
+                Enregistrer l'analyse
+            </button>
+        </div>
+    );
+};
+
+// Diagramme d'Ishikawa : causes et sous-causes par branche 6M, rendu canvas et export
+const Ishikawa = ({ app, nc }) => {
+    const emptyBranches = () => Object.fromEntries(ISHIKAWA_CATEGORIES.map(categorie => [categorie, []]));
+    const emptyAnalyse = () => ({ methode: 'Ishikawa', branches: emptyBranches(), cause_racine: '' });
+    const [analyse, setAnalyse] = React.useState(emptyAnalyse);
+    const [drafts, setDrafts] = React.useState({});
+    const diagramRef = React.useRef(null);
+
+    React.useEffect(() => {
+        let cancelled = false;
+        setDrafts({});
+        app.loadAnalysesCauses(nc.id).then(analyses => {
+            if (cancelled) return;
+            // Reprendre le dernier diagramme enregistré pour cette NC
+            const latest = analyses.filter(item => item.methode === 'Ishikawa').pop();
+            setAnalyse(latest ? { ...latest, branches: { ...emptyBranches(), ...latest.branches } } : emptyAnalyse());
+        });
+        return () => { cancelled = true; };
+    }, [app, nc.id]);
+
+    React.useEffect(() => {
+        if (diagramRef.current) {
+            app.renderIshikawaDiagram(diagramRef.current, analyse.branches, nc.type_defaut, analyse.cause_racine);
+        }
+    }, [app, analyse, nc.type_defaut]);
+
+    const updateBranch = (categorie, updater) => {
+        setAnalyse(prev => ({
+            ...prev,
+            branches: { ...prev.branches, [categorie]: updater(prev.branches[categorie]) }
+        }));
+    };
+
+    const setDraft = (key, value) => setDrafts(prev => ({ ...prev, [key]: value }));
+
+    const takeDraft = (key) => {
+        const text = (drafts[key] || '').trim();
+        setDraft(key, '');
+        return text;
+    };
+
+    const addCause = (categorie) => {
+        const cause = takeDraft(categorie);
+        if (cause) {
+            updateBranch(categorie, causes => [...causes, { cause, sous_causes: [] }]);
+        }
+    };
+
+    const addSousCause = (categorie, index) => {
+        const sousCause = takeDraft(`${categorie}-${index}`);
+        if (sousCause) {
+            updateBranch(categorie, causes => causes.map((item, i) => (
+                i === index ? { ...item, sous_causes: [...item.sous_causes, sousCause] } : item
+            )));
+        }
+    };
+
+    const removeCause = (categorie, index) => {
+        updateBranch(categorie, causes => causes.filter((_, i) => i !== index));
+    };
+
+    const removeSousCause = (categorie, index, sousIndex) => {
+        updateBranch(categorie, causes => causes.map((item, i) => (
+            i === index ? { ...item, sous_causes: item.sous_causes.filter((_, j) => j !== sousIndex) } : item
+        )));
+    };
+
+    const handleSave = async () => {
+        const saved = await app.saveAnalyseCause(nc.id, analyse);
+        if (saved) setAnalyse(saved);
+    };
+
+    const handlePromote = async (cause) => {
+        const saved = await app.promoteIshikawaCause(nc.id, analyse, cause);
+        if (saved) setAnalyse(saved);
+    };
+
+    const canPromote = app.can(PERMISSIONS.EDIT_NC);
+
+    const renderPromoteButton = (cause) => (canPromote && cause !== analyse.cause_racine ? (
+        <button onClick={() => handlePromote(cause)} className="text-amber-500 hover:text-amber-700 text-xs" title="Confirmer comme cause racine de la NC">
+            ★
+        </button>
+    ) : null);
+
+    return (
+        <div className="space-y-6">
+            <div ref={diagramRef} className="border border-gray-200 rounded-lg overflow-x-auto"></div>
+
+            <p className="text-sm">
+                <span className="font-medium">Cause racine confirmée:</span> {analyse.cause_racine || 'À confirmer'}
+            </p>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {ISHIKAWA_CATEGORIES.map(categorie => (
+                    <div key={categorie} className="border border-gray-200 rounded-lg p-3">
+                        <h3 className="font-medium mb-2">{categorie}</h3>
+                        <ul className="space-y-2 text-sm">
+                            {analyse.branches[categorie].map((item, index) => (
+                                <li key={index}>
+                                    <div className="flex items-center justify-between">
+                                        <span className={item.cause === analyse.cause_racine ? 'text-red-600 font-semibold' : ''}>{item.cause}</span>
+                                        <span className="space-x-2">
+                                            {renderPromoteButton(item.cause)}
+                                            <button onClick={() => removeCause(categorie, index)} className="text-red-500 hover:text-red-700 text-xs">Retirer</button>
+                                        </span>
+                                    </div>
+                                    <ul className="ml-4 text-gray-600">
+                                        {item.sous_causes.map((sousCause, sousIndex) => (
+                                            <li key={sousIndex} className="flex items-center justify-between">
+                                                <span className={sousCause === analyse.cause_racine ? 'text-red-600 font-semibold' : ''}>– {sousCause}</span>
+                                                <span className="space-x-2">
+                                                    {renderPromoteButton(sousCause)}
+                                                    <button onClick={() => removeSousCause(categorie, index, sousIndex)} className="text-red-500 hover:text-red-700 text-xs">×</button>
+                                                </span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                    <div className="flex ml-4 mt-1">
+                                        <input
+                                            type="text"
+                                            value={drafts[`${categorie}-${index}`] || ''}
+                                            onChange={(e) => setDraft(`${categorie}-${index}`, e.target.value)}
+                                            placeholder="Sous-cause"
+                                            className="flex-1 border border-gray-200 rounded px-2 py-1 text-xs"
+                                        />
+                                        <button onClick={() => addSousCause(categorie, index)} className="ml-2 text-blue-500 hover:text-blue-700 text-xs font-semibold">+</button>
+                                    </div>
+                                </li>
+                            ))}
+                        </ul>
+                        <div className="flex mt-3">
+                            <input
+                                type="text"
+                                value={drafts[categorie] || ''}
+                                onChange={(e) => setDraft(categorie, e.target.value)}
+                                placeholder="Nouvelle cause"
+                                className="flex-1 border border-gray-200 rounded px-2 py-1 text-sm"
+                            />
+                            <button onClick={() => addCause(categorie)} className="ml-2 text-blue-500 hover:text-blue-700 text-sm font-semibold">Ajouter</button>
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            <div className="flex space-x-2">
+                <button onClick={handleSave} className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 text-sm">
+                    Enregistrer le diagramme
+                </button>
+                <button onClick={() => app.exportIshikawa('png', analyse, nc)} className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 text-sm">
+                    Exporter PNG
+                </button>
+                <button onClick={() => app.exportIshikawa('svg', analyse, nc)} className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 text-sm">
+                    Exporter SVG
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// Tendances : NC déclarées / clôturées par période, backlog et délai moyen de clôture
+const TendancesNc = ({ app, nonConformites }) => {
+    const [granularity, setGranularity] = React.useState('semaine');
+    const trendRef = React.useRef(null);
+    const mttcRef = React.useRef(null);
+
+    const trends = React.useMemo(() => app.computeNcTrends(nonConformites, granularity), [app, nonConformites, granularity]);
+    const mttc = React.useMemo(() => app.computeMeanTimeToClose(nonConformites), [app, nonConformites]);
+
+    React.useEffect(() => {
+        if (trendRef.current) app.renderTrendChart(trendRef.current, trends);
+    }, [app, trends]);
+
+    React.useEffect(() => {
+        if (mttcRef.current) app.renderMeanTimeToCloseChart(mttcRef.current, mttc);
+    }, [app, mttc]);
+
+    // Les graphiques sont réutilisés entre deux rendus et libérés au démontage
+    React.useEffect(() => {
+        const containers = [trendRef.current, mttcRef.current];
+        return () => containers.forEach(container => app.destroyChart(container));
+    }, [app]);
+
+    return (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="bg-white rounded-3xl shadow-sm border border-slate-100 p-6 lg:col-span-2">
+                <div className="flex items-center justify-between mb-4">
+                    <h3 className="text-xl font-bold text-slate-900">Tendance des NC</h3>
+                    <select value={granularity} onChange={(e) => setGranularity(e.target.value)} className="border border-gray-200 rounded px-3 py-1 text-sm">
+                        <option value="jour">Par jour</option>
+                        <option value="semaine">Par semaine</option>
+                        <option value="mois">Par mois</option>
+                    </select>
+                </div>
+                <div ref={trendRef}></div>
+            </div>
+            <div className="bg-white rounded-3xl shadow-sm border border-slate-100 p-6">
+                <h3 className="text-xl font-bold text-slate-900 mb-4">Délai moyen de clôture</h3>
+                <div ref={mttcRef}></div>
+                <ul className="mt-2 text-xs text-slate-500">
+                    {mttc.map(item => (
+                        <li key={item.gravite}>{item.gravite} : {item.count} NC clôturée(s)</li>
+                    ))}
+                </ul>
+            </div>
+        </div>
+    );
+};
+
+// Diagramme de Pareto des NC par type de défaut, poste ou gravité
+const Pareto = ({ app }) => {
+    const [filters, setFilters] = React.useState({ groupBy: 'type_defaut', dateFrom: '', dateTo: '' });
+    const [data, setData] = React.useState([]);
+    const chartRef = React.useRef(null);
+
+    const groupLabels = { type_defaut: 'Type de défaut', poste: 'Poste', gravite: 'Gravité' };
+
+    React.useEffect(() => {
+        let cancelled = false;
+        app.loadParetoData({
+            groupBy: filters.groupBy,
+            dateFrom: filters.dateFrom || undefined,
+            // Borne incluse : jusqu'à la fin de la journée sélectionnée
+            dateTo: filters.dateTo ? `${filters.dateTo}T23:59:59.999` : undefined
+        }).then(loaded => {
+            if (!cancelled) setData(loaded);
+        });
+        return () => { cancelled = true; };
+    }, [app, filters]);
+
+    React.useEffect(() => {
+        if (chartRef.current) {
+            app.renderParetoChart(chartRef.current, data);
+        }
+    }, [app, data]);
+
+    React.useEffect(() => {
+        const container = chartRef.current;
+        return () => app.destroyChart(container);
+    }, [app]);
+
+    const handleChange = (field) => (e) => {
+        const value = e.target.value;
+        setFilters(prev => ({ ...prev, [field]: value }));
+    };
+
+    return (
+        <div className="space-y-4">
+            <div className="flex flex-wrap gap-2">
+                <select value={filters.groupBy} onChange={handleChange('groupBy')} className="border border-gray-200 rounded px-3 py-2 text-sm">
+                    {Object.entries(groupLabels).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                    ))}
+                </select>
+                <input type="date" value={filters.dateFrom} onChange={handleChange('dateFrom')} className="border border-gray-200 rounded px-3 py-2 text-sm" />
+                <input type="date" value={filters.dateTo} onChange={handleChange('dateTo')} className="border border-gray-200 rounded px-3 py-2 text-sm" />
+            </div>
 
-        if (!formData.type_defaut || formData.type_defaut.trim() === '') {
-            errors.type_defaut = 'Le type de défaut est requis';
-        }
+            <div ref={chartRef}></div>
+
+            {data.length > 0 && (
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="text-left text-gray-500 border-b border-gray-200">
+                            <th className="py-2">{groupLabels[filters.groupBy]}</th>
+                            <th className="py-2">NC</th>
+                            <th className="py-2">%</th>
+                            <th className="py-2">Cumul</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {data.map(item => (
+                            <tr key={item.label} className={`border-b border-gray-100 ${item.vital ? 'font-semibold' : 'text-gray-500'}`}>
+                                <td className="py-2">{item.label}</td>
+                                <td className="py-2">{item.count}</td>
+                                <td className="py-2">{item.percent.toFixed(1)}%</td>
+                                <td className="py-2">{item.cumulativePercent.toFixed(1)}%</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
 
-        if (!formData.gravite || formData.gravite.trim() === '') {
-            errors.gravite = 'La gravité est requise';
-        }
+// Cartes de contrôle c / p par poste avec règles de Western Electric
+const CartesControle = ({ app, postes }) => {
+    const [filters, setFilters] = React.useState({ type: 'c', poste: '', granularity: 'jour', dateFrom: '', dateTo: '' });
+    const [chart, setChart] = React.useState(null);
+    const [volumes, setVolumes] = React.useState({});
+    const [reloadKey, setReloadKey] = React.useState(0);
+    const chartRef = React.useRef(null);
 
-        if (!formData.description || formData.description.trim() === '') {
-            errors.description = 'La description est requise';
+    React.useEffect(() => {
+        let cancelled = false;
+        app.loadControlChart({
+            ...filters,
+            dateFrom: filters.dateFrom || undefined,
+            dateTo: filters.dateTo ? `${filters.dateTo}T23:59:59.999` : undefined
+        }).then(loaded => {
+            if (cancelled || !loaded) return;
+            setChart(loaded);
+            setVolumes(Object.fromEntries(loaded.periods.map(period => [period.periode, period.size === undefined ? '' : String(period.size)])));
+        });
+        return () => { cancelled = true; };
+    }, [app, filters, reloadKey]);
+
+    React.useEffect(() => {
+        if (chartRef.current && chart) {
+            app.renderControlChart(chartRef.current, chart);
         }
+    }, [app, chart]);
 
-        return {
-            isValid: Object.keys(errors).length === 0,
-            errors
-        };
-    }
-}
+    React.useEffect(() => {
+        const container = chartRef.current;
+        return () => app.destroyChart(container);
+    }, [app]);
 
-// Initialisation de l'application (PDCA - Plan)
-document.addEventListener('DOMContentLoaded', () => {
-    try {
-        const app = new QualityManagementApp();
+    const handleChange = (field) => (e) => {
+        const value = e.target.value;
+        setFilters(prev => ({ ...prev, [field]: value }));
+    };
 
-        // Exposer l'application globalement pour le débogage (ISO 9001 - Traçabilité)
-        window.qTrackApp = app;
+    const handleVolumeBlur = async (period) => {
+        const volume = volumes[period.periode];
+        if (volume === '' || Number(volume) === period.size) return;
 
-        // Mesure du temps de chargement initial (DMAIC - Measure)
-        const loadTime = performance.now();
-        console.log(`Q-TRACK initialisé en ${loadTime}ms`);
+        if (await app.saveVolumeProduction(filters.poste, period.periode, Number(volume))) {
+            setReloadKey(key => key + 1);
+        }
+    };
 
-    } catch (error) {
-        console.error("Initialisation de Q-TRACK échouée", error);
-    }
-});
+    return (
+        <div className="space-y-4">
+            <div className="flex flex-wrap gap-2">
+                <select value={filters.type} onChange={handleChange('type')} className="border border-gray-200 rounded px-3 py-2 text-sm">
+                    <option value="c">Carte c (nombre de NC)</option>
+                    <option value="p">Carte p (proportion de défectueux)</option>
+                </select>
+                <select value={filters.poste} onChange={handleChange('poste')} className="border border-gray-200 rounded px-3 py-2 text-sm">
+                    <option value="">Tous les postes</option>
+                    {postes.map(poste => <option key={poste} value={poste}>{poste}</option>)}
+                </select>
+                <select value={filters.granularity} onChange={handleChange('granularity')} className="border border-gray-200 rounded px-3 py-2 text-sm">
+                    <option value="jour">Par jour</option>
+                    <option value="semaine">Par semaine</option>
+                </select>
+                <input type="date" value={filters.dateFrom} onChange={handleChange('dateFrom')} className="border border-gray-200 rounded px-3 py-2 text-sm" />
+                <input type="date" value={filters.dateTo} onChange={handleChange('dateTo')} className="border border-gray-200 rounded px-3 py-2 text-sm" />
+            </div>
 
-// Composants React pour les modules (à intégrer avec l'application)
-const OperationsQualite = ({ app }) => {
+            <div ref={chartRef}></div>
+
+            {chart && chart.violations.length > 0 && (
+                <ul className="text-sm text-red-600 space-y-1">
+                    {chart.violations.map((violation, index) => (
+                        <li key={index}>Règle {violation.rule} · {violation.periode} : {violation.message}</li>
+                    ))}
+                </ul>
+            )}
+
+            {chart && filters.type === 'p' && (
+                <div className="max-h-64 overflow-y-auto border border-gray-200 rounded-lg">
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="text-left text-gray-500 border-b border-gray-200">
+                                <th className="px-3 py-2">Période</th>
+                                <th className="px-3 py-2">NC</th>
+                                <th className="px-3 py-2">Volume produit</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {chart.periods.map(period => (
+                                <tr key={period.periode} className="border-b border-gray-100">
+                                    <td className="px-3 py-1">{period.periode}</td>
+                                    <td className="px-3 py-1">{period.defects}</td>
+                                    <td className="px-3 py-1">
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            value={volumes[period.periode] || ''}
+                                            onChange={(e) => setVolumes(prev => ({ ...prev, [period.periode]: e.target.value }))}
+                                            onBlur={() => handleVolumeBlur(period)}
+                                            disabled={!app.can(PERMISSIONS.ANALYZE)}
+                                            className="w-32 border border-gray-200 rounded px-2 py-1"
+                                        />
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const AnalysePilotage = ({ app }) => {
     const [ncs, setNcs] = React.useState([]);
-    const [selectedNc, setSelectedNc] = React.useState(null);
+    const [selectedNcId, setSelectedNcId] = React.useState('');
 
     React.useEffect(() => {
-        // Charger les NC existantes depuis l'application
-        if (app && app.state.nonConformites) {
-            setNcs(app.state.nonConformites);
-        }
+        // Charger les NC à analyser depuis la base de données
+        app.loadNonConformites()
+            .then(() => setNcs(app.state.nonConformites))
+            .catch(error => app.handleError("Chargement des NC échoué", error));
     }, [app]);
 
-    const handleNcClick = (nc) => {
-        setSelectedNc(nc);
-    };
+    const selectedNc = ncs.find(nc => nc.id === Number(selectedNcId));
+    const postes = [...new Set(ncs.map(nc => nc.poste).filter(Boolean))].sort();
 
     return (
         <div className="min-h-screen bg-gray-50">
             <header className="bg-white shadow-sm border-b border-gray-200 px-6 py-4">
-                <h1 className="text-xl font-semibold text-gray-800">Opérations Qualité</h1>
+                <h1 className="text-xl font-semibold text-gray-800">Analyse & Pilotage</h1>
             </header>
             <main className="p-6">
-                <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-                    <div className="lg:col-span-2">
-                        <h2 className="text-lg font-semibold mb-4">Liste des Non-Conformités</h2>
-                        <div className="bg-white rounded-lg shadow-sm border border-gray-200">
-                            <table className="w-full">
-                                <thead className="bg-gray-50">
-                                    <tr>
-                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ID</th>
-                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">DÉFAUT</th>
-                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">GRAVITÉ</th>
-                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">STATUT</th>
-                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ACTIONS</th>
-                                    </tr>
-                                </thead>
-                                <tbody className="bg-white divide-y divide-gray-200">
-                                    {ncs.map(nc => (
-                                        <tr key={nc.id} onClick={() => handleNcClick(nc)} className="cursor-pointer hover:bg-gray-50">
-                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{nc.id}</td>
-                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{nc.type_defaut}</td>
-                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{nc.gravite}</td>
-                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{nc.statut}</td>
-                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                                                <button
-                                                    onClick={(e) => {
-                                                        e.stopPropagation();
-                                                        app.updateNc(nc.id, { statut: 'Clos' });
-                                                    }}
-                                                    className="text-blue-500 hover:text-blue-700 mr-2"
-                                                >
-                                                    📝
-                                                </button>
-                                                <button
-                                                    onClick={(e) => {
-                                                        e.stopPropagation();
-                                                        app.closeNc(nc.id);
-                                                    }}
-                                                    className="text-green-500 hover:text-green-700"
-                                                >
-                                                    ✅
-                                                </button>
-                                            </td>
-                                        </tr>
-                                    ))}
-                                </tbody>
-                            </table>
-                        </div>
+                <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
+                    <h2 className="text-lg font-semibold mb-4">Pareto des non-conformités</h2>
+                    <Pareto app={app} />
+                </div>
+                <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
+                    <h2 className="text-lg font-semibold mb-4">Cartes de contrôle (SPC)</h2>
+                    <CartesControle app={app} postes={postes} />
+                </div>
+                <div className="mb-6">
+                    <select
+                        value={selectedNcId}
+                        onChange={(e) => setSelectedNcId(e.target.value)}
+                        className="border border-gray-200 rounded px-3 py-2 text-sm bg-white"
+                    >
+                        <option value="">Sélectionner une NC à analyser</option>
+                        {ncs.map(nc => (
+                            <option key={nc.id} value={nc.id}>#{nc.id} · {nc.type_defaut} ({nc.gravite})</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+                        <h2 className="text-lg font-semibold mb-4">5 Pourquoi</h2>
+                        {selectedNc ? (
+                            <CinqPourquoi app={app} nc={selectedNc} />
+                        ) : (
+                            <p className="text-gray-500 text-sm">Sélectionnez une NC pour démarrer l'analyse</p>
+                        )}
                     </div>
-                    <div>
-                        {selectedNc && (
-                            <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
-                                <h3 className="text-lg font-semibold mb-4">Détails de la NC #{selectedNc.id}</h3>
-                                <div className="space-y-3">
-                                    <div>
-                                        <span className="font-medium">Type:</span> {selectedNc.type_defaut}
-                                    </div>
-                                    <div>
-                                        <span className="font-medium">Gravité:</span> {selectedNc.gravite}
-                                    </div>
-                                    <div>
-                                        <span className="font-medium">Statut:</span> {selectedNc.statut}
-                                    </div>
-                                    <div>
-                                        <span className="font-medium">Description:</span>
-                                        <p className="mt-1">{selectedNc.description}</p>
-                                    </div>
-                                </div>
-                            </div>
+                    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 lg:col-span-2">
+                        <h2 className="text-lg font-semibold mb-4">Ishikawa (6M)</h2>
+                        {selectedNc ? (
+                            <Ishikawa app={app} nc={selectedNc} />
+                        ) : (
+                            <p className="text-gray-500 text-sm">Sélectionnez une NC pour construire le diagramme</p>
                         )}
                     </div>
                 </div>
@@ -1255,98 +5213,782 @@ const OperationsQualite = ({ app }) => {
     );
 };
 
-const AnalysePilotage = () => {
-    const [analysisData, setAnalysisData] = React.useState([]);
+// Visualiseur de la piste d'audit (ISO 9001 §7.5.3)
+const AuditTrail = ({ app }) => {
+    const [entries, setEntries] = React.useState([]);
+    const [users, setUsers] = React.useState([]);
+    const [filters, setFilters] = React.useState({ userId: '', entity: '', dateFrom: '', dateTo: '' });
+    const [integrity, setIntegrity] = React.useState(null);
+
+    const entityLabels = {
+        non_conformites: 'Non-conformités',
+        actions_correctives: 'Actions correctives',
+        analyses_causes: 'Analyses de causes',
+        volumes_production: 'Volumes de production',
+        rapports: 'Rapports',
+        rapports_8d: 'Rapports 8D',
+        users: 'Utilisateurs',
+        parametres: 'Paramètres',
+        database: 'Base de données'
+    };
+
+    React.useEffect(() => {
+        app.loadUsers().then(setUsers);
+    }, [app]);
 
     React.useEffect(() => {
-        // Charger les données d'analyse
-        loadAnalysisData();
-    }, []);
+        app.loadAuditTrail({
+            userId: filters.userId === '' ? undefined : Number(filters.userId),
+            entity: filters.entity || undefined,
+            dateFrom: filters.dateFrom || undefined,
+            // Borne incluse : jusqu'à la fin de la journée sélectionnée
+            dateTo: filters.dateTo ? `${filters.dateTo}T23:59:59.999` : undefined
+        }).then(setEntries);
+    }, [app, filters]);
+
+    const handleChange = (field) => (e) => {
+        setFilters(prev => ({ ...prev, [field]: e.target.value }));
+    };
+
+    const formatValue = (value) => (value ? JSON.stringify(value, null, 1) : '—');
+
+    return (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mt-6">
+            <div className="flex items-center justify-between mb-4">
+                <h2 className="text-lg font-semibold">Piste d'audit</h2>
+                <div className="flex items-center gap-3">
+                    {integrity && (
+                        <span className={`text-xs font-semibold ${integrity.valid ? 'text-green-600' : 'text-red-600'}`}>
+                            {integrity.valid ? `✔ Intègre (${integrity.checked})` : `✖ Altérée à l'entrée #${integrity.brokenAt}`}
+                        </span>
+                    )}
+                    <button
+                        onClick={async () => setIntegrity(await app.verifyAuditTrail())}
+                        className="text-blue-500 hover:text-blue-700 text-sm font-semibold"
+                    >
+                        Vérifier l'intégrité
+                    </button>
+                </div>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-3 mb-4">
+                <select value={filters.userId} onChange={handleChange('userId')} className="border border-gray-200 rounded px-3 py-2 text-sm">
+                    <option value="">Tous les utilisateurs</option>
+                    <option value="0">système</option>
+                    {users.map(user => (
+                        <option key={user.id} value={user.id}>{user.username}</option>
+                    ))}
+                </select>
+                <select value={filters.entity} onChange={handleChange('entity')} className="border border-gray-200 rounded px-3 py-2 text-sm">
+                    <option value="">Toutes les entités</option>
+                    {Object.entries(entityLabels).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                    ))}
+                </select>
+                <input type="date" value={filters.dateFrom} onChange={handleChange('dateFrom')} className="border border-gray-200 rounded px-3 py-2 text-sm" />
+                <input type="date" value={filters.dateTo} onChange={handleChange('dateTo')} className="border border-gray-200 rounded px-3 py-2 text-sm" />
+            </div>
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Utilisateur</th>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Action</th>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Entité</th>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Avant</th>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Après</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                        {entries.length === 0 && (
+                            <tr>
+                                <td colSpan="6" className="text-center py-8 text-gray-500">Aucune entrée d'audit</td>
+                            </tr>
+                        )}
+                        {entries.map(entry => (
+                            <tr key={entry.id} className="align-top">
+                                <td className="px-4 py-2 whitespace-nowrap">{new Date(entry.timestamp).toLocaleString()}</td>
+                                <td className="px-4 py-2">{entry.username}</td>
+                                <td className="px-4 py-2">{entry.action}</td>
+                                <td className="px-4 py-2 whitespace-nowrap">{entityLabels[entry.entity] || entry.entity} #{entry.entity_id}</td>
+                                <td className="px-4 py-2"><pre className="text-xs whitespace-pre-wrap">{formatValue(entry.before)}</pre></td>
+                                <td className="px-4 py-2"><pre className="text-xs whitespace-pre-wrap">{formatValue(entry.after)}</pre></td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
 
-    const loadAnalysisData = () => {
-        // Charger les données depuis la base de données
-        console.log('Chargement des données d\'analyse...');
+const Rapports = ({ app }) => {
+    const [month, setMonth] = React.useState(() => app.getPeriodKey(new Date(), 'mois'));
+    const [rapports, setRapports] = React.useState([]);
+    const [generating, setGenerating] = React.useState(null);
+    const canGenerate = app.can(PERMISSIONS.GENERATE_REPORTS);
+
+    const refresh = React.useCallback(() => {
+        app.loadRapports().then(setRapports);
+    }, [app]);
+
+    React.useEffect(() => {
+        refresh();
+    }, [refresh]);
+
+    const generate = async (type, format) => {
+        setGenerating(`${type}-${format}`);
+        await app.generateReport(type, format, { month });
+        setGenerating(null);
+        refresh();
     };
 
+    const renderFormatButtons = (type) => (
+        <div className="flex gap-3">
+            {['HTML', 'PDF'].map(format => (
+                <button
+                    key={format}
+                    onClick={() => generate(type, format)}
+                    disabled={!canGenerate || generating !== null || (type === 'Mensuel' && !month)}
+                    className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 disabled:opacity-50"
+                >
+                    {generating === `${type}-${format}` ? 'Génération...' : format === 'PDF' ? 'Télécharger le PDF' : 'Ouvrir en HTML'}
+                </button>
+            ))}
+        </div>
+    );
+
     return (
         <div className="min-h-screen bg-gray-50">
             <header className="bg-white shadow-sm border-b border-gray-200 px-6 py-4">
-                <h1 className="text-xl font-semibold text-gray-800">Analyse & Pilotage</h1>
+                <h1 className="text-xl font-semibold text-gray-800">Rapports</h1>
             </header>
             <main className="p-6">
-                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                {!canGenerate && (
+                    <p className="text-sm text-gray-500 mb-4">Votre rôle ne permet pas de générer des rapports.</p>
+                )}
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                     <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
-                        <h2 className="text-lg font-semibold mb-4">5 Pourquoi</h2>
-                        <div className="space-y-4">
-                            <div className="border-l-4 border-blue-500 pl-4">
-                                <p className="font-medium">Pourquoi 1:</p>
-                                <p className="text-gray-600">Description du problème</p>
-                            </div>
-                            <div className="border-l-4 border-blue-500 pl-4">
-                                <p className="font-medium">Pourquoi 2:</p>
-                                <p className="text-gray-600">Cause racine</p>
-                            </div>
-                            <div className="border-l-4 border-blue-500 pl-4">
-                                <p className="font-medium">Pourquoi 3:</p>
-                                <p className="text-gray-600">Cause profonde</p>
-                            </div>
-                        </div>
+                        <h2 className="text-lg font-semibold mb-2">📊 Rapport Mensuel</h2>
+                        <p className="text-sm text-gray-500 mb-4">
+                            Indicateurs, tendances, principaux défauts, NC critiques, actions en retard et terminées.
+                        </p>
+                        <input
+                            type="month"
+                            value={month}
+                            onChange={(e) => setMonth(e.target.value)}
+                            className="border border-gray-200 rounded px-3 py-2 text-sm mb-4"
+                        />
+                        {renderFormatButtons('Mensuel')}
                     </div>
                     <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
-                        <h2 className="text-lg font-semibold mb-4">Ishikawa</h2>
-                        <div className="space-y-4">
-                            <div>
-                                <h3 className="font-medium">Homme</h3>
-                                <p className="text-gray-600">Facteurs humains</p>
-                            </div>
-                            <div>
-                                <h3 className="font-medium">Méthode</h3>
-                                <p className="text-gray-600">Processus et procédures</p>
-                            </div>
-                            <div>
-                                <h3 className="font-medium">Matière</h3>
-                                <p className="text-gray-600">Matériaux et ressources</p>
+                        <h2 className="text-lg font-semibold mb-2">📝 Rapport Actions</h2>
+                        <p className="text-sm text-gray-500 mb-4">
+                            Synthèse par statut, actions en cours avec échéances et retards, efficacité des actions terminées.
+                        </p>
+                        {renderFormatButtons('Actions')}
+                    </div>
+                </div>
+                <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mt-6">
+                    <h2 className="text-lg font-semibold mb-4">Rapports générés</h2>
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Période</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Format</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Généré par</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {rapports.length === 0 && (
+                                    <tr>
+                                        <td colSpan="5" className="px-4 py-6 text-center text-gray-500">Aucun rapport généré</td>
+                                    </tr>
+                                )}
+                                {rapports.map(rapport => (
+                                    <tr key={rapport.id} className="border-t border-gray-100">
+                                        <td className="px-4 py-2">{new Date(rapport.date_generation).toLocaleString()}</td>
+                                        <td className="px-4 py-2">{rapport.type_rapport}</td>
+                                        <td className="px-4 py-2">{rapport.periode}</td>
+                                        <td className="px-4 py-2">{rapport.format}</td>
+                                        <td className="px-4 py-2">{rapport.generateur}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+                {app.can(PERMISSIONS.VIEW_AUDIT) && <AuditTrail app={app} />}
+            </main>
+        </div>
+    );
+};
+
+// Sauvegarde et restauration de la base (administrateurs)
+const Sauvegarde = ({ app }) => {
+    const [backup, setBackup] = React.useState(null);
+    const [options, setOptions] = React.useState({ mode: 'fusionner', conflicts: 'conserver' });
+    const [summary, setSummary] = React.useState(null);
+    const [busy, setBusy] = React.useState(false);
+
+    const storeLabels = {
+        users: 'Utilisateurs',
+        non_conformites: 'Non-conformités',
+        actions_correctives: 'Actions correctives',
+        analyses_causes: 'Analyses de causes',
+        volumes_production: 'Volumes de production',
+        rapports: 'Rapports',
+        rapports_8d: 'Rapports 8D',
+        notifications: 'Notifications',
+        mail_queue: "File d'envoi des emails",
+        mail_log: 'Journal de remise',
+        parametres: 'Paramètres',
+        sync_outbox: 'Modifications à synchroniser',
+        sync_conflicts: 'Conflits de synchronisation',
+        audit_trail: "Piste d'audit"
+    };
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        setSummary(null);
+        setBackup(await app.readBackupFile(file));
+    };
+
+    const handleRestore = async () => {
+        if (options.mode === 'remplacer'
+            && !window.confirm("Toutes les données actuelles seront remplacées par celles de la sauvegarde (la piste d'audit locale est conservée). Continuer ?")) {
+            return;
+        }
+        setBusy(true);
+        const result = await app.restoreBackup(backup.archive, options);
+        setBusy(false);
+        if (result) {
+            setSummary(result);
+            setBackup(null);
+        }
+    };
+
+    return (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+            <h2 className="text-lg font-semibold mb-2">Sauvegarde et restauration</h2>
+            <p className="text-sm text-gray-500 mb-4">
+                Les données sont stockées dans ce navigateur : effacer ses données les supprime. Téléchargez régulièrement une sauvegarde.
+            </p>
+            <div className="flex flex-wrap items-center gap-4 mb-6">
+                <button onClick={() => app.downloadBackup()} className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 text-sm">
+                    ⬇ Télécharger une sauvegarde
+                </button>
+                <label className="text-sm">
+                    <span className="font-medium mr-2">Restaurer :</span>
+                    <input type="file" accept=".json,application/json" onChange={handleFile} />
+                </label>
+            </div>
+
+            {backup && (
+                <div className="border border-gray-200 rounded-lg p-4 text-sm">
+                    <p className="mb-2">
+                        Sauvegarde du {new Date(backup.details.created_at).toLocaleString()} par {backup.details.created_by}, schéma v{backup.details.version}
+                        {backup.details.version < dbManager.dbVersion && (
+                            <span className="text-orange-600"> (migrée vers v{dbManager.dbVersion} à la restauration)</span>
+                        )}
+                    </p>
+                    <ul className="grid grid-cols-2 md:grid-cols-4 gap-1 text-gray-600 mb-4">
+                        {Object.entries(backup.details.counts).map(([name, count]) => (
+                            <li key={name}>{storeLabels[name] || name} : {count}</li>
+                        ))}
+                    </ul>
+                    <div className="space-y-2 mb-4">
+                        <label className="flex items-center gap-2">
+                            <input type="radio" checked={options.mode === 'fusionner'} onChange={() => setOptions(prev => ({ ...prev, mode: 'fusionner' }))} />
+                            Fusionner avec les données actuelles (la piste d'audit locale est conservée)
+                        </label>
+                        {options.mode === 'fusionner' && (
+                            <div className="ml-6 space-y-1">
+                                <label className="flex items-center gap-2">
+                                    <input type="radio" checked={options.conflicts === 'conserver'} onChange={() => setOptions(prev => ({ ...prev, conflicts: 'conserver' }))} />
+                                    Identifiant déjà utilisé : conserver l'enregistrement actuel
+                                </label>
+                                <label className="flex items-center gap-2">
+                                    <input type="radio" checked={options.conflicts === 'ecraser'} onChange={() => setOptions(prev => ({ ...prev, conflicts: 'ecraser' }))} />
+                                    Identifiant déjà utilisé : écraser avec la sauvegarde
+                                </label>
                             </div>
+                        )}
+                        <label className="flex items-center gap-2">
+                            <input type="radio" checked={options.mode === 'remplacer'} onChange={() => setOptions(prev => ({ ...prev, mode: 'remplacer' }))} />
+                            Remplacer toutes les données actuelles (la piste d'audit locale est conservée)
+                        </label>
+                    </div>
+                    <p className="text-gray-500 mb-4">
+                        Les données restaurées ne sont pas envoyées au serveur : la synchronisation suivante reçoit de nouveau tout son contenu.
+                    </p>
+                    <div className="flex gap-3">
+                        <button
+                            onClick={handleRestore}
+                            disabled={busy}
+                            className={`${options.mode === 'remplacer' ? 'bg-red-500 hover:bg-red-600' : 'bg-green-500 hover:bg-green-600'} text-white px-4 py-2 rounded-lg disabled:opacity-50`}
+                        >
+                            {busy ? 'Restauration...' : 'Restaurer'}
+                        </button>
+                        <button onClick={() => setBackup(null)} className="text-gray-500 hover:text-gray-700">Annuler</button>
+                    </div>
+                </div>
+            )}
+
+            {summary && (
+                <div className="overflow-x-auto">
+                    <h3 className="font-semibold mb-2">Bilan de la restauration</h3>
+                    <table className="w-full text-sm">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                {['Store', 'Ajoutés', 'Remplacés', 'Identiques', 'Conflits conservés', 'Rejetés'].map(label => (
+                                    <th key={label} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">{label}</th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {Object.entries(summary).map(([name, counts]) => (
+                                <tr key={name} className="border-t border-gray-100">
+                                    <td className="px-4 py-2">{storeLabels[name] || name}</td>
+                                    <td className="px-4 py-2">{counts.ajoutes}</td>
+                                    <td className="px-4 py-2">{counts.remplaces}</td>
+                                    <td className="px-4 py-2">{counts.identiques}</td>
+                                    <td className="px-4 py-2">{counts.conflits}</td>
+                                    <td className={`px-4 py-2 ${counts.rejetes > 0 ? 'text-red-600 font-semibold' : ''}`}>{counts.rejetes}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Responsables hiérarchiques : destinataires des escalades d'actions en retard
+const Escalade = ({ app }) => {
+    const [users, setUsers] = React.useState([]);
+    const { WARNING_DAYS, ESCALATION_GRACE_DAYS } = app.config.DEADLINES;
+
+    React.useEffect(() => {
+        app.loadUsers().then(setUsers);
+    }, [app]);
+
+    const handleChange = (user) => async (e) => {
+        const updated = await app.assignManager(user.id, e.target.value === '' ? null : Number(e.target.value));
+        if (updated) {
+            setUsers(prev => prev.map(u => (u.id === updated.id ? updated : u)));
+        }
+    };
+
+    return (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
+            <h2 className="text-lg font-semibold mb-2">Escalade des actions en retard</h2>
+            <p className="text-sm text-gray-500 mb-4">
+                Les actions sont signalées {WARNING_DAYS} jours avant leur échéance. Après {ESCALATION_GRACE_DAYS} jours de retard,
+                elles sont escaladées au responsable du déclarant de la NC (à défaut, à un Responsable Qualité).
+            </p>
+            <table className="min-w-full text-sm">
+                <thead className="bg-gray-50">
+                    <tr>
+                        <th className="px-4 py-2 text-left font-medium text-gray-600">Utilisateur</th>
+                        <th className="px-4 py-2 text-left font-medium text-gray-600">Rôle</th>
+                        <th className="px-4 py-2 text-left font-medium text-gray-600">Responsable hiérarchique</th>
+                    </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                    {users.map(user => (
+                        <tr key={user.id}>
+                            <td className="px-4 py-2">{user.username}</td>
+                            <td className="px-4 py-2">{user.role}</td>
+                            <td className="px-4 py-2">
+                                <select
+                                    value={user.id_manager ?? ''}
+                                    onChange={handleChange(user)}
+                                    className="border border-gray-200 rounded px-2 py-1"
+                                >
+                                    <option value="">— Non affecté —</option>
+                                    {users.filter(manager => manager.id !== user.id).map(manager => (
+                                        <option key={manager.id} value={manager.id}>{manager.username}</option>
+                                    ))}
+                                </select>
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+// Messagerie : transport des emails, file d'envoi et journal de remise
+const Messagerie = ({ app }) => {
+    const emptyConfig = { type: '', url: '', token: '', relayUrl: '', host: '', port: 587, secure: false };
+    const [config, setConfig] = React.useState(emptyConfig);
+    const [queue, setQueue] = React.useState({ mails: [], log: [] });
+    const [busy, setBusy] = React.useState(false);
+    const [permission, setPermission] = React.useState(typeof Notification === 'undefined' ? 'unsupported' : Notification.permission);
+
+    const refresh = () => app.loadMailQueue().then(setQueue);
+
+    React.useEffect(() => {
+        app.loadMailTransport().then(saved => setConfig({ ...emptyConfig, ...(saved || {}) }));
+        refresh();
+    }, [app]);
+
+    const handleChange = (field) => (e) => {
+        const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+        setConfig(prev => ({ ...prev, [field]: value }));
+    };
+
+    const run = async (operation) => {
+        setBusy(true);
+        const summary = await operation();
+        setBusy(false);
+        if (summary && summary.transport) {
+            app.showSuccessMessage(`Envoi de la file : ${summary.envoyes} email(s) remis, ${summary.echecs} échec(s)`);
+        }
+        refresh();
+    };
+
+    const handleSave = (e) => {
+        e.preventDefault();
+        const fields = {
+            webhook: { type: 'webhook', url: config.url.trim(), token: config.token.trim() },
+            smtp: { type: 'smtp', relayUrl: config.relayUrl.trim(), host: config.host.trim(), port: Number(config.port), secure: config.secure }
+        };
+        run(() => app.saveMailTransport(fields[config.type] || null));
+    };
+
+    const statutClasses = {
+        'En attente': 'bg-yellow-100 text-yellow-800',
+        'En cours': 'bg-blue-100 text-blue-800',
+        'Envoyé': 'bg-green-100 text-green-800',
+        'Échec': 'bg-red-100 text-red-800',
+        'Erreur': 'bg-red-100 text-red-800'
+    };
+    const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+    return (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
+            <h2 className="text-lg font-semibold mb-2">Messagerie et alertes</h2>
+            <p className="text-sm text-gray-500 mb-4">
+                Les NC critiques déclenchent une notification du navigateur et un email aux responsables. Les emails sont placés en file
+                puis remis par le transport configuré, avec {app.config.MAIL.MAX_RETRIES} tentatives au plus.
+            </p>
+
+            <div className="flex items-center gap-3 mb-4 text-sm">
+                <span>Notifications du navigateur : <strong>{{ granted: 'autorisées', denied: 'bloquées', default: 'non demandées', unsupported: 'non prises en charge' }[permission]}</strong></span>
+                {permission === 'default' && (
+                    <button onClick={() => app.requestBrowserNotifications().then(setPermission)} className="text-blue-500 hover:text-blue-700 font-semibold">
+                        Autoriser
+                    </button>
+                )}
+            </div>
+
+            <form onSubmit={handleSave} className="grid grid-cols-1 md:grid-cols-4 gap-3 mb-4 text-sm">
+                <select value={config.type} onChange={handleChange('type')} className="border border-gray-200 rounded px-3 py-2">
+                    <option value="">Aucun transport (emails conservés en file)</option>
+                    {MAIL_TRANSPORTS.map(type => (
+                        <option key={type} value={type}>{type === 'smtp' ? 'SMTP (via relais HTTP)' : 'Webhook HTTP'}</option>
+                    ))}
+                </select>
+                {config.type === 'webhook' && (
+                    <>
+                        <input type="url" required placeholder="URL du webhook" value={config.url} onChange={handleChange('url')} className="md:col-span-2 border border-gray-200 rounded px-3 py-2" />
+                        <input type="password" placeholder="Jeton (facultatif)" value={config.token} onChange={handleChange('token')} className="border border-gray-200 rounded px-3 py-2" />
+                    </>
+                )}
+                {config.type === 'smtp' && (
+                    <>
+                        <input type="url" required placeholder="URL du relais SMTP" value={config.relayUrl} onChange={handleChange('relayUrl')} className="border border-gray-200 rounded px-3 py-2" />
+                        <input type="text" required placeholder="Serveur SMTP" value={config.host} onChange={handleChange('host')} className="border border-gray-200 rounded px-3 py-2" />
+                        <div className="flex items-center gap-2">
+                            <input type="number" min="1" max="65535" value={config.port} onChange={handleChange('port')} className="w-24 border border-gray-200 rounded px-3 py-2" />
+                            <label className="flex items-center gap-1">
+                                <input type="checkbox" checked={config.secure} onChange={handleChange('secure')} /> TLS
+                            </label>
+                        </div>
+                    </>
+                )}
+                <div className="md:col-span-4 flex flex-wrap gap-3">
+                    <button type="submit" disabled={busy} className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 disabled:opacity-50">
+                        Enregistrer
+                    </button>
+                    <button type="button" disabled={busy} onClick={() => run(() => app.sendTestMail())} className="border border-gray-200 px-4 py-2 rounded-lg hover:bg-gray-50 disabled:opacity-50">
+                        Envoyer un email de test
+                    </button>
+                    <button type="button" disabled={busy} onClick={() => run(() => app.drainMailQueue())} className="border border-gray-200 px-4 py-2 rounded-lg hover:bg-gray-50 disabled:opacity-50">
+                        Envoyer la file maintenant
+                    </button>
+                </div>
+            </form>
+
+            <h3 className="font-semibold mb-2">File d'envoi</h3>
+            <table className="min-w-full text-sm mb-6">
+                <thead className="bg-gray-50">
+                    <tr>
+                        <th className="px-4 py-2 text-left font-medium text-gray-600">Créé le</th>
+                        <th className="px-4 py-2 text-left font-medium text-gray-600">Destinataire</th>
+                        <th className="px-4 py-2 text-left font-medium text-gray-600">Sujet</th>
+                        <th className="px-4 py-2 text-left font-medium text-gray-600">Statut</th>
+                        <th className="px-4 py-2 text-left font-medium text-gray-600">Tentatives</th>
+                        <th className="px-4 py-2"></th>
+                    </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                    {queue.mails.length === 0 && (
+                        <tr><td colSpan="6" className="px-4 py-3 text-center text-gray-500">File vide</td></tr>
+                    )}
+                    {queue.mails.slice(0, 20).map(mail => (
+                        <tr key={mail.id}>
+                            <td className="px-4 py-2 whitespace-nowrap">{formatDate(mail.date_creation)}</td>
+                            <td className="px-4 py-2">{mail.destinataire}</td>
+                            <td className="px-4 py-2">{mail.sujet}</td>
+                            <td className="px-4 py-2">
+                                <span className={`px-2 py-1 rounded-full text-xs font-semibold ${statutClasses[mail.statut]}`} title={mail.derniere_erreur || ''}>
+                                    {mail.statut}
+                                </span>
+                            </td>
+                            <td className="px-4 py-2">
+                                {mail.tentatives}
+                                {mail.statut === 'En attente' && mail.tentatives > 0 && (
+                                    <span className="text-gray-500"> · prochaine {formatDate(mail.prochaine_tentative)}</span>
+                                )}
+                            </td>
+                            <td className="px-4 py-2 text-right">
+                                {mail.statut === 'Échec' && (
+                                    <button disabled={busy} onClick={() => run(() => app.retryMail(mail.id))} className="text-blue-500 hover:text-blue-700 font-semibold">
+                                        Relancer
+                                    </button>
+                                )}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+
+            <h3 className="font-semibold mb-2">Journal de remise</h3>
+            <table className="min-w-full text-sm">
+                <thead className="bg-gray-50">
+                    <tr>
+                        <th className="px-4 py-2 text-left font-medium text-gray-600">Date</th>
+                        <th className="px-4 py-2 text-left font-medium text-gray-600">Email</th>
+                        <th className="px-4 py-2 text-left font-medium text-gray-600">Transport</th>
+                        <th className="px-4 py-2 text-left font-medium text-gray-600">Tentative</th>
+                        <th className="px-4 py-2 text-left font-medium text-gray-600">Résultat</th>
+                    </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                    {queue.log.length === 0 && (
+                        <tr><td colSpan="5" className="px-4 py-3 text-center text-gray-500">Aucune tentative</td></tr>
+                    )}
+                    {queue.log.slice(0, 20).map(entry => (
+                        <tr key={entry.id}>
+                            <td className="px-4 py-2 whitespace-nowrap">{formatDate(entry.date)}</td>
+                            <td className="px-4 py-2">#{entry.id_mail} · {entry.destinataire}</td>
+                            <td className="px-4 py-2">{entry.transport}</td>
+                            <td className="px-4 py-2">{entry.tentative}</td>
+                            <td className="px-4 py-2">
+                                <span className={`px-2 py-1 rounded-full text-xs font-semibold ${statutClasses[entry.statut]}`}>{entry.statut}</span>
+                                {entry.erreur && <span className="ml-2 text-red-600">{entry.erreur}</span>}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+// Libellés partagés par l'état de synchronisation (en-tête) et son paramétrage
+const SYNC_ETATS = {
+    desactive: { label: 'Synchronisation désactivée', icon: 'fa-cloud', classes: 'text-slate-400' },
+    hors_ligne: { label: 'Hors ligne', icon: 'fa-plug', classes: 'text-amber-600' },
+    en_cours: { label: 'Synchronisation…', icon: 'fa-sync-alt fa-spin', classes: 'text-blue-600' },
+    a_jour: { label: 'Synchronisé', icon: 'fa-cloud', classes: 'text-green-600' },
+    en_attente: { label: 'Modifications en attente', icon: 'fa-cloud-upload-alt', classes: 'text-amber-600' },
+    erreur: { label: 'Synchronisation en échec', icon: 'fa-exclamation-triangle', classes: 'text-red-600' }
+};
+const SYNC_STRATEGIE_LABELS = {
+    lww: 'Dernière modification gagnante',
+    manuel: 'Arbitrage manuel'
+};
+const formatSyncValue = (value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// État de synchronisation de l'en-tête : cycle manuel et arbitrage des conflits
+const SyncStatus = ({ app }) => {
+    const [status, setStatus] = React.useState(app.state.sync);
+    const [open, setOpen] = React.useState(false);
+
+    React.useEffect(() => app.subscribeSync(setStatus), [app]);
+
+    if (status.etat === 'desactive') return null;
+
+    const etat = SYNC_ETATS[status.etat] || SYNC_ETATS.erreur;
+    const entityLabels = { non_conformites: 'NC', users: 'Utilisateur' };
+    const canResolve = (conflict) => app.can(conflict.entite === 'users' ? PERMISSIONS.MANAGE_USERS : PERMISSIONS.EDIT_NC);
+
+    return (
+        <div className="relative">
+            <button
+                onClick={() => setOpen(!open)}
+                title={status.erreur || etat.label}
+                className="relative p-3 bg-white rounded-2xl shadow-sm border border-slate-100 hover:text-blue-600 transition-all focus-visible"
+            >
+                <i className={`fas ${etat.icon} text-xl ${etat.classes}`}></i>
+                {status.conflits.length + status.rejets.length > 0 && (
+                    <span className="absolute -top-1 -right-1 min-w-[1.25rem] h-5 px-1 bg-amber-500 text-white text-xs font-bold rounded-full border-2 border-white flex items-center justify-center">
+                        {status.conflits.length + status.rejets.length}
+                    </span>
+                )}
+            </button>
+            {open && (
+                <div className="absolute right-0 mt-3 w-96 bg-white rounded-2xl shadow-2xl border border-slate-100 z-50 animate-fade">
+                    <div className="px-5 py-4 border-b border-slate-100">
+                        <div className="flex items-center justify-between">
+                            <h3 className={`font-bold ${etat.classes}`}>{etat.label}</h3>
+                            <button
+                                onClick={() => app.syncNow()}
+                                disabled={status.etat === 'en_cours'}
+                                className="text-xs font-semibold text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                            >
+                                Synchroniser maintenant
+                            </button>
                         </div>
+                        <p className="text-xs text-slate-500 mt-1">
+                            Dernière synchronisation : {status.derniere_synchro ? new Date(status.derniere_synchro).toLocaleString() : 'jamais'}
+                            {' · '}{status.en_attente} modification(s) en attente
+                        </p>
+                        {status.erreur && <p className="text-xs text-red-600 mt-1 break-words">{status.erreur}</p>}
                     </div>
+                    <ul className="max-h-96 overflow-y-auto divide-y divide-slate-100">
+                        {status.conflits.length + status.rejets.length === 0 && (
+                            <li className="px-5 py-6 text-center text-sm text-slate-400">Aucun conflit</li>
+                        )}
+                        {status.conflits.map(conflict => (
+                            <li key={conflict.id} className="px-5 py-3 text-sm">
+                                <p className="font-bold text-slate-900">
+                                    {entityLabels[conflict.entite]} #{conflict.id_local} · {conflict.champ}
+                                </p>
+                                <div className="grid grid-cols-2 gap-2 mt-2 text-xs">
+                                    <div className="p-2 rounded-lg bg-blue-50">
+                                        <p className="font-semibold text-blue-700">Ce poste</p>
+                                        <p className="text-slate-700 break-words">{formatSyncValue(conflict.valeur_locale)}</p>
+                                    </div>
+                                    <div className="p-2 rounded-lg bg-slate-100">
+                                        <p className="font-semibold text-slate-700">Serveur</p>
+                                        <p className="text-slate-700 break-words">{formatSyncValue(conflict.valeur_distante)}</p>
+                                    </div>
+                                </div>
+                                {canResolve(conflict) && (
+                                    <div className="grid grid-cols-2 gap-2 mt-2">
+                                        <button onClick={() => app.resolveSyncConflict(conflict.id, 'local')} className="text-xs font-semibold text-blue-600 hover:text-blue-800">
+                                            Garder ce poste
+                                        </button>
+                                        <button onClick={() => app.resolveSyncConflict(conflict.id, 'distant')} className="text-xs font-semibold text-slate-600 hover:text-slate-900">
+                                            Garder le serveur
+                                        </button>
+                                    </div>
+                                )}
+                            </li>
+                        ))}
+                        {/* Enregistrements du serveur refusés : repris dès qu'une version corrigée est reçue */}
+                        {status.rejets.map(rejet => (
+                            <li key={`${rejet.entite}:${rejet.uuid}`} className="px-5 py-3 text-sm">
+                                <p className="font-bold text-red-600">{entityLabels[rejet.entite]} refusé(e) · {rejet.uuid}</p>
+                                <p className="text-xs text-slate-600 mt-1 break-words">{rejet.erreur}</p>
+                            </li>
+                        ))}
+                    </ul>
                 </div>
-            </main>
+            )}
         </div>
     );
 };
 
-const Rapports = () => {
-    const generateMonthlyReport = () => {
-        // Générer un rapport mensuel
-        console.log('Génération du rapport mensuel...');
+// Synchronisation avec le serveur : adresse, stratégie de résolution des conflits
+const Synchronisation = ({ app }) => {
+    const emptySettings = { actif: false, url: '', strategie: 'lww' };
+    const [settings, setSettings] = React.useState(emptySettings);
+    const [busy, setBusy] = React.useState(false);
+    const { API_ENDPOINTS } = app.config;
+
+    React.useEffect(() => {
+        app.loadSyncSettings().then(saved => setSettings({ ...emptySettings, ...(saved || {}) }));
+    }, [app]);
+
+    const handleChange = (field) => (e) => {
+        const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+        setSettings(prev => ({ ...prev, [field]: value }));
     };
 
-    const generateActionReport = () => {
-        // Générer un rapport des actions
-        console.log('Génération du rapport des actions...');
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setBusy(true);
+        await app.saveSyncSettings({ ...settings, url: settings.url.trim() });
+        setBusy(false);
     };
 
     return (
-        <div className="min-h-screen bg-gray-50">
-            <header className="bg-white shadow-sm border-b border-gray-200 px-6 py-4">
-                <h1 className="text-xl font-semibold text-gray-800">Rapports</h1>
-            </header>
-            <main className="p-6">
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                    <button
-                        onClick={generateMonthlyReport}
-                        className="bg-blue-500 text-white px-6 py-3 rounded-lg hover:bg-blue-600"
-                    >
-                        📊 Rapport Mensuel
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
+            <h2 className="text-lg font-semibold mb-2">Synchronisation avec le serveur</h2>
+            <p className="text-sm text-gray-500 mb-4">
+                Les modifications des NC et des utilisateurs sont enregistrées sur le poste puis envoyées au serveur
+                ({API_ENDPOINTS.NON_CONFORMITES}, {API_ENDPOINTS.USERS}) toutes les {app.config.SYNC.INTERVAL / 1000} secondes en ligne ;
+                les changements des autres postes sont reçus au même rythme. La session serveur s'ouvre à la connexion ({API_ENDPOINTS.LOGIN}).
+            </p>
+            <form onSubmit={handleSave} className="grid grid-cols-1 md:grid-cols-4 gap-3 text-sm">
+                <label className="flex items-center gap-2">
+                    <input type="checkbox" checked={settings.actif} onChange={handleChange('actif')} /> Synchronisation active
+                </label>
+                <input
+                    type="url"
+                    placeholder="Adresse du serveur (vide : même origine)"
+                    value={settings.url}
+                    onChange={handleChange('url')}
+                    className="md:col-span-2 border border-gray-200 rounded px-3 py-2"
+                />
+                <select value={settings.strategie} onChange={handleChange('strategie')} className="border border-gray-200 rounded px-3 py-2">
+                    {SYNC_STRATEGIES.map(strategie => (
+                        <option key={strategie} value={strategie}>{SYNC_STRATEGIE_LABELS[strategie]}</option>
+                    ))}
+                </select>
+                <div className="md:col-span-4 flex flex-wrap gap-3">
+                    <button type="submit" disabled={busy} className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 disabled:opacity-50">
+                        Enregistrer
                     </button>
-                    <button
-                        onClick={generateActionReport}
-                        className="bg-green-500 text-white px-6 py-3 rounded-lg hover:bg-green-600"
-                    >
-                        📝 Rapport Actions
+                    <button type="button" disabled={busy || !app.syncEngine} onClick={() => app.syncNow()} className="border border-gray-200 px-4 py-2 rounded-lg hover:bg-gray-50 disabled:opacity-50">
+                        Synchroniser maintenant
                     </button>
                 </div>
-            </main>
+            </form>
         </div>
     );
-};
\ No newline at end of file
+};
+
+const Parametres = ({ app }) => (
+    <div className="min-h-screen bg-gray-50">
+        <header className="bg-white shadow-sm border-b border-gray-200 px-6 py-4">
+            <h1 className="text-xl font-semibold text-gray-800">Paramètres</h1>
+        </header>
+        <main className="p-6">
+            {app.can(PERMISSIONS.MANAGE_USERS) && <Escalade app={app} />}
+            {app.can(PERMISSIONS.MANAGE_USERS) && <Messagerie app={app} />}
+            {app.can(PERMISSIONS.MANAGE_USERS) && <Synchronisation app={app} />}
+            {app.can(PERMISSIONS.PURGE_DATA) && <Sauvegarde app={app} />}
+        </main>
+    </div>
+);
+
+// Exposer les modules React et les permissions pour l'interface principale (index.html)
+window.QTrackModules = { OperationsQualite, AnalysePilotage, Rapports, TendancesNc, Parametres, SyncStatus };
+window.QTrackPermissions = PERMISSIONS;
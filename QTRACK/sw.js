@@ -0,0 +1,100 @@
+/**
+ * Service worker Q-TRACK : démarrage hors ligne de l'application (ISO 9001 - Disponibilité)
+ * Les données restent dans IndexedDB (DatabaseManager) ; ce fichier ne met en cache que l'application
+ * et ses bibliothèques (vendor/). Changer CACHE_VERSION à chaque livraison : la coquille est servie depuis
+ * le cache de sa version, et seul un nouveau CACHE_VERSION installe les fichiers modifiés.
+ */
+const CACHE_VERSION = "1.2.0";
+const SHELL_CACHE = `qtrack-shell-${CACHE_VERSION}`;
+
+// Coquille de l'application et bibliothèques embarquées : fichiers servis par le même serveur que index.html
+const SHELL_URLS = [
+    "./",
+    "index.html",
+    "script.js",
+    "database.js",
+    "charts.js",
+    "pdf.js",
+    "reports.js",
+    "xlsx.js",
+    "mail.js",
+    "sync.js",
+    "manifest.webmanifest",
+    "icons/icon.svg",
+    "icons/icon-192.png",
+    "icons/icon-512.png",
+    "vendor/react/react.development.js",
+    "vendor/react/react-dom.development.js",
+    "vendor/babel/babel.min.js",
+    "vendor/tailwind/tailwind.css",
+    "vendor/fontawesome/css/all.min.css",
+    "vendor/fontawesome/webfonts/fa-solid-900.woff2",
+    "vendor/fontawesome/webfonts/fa-regular-400.woff2",
+    "vendor/fontawesome/webfonts/fa-brands-400.woff2",
+    "vendor/inter/inter.css",
+    "vendor/inter/files/inter-latin-300-normal.woff2",
+    "vendor/inter/files/inter-latin-400-normal.woff2",
+    "vendor/inter/files/inter-latin-500-normal.woff2",
+    "vendor/inter/files/inter-latin-600-normal.woff2",
+    "vendor/inter/files/inter-latin-700-normal.woff2"
+];
+
+const SHELL = new Set(SHELL_URLS.map(url => new URL(url, self.location).href));
+const INDEX_URL = new URL("index.html", self.location).href;
+
+self.addEventListener("install", (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        // Fichiers relus sur le serveur (pas dans le cache HTTP) : la coquille est complète ou l'installation échoue
+        await cache.addAll(SHELL_URLS.map(url => new Request(url, { cache: "reload" })));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener("activate", (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith("qtrack-") && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+/**
+ * @function cacheFirst
+ * @description Répond avec la copie de la coquille de la version installée ; le réseau ne sert qu'en
+ * l'absence de copie (cache supprimé par le navigateur)
+ * @param {Request} request - Requête interceptée
+ * @param {string} url - Entrée de la coquille à servir
+ * @returns {Promise<Response>} Réponse
+ */
+async function cacheFirst(request, url) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(url);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) await cache.put(url, response.clone());
+    return response;
+}
+
+self.addEventListener("fetch", (event) => {
+    const { request } = event;
+    if (request.method !== "GET") return;
+
+    const url = new URL(request.url);
+    url.hash = "";
+
+    // Navigation dans l'application : index.html de la version installée, quels que soient les paramètres
+    if (request.mode === "navigate") {
+        url.search = "";
+        if (SHELL.has(url.href)) event.respondWith(cacheFirst(request, INDEX_URL));
+        return;
+    }
+
+    // Hors coquille (API, services externes, contrôles de développement) : toujours transmis au réseau
+    if (SHELL.has(url.href)) {
+        event.respondWith(cacheFirst(request, url.href));
+    }
+});
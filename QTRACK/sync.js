@@ -0,0 +1,457 @@
+/**
+ * Synchronisation Q-TRACK : IndexedDB (DatabaseManager) ↔ API REST (API_ENDPOINTS)
+ *
+ * Contrat attendu du serveur (JSON, authentification "Authorization: Bearer <token>") :
+ *   POST   {LOGIN}             { username, password }          → { token, user: { uuid, username, email, role } }
+ *   POST   {REGISTER}          { uuid, username, email, password } → { token?, user }
+ *   GET    {ENTITE}?since=c    (c absent : tout)               → { records: [...], cursor }
+ *          chaque enregistrement porte uuid, updated_at (ISO) et deleted: true s'il a été supprimé
+ *   POST   {ENTITE}            enregistrement complet          → crée ou met à jour l'uuid (idempotent ;
+ *                                                                 les champs absents, dont le mot de passe, sont conservés)
+ *   PATCH  {ENTITE}/{uuid}     { changes, base }               → enregistrement à jour (404 si inconnu)
+ *   DELETE {ENTITE}/{uuid}                                     → 2xx, ou 404 si déjà supprimé
+ *
+ * Les références entre enregistrements circulent en uuid (declarant_uuid, manager_uuid) :
+ * les identifiants auto-incrémentés ne sont valables que sur le poste.
+ */
+
+// Points d'accès de l'API REST, relatifs à l'adresse du serveur
+const API_ENDPOINTS = {
+    LOGIN: "/api/auth/login",
+    REGISTER: "/api/auth/register",
+    NON_CONFORMITES: "/api/nc",
+    USERS: "/api/users"
+};
+
+// Entités synchronisées, dans l'ordre de réception : les utilisateurs d'abord, référencés par les NC
+const SYNC_ENTITIES = {
+    users: {
+        endpoint: "USERS",
+        references: { id_manager: "manager_uuid" }
+    },
+    non_conformites: {
+        endpoint: "NON_CONFORMITES",
+        references: { id_declarant: "declarant_uuid" }
+    }
+};
+
+// Résolution d'un champ modifié des deux côtés : dernier écrit gagne ou arbitrage manuel
+const SYNC_STRATEGIES = ["lww", "manuel"];
+
+// Champs propres au poste ou au protocole : jamais recopiés tels quels
+const LOCAL_FIELDS = ["id", "uuid", "password"];
+const WIRE_FIELDS = ["uuid", "updated_at", "deleted"];
+
+const sameValue = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+/**
+ * @class SyncEngine
+ * @description Pousse l'outbox des mutations locales vers le serveur et applique les changements distants
+ * reçus depuis le dernier curseur. Un cycle reçoit d'abord, pour arbitrer les conflits avant d'envoyer.
+ * @implements ISO 9001 §7.5.3 - Maîtrise des informations documentées
+ */
+class SyncEngine {
+    constructor({ db, baseUrl = "", endpoints, strategy = "lww", timeout = 15000 }) {
+        if (!db) throw new Error("Gestionnaire de base de données requis");
+        if (!endpoints) throw new Error("Points d'accès de l'API requis");
+        if (!SYNC_STRATEGIES.includes(strategy)) {
+            throw new Error(`Stratégie de synchronisation inconnue : ${strategy}`);
+        }
+        this.db = db;
+        this.baseUrl = baseUrl.replace(/\/+$/, "");
+        this.endpoints = endpoints;
+        this.strategy = strategy;
+        this.timeout = timeout;
+        this.token = null;
+        this.running = null;
+    }
+
+    setToken(token) {
+        this.token = token || null;
+    }
+
+    /**
+     * @method request
+     * @description Appel JSON à l'API ; rejette sur erreur réseau, délai dépassé ou statut HTTP non 2xx
+     * (l'erreur porte alors le statut dans error.status)
+     * @param {string} method - Méthode HTTP
+     * @param {string} path - Chemin relatif à l'adresse du serveur
+     * @param {Object} body - Contenu envoyé (facultatif)
+     * @returns {Promise<Object|null>} Réponse décodée, null si vide
+     */
+    async request(method, path, body) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        const headers = { Accept: "application/json" };
+        if (body !== undefined) headers["Content-Type"] = "application/json";
+        if (this.token) headers.Authorization = `Bearer ${this.token}`;
+
+        try {
+            const response = await fetch(`${this.baseUrl}${path}`, {
+                method,
+                headers,
+                body: body === undefined ? undefined : JSON.stringify(body),
+                signal: controller.signal
+            });
+            const text = await response.text();
+
+            if (!response.ok) {
+                const error = new Error(`${method} ${path} : HTTP ${response.status}${text ? ` : ${text.slice(0, 200)}` : ""}`);
+                error.status = response.status;
+                throw error;
+            }
+            return text ? JSON.parse(text) : null;
+
+        } catch (error) {
+            if (error.name === "AbortError") {
+                throw new Error(`${method} ${path} : délai dépassé (${this.timeout} ms)`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * @method login
+     * @description Authentifie l'utilisateur auprès du serveur et conserve le jeton de session
+     * @param {string} username - Identifiant
+     * @param {string} password - Mot de passe
+     * @returns {Promise<Object>} Utilisateur tel que connu du serveur
+     * @implements ISO 27001 - Contrôle d'accès
+     */
+    async login(username, password) {
+        const body = await this.request("POST", this.endpoints.LOGIN, { username, password });
+        if (!body || !body.token) throw new Error("Réponse d'authentification sans jeton");
+        this.setToken(body.token);
+        return body.user || null;
+    }
+
+    /**
+     * @method register
+     * @description Déclare au serveur un compte créé sur le poste
+     * @param {Object} user - { uuid, username, email, password }
+     * @returns {Promise<Object|null>} Utilisateur tel que connu du serveur
+     * @implements ISO 27001 - Contrôle d'accès
+     */
+    async register(user) {
+        const body = await this.request("POST", this.endpoints.REGISTER, user);
+        if (body && body.token) this.setToken(body.token);
+        return body ? body.user || null : null;
+    }
+
+    /**
+     * @method sync
+     * @description Cycle complet : réception par entité puis envoi de l'outbox ; un seul cycle à la fois
+     * @returns {Promise<Object>} { recus, envoyes, conflits, rejets }
+     * @implements PDCA - Do
+     */
+    sync() {
+        if (this.running) return this.running;
+
+        this.running = (async () => {
+            const summary = { recus: 0, envoyes: 0, conflits: 0, rejets: 0 };
+
+            for (const entity of Object.keys(SYNC_ENTITIES)) {
+                const pulled = await this.pull(entity);
+                summary.recus += pulled.recus;
+                summary.conflits += pulled.conflits;
+                summary.rejets += pulled.rejets;
+            }
+            summary.envoyes = await this.push();
+            return summary;
+        })().finally(() => {
+            this.running = null;
+        });
+
+        return this.running;
+    }
+
+    /**
+     * @method loadReferences
+     * @description Correspondance identifiant local ↔ uuid des utilisateurs (références des NC et des responsables)
+     * @returns {Promise<Object>} { toUuid: Map, toId: Map }
+     */
+    async loadReferences() {
+        const users = await this.db.getUsers();
+        return {
+            toUuid: new Map(users.map(user => [user.id, user.uuid])),
+            toId: new Map(users.map(user => [user.uuid, user.id]))
+        };
+    }
+
+    /**
+     * @method toWire
+     * @description Convertit des champs locaux (enregistrement complet ou modifications) au format du serveur
+     * @param {string} entity - Store synchronisé
+     * @param {Object} fields - Champs locaux
+     * @param {Object} refs - Correspondances de loadReferences
+     * @returns {Object} Champs à transmettre
+     */
+    toWire(entity, fields, refs) {
+        const { references } = SYNC_ENTITIES[entity];
+        const wire = {};
+
+        Object.entries(fields).forEach(([field, value]) => {
+            if (LOCAL_FIELDS.includes(field)) return;
+            if (references[field]) {
+                wire[references[field]] = value === null || value === undefined ? null : refs.toUuid.get(value) || null;
+                return;
+            }
+            wire[field] = value;
+        });
+        return wire;
+    }
+
+    /**
+     * @method fromWire
+     * @description Convertit un enregistrement du serveur en champs locaux ; une référence à un
+     * utilisateur inconnu du poste est ignorée (la valeur locale est conservée)
+     * @param {string} entity - Store synchronisé
+     * @param {Object} remote - Enregistrement reçu
+     * @param {Object} refs - Correspondances de loadReferences
+     * @returns {Object} Champs locaux
+     */
+    fromWire(entity, remote, refs) {
+        const { references } = SYNC_ENTITIES[entity];
+        const wireToLocal = Object.fromEntries(Object.entries(references).map(([local, wire]) => [wire, local]));
+        const fields = {};
+
+        Object.entries(remote).forEach(([field, value]) => {
+            if (WIRE_FIELDS.includes(field) || LOCAL_FIELDS.includes(field)) return;
+            if (wireToLocal[field]) {
+                if (value === null) fields[wireToLocal[field]] = null;
+                else if (refs.toId.has(value)) fields[wireToLocal[field]] = refs.toId.get(value);
+                return;
+            }
+            fields[field] = value;
+        });
+        return fields;
+    }
+
+    /**
+     * @method pendingChanges
+     * @description Regroupe par uuid les mutations locales non envoyées d'une entité : pour chaque champ,
+     * la valeur avant la première modification (base) et la dernière valeur saisie
+     * @param {Array} outbox - Entrées de l'outbox
+     * @param {string} entity - Store synchronisé
+     * @returns {Map} uuid → { entries, deleted, fields: { champ: { base, value, date } } }
+     */
+    pendingChanges(outbox, entity) {
+        const pending = new Map();
+
+        outbox.filter(entry => entry.entite === entity).forEach(entry => {
+            if (!pending.has(entry.uuid)) pending.set(entry.uuid, { entries: [], deleted: false, fields: {} });
+            const item = pending.get(entry.uuid);
+
+            item.entries.push(entry);
+            if (entry.operation === "delete") item.deleted = true;
+            Object.entries(entry.changes).forEach(([field, value]) => {
+                const known = item.fields[field];
+                item.fields[field] = { base: known ? known.base : entry.base[field], value, date: entry.date };
+            });
+        });
+        return pending;
+    }
+
+    /**
+     * @method pull
+     * @description Reçoit les changements d'une entité depuis le dernier curseur et les fusionne ; un
+     * enregistrement refusé (invalide, incomplet) est écarté dans les rejets sans bloquer les suivants
+     * @param {string} entity - Store synchronisé
+     * @returns {Promise<Object>} { recus, conflits, rejets }
+     * @implements ISO 9001 §7.5.3 - Maîtrise des informations documentées
+     */
+    async pull(entity) {
+        const cursors = (await this.db.getParametre("sync_curseurs")) || {};
+        const endpoint = this.endpoints[SYNC_ENTITIES[entity].endpoint];
+        const since = cursors[entity];
+        const body = await this.request("GET", since ? `${endpoint}?since=${encodeURIComponent(since)}` : endpoint);
+        const records = (body && body.records) || [];
+
+        const refs = await this.loadReferences();
+        const pending = this.pendingChanges(await this.db.getSyncOutbox(), entity);
+        const rejected = (await this.db.getParametre("sync_rejets")) || {};
+        const rejectedBefore = JSON.stringify(rejected);
+        let conflits = 0;
+        let rejets = 0;
+
+        for (const remote of records) {
+            if (!remote || !remote.uuid) continue;
+            const key = `${entity}:${remote.uuid}`;
+
+            try {
+                conflits += await this.mergeRemote(entity, remote, pending.get(remote.uuid), refs);
+                // Une version corrigée sur le serveur lève le rejet précédent
+                delete rejected[key];
+            } catch (error) {
+                rejected[key] = {
+                    entite: entity,
+                    uuid: remote.uuid,
+                    erreur: error.message,
+                    enregistrement: remote,
+                    date: new Date().toISOString()
+                };
+                rejets++;
+            }
+        }
+
+        if (JSON.stringify(rejected) !== rejectedBefore) {
+            await this.db.setParametre("sync_rejets", rejected, { audit: false });
+        }
+        // Le curseur avance une fois chaque enregistrement fusionné ou écarté
+        if (body && body.cursor !== undefined && body.cursor !== since) {
+            await this.db.setParametre("sync_curseurs", { ...cursors, [entity]: body.cursor }, { audit: false });
+        }
+        return { recus: records.length, conflits, rejets };
+    }
+
+    /**
+     * @method mergeRemote
+     * @description Fusion champ par champ d'un enregistrement reçu avec le poste :
+     * - champ sans modification locale en attente : la valeur du serveur est appliquée ;
+     * - champ modifié localement, inchangé sur le serveur (valeur = base) : la valeur locale sera envoyée ;
+     * - champ modifié des deux côtés : le plus récent gagne (lww) ou un conflit est ouvert (manuel),
+     *   la valeur locale restant affichée jusqu'à l'arbitrage.
+     * Une suppression sur le serveur l'emporte sur les modifications locales.
+     * @param {string} entity - Store synchronisé
+     * @param {Object} remote - Enregistrement reçu
+     * @param {Object|undefined} pending - Modifications locales en attente (pendingChanges)
+     * @param {Object} refs - Correspondances de loadReferences
+     * @returns {Promise<number>} Nombre de conflits ouverts
+     * @implements Lean - Poka-yoke (aucune saisie écrasée sans règle)
+     */
+    async mergeRemote(entity, remote, pending, refs) {
+        if (remote.deleted) {
+            await this.db.applyRemoteChanges(entity, remote.uuid, null);
+            if (pending) await this.db.deleteSyncOutbox(pending.entries.map(entry => entry.id));
+            return 0;
+        }
+
+        const fields = this.fromWire(entity, remote, refs);
+        const local = await this.db.getRecordByUuid(entity, remote.uuid);
+        if (!local) {
+            // Supprimé sur le poste : la suppression en attente sera envoyée
+            if (!(pending && pending.deleted)) await this.db.applyRemoteChanges(entity, remote.uuid, fields);
+            return 0;
+        }
+
+        const remoteDate = Date.parse(remote.updated_at) || 0;
+        const apply = {};
+        const settled = [];
+        let conflits = 0;
+
+        for (const [field, value] of Object.entries(fields)) {
+            const change = pending && pending.fields[field];
+
+            if (!change) {
+                if (!sameValue(local[field], value)) apply[field] = value;
+                continue;
+            }
+            if (sameValue(change.value, value)) {
+                settled.push(field);
+                continue;
+            }
+            if (sameValue(change.base, value)) continue;
+
+            if (this.strategy === "manuel") {
+                await this.db.addSyncConflict({
+                    entite: entity,
+                    uuid: remote.uuid,
+                    id_local: local.id,
+                    champ: field,
+                    valeur_locale: change.value,
+                    valeur_distante: value,
+                    date_locale: change.date,
+                    date_distante: remote.updated_at || null
+                });
+                settled.push(field);
+                conflits++;
+            } else if (remoteDate > Date.parse(change.date)) {
+                apply[field] = value;
+                settled.push(field);
+            }
+        }
+
+        if (Object.keys(apply).length > 0) {
+            await this.db.applyRemoteChanges(entity, remote.uuid, apply);
+        }
+        if (settled.length > 0) {
+            await this.settleFields(pending, settled);
+        }
+        return conflits;
+    }
+
+    /**
+     * @method settleFields
+     * @description Retire de l'outbox des champs qui n'ont plus à être envoyés (déjà à jour, écrasés ou en conflit)
+     * @param {Object} pending - Modifications en attente d'un enregistrement
+     * @param {Array<string>} settled - Champs retirés
+     */
+    async settleFields(pending, settled) {
+        for (const entry of pending.entries) {
+            if (entry.operation !== "update" || !settled.some(field => field in entry.changes)) continue;
+
+            settled.forEach(field => {
+                delete entry.changes[field];
+                delete entry.base[field];
+            });
+            await this.db.updateSyncOutbox(entry);
+        }
+        settled.forEach(field => delete pending.fields[field]);
+    }
+
+    /**
+     * @method push
+     * @description Envoie l'outbox dans l'ordre des mutations ; la première erreur interrompt l'envoi
+     * et les entrées restantes sont reprises au cycle suivant
+     * @returns {Promise<number>} Nombre d'entrées envoyées
+     * @implements Lean - Flux tiré
+     */
+    async push() {
+        const outbox = await this.db.getSyncOutbox();
+        const refs = await this.loadReferences();
+        // Enregistrements déjà envoyés complets pendant ce cycle : leurs modifications suivantes y figurent
+        const sent = new Set();
+        let envoyes = 0;
+
+        for (const entry of outbox) {
+            const endpoint = this.endpoints[SYNC_ENTITIES[entry.entite].endpoint];
+            const path = `${endpoint}/${encodeURIComponent(entry.uuid)}`;
+
+            if (entry.operation === "delete") {
+                await this.request("DELETE", path).catch(error => {
+                    if (error.status !== 404) throw error;
+                });
+            } else if (!sent.has(entry.uuid)) {
+                const local = await this.db.getRecordByUuid(entry.entite, entry.uuid);
+                // Supprimé depuis sur le poste : l'entrée de suppression suit dans l'outbox
+                if (local) {
+                    const sendFull = () => this.request("POST", endpoint, { uuid: entry.uuid, ...this.toWire(entry.entite, local, refs) });
+
+                    if (entry.operation === "create") {
+                        await sendFull();
+                        sent.add(entry.uuid);
+                    } else {
+                        await this.request("PATCH", path, {
+                            changes: this.toWire(entry.entite, entry.changes, refs),
+                            base: this.toWire(entry.entite, entry.base, refs)
+                        }).catch(async (error) => {
+                            // Inconnu du serveur (base réinitialisée, création perdue) : envoi complet
+                            if (error.status !== 404) throw error;
+                            await sendFull();
+                            sent.add(entry.uuid);
+                        });
+                    }
+                }
+            }
+
+            await this.db.deleteSyncOutbox([entry.id]);
+            envoyes++;
+        }
+        return envoyes;
+    }
+}
+
+export default SyncEngine;
+export { SYNC_STRATEGIES, API_ENDPOINTS };
@@ -0,0 +1,361 @@
+// Table CRC-32 (polynôme 0xEDB88320) utilisée par le format ZIP
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+// Origine des dates Excel (système 1900) en millisecondes UTC
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+
+const encoder = new TextEncoder();
+
+/**
+ * @function crc32
+ * @description Somme de contrôle CRC-32 d'un contenu
+ * @param {Uint8Array} bytes - Contenu
+ * @returns {number} CRC-32 non signé
+ */
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * @function buildZip
+ * @description Assemble une archive ZIP sans compression (méthode "stored"), suffisante pour un classeur
+ * @param {Array} files - [{ name, content }] ; content en texte ou en octets
+ * @returns {Array<Uint8Array>} Morceaux de l'archive
+ */
+function buildZip(files) {
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+        const crc = crc32(data);
+
+        // En-tête local : signature, version, drapeaux (UTF-8), méthode 0, date/heure, CRC, tailles, nom
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true);
+        local.setUint16(8, 0, true);
+        local.setUint16(10, 0, true);
+        local.setUint16(12, 0x21, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+        chunks.push(new Uint8Array(local.buffer), name, data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, 0, true);
+        entry.setUint16(14, 0x21, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(new Uint8Array(entry.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return [...chunks, ...central, new Uint8Array(end.buffer)];
+}
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Caractères de contrôle interdits en XML 1.0
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+
+/**
+ * @function columnName
+ * @description Nom de colonne Excel d'un index (0 → A, 26 → AA)
+ */
+const columnName = (index) => {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+};
+
+/**
+ * @function buildCell
+ * @description Cellule SpreadsheetML : nombre, date (numéro de série, style 2) ou texte en ligne
+ */
+const buildCell = (value, ref, header) => {
+    if (value === undefined || value === null || value === '') return '';
+    if (header) return `<c r="${ref}" t="inlineStr" s="1"><is><t>${escapeXml(value)}</t></is></c>`;
+    if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+    if (value instanceof Date && !isNaN(value)) {
+        // Heure locale conservée : Excel n'a pas de fuseau horaire
+        const local = value.getTime() - value.getTimezoneOffset() * 60000;
+        return `<c r="${ref}" s="2"><v>${(local - EXCEL_EPOCH) / 86400000}</v></c>`;
+    }
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+/**
+ * @function buildSheet
+ * @description Feuille de calcul : en-tête figé et filtré, largeurs de colonnes ajustées au contenu
+ */
+const buildSheet = ({ columns, rows }) => {
+    const widths = columns.map((column, index) => Math.min(60, Math.max(
+        String(column).length,
+        ...rows.map(row => (row[index] instanceof Date ? 16 : String(row[index] === undefined || row[index] === null ? '' : row[index]).length))
+    ) + 2));
+    const lastRef = `${columnName(columns.length - 1)}${rows.length + 1}`;
+
+    const sheetRows = [columns, ...rows].map((row, rowIndex) => {
+        const cells = row.map((value, index) => buildCell(value, `${columnName(index)}${rowIndex + 1}`, rowIndex === 0)).join('');
+        return `<row r="${rowIndex + 1}">${cells}</row>`;
+    }).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+        + `<cols>${widths.map((width, index) => `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`
+        + `<sheetData>${sheetRows}</sheetData>`
+        + `<autoFilter ref="A1:${lastRef}"/>`
+        + '</worksheet>';
+};
+
+/**
+ * @function buildXlsx
+ * @description Génère un classeur Excel (.xlsx) dans le navigateur, sans dépendance externe
+ * @param {Array} sheets - [{ name, columns: [libellés], rows: [[valeurs]] }] ; valeurs texte, nombre ou Date
+ * @returns {Blob} Fichier XLSX
+ * @implements ISO 9001 §7.5 - Informations documentées
+ * @implements Lean - Fonctionnement hors ligne, sans dépendance externe
+ */
+function buildXlsx(sheets) {
+    // Noms de feuilles : 31 caractères maximum, sans []:*?/\
+    const names = sheets.map(sheet => sheet.name.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31));
+
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+                + sheets.map((_, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+                + '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+                + '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+                + `<sheets>${names.map((name, index) => `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('')}</sheets>`
+                + `<definedNames>${sheets.map((sheet, index) => `<definedName name="_xlnm._FilterDatabase" localSheetId="${index}" hidden="1">'${escapeXml(names[index].replace(/'/g, "''"))}'!$A$1:$${columnName(sheet.columns.length - 1)}$${sheet.rows.length + 1}</definedName>`).join('')}</definedNames>`
+                + '</workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + sheets.map((_, index) => `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('')
+                + `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+                + '</Relationships>'
+        },
+        {
+            // Styles : 0 standard, 1 en-tête (gras, fond gris), 2 date et heure
+            name: 'xl/styles.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+                + '<numFmts count="1"><numFmt numFmtId="164" formatCode="dd/mm/yyyy hh:mm"/></numFmts>'
+                + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+                + '<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>'
+                + '<fill><patternFill patternType="solid"><fgColor rgb="FFF3F4F6"/><bgColor indexed="64"/></patternFill></fill></fills>'
+                + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+                + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+                + '<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+                + '<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>'
+                + '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>'
+                + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+                + '</styleSheet>'
+        },
+        ...sheets.map((sheet, index) => ({ name: `xl/worksheets/sheet${index + 1}.xml`, content: buildSheet(sheet) }))
+    ];
+
+    return new Blob(buildZip(files), { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+}
+
+// Formats numériques Excel prédéfinis correspondant à des dates ou heures
+const BUILTIN_DATE_FORMATS = [14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47];
+
+/**
+ * @function readZip
+ * @description Lit le répertoire central d'une archive ZIP et décompresse les entrées demandées
+ * @param {ArrayBuffer} buffer - Contenu de l'archive
+ * @returns {Object} { names, read(name) → Promise<string|null> }
+ */
+function readZip(buffer) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    const decoder = new TextDecoder();
+
+    // Fin du répertoire central : recherchée depuis la fin (commentaire d'archive éventuel)
+    let end = bytes.length - 22;
+    while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+    if (end < 0) {
+        throw new Error("Fichier XLSX invalide (archive ZIP illisible)");
+    }
+
+    const entries = new Map();
+    let offset = view.getUint32(end + 16, true);
+    for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+        const nameLength = view.getUint16(offset + 28, true);
+        entries.set(decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength)), {
+            method: view.getUint16(offset + 10, true),
+            size: view.getUint32(offset + 20, true),
+            local: view.getUint32(offset + 42, true)
+        });
+        offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+    }
+
+    return {
+        names: [...entries.keys()],
+        async read(name) {
+            const entry = entries.get(name);
+            if (!entry) return null;
+
+            const start = entry.local + 30 + view.getUint16(entry.local + 26, true) + view.getUint16(entry.local + 28, true);
+            const data = bytes.subarray(start, start + entry.size);
+            if (entry.method === 0) return decoder.decode(data);
+
+            // Méthode 8 (deflate), décompressée par le navigateur
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            return decoder.decode(await new Response(stream).arrayBuffer());
+        }
+    };
+}
+
+/**
+ * @function readXlsx
+ * @description Lit la première feuille d'un classeur Excel (.xlsx)
+ * @param {ArrayBuffer} buffer - Contenu du fichier
+ * @returns {Promise<Array>} Lignes de cellules ; nombres, textes et dates (objets Date)
+ * @implements Lean - Reprise de l'historique sans ressaisie
+ */
+async function readXlsx(buffer) {
+    const zip = readZip(buffer);
+    const parse = (xml) => new DOMParser().parseFromString(xml, 'application/xml');
+    const children = (node, tag) => Array.from(node.getElementsByTagName(tag));
+
+    // Première feuille dans l'ordre du classeur, résolue via les relations
+    const workbook = parse(await zip.read('xl/workbook.xml'));
+    const relations = parse(await zip.read('xl/_rels/workbook.xml.rels'));
+    const firstSheet = children(workbook, 'sheet')[0];
+    if (!firstSheet) {
+        throw new Error("Le classeur ne contient aucune feuille");
+    }
+    const relation = children(relations, 'Relationship').find(rel => rel.getAttribute('Id') === firstSheet.getAttribute('r:id'));
+    const target = relation.getAttribute('Target').replace(/^\/?(xl\/)?/, '');
+    const sheet = parse(await zip.read(`xl/${target}`));
+
+    // Textes partagés (les indications phonétiques <rPh> sont ignorées)
+    const sharedXml = await zip.read('xl/sharedStrings.xml');
+    const shared = sharedXml
+        ? children(parse(sharedXml), 'si').map(si => children(si, 't')
+            .filter(t => t.parentNode.nodeName !== 'rPh')
+            .map(t => t.textContent)
+            .join(''))
+        : [];
+
+    // Styles de cellule affichés comme des dates
+    const stylesXml = await zip.read('xl/styles.xml');
+    const dateStyles = new Set();
+    if (stylesXml) {
+        const styles = parse(stylesXml);
+        const customDates = new Set(children(styles, 'numFmt')
+            .filter(format => /[dmyhs]/i.test(format.getAttribute('formatCode').replace(/"[^"]*"|\[[^\]]*\]/g, '')))
+            .map(format => Number(format.getAttribute('numFmtId'))));
+        const cellXfs = styles.getElementsByTagName('cellXfs')[0];
+        if (cellXfs) {
+            children(cellXfs, 'xf').forEach((xf, index) => {
+                const formatId = Number(xf.getAttribute('numFmtId'));
+                if (BUILTIN_DATE_FORMATS.includes(formatId) || customDates.has(formatId)) dateStyles.add(index);
+            });
+        }
+    }
+
+    const columnIndex = (ref) => ref.replace(/\d+$/, '').split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+    return children(sheet, 'row').map(row => {
+        const cells = [];
+        children(row, 'c').forEach((cell, position) => {
+            const ref = cell.getAttribute('r');
+            const index = ref ? columnIndex(ref) : position;
+            const valueNode = cell.getElementsByTagName('v')[0];
+            const raw = valueNode ? valueNode.textContent : '';
+
+            switch (cell.getAttribute('t')) {
+                case 's':
+                    cells[index] = shared[Number(raw)];
+                    break;
+                case 'inlineStr':
+                    cells[index] = children(cell, 't').map(t => t.textContent).join('');
+                    break;
+                case 'str':
+                case 'e':
+                    cells[index] = raw;
+                    break;
+                case 'b':
+                    cells[index] = raw === '1';
+                    break;
+                default: {
+                    if (raw === '') break;
+                    const number = Number(raw);
+                    if (dateStyles.has(Number(cell.getAttribute('s') || 0))) {
+                        // Numéro de série Excel interprété en heure locale
+                        const utc = new Date(EXCEL_EPOCH + Math.round(number * 86400000));
+                        cells[index] = new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate(), utc.getUTCHours(), utc.getUTCMinutes(), utc.getUTCSeconds());
+                    } else {
+                        cells[index] = number;
+                    }
+                }
+            }
+        });
+        return Array.from(cells, cell => (cell === undefined ? '' : cell));
+    });
+}
+
+export default buildXlsx;
+export { readXlsx, crc32 };